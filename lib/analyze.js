@@ -0,0 +1,452 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Firewall rule analysis: finding rules that duplicate, shadow or contradict
+ * each other.
+ *
+ * Rules are compared using the order in which firewallers apply them: rules
+ * with a higher priority take precedence over rules with a lower priority,
+ * and for rules with the same priority, block rules take precedence over
+ * allow rules.
+ *
+ * Rule targets are only compared using what's in the rules themselves: for
+ * example, "vm X" and "tag Y" are not considered to overlap, even if VM X
+ * has tag Y.
+ */
+
+'use strict';
+
+var mod_ip = require('./util/ip');
+var util = require('util');
+
+
+// --- Globals
+
+
+var ALL_PORTS = { start: 1, end: 65535 };
+
+
+
+// --- Internal helpers
+
+
+
+function hasWildcard(side, wildcard) {
+    return (side.wildcards.indexOf(wildcard) !== -1);
+}
+
+
+function tagKey(tag) {
+    return util.isArray(tag) ? tag[0] : tag;
+}
+
+
+/**
+ * Returns true if the tag outer matches all VMs that tag inner matches:
+ * "tag a" covers both "tag a" and "tag a = b"
+ */
+function tagCovers(outer, inner) {
+    if (!util.isArray(outer)) {
+        return (outer === tagKey(inner));
+    }
+
+    return (util.isArray(inner) && outer[0] === inner[0] &&
+        String(outer[1]) === String(inner[1]));
+}
+
+
+function tagOverlaps(a, b) {
+    return (tagCovers(a, b) || tagCovers(b, a));
+}
+
+
+function sideAddrs(side) {
+    return side.ips.concat(side.subnets);
+}
+
+
+/**
+ * Returns true if every target on the inner side of a rule is also matched
+ * by the outer side
+ */
+function sideCovers(outer, inner) {
+    if (hasWildcard(outer, 'any')) {
+        return true;
+    }
+
+    if (hasWildcard(inner, 'any')) {
+        return false;
+    }
+
+    var outerAddrs = sideAddrs(outer);
+    var addrsCovered = sideAddrs(inner).every(function (addr) {
+        return outerAddrs.some(function (outerAddr) {
+            return mod_ip.contains(outerAddr, addr);
+        });
+    });
+
+    if (!addrsCovered) {
+        return false;
+    }
+
+    if (hasWildcard(outer, 'vmall')) {
+        return true;
+    }
+
+    if (hasWildcard(inner, 'vmall')) {
+        return false;
+    }
+
+    return inner.vms.every(function (vm) {
+        return (outer.vms.indexOf(vm) !== -1);
+    }) && inner.tags.every(function (tag) {
+        return outer.tags.some(function (outerTag) {
+            return tagCovers(outerTag, tag);
+        });
+    });
+}
+
+
+/**
+ * Returns true if there's at least one target matched by both sides
+ */
+function sideOverlaps(a, b) {
+    if (hasWildcard(a, 'any') || hasWildcard(b, 'any')) {
+        return true;
+    }
+
+    var bAddrs = sideAddrs(b);
+    var addrsOverlap = sideAddrs(a).some(function (addr) {
+        return bAddrs.some(function (bAddr) {
+            return mod_ip.overlaps(addr, bAddr);
+        });
+    });
+
+    if (addrsOverlap) {
+        return true;
+    }
+
+    var aVMs = hasWildcard(a, 'vmall') || a.vms.length !== 0 ||
+        a.tags.length !== 0;
+    var bVMs = hasWildcard(b, 'vmall') || b.vms.length !== 0 ||
+        b.tags.length !== 0;
+
+    if ((hasWildcard(a, 'vmall') && bVMs) ||
+        (hasWildcard(b, 'vmall') && aVMs)) {
+        return true;
+    }
+
+    return a.vms.some(function (vm) {
+        return (b.vms.indexOf(vm) !== -1);
+    }) || a.tags.some(function (tag) {
+        return b.tags.some(function (bTag) {
+            return tagOverlaps(tag, bTag);
+        });
+    });
+}
+
+
+/**
+ * Returns true if there could be a target matched by both sides. Unlike
+ * sideOverlaps(), this allows for VMs having any tags and IPs: only
+ * different VM UUIDs and addresses that don't overlap can't match the same
+ * target.
+ */
+function sideMayOverlap(a, b) {
+    if (sideOverlaps(a, b)) {
+        return true;
+    }
+
+    var aUUIDsOnly = a.tags.length === 0 && !hasWildcard(a, 'vmall');
+    var bUUIDsOnly = b.tags.length === 0 && !hasWildcard(b, 'vmall');
+    var aAddrs = sideAddrs(a).length !== 0;
+    var bAddrs = sideAddrs(b).length !== 0;
+    var aVMs = !aUUIDsOnly || a.vms.length !== 0;
+    var bVMs = !bUUIDsOnly || b.vms.length !== 0;
+
+    if ((aVMs && bAddrs) || (bVMs && aAddrs)) {
+        return true;
+    }
+
+    // Tags can match any VM, including the VMs on the other side
+    return (aVMs && bVMs && !(aUUIDsOnly && bUUIDsOnly));
+}
+
+
+/**
+ * Returns the ports of a TCP or UDP rule as a sorted list of non-overlapping
+ * ranges
+ */
+function portRanges(rule) {
+    var merged = [];
+    var ranges = rule.ports.map(function (port) {
+        if (port === 'all') {
+            return ALL_PORTS;
+        }
+
+        if (typeof (port) === 'object') {
+            return { start: Number(port.start), end: Number(port.end) };
+        }
+
+        return { start: Number(port), end: Number(port) };
+    }).sort(function (a, b) {
+        return a.start - b.start;
+    });
+
+    ranges.forEach(function (range) {
+        var last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ start: range.start, end: range.end });
+        }
+    });
+
+    return merged;
+}
+
+
+/**
+ * Returns true if the ICMP type (with optional code) outer matches all of
+ * the traffic matched by inner: "8" covers both "8" and "8:0"
+ */
+function typeCovers(outer, inner) {
+    outer = String(outer);
+    inner = String(inner);
+
+    return (outer === 'all' || outer === inner ||
+        (outer.indexOf(':') === -1 && inner.split(':')[0] === outer));
+}
+
+
+function targetsCover(outer, inner) {
+    switch (outer.protocol) {
+    case 'tcp':
+    case 'udp':
+        var outerRanges = portRanges(outer);
+        return portRanges(inner).every(function (range) {
+            return outerRanges.some(function (outerRange) {
+                return (outerRange.start <= range.start &&
+                    range.end <= outerRange.end);
+            });
+        });
+
+    case 'icmp':
+    case 'icmp6':
+        return inner.types.every(function (type) {
+            return outer.types.some(function (outerType) {
+                return typeCovers(outerType, type);
+            });
+        });
+
+    default:
+        // ah and esp have no ports or types
+        return true;
+    }
+}
+
+
+function targetsOverlap(a, b) {
+    switch (a.protocol) {
+    case 'tcp':
+    case 'udp':
+        var bRanges = portRanges(b);
+        return portRanges(a).some(function (range) {
+            return bRanges.some(function (bRange) {
+                return (range.start <= bRange.end && bRange.start <= range.end);
+            });
+        });
+
+    case 'icmp':
+    case 'icmp6':
+        return a.types.some(function (type) {
+            return b.types.some(function (bType) {
+                return (typeCovers(type, bType) || typeCovers(bType, type));
+            });
+        });
+
+    default:
+        return true;
+    }
+}
+
+
+/**
+ * Returns true if rule outer matches all of the traffic that inner does
+ */
+function ruleCovers(outer, inner) {
+    return (outer.protocol === inner.protocol &&
+        targetsCover(outer, inner) &&
+        sideCovers(outer.from, inner.from) &&
+        sideCovers(outer.to, inner.to));
+}
+
+
+/**
+ * Returns true if rules a and b both match some of the same traffic
+ */
+function rulesOverlap(a, b) {
+    return (a.protocol === b.protocol &&
+        targetsOverlap(a, b) &&
+        sideOverlaps(a.from, b.from) &&
+        sideOverlaps(a.to, b.to));
+}
+
+
+/**
+ * Returns true if rules a and b could both match some of the same traffic,
+ * given that they both match the same targets on one side: side is the
+ * other side of the rules. VM targets on that side are compared as in
+ * sideMayOverlap().
+ */
+function mayOverlap(a, b, side) {
+    return (a.protocol === b.protocol &&
+        targetsOverlap(a, b) &&
+        sideMayOverlap(a[side], b[side]));
+}
+
+
+/**
+ * Returns true if rule a is applied before rule b
+ */
+function precedes(a, b) {
+    if (a.priority !== b.priority) {
+        return (a.priority > b.priority);
+    }
+
+    return (a.action === 'block' && b.action === 'allow');
+}
+
+
+/**
+ * Returns true if rule inner never has any effect because of rule outer:
+ * either outer is applied first and matches all of inner's traffic, or
+ * they have the same action and outer is applied at the same time or first.
+ */
+function shadows(outer, inner) {
+    if (!ruleCovers(outer, inner)) {
+        return false;
+    }
+
+    if (outer.action === inner.action) {
+        return (outer.priority >= inner.priority);
+    }
+
+    return precedes(outer, inner);
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Analyzes a list of rules, and returns an object with:
+ * - `duplicates`: groups of rules with the same rule text
+ * - `shadowed`: enabled rules that never have any effect because of other
+ *   enabled rules, along with the rules that shadow them
+ * - `contradictions`: pairs of enabled allow and block rules that both match
+ *   some of the same traffic, along with the rule that wins (excluding pairs
+ *   where one rule shadows the other, since those are in `shadowed`)
+ *
+ * @param rules {Array}: Rule objects
+ */
+function analyzeRules(rules) {
+    var byText = {};
+    var contradictions = [];
+    var duplicates = [];
+    var enabled;
+    var seen = {};
+    var shadowed = [];
+
+    rules.forEach(function (rule) {
+        var text = rule.text();
+        if (!byText.hasOwnProperty(text)) {
+            byText[text] = [];
+        }
+
+        byText[text].push(rule.uuid);
+    });
+
+    Object.keys(byText).sort().forEach(function (text) {
+        if (byText[text].length > 1) {
+            duplicates.push({
+                rule: text,
+                uuids: byText[text].sort()
+            });
+        }
+    });
+
+    // Duplicates of a rule have exactly the same effect as it, so only
+    // compare against the first enabled rule of each set of duplicates
+    enabled = rules.filter(function (rule) {
+        var text = rule.text();
+        if (!rule.enabled || seen.hasOwnProperty(text)) {
+            return false;
+        }
+
+        seen[text] = true;
+        return true;
+    });
+
+    enabled.forEach(function (rule) {
+        var by = enabled.filter(function (other) {
+            return (other !== rule && shadows(other, rule));
+        }).map(function (other) {
+            return other.uuid;
+        });
+
+        if (by.length !== 0) {
+            shadowed.push({
+                uuid: rule.uuid,
+                rule: rule.text(),
+                shadowed_by: by.sort()
+            });
+        }
+    });
+
+    enabled.forEach(function (allow) {
+        if (allow.action !== 'allow') {
+            return;
+        }
+
+        enabled.forEach(function (block) {
+            if (block.action !== 'block' || !rulesOverlap(allow, block) ||
+                shadows(allow, block) || shadows(block, allow)) {
+                return;
+            }
+
+            contradictions.push({
+                allow: allow.uuid,
+                block: block.uuid,
+                winner: precedes(allow, block) ? allow.uuid : block.uuid
+            });
+        });
+    });
+
+    return {
+        duplicates: duplicates,
+        shadowed: shadowed,
+        contradictions: contradictions
+    };
+}
+
+
+module.exports = {
+    analyzeRules: analyzeRules,
+    mayOverlap: mayOverlap,
+    portRanges: portRanges,
+    precedes: precedes,
+    ruleCovers: ruleCovers,
+    rulesOverlap: rulesOverlap,
+    typeCovers: typeCovers
+};
@@ -20,12 +20,22 @@ var EffluentLogger = require('effluent-logger');
 var fs = require('fs');
 var http = require('http');
 var https = require('https');
+var mod_cluster = require('./cluster');
 var mod_jsprim = require('jsprim');
+var mod_history = require('./history');
+var mod_ipset = require('./ipset');
+var mod_metrics = require('./metrics');
 var mod_migrate = require('./moray-migration');
 var mod_moray = require('./moray');
+var mod_notifier = require('./notifier');
+var mod_quota = require('./quota');
+var mod_reaper = require('./reaper');
 var mod_rule = require('./rule');
+var mod_scheduler = require('./scheduler');
+var mod_service = require('./service');
 var mod_update = require('./update');
 var mod_vasync = require('vasync');
+var mod_webhook = require('./webhook');
 var os = require('os');
 var path = require('path');
 var restify = require('restify');
@@ -142,6 +152,10 @@ function FWAPI(opts) {
         }
     });
 
+    server.on('after', function _metrics(req, res, route, _err) {
+        self.metrics.request(req, res, route);
+    });
+
     server.use(function _headers(req, res, next) {
         res.on('header', function onHeader() {
             var now = Date.now();
@@ -175,13 +189,47 @@ function FWAPI(opts) {
 
     endpoints.registerEndpoints(server, self.log, [setup, checkServices]);
 
+    this.cluster = null;
     this.ufds = null;
     this.vmapi = null;
     this.moray = null;
+    this.metrics = mod_metrics.create({
+        app: self,
+        log: self.log
+    });
+    this.notifier = mod_notifier.create({
+        app: self,
+        config: {
+            backoff: self.config.webhookBackoff,
+            interval: self.config.webhookInterval,
+            maxAttempts: self.config.webhookMaxAttempts,
+            retention: self.config.webhookRetention,
+            timeout: self.config.webhookTimeout
+        },
+        log: self.log
+    });
+    this.reaper = mod_reaper.create({
+        app: self,
+        config: {
+            action: self.config.expiredRuleAction,
+            interval: self.config.expiryInterval
+        },
+        log: self.log
+    });
+    this.scheduler = mod_scheduler.create({
+        app: self,
+        config: {
+            interval: self.config.scheduleInterval
+        },
+        log: self.log
+    });
     this.updater = mod_update.createServer({
         config: {
+            ackTimeout: self.config.updateAckTimeout,
+            clientTimeout: self.config.updateClientTimeout,
             host: os.hostname(),
             pollInterval: self.config.pollInterval,
+            updateTimeout: self.config.updateTimeout,
             fast: self.config.fast
         },
         log: self.log
@@ -216,6 +264,9 @@ FWAPI.prototype.close = function close(callback) {
     });
 
     this.server.close();
+    this.notifier.stop();
+    this.reaper.stop();
+    this.scheduler.stop();
     this.updater.close();
 };
 
@@ -253,11 +304,36 @@ FWAPI.prototype.initializeClients = function initializeClients(callback) {
             return;
         }
 
+        var buckets = [
+            mod_rule.BUCKET,
+            mod_history.BUCKET,
+            mod_ipset.BUCKET,
+            mod_quota.BUCKET,
+            mod_service.BUCKET,
+            mod_update.BUCKET,
+            mod_webhook.BUCKET,
+            mod_webhook.DELIVERY_BUCKET
+        ];
+        // Rules are only migrated from UFDS with fwrule_version 3 and
+        // above, so the migration is run again if that changes
+        var version = buckets.map(function (bucket) {
+            return bucket.name + ':' + bucket.version;
+        }).concat('fwrule_version:' + self.config.fwrule_version).join(',');
+
+        self.cluster = mod_cluster.create({
+            config: {
+                host: os.hostname(),
+                timeout: self.config.instanceTimeout
+            },
+            log: self.log,
+            moray: self.moray
+        });
+
         mod_moray.initialize({
             app: self,
             log: self.log,
             moray: self.moray,
-            buckets: [ mod_rule.BUCKET, mod_update.BUCKET ]
+            buckets: [ mod_cluster.BUCKET ]
         }, function (err2) {
             if (err2) {
                 self.log.error(err2, 'Failed to initialize buckets cleanly');
@@ -265,14 +341,44 @@ FWAPI.prototype.initializeClients = function initializeClients(callback) {
                 return;
             }
 
-            mod_migrate.migrate(self, self.log, function (err3) {
+            // Only one instance initializes the other buckets and migrates
+            // rules from UFDS: the others wait for it to finish
+            self.cluster.once(version, function initBuckets(cb) {
+                mod_moray.initialize({
+                    app: self,
+                    log: self.log,
+                    moray: self.moray,
+                    buckets: buckets
+                }, function (err3) {
+                    if (err3) {
+                        self.log.error(err3,
+                            'Failed to initialize buckets cleanly');
+                        cb(err3);
+                        return;
+                    }
+
+                    mod_migrate.migrate(self, self.log, function (err4) {
+                        if (err4) {
+                            self.log.error(err4,
+                                'Failed to finish migration cleanly');
+                        }
+
+                        cb(err4);
+                    });
+                });
+            }, function (err3) {
                 if (err3) {
-                    self.log.error(err3, 'Failed to finish migration cleanly');
                     callback(err3);
                     return;
                 }
 
-                self.updater.init(self.moray, callback);
+                self.metrics.migrationComplete = true;
+                self.updater.init(self.moray, self.cluster, function () {
+                    self.notifier.start();
+                    self.reaper.start();
+                    self.scheduler.start();
+                    callback();
+                });
             });
         });
     });
@@ -0,0 +1,191 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Rule bundles: a portable, versioned format for exporting rules from one
+ * FWAPI and importing them into another, eg:
+ *
+ *     {
+ *       "version": 1,
+ *       "rules": [
+ *         {
+ *           "uuid": "...",
+ *           "rule": "FROM any TO all vms ALLOW tcp PORT 22",
+ *           "description": "allow SSH",
+ *           "enabled": true,
+ *           "owner_uuid": "..."
+ *         }
+ *       ]
+ *     }
+ *
+ * Rules are exported with their ipset and service references expanded, so
+ * that they don't depend on objects that may not exist where they're
+ * imported. Bundles can also be written and read as YAML (see
+ * stringifyBundle() and parseBundle()), which is easier to review when
+ * they're kept in git.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_const = require('./util/constants');
+var mod_err = require('./errors');
+var mod_yaml = require('js-yaml');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+
+/*
+ * The current bundle format version. Bundles with a newer version can't be
+ * imported.
+ *
+ * 1 - Initial version.
+ */
+var BUNDLE_VERSION = 1;
+
+// Formats that bundles can be written in
+var FORMATS = [ 'json', 'yaml' ];
+
+// Rule properties kept in bundles
+var RULE_FIELDS = [ 'uuid', 'rule', 'description', 'enabled', 'global',
+    'owner_uuid' ];
+
+
+
+// --- Exports
+
+
+
+/**
+ * Returns a bundle containing the given rules
+ */
+function createBundle(rules) {
+    return {
+        version: BUNDLE_VERSION,
+        rules: rules.map(function (rule) {
+            var ser = rule.serialize();
+            var bRule = {};
+
+            RULE_FIELDS.forEach(function (f) {
+                if (hasKey(ser, f)) {
+                    bRule[f] = ser[f];
+                }
+            });
+
+            return bRule;
+        })
+    };
+}
+
+
+/**
+ * Parses a bundle written as JSON or YAML. JSON is a subset of YAML, so
+ * both are read by the YAML parser, using its JSON schema so that values
+ * like dates in descriptions stay strings. Throws if the bundle can't be
+ * parsed.
+ */
+function parseBundle(str) {
+    assert.string(str, 'str');
+
+    return mod_yaml.safeLoad(str, { schema: mod_yaml.JSON_SCHEMA });
+}
+
+
+/**
+ * Returns the parameters for creating or updating a rule from a rule in a
+ * bundle
+ */
+function ruleParams(bRule) {
+    var params = {};
+
+    RULE_FIELDS.forEach(function (f) {
+        if (hasKey(bRule, f)) {
+            params[f] = bRule[f];
+        }
+    });
+
+    return params;
+}
+
+
+/**
+ * Returns a bundle written in the given format (one of FORMATS)
+ */
+function stringifyBundle(bundle, format) {
+    assert.object(bundle, 'bundle');
+    assert.ok(FORMATS.indexOf(format) !== -1,
+        'format must be one of: ' + FORMATS.join(', '));
+
+    if (format === 'yaml') {
+        return mod_yaml.safeDump(bundle, { schema: mod_yaml.JSON_SCHEMA });
+    }
+
+    return JSON.stringify(bundle, null, 2) + '\n';
+}
+
+
+/**
+ * restify-warden validator for bundles. The rules in the bundle are
+ * validated when they're imported.
+ */
+function validateBundle(_, name, bundle, callback) {
+    if (typeof (bundle) !== 'object' || bundle === null ||
+        Array.isArray(bundle)) {
+        callback(mod_err.invalidParam(name, mod_const.msg.OBJ));
+        return;
+    }
+
+    if (typeof (bundle.version) !== 'number' ||
+        bundle.version % 1 !== 0 || bundle.version < 1) {
+        callback(mod_err.invalidParam(name + '.version',
+            'must be a positive integer'));
+        return;
+    }
+
+    if (bundle.version > BUNDLE_VERSION) {
+        callback(mod_err.invalidParam(name + '.version',
+            'unsupported bundle version (newest supported: ' +
+            BUNDLE_VERSION + ')'));
+        return;
+    }
+
+    if (!Array.isArray(bundle.rules) || !bundle.rules.every(function (r) {
+        return (typeof (r) === 'object' && r !== null && !Array.isArray(r));
+    })) {
+        callback(mod_err.invalidParam(name + '.rules',
+            mod_const.msg.ARRAY_OF_OBJ));
+        return;
+    }
+
+    // Unlike batches, bundles have no maximum size: an export has all of an
+    // owner's rules, and imports are written in several batches if needed
+    if (bundle.rules.length === 0) {
+        callback(mod_err.invalidParam(name + '.rules',
+            mod_const.msg.ARRAY_EMPTY));
+        return;
+    }
+
+    callback(null, bundle);
+}
+
+
+module.exports = {
+    create: createBundle,
+    FORMATS: FORMATS,
+    parse: parseBundle,
+    ruleParams: ruleParams,
+    stringify: stringifyBundle,
+    validateBundle: validateBundle,
+    VERSION: BUNDLE_VERSION
+};
@@ -0,0 +1,423 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Coordination between multiple FWAPI instances sharing the same moray
+ * buckets. Instances coordinate using records in the instances bucket:
+ *
+ * - Each instance periodically records its progress through the update
+ *   queue: the _id of the last update that all of its clients are done with
+ *   (its "floor"), or null if it has no clients, and the last update that
+ *   each of its clients has acknowledged.
+ * - Leases, each held by at most one instance at a time. The "_leader"
+ *   lease is held by the instance that removes updates from the queue once
+ *   every instance is done with them. The "_init" lease is held by the
+ *   instance initializing buckets and migrating rules from UFDS.
+ *
+ * Leases are taken using conditional puts, and expire if the instance
+ * holding them doesn't renew them within the instance timeout, so that
+ * another instance can take over if it goes away.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var constants = require('./util/constants');
+var util = require('util');
+var VError = require('verror');
+
+
+// --- Globals
+
+
+/*
+ * We assign a version number to objects so that older versions can be found
+ * and upgraded in the future.
+ *
+ * 1 - Initial version.
+ */
+var CLUSTER_RAW_VERSION = 1;
+
+/*
+ * Time (in ms) after which an instance that hasn't reported its progress is
+ * considered gone, and leases that haven't been renewed expire
+ */
+var DEFAULT_INSTANCE_TIMEOUT = 30000;
+
+var INIT_LEASE = '_init';
+var LEADER_LEASE = '_leader';
+
+var BUCKET = {
+    desc: 'fwapi instances',
+    name: 'fwapi_instances',
+    constructor: ClusterRecord,
+    version: CLUSTER_RAW_VERSION,
+    schema: {
+        index: {
+            host: { type: 'string' },
+            seen: { type: 'number' },
+            _v: { type: 'number' }
+        }
+    },
+    morayVersion: 1
+};
+
+
+
+// --- ClusterRecord object
+
+
+
+/**
+ * ClusterRecord constructor: an instance's progress record or a lease
+ *
+ * @param record {Object}: the raw record from Moray
+ */
+function ClusterRecord(record) {
+    assert.object(record, 'record');
+    assert.string(record.key, 'record.key');
+    assert.object(record.value, 'record.value');
+    assert.optionalString(record._etag, 'record._etag');
+
+    this.key = record.key;
+    this.value = record.value;
+    this.etag = record._etag || null;
+
+    Object.seal(this);
+}
+
+
+ClusterRecord.prototype.raw = function raw() {
+    var value = {};
+
+    Object.keys(this.value).forEach(function (k) {
+        value[k] = this.value[k];
+    }, this);
+    value._v = CLUSTER_RAW_VERSION;
+
+    return value;
+};
+
+
+ClusterRecord.prototype.batch = function batch() {
+    return {
+        bucket: BUCKET.name,
+        key: this.key,
+        operation: 'put',
+        value: this.raw(),
+        options: {
+            etag: this.etag
+        }
+    };
+};
+
+
+
+// --- Cluster object
+
+
+
+/**
+ * Cluster constructor
+ *
+ * @param opts {Object}:
+ * - `config` {Object}: with `host` (this instance's hostname) and optionally
+ *   `timeout` (the instance timeout, in ms)
+ * - `log` {Bunyan logger}
+ * - `moray` {Moray Client}
+ */
+function Cluster(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.config, 'opts.config');
+    assert.string(opts.config.host, 'opts.config.host');
+    assert.optionalNumber(opts.config.timeout, 'opts.config.timeout');
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.moray, 'opts.moray');
+
+    this.host = opts.config.host;
+    this.leader = false;
+    this.log = opts.log.child({ component: 'cluster' });
+    this.moray = opts.moray;
+    this.timeout = opts.config.timeout || DEFAULT_INSTANCE_TIMEOUT;
+}
+
+
+/**
+ * Takes or renews a lease, calling callback with the lease's value if this
+ * instance now holds it, or null if another instance holds it
+ *
+ * @param key {String}: the lease's key
+ * @param callback {Function} `function (err, value)`
+ */
+Cluster.prototype.lease = function lease(key, callback) {
+    var self = this;
+
+    self.moray.getObject(BUCKET.name, key, function (gErr, obj) {
+        if (gErr && !VError.hasCauseWithName(gErr, 'ObjectNotFoundError')) {
+            callback(gErr);
+            return;
+        }
+
+        var now = Date.now();
+        var rec = new ClusterRecord(obj || { key: key, value: {} });
+        var holder = rec.value.holder;
+
+        if (obj && holder !== self.host && rec.value.expires > now) {
+            callback(null, null);
+            return;
+        }
+
+        rec.value.holder = self.host;
+        rec.value.expires = now + self.timeout;
+
+        self.moray.batch([ rec.batch() ], function (pErr) {
+            if (pErr) {
+                if (VError.hasCauseWithName(pErr, 'EtagConflictError')) {
+                    // Another instance took the lease first
+                    callback(null, null);
+                } else {
+                    callback(pErr);
+                }
+                return;
+            }
+
+            if (holder !== self.host) {
+                self.log.info({ lease: key, previous: holder },
+                    'lease taken');
+            }
+
+            callback(null, rec.value);
+        });
+    });
+};
+
+
+/**
+ * Runs func (a function that takes a callback) on only one instance: other
+ * instances wait for the instance running it to finish. Once func has
+ * succeeded, version is recorded, and instances starting later with the
+ * same version skip running it.
+ *
+ * @param version {String}
+ * @param func {Function}: `function (cb)`
+ * @param callback {Function} `function (err)`
+ */
+Cluster.prototype.once = function once(version, func, callback) {
+    assert.string(version, 'version');
+    assert.func(func, 'func');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    function retry(msg, err) {
+        self.log[err ? 'error' : 'info']({
+            err: err,
+            delay: constants.RETRY_DELAY,
+            version: version
+        }, 'once: %s; will retry', msg);
+        setTimeout(attempt, constants.RETRY_DELAY);
+    }
+
+    function attempt() {
+        self.moray.getObject(BUCKET.name, INIT_LEASE, function (gErr, obj) {
+            if (gErr &&
+                !VError.hasCauseWithName(gErr, 'ObjectNotFoundError')) {
+                retry('error getting lease', gErr);
+                return;
+            }
+
+            if (obj && obj.value.done === version) {
+                self.log.info({ version: version, host: obj.value.holder },
+                    'once: already run by another instance');
+                callback();
+                return;
+            }
+
+            self.lease(INIT_LEASE, function (lErr, value) {
+                if (lErr) {
+                    retry('error taking lease', lErr);
+                    return;
+                }
+
+                if (value === null) {
+                    retry('another instance is running');
+                    return;
+                }
+
+                run();
+            });
+        });
+    }
+
+    function run() {
+        var renew = setInterval(function () {
+            self.lease(INIT_LEASE, function (err, value) {
+                if (err || value === null) {
+                    self.log.warn({ err: err, version: version },
+                        'once: failed to renew lease');
+                }
+            });
+        }, Math.floor(self.timeout / 3));
+
+        func(function (err) {
+            clearInterval(renew);
+
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            var rec = new ClusterRecord({
+                key: INIT_LEASE,
+                value: {
+                    done: version,
+                    expires: 0,
+                    holder: self.host
+                }
+            });
+
+            self.moray.putObject(BUCKET.name, rec.key, rec.raw(), callback);
+        });
+    }
+
+    attempt();
+};
+
+
+/**
+ * Calls callback with the client acks recorded by this instance's last
+ * progress report (see report()), or an empty object if there aren't any
+ *
+ * @param callback {Function} `function (err, acks)`
+ */
+Cluster.prototype.acks = function getAcks(callback) {
+    this.moray.getObject(BUCKET.name, this.host, function (err, obj) {
+        if (err) {
+            if (VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                callback(null, {});
+            } else {
+                callback(err);
+            }
+            return;
+        }
+
+        callback(null, obj.value.clients || {});
+    });
+};
+
+
+/**
+ * Records this instance's progress through the update queue, and renews or
+ * takes the leader lease. If this instance is the leader, calls callback
+ * with the _id of the last update that every live instance is done with
+ * (or null if there isn't one). Otherwise, calls callback with null.
+ *
+ * @param floor {Number}: the _id of the last update that all of this
+ *     instance's clients are done with, or null if it has no clients
+ * @param acks {Object}: (optional) the last update acknowledged by each of
+ *     this instance's clients, as returned by UpdateServer.acks()
+ * @param callback {Function} `function (err, floor)`
+ */
+Cluster.prototype.report = function report(floor, acks, callback) {
+    if (typeof (acks) === 'function') {
+        callback = acks;
+        acks = {};
+    }
+
+    assert.optionalNumber(floor, 'floor');
+    assert.object(acks, 'acks');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var rec = new ClusterRecord({
+        key: self.host,
+        value: {
+            clients: acks,
+            floor: floor,
+            host: self.host,
+            seen: Date.now()
+        }
+    });
+
+    self.moray.putObject(BUCKET.name, rec.key, rec.raw(), function (pErr) {
+        if (pErr) {
+            callback(pErr);
+            return;
+        }
+
+        self.lease(LEADER_LEASE, function (lErr, value) {
+            if (lErr) {
+                callback(lErr);
+                return;
+            }
+
+            var leader = (value !== null);
+            if (leader !== self.leader) {
+                self.log.info({ leader: leader }, 'leadership changed');
+                self.leader = leader;
+            }
+
+            if (!leader) {
+                callback(null, null);
+                return;
+            }
+
+            self.floor(callback);
+        });
+    });
+};
+
+
+/**
+ * Calls callback with the lowest floor of the live instances that have
+ * clients, or null if none of them do
+ */
+Cluster.prototype.floor = function minFloor(callback) {
+    var filter = util.format('(&(host=*)(seen>=%d))',
+        Date.now() - this.timeout);
+    var lowest = null;
+    var req = this.moray.findObjects(BUCKET.name, filter);
+
+    req.on('error', callback);
+
+    req.on('record', function _onInstance(rec) {
+        var floor = rec.value.floor;
+        if (typeof (floor) === 'number' &&
+            (lowest === null || floor < lowest)) {
+            lowest = floor;
+        }
+    });
+
+    req.on('end', function _onEnd() {
+        callback(null, lowest);
+    });
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a new cluster object
+ *
+ * @param opts {Object} : As required by the Cluster constructor
+ */
+function createCluster(opts) {
+    return new Cluster(opts);
+}
+
+
+module.exports = {
+    BUCKET: BUCKET,
+    create: createCluster,
+    ClusterRecord: ClusterRecord
+};
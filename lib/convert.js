@@ -0,0 +1,892 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Converting host firewall configuration (iptables-save output or ipf.conf)
+ * into rules, for an owner's VMs or one of them.
+ *
+ * Each host rule is converted into one rule (or one per protocol, for ipf's
+ * "proto tcp/udp"), with the host as the VM or "all vms" and the other end
+ * of the traffic as the other side of the rule. Lines that don't make sense
+ * as rules are reported with the reason why, for example:
+ *
+ * - Matches on things that rules don't have, like interfaces, source ports
+ *   or negated addresses
+ * - Rules for established or related connections: replies to allowed
+ *   traffic are always allowed
+ * - Default policies: rules are always applied on top of the default policy
+ *   of blocking inbound traffic and allowing outbound traffic
+ *
+ * Host firewalls apply rules in order: iptables applies the first rule that
+ * matches, and ipf the last one (unless a "quick" rule matches first). Rules
+ * are applied in order of priority instead (with block rules before allow
+ * rules of the same priority), so host rules that depend on their order are
+ * either given a PRIORITY that keeps it, or reported if that isn't possible:
+ *
+ * - Rules that never match because an earlier rule matches all of their
+ *   traffic first
+ * - Rules that an earlier rule that can't be converted matches some of the
+ *   traffic of first
+ */
+
+'use strict';
+
+var clone = require('clone');
+var mod_service = require('./service');
+var net = require('net');
+var Rule = require('./rule').Rule;
+var util = require('util');
+var util_ip = require('./util/ip');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+
+var IPF_ACTIONS = {
+    block: 'block',
+    pass: 'allow'
+};
+
+var IPT_CHAINS = {
+    INPUT: 'in',
+    OUTPUT: 'out'
+};
+
+var IPT_TARGETS = {
+    ACCEPT: 'allow',
+    DROP: 'block',
+    REJECT: 'block'
+};
+
+// The default policy for each iptables chain that matches FWAPI's
+var IPT_POLICIES = {
+    INPUT: 'DROP',
+    OUTPUT: 'ACCEPT'
+};
+
+// iptables options, and the property of the parsed rule that they set
+var IPT_OPTS = {
+    '-A': 'chain',
+    '--append': 'chain',
+    '-s': 'source',
+    '--source': 'source',
+    '--src': 'source',
+    '-d': 'destination',
+    '--destination': 'destination',
+    '--dst': 'destination',
+    '-p': 'protocol',
+    '--protocol': 'protocol',
+    '-m': 'match',
+    '--match': 'match',
+    '--dport': 'ports',
+    '--dports': 'ports',
+    '--destination-port': 'ports',
+    '--destination-ports': 'ports',
+    '--icmp-type': 'type',
+    '--icmpv6-type': 'type',
+    '--state': 'state',
+    '--ctstate': 'state',
+    '--comment': 'comment',
+    '-j': 'target',
+    '--jump': 'target'
+};
+
+// iptables match modules that only enable the options above
+var IPT_MATCHES = [ 'comment', 'conntrack', 'icmp', 'icmp6', 'multiport',
+    'state', 'tcp', 'udp' ];
+
+var PROTOCOLS = {
+    ah: 'ah',
+    esp: 'esp',
+    icmp: 'icmp',
+    icmp6: 'icmp6',
+    icmpv6: 'icmp6',
+    'ipv6-icmp': 'icmp6',
+    tcp: 'tcp',
+    udp: 'udp'
+};
+
+/* JSSTYLED */
+var TOKEN_RE = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+
+
+
+// --- Internal helpers
+
+
+
+function tokenize(line) {
+    var match;
+    var tokens = [];
+
+    TOKEN_RE.lastIndex = 0;
+    while ((match = TOKEN_RE.exec(line)) !== null) {
+        tokens.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+
+    return tokens;
+}
+
+
+/**
+ * Returns the result for a line that can't be converted, with a message
+ * formatted from the arguments (as for util.format())
+ */
+function failed() {
+    return {
+        error: util.format.apply(null, arguments)
+    };
+}
+
+
+/**
+ * Returns the rule target for an address, "any" or CIDR subnet, or null if
+ * it isn't one of those
+ */
+function addrTarget(addr) {
+    var split = addr.split('/');
+
+    if (addr === 'any') {
+        return 'any';
+    }
+
+    if (split.length > 2 || net.isIP(split[0]) === 0 ||
+        (split.length === 2 && !/^\d+$/.test(split[1]))) {
+        return null;
+    }
+
+    if (split.length === 1) {
+        return 'ip ' + addr;
+    }
+
+    if (Number(split[1]) === 0) {
+        return 'any';
+    }
+
+    if (Number(split[1]) === (net.isIPv4(split[0]) ? 32 : 128)) {
+        return 'ip ' + split[0];
+    }
+
+    return 'subnet ' + addr;
+}
+
+
+/**
+ * Checks a parsed host rule for things that can't be converted that are
+ * common to all formats, and returns a failure, or null if it can be
+ * converted
+ */
+function checkParsed(parsed) {
+    var local = (parsed.direction === 'in') ? parsed.to : parsed.from;
+    var remote = (parsed.direction === 'in') ? parsed.from : parsed.to;
+
+    if (!parsed.protocol) {
+        if (remote === 'any' && local === 'any' && parsed.ports.length === 0 &&
+            parsed.action === (parsed.direction === 'in' ? 'block' : 'allow')) {
+            return failed('not needed: this is the default policy');
+        }
+
+        return failed('rules must have a protocol');
+    }
+
+    if (!hasKey(PROTOCOLS, parsed.protocol)) {
+        return failed('protocol "%s" can\'t be converted', parsed.protocol);
+    }
+
+    if (addrTarget(local) !== 'any') {
+        return failed('rules for specific %s addresses can\'t be converted',
+            parsed.direction === 'in' ? 'destination' : 'source');
+    }
+
+    if (addrTarget(remote) === null) {
+        return failed('address "%s" can\'t be converted', remote);
+    }
+
+    if (parsed.ports.length !== 0 && parsed.protocol !== 'tcp' &&
+        parsed.protocol !== 'udp') {
+        return failed('ports can only be used with tcp and udp');
+    }
+
+    if (parsed.types.length !== 0 && PROTOCOLS[parsed.protocol] !== 'icmp' &&
+        PROTOCOLS[parsed.protocol] !== 'icmp6') {
+        return failed('ICMP types can only be used with icmp and icmp6');
+    }
+
+    if (!parsed.ports.concat(parsed.types).every(function (t) {
+        return /^\d+([-:]\d+)?$/.test(t);
+    })) {
+        return failed('ports and ICMP types must be numbers');
+    }
+
+    return null;
+}
+
+
+/**
+ * Returns the text of the rule for a parsed host rule
+ */
+function ruleText(parsed, local, priority) {
+    var proto = PROTOCOLS[parsed.protocol];
+    var remote = addrTarget(parsed.direction === 'in' ?
+        parsed.from : parsed.to);
+    var targets = (proto === 'tcp' || proto === 'udp') ? parsed.ports :
+        parsed.types;
+    var text = util.format('FROM %s TO %s %s %s',
+        parsed.direction === 'in' ? remote : local,
+        parsed.direction === 'in' ? local : remote,
+        parsed.action.toUpperCase(),
+        mod_service.protocolText(proto,
+            targets.length === 0 ? [ 'all' ] : targets));
+
+    if (priority > 0) {
+        text += ' PRIORITY ' + priority;
+    }
+
+    return text;
+}
+
+
+/**
+ * Returns a new parsed host rule, matching all traffic in a direction
+ */
+function newParsed(action, direction) {
+    return {
+        action: action,
+        direction: direction,
+        from: 'any',
+        ports: [],
+        protocol: null,
+        // Whether the rule applies as soon as it matches (see matchOrder())
+        quick: true,
+        to: 'any',
+        types: []
+    };
+}
+
+
+
+// --- Rule order
+
+
+
+function isAny(addr) {
+    return (addrTarget(addr) === 'any');
+}
+
+
+function addrCovers(outer, inner) {
+    return (isAny(outer) || (!isAny(inner) && util_ip.contains(outer, inner)));
+}
+
+
+function addrOverlaps(a, b) {
+    return (isAny(a) || isAny(b) || util_ip.overlaps(a, b));
+}
+
+
+/**
+ * Returns a port or port range ("80" or "1000-2000") as an object with its
+ * start and end, or null if it isn't one of those
+ */
+function portRange(port) {
+    var match = /^(\d+)(?:-(\d+))?$/.exec(port);
+
+    if (match === null) {
+        return null;
+    }
+
+    return {
+        start: Number(match[1]),
+        end: Number(match[2] || match[1])
+    };
+}
+
+
+function portsCover(outer, inner) {
+    if (outer.length === 0) {
+        return true;
+    }
+
+    return (inner.length !== 0 && inner.every(function (i) {
+        var iRange = portRange(i);
+
+        return (iRange !== null && outer.some(function (o) {
+            var oRange = portRange(o);
+
+            return (oRange !== null && oRange.start <= iRange.start &&
+                iRange.end <= oRange.end);
+        }));
+    }));
+}
+
+
+/**
+ * Returns true if the port lists have a port in common. Ports that can't
+ * be parsed are assumed to.
+ */
+function portsOverlap(a, b) {
+    if (a.length === 0 || b.length === 0) {
+        return true;
+    }
+
+    return a.some(function (aPort) {
+        var aRange = portRange(aPort);
+
+        return b.some(function (bPort) {
+            var bRange = portRange(bPort);
+
+            return (aRange === null || bRange === null ||
+                (aRange.start <= bRange.end && bRange.start <= aRange.end));
+        });
+    });
+}
+
+
+/**
+ * Returns true if the ICMP type outer ("8" or "8:0") matches all of the
+ * traffic that inner does
+ */
+function typeCovers(outer, inner) {
+    return (outer === inner || outer === inner.split(':')[0]);
+}
+
+
+function typesCover(outer, inner) {
+    if (outer.length === 0) {
+        return true;
+    }
+
+    return (inner.length !== 0 && inner.every(function (i) {
+        return outer.some(function (o) {
+            return typeCovers(o, i);
+        });
+    }));
+}
+
+
+function typesOverlap(a, b) {
+    if (a.length === 0 || b.length === 0) {
+        return true;
+    }
+
+    return a.some(function (aType) {
+        return b.some(function (bType) {
+            return (typeCovers(aType, bType) || typeCovers(bType, aType));
+        });
+    });
+}
+
+
+function protoName(parsed) {
+    if (parsed.protocol !== null && hasKey(PROTOCOLS, parsed.protocol)) {
+        return PROTOCOLS[parsed.protocol];
+    }
+
+    return parsed.protocol;
+}
+
+
+/**
+ * Returns true if parsed host rule outer matches all of the traffic that
+ * inner does
+ */
+function hostCovers(outer, inner) {
+    return (outer.direction === inner.direction &&
+        (outer.protocol === null || protoName(outer) === protoName(inner)) &&
+        addrCovers(outer.from, inner.from) &&
+        addrCovers(outer.to, inner.to) &&
+        portsCover(outer.ports, inner.ports) &&
+        typesCover(outer.types, inner.types));
+}
+
+
+/**
+ * Returns true if parsed host rules a and b both match some of the same
+ * traffic
+ */
+function hostOverlaps(a, b) {
+    return (a.direction === b.direction &&
+        (a.protocol === null || b.protocol === null ||
+            protoName(a) === protoName(b)) &&
+        addrOverlaps(a.from, b.from) &&
+        addrOverlaps(a.to, b.to) &&
+        portsOverlap(a.ports, b.ports) &&
+        typesOverlap(a.types, b.types));
+}
+
+
+/**
+ * Returns host rules in the order that the host firewall checks them, so
+ * that the first one that matches some traffic is the one applied to it:
+ * "quick" rules in the order given, followed by the other rules in reverse
+ * order (since the last of those that matches is applied).
+ */
+function matchOrder(hostRules) {
+    return hostRules.filter(function (hr) {
+        return hr.parsed.quick;
+    }).concat(hostRules.filter(function (hr) {
+        return !hr.parsed.quick;
+    }).reverse());
+}
+
+
+/**
+ * Finds the host rules that can't be converted because of their order, and
+ * sets the priority that the other rules need to keep their order. Rules
+ * are applied in order of priority, with block rules applied before allow
+ * rules of the same priority, so each rule needs a priority at least as
+ * high as the rules with the other action that it's checked before (and
+ * higher, for allow rules).
+ */
+function applyOrder(hostRules) {
+    var converted;
+    var ordered = matchOrder(hostRules);
+
+    ordered.forEach(function (hr, i) {
+        var earlier = ordered.slice(0, i);
+
+        for (var c = 0; c < earlier.length; c++) {
+            if (hostCovers(earlier[c].parsed, hr.parsed)) {
+                hr.shadowedBy = earlier[c];
+                return;
+            }
+        }
+
+        if (hr.error !== null) {
+            return;
+        }
+
+        for (var d = 0; d < earlier.length; d++) {
+            if (earlier[d].shadowedBy === null &&
+                (earlier[d].error !== null || earlier[d].dependsOn !== null) &&
+                earlier[d].parsed.action !== hr.parsed.action &&
+                hostOverlaps(earlier[d].parsed, hr.parsed)) {
+                hr.dependsOn = earlier[d];
+                return;
+            }
+        }
+    });
+
+    converted = ordered.filter(function (hr) {
+        return (hr.error === null && hr.shadowedBy === null &&
+            hr.dependsOn === null);
+    });
+
+    for (var i = converted.length - 1; i >= 0; i--) {
+        for (var j = i + 1; j < converted.length; j++) {
+            if (converted[i].parsed.action !== converted[j].parsed.action &&
+                hostOverlaps(converted[i].parsed, converted[j].parsed)) {
+                converted[i].priority = Math.max(converted[i].priority,
+                    converted[j].priority +
+                    (converted[i].parsed.action === 'allow' ? 1 : 0));
+            }
+        }
+    }
+}
+
+
+
+// --- Parsers
+
+
+
+/**
+ * Parses a line of iptables-save output. Returns null for lines without a
+ * rule, or an object with either the parsed rules or an error.
+ *
+ * @param state {Object}: state kept between lines (the current table)
+ */
+function parseIptables(line, state) {
+    var opts = {};
+    var parsed;
+    var tokens = tokenize(line);
+
+    if (line[0] === '*') {
+        state.table = line.substr(1).trim();
+        return null;
+    }
+
+    if (line === 'COMMIT') {
+        return null;
+    }
+
+    if (line[0] === ':') {
+        var chain = tokens[0].substr(1);
+
+        if (state.table === 'filter' && hasKey(IPT_POLICIES, chain) &&
+            tokens[1] !== IPT_POLICIES[chain]) {
+            return failed('the default policy of blocking inbound traffic ' +
+                'and allowing outbound traffic can\'t be changed');
+        }
+
+        return null;
+    }
+
+    if (state.table !== 'filter') {
+        return failed('only rules in the filter table can be converted');
+    }
+
+    if (tokens[0] !== '-A' && tokens[0] !== '--append') {
+        return failed('only appended rules (-A) can be converted');
+    }
+
+    for (var i = 0; i < tokens.length; i++) {
+        var tok = tokens[i];
+
+        if (tok === '!') {
+            return failed('negated matches can\'t be converted');
+        }
+
+        if (!hasKey(IPT_OPTS, tok)) {
+            return failed('option "%s" can\'t be converted', tok);
+        }
+
+        if (i + 1 === tokens.length) {
+            return failed('option "%s" needs a value', tok);
+        }
+
+        var val = tokens[++i];
+
+        if (IPT_OPTS[tok] === 'match') {
+            if (IPT_MATCHES.indexOf(val) === -1) {
+                return failed('match module "%s" can\'t be converted', val);
+            }
+        } else {
+            opts[IPT_OPTS[tok]] = val;
+        }
+    }
+
+    if (!hasKey(IPT_CHAINS, opts.chain)) {
+        return failed('rules in chain "%s" can\'t be converted', opts.chain);
+    }
+
+    if (!hasKey(opts, 'target')) {
+        return failed('rules without a target (-j) can\'t be converted');
+    }
+
+    if (!hasKey(IPT_TARGETS, opts.target)) {
+        return failed('target "%s" can\'t be converted', opts.target);
+    }
+
+    if (hasKey(opts, 'state') &&
+        opts.state.split(',').indexOf('NEW') === -1) {
+        return failed('not needed: replies to allowed traffic are always ' +
+            'allowed');
+    }
+
+    parsed = newParsed(IPT_TARGETS[opts.target], IPT_CHAINS[opts.chain]);
+
+    if (hasKey(opts, 'source')) {
+        parsed.from = opts.source;
+    }
+
+    if (hasKey(opts, 'destination')) {
+        parsed.to = opts.destination;
+    }
+
+    if (hasKey(opts, 'protocol') && opts.protocol !== 'all') {
+        parsed.protocol = opts.protocol.toLowerCase();
+    }
+
+    if (hasKey(opts, 'ports')) {
+        parsed.ports = opts.ports.split(',').map(function (p) {
+            return p.replace(':', '-');
+        });
+    }
+
+    if (hasKey(opts, 'type') && opts.type !== 'any') {
+        parsed.types = [ opts.type.replace('/', ':') ];
+    }
+
+    return { rules: [ parsed ] };
+}
+
+
+/**
+ * Parses the port comparison following the "port" keyword in an ipf rule,
+ * starting at tokens[i]. Returns the ports, and the index of the last token
+ * used.
+ */
+function ipfPorts(tokens, i) {
+    var tok = tokens[i];
+    var range = /^(\d+):(\d+)$/.exec(tok);
+
+    if (tok === '=' || tok === 'eq') {
+        return { ports: [ tokens[i + 1] ], last: i + 1 };
+    }
+
+    if (range) {
+        return { ports: [ range[1] + '-' + range[2] ], last: i };
+    }
+
+    // "a >< b" is the ports between a and b, exclusive
+    if (tokens[i + 1] === '><' && /^\d+$/.test(tok) &&
+        /^\d+$/.test(tokens[i + 2])) {
+        return {
+            ports: [ (Number(tok) + 1) + '-' + (Number(tokens[i + 2]) - 1) ],
+            last: i + 2
+        };
+    }
+
+    return null;
+}
+
+
+/**
+ * Parses a line of ipf.conf. Returns null for lines without a rule, or an
+ * object with either the parsed rules or an error.
+ */
+function parseIPF(line) {
+    var dir = 1;
+    var parsed;
+    var protocols = [ null ];
+    var tokens = tokenize(line.replace(/#.*$/, ''));
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    if (!hasKey(IPF_ACTIONS, tokens[0])) {
+        return failed('only pass and block rules can be converted');
+    }
+
+    // return-rst, return-icmp and friends only change how traffic is
+    // blocked
+    while (/^return-/.test(tokens[dir])) {
+        dir++;
+    }
+
+    if (tokens[dir] !== 'in' && tokens[dir] !== 'out') {
+        return failed('rules must be "in" or "out"');
+    }
+
+    parsed = newParsed(IPF_ACTIONS[tokens[0]], tokens[dir]);
+    parsed.quick = false;
+
+    for (var i = dir + 1; i < tokens.length; i++) {
+        var tok = tokens[i];
+
+        switch (tok) {
+        case 'quick':
+            parsed.quick = true;
+            break;
+
+        case 'log':
+            break;
+
+        case 'keep':
+        case 'flags':
+        case 'family':
+            i++;
+            break;
+
+        case 'all':
+            break;
+
+        case 'on':
+            return failed('rules for specific interfaces can\'t be ' +
+                'converted');
+
+        case 'proto':
+            protocols = (tokens[++i] || '').split('/');
+            break;
+
+        case 'from':
+        case 'to':
+            if (tokens[i + 1] === '!') {
+                return failed('negated addresses can\'t be converted');
+            }
+
+            parsed[tok] = tokens[++i];
+
+            if (tokens[i + 1] !== 'port') {
+                break;
+            }
+
+            if (tok === 'from') {
+                return failed('source ports can\'t be converted');
+            }
+
+            var ports = ipfPorts(tokens, i + 2);
+            if (ports === null) {
+                return failed('port comparison "%s" can\'t be converted',
+                    tokens.slice(i + 2).join(' '));
+            }
+
+            parsed.ports = ports.ports;
+            i = ports.last;
+            break;
+
+        case 'icmp-type':
+            parsed.types = [ tokens[++i] ];
+            if (tokens[i + 1] === 'code') {
+                parsed.types[0] += ':' + tokens[i + 2];
+                i += 2;
+            }
+            break;
+
+        default:
+            return failed('keyword "%s" can\'t be converted', tok);
+        }
+    }
+
+    return {
+        rules: protocols.map(function (proto) {
+            var forProto = clone(parsed);
+            forProto.protocol = proto;
+            return forProto;
+        })
+    };
+}
+
+
+var PARSERS = {
+    ipf: parseIPF,
+    iptables: parseIptables
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Converts host firewall configuration into rules. Returns an object with:
+ * - `rules` {Array}: the parameters for creating each rule (as for
+ *   POST /rules/batch)
+ * - `unconverted` {Array}: objects with the `line` number, its `text` and a
+ *   `message` saying why it wasn't converted, for each line with a rule
+ *   that couldn't be converted
+ *
+ * @param opts {Object}:
+ * - `format` {String}: one of FORMATS
+ * - `input` {String}: the configuration to convert
+ * - `owner_uuid` {UUID}: the owner of the rules
+ * - `vm` {UUID}: the VM that the configuration was for (optional: if not
+ *   given, rules are for all of the owner's VMs)
+ */
+function convert(app, opts) {
+    var hostRules = [];
+    var lines = [];
+    var local = opts.vm ? 'vm ' + opts.vm : 'all vms';
+    var result = {
+        rules: [],
+        unconverted: []
+    };
+    var state = {};
+
+    function createRule(hr) {
+        return new Rule({
+            description: util.format('converted from %s line %d',
+                opts.format, hr.line),
+            enabled: true,
+            owner_uuid: opts.owner_uuid,
+            rule: ruleText(hr.parsed, local, hr.priority)
+        }, app);
+    }
+
+    opts.input.split('\n').forEach(function (raw, i) {
+        var line = raw.trim();
+        var num = i + 1;
+
+        if (line === '' || line[0] === '#') {
+            return;
+        }
+
+        var parsed = PARSERS[opts.format](line, state);
+        if (parsed === null) {
+            return;
+        }
+
+        if (hasKey(parsed, 'error')) {
+            lines.push({ error: parsed.error, line: num, text: line });
+            return;
+        }
+
+        parsed.rules.forEach(function (hostRule) {
+            var check = checkParsed(hostRule);
+            var hr = {
+                dependsOn: null,
+                error: null,
+                line: num,
+                parsed: hostRule,
+                priority: 0,
+                shadowedBy: null,
+                text: line
+            };
+
+            if (check !== null) {
+                hr.error = check.error;
+            } else {
+                try {
+                    createRule(hr);
+                } catch (e) {
+                    hr.error = e.message;
+                }
+            }
+
+            hostRules.push(hr);
+            lines.push(hr);
+        });
+    });
+
+    applyOrder(hostRules);
+
+    lines.forEach(function (hr) {
+        var message = hr.error;
+        var rule;
+
+        if (message === null && hr.shadowedBy !== null) {
+            message = util.format('not needed: line %d matches all of its ' +
+                'traffic first', hr.shadowedBy.line);
+        }
+
+        if (message === null && hr.dependsOn !== null) {
+            message = util.format('depends on line %d, which matches some ' +
+                'of its traffic first but isn\'t converted', hr.dependsOn.line);
+        }
+
+        if (message === null) {
+            try {
+                rule = createRule(hr);
+            } catch (e) {
+                message = e.message;
+            }
+        }
+
+        if (message !== null) {
+            result.unconverted.push({
+                line: hr.line,
+                message: message,
+                text: hr.text
+            });
+            return;
+        }
+
+        result.rules.push({
+            description: rule.description,
+            enabled: rule.enabled,
+            owner_uuid: rule.owner_uuid,
+            rule: rule.text()
+        });
+    });
+
+    return result;
+}
+
+
+module.exports = {
+    convert: convert,
+    FORMATS: Object.keys(PARSERS).sort()
+};
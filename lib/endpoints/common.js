@@ -15,14 +15,234 @@
 'use strict';
 
 var mod_err = require('../errors');
+var mod_ipset = require('../ipset');
 var mod_persist = require('../persist');
+var mod_routing = require('../routing');
+var mod_service = require('../service');
+var mod_vasync = require('vasync');
+var util = require('util');
 
 
 var hasKey = require('jsprim').hasKey;
 
 
+// --- Globals
+
+
+/*
+ * The kinds of objects that rules can refer to by name, keyed by the name
+ * used in errors and ListRules filters. field is the rule property listing
+ * the names of those referred to.
+ */
+var REF_KINDS = {
+    ipset: { name: 'ipset', field: 'ipsets', mod: mod_ipset },
+    service: { name: 'service', field: 'services', mod: mod_service }
+};
+
+/*
+ * The updates sent to firewallers for each operation in a batch of rule
+ * changes
+ */
+var UPDATE_NAMES = {
+    create: 'fw.add_rule',
+    update: 'fw.update_rule',
+    'delete': 'fw.del_rule'
+};
+
+var KINDS = Object.keys(REF_KINDS).map(function (name) {
+    return REF_KINDS[name];
+});
+
+
 // --- Exports
 
+/**
+ * Turns a fwrule error into an InvalidParamsError
+ */
+function createParamErr(err) {
+    if (!hasKey(err, 'ase_errors') && !hasKey(err, 'field')) {
+        return err;
+    }
+
+    var errs = hasKey(err, 'ase_errors') ? err.ase_errors : [ err ];
+    return new mod_err.InvalidParamsError(mod_err.INVALID_MSG,
+        errs.map(function (e) {
+            return mod_err.invalidParam(e.field, e.message);
+        }));
+}
+
+
+/**
+ * Looks up the objects that rules refer to by name. refs maps the field of
+ * each of REF_KINDS (eg: "ipsets") to the names to look up, and found
+ * (passed to the callback) maps each field to an object mapping names to the
+ * objects belonging to owner. unknown is an array of messages for names
+ * that weren't found.
+ *
+ * @param callback {Function} `function (err, found, unknown)`
+ */
+function lookupRefs(app, log, owner, refs, callback) {
+    var found = {};
+    var unknown = [];
+
+    mod_vasync.forEachPipeline({
+        inputs: KINDS,
+        func: function _lookupKind(kind, cb) {
+            var names = refs[kind.field] || [];
+            found[kind.field] = {};
+
+            mod_persist.listNamed(app, log, kind.mod.BUCKET, {
+                owner_uuid: owner,
+                name: names.filter(kind.mod.validName)
+            }, function (err, objs) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                objs.forEach(function (obj) {
+                    found[kind.field][obj.name] = obj;
+                });
+
+                var missing = names.filter(function (name) {
+                    return !hasKey(found[kind.field], name);
+                });
+
+                if (missing.length !== 0) {
+                    unknown.push(util.format('unknown %s%s: %s', kind.name,
+                        missing.length === 1 ? '' : 's', missing.join(', ')));
+                }
+
+                cb();
+            });
+        }
+    }, function (err) {
+        callback(err, found, unknown);
+    });
+}
+
+
+/**
+ * Returns rule text with its service and ipset references expanded, using
+ * the objects in found (as returned by lookupRefs()).
+ *
+ * @throws {InvalidParamError} (from fwrule) if the rule can't be expanded
+ */
+function expandText(app, text, found) {
+    return mod_ipset.expand(mod_service.expand(text, found.services),
+        found.ipsets, { maxVersion: app.config.fwrule_version });
+}
+
+
+/**
+ * Expands the ipset and service references in params.rule (see
+ * lib/ipset.js and lib/service.js) using the owner's ipsets and services.
+ * If the rule refers to any, params.rule is replaced with the expanded text,
+ * and the original text and the names referred to are stored in
+ * params.source_rule, params.ipsets and params.services. Otherwise, those
+ * are cleared (so that updating a rule to no longer refer to them removes
+ * them). Callers can't set them directly.
+ *
+ * @param owner {UUID}: the rule's owner (undefined for global rules)
+ * @param callback {Function} `function (err)`
+ */
+function expandRefs(app, log, owner, params, callback) {
+    var refs = {};
+
+    delete params.source_rule;
+    KINDS.forEach(function (kind) {
+        delete params[kind.field];
+    });
+
+    if (typeof (params.rule) !== 'string') {
+        callback();
+        return;
+    }
+
+    var used = KINDS.filter(function (kind) {
+        refs[kind.field] = kind.mod.references(params.rule);
+        return refs[kind.field].length !== 0;
+    }).map(function (kind) {
+        return kind.field;
+    });
+
+    if (used.length === 0) {
+        params.source_rule = null;
+        KINDS.forEach(function (kind) {
+            params[kind.field] = null;
+        });
+
+        callback();
+        return;
+    }
+
+    function ruleErrs(msgs) {
+        return new mod_err.InvalidParamsError(mod_err.INVALID_MSG,
+            msgs.map(function (msg) {
+                return mod_err.invalidParam('rule', msg);
+            }));
+    }
+
+    if (app.config.fwrule_version <= 2) {
+        callback(ruleErrs([ util.format(
+            '%s require rules to be stored in Moray', used.join(' and ')) ]));
+        return;
+    }
+
+    if (!owner) {
+        callback(ruleErrs([ util.format(
+            '%s can only be used in rules with an owner',
+            used.join(' and ')) ]));
+        return;
+    }
+
+    lookupRefs(app, log, owner, refs, function (err, found, unknown) {
+        var text;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (unknown.length !== 0) {
+            callback(ruleErrs(unknown));
+            return;
+        }
+
+        try {
+            text = expandText(app, params.rule, found);
+        } catch (e) {
+            callback(e);
+            return;
+        }
+
+        params.source_rule = params.rule;
+        KINDS.forEach(function (kind) {
+            params[kind.field] = refs[kind.field];
+        });
+        params.rule = text;
+        callback();
+    });
+}
+
+
+/**
+ * Returns the options used to record who made a change in the rule
+ * history (see history.createEntry())
+ */
+function historyOpts(req) {
+    var opts = {
+        req_id: req.getId()
+    };
+
+    if (hasKey(req.headers, 'x-changed-by')) {
+        opts.changed_by = req.headers['x-changed-by'];
+    }
+
+    return opts;
+}
+
+
 /**
  * Restify 'before' handler:
  * * gets an existing rule from UFDS and stores it in req._rule
@@ -50,6 +270,103 @@ function ruleBefore(req, res, next) {
 }
 
 
+/**
+ * Queues an update for changes to rules, to be sent to the servers hosting
+ * the VMs that the rules apply to (or to all servers, if update routing is
+ * disabled or the servers can't be determined). rules should include both
+ * the old and new versions of any updated rules.
+ */
+function queueRuleUpdate(req, name, value, rules, callback) {
+    mod_routing.queueUpdate(req._app, req.log, req.getId(), name, value,
+        rules, callback);
+}
+
+
+/**
+ * Creates the updates for a batch of rule operations (as passed to
+ * persist.batchRules()), in the order of the operations. Each rule gets its
+ * own fw.add_rule, fw.update_rule or fw.del_rule update, since those are the
+ * updates that firewallers know how to apply. The updates aren't queued
+ * here: they're passed to persist.batchRules() as opts.updates, so that
+ * they're written in the same Moray batch as the rules.
+ *
+ * @param callback {Function} `function (err, updates)`
+ */
+function batchUpdates(req, ops, callback) {
+    mod_routing.createUpdates(req._app, req.log, req.getId(),
+        ops.map(function (op) {
+        var affected = [ op.rule ];
+
+        if (op.operation === 'update') {
+            affected.push(op.oldRule);
+        }
+
+        return {
+            name: UPDATE_NAMES[op.operation],
+            value: op.rule.serialize(),
+            rules: affected
+        };
+    }), callback);
+}
+
+
+/**
+ * Returns the results for a batch of rule operations written with the
+ * updates from batchUpdates(): one for each rule changed, including the UUID
+ * of the update queued for it
+ */
+function batchResults(ops, rules, updates) {
+    return rules.map(function (rule, i) {
+        var result = {
+            operation: ops[i].operation,
+            uuid: rule.uuid,
+            rule: rule.serialize(),
+            update_uuid: updates[i].uuid
+        };
+
+        if (ops[i].operation !== 'delete') {
+            result.etag = rule.etag;
+        }
+
+        return result;
+    });
+}
+
+
+/**
+ * Sets the ETag header on a response (as a quoted string, as HTTP requires)
+ * if the rule has an etag (rules stored in UFDS do not).
+ */
+function setEtag(res, rule) {
+    if (rule.etag) {
+        res.header('ETag', '"' + rule.etag + '"');
+    }
+}
+
+
+/**
+ * Sets the x-update-id header to the UUID of the last update queued for a
+ * batch (see batchResults()): once it has been applied, all of the
+ * batch's changes have been.
+ */
+function setUpdateID(res, results) {
+    if (results.length !== 0) {
+        res.header('x-update-id', results[results.length - 1].update_uuid);
+    }
+}
+
+
 module.exports = {
-    ruleBefore: ruleBefore
+    batchResults: batchResults,
+    batchUpdates: batchUpdates,
+    createParamErr: createParamErr,
+    expandRefs: expandRefs,
+    expandText: expandText,
+    historyOpts: historyOpts,
+    lookupRefs: lookupRefs,
+    queueRuleUpdate: queueRuleUpdate,
+    REF_KINDS: REF_KINDS,
+    ruleBefore: ruleBefore,
+    setEtag: setEtag,
+    setUpdateID: setUpdateID
 };
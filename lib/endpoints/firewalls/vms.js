@@ -14,7 +14,11 @@
 
 'use strict';
 
+var mod_routing = require('../../routing');
+var mod_err = require('../../errors');
 var mod_persist = require('../../persist');
+var mod_render = require('../../render');
+var mod_vasync = require('vasync');
 var validate = require('restify-warden');
 
 
@@ -32,6 +36,28 @@ var VMS_SCHEMA = {
     }
 };
 
+var RENDER_SCHEMA = {
+    strict: true,
+    required: {
+        format: validateFormat,
+        uuid: validate.UUID
+    },
+    optional: {
+        owner_uuid: validate.UUID
+    }
+};
+
+
+function validateFormat(_, name, format, callback) {
+    if (mod_render.FORMATS.indexOf(format) === -1) {
+        callback(mod_err.invalidParam(name,
+            'must be one of: ' + mod_render.FORMATS.join(', ')));
+        return;
+    }
+
+    callback(null, format);
+}
+
 
 
 // --- Restify handlers
@@ -81,6 +107,93 @@ function getVMrules(req, res, next) {
 
 
 
+/**
+ * GET /firewalls/vms/:uuid/render
+ *
+ * Renders the rules that apply to a VM as host firewall configuration in
+ * the requested format, with VMs and tags replaced by the IPs of the VMs
+ * that they match (see lib/render.js).
+ */
+function renderVMrules(req, res, next) {
+    validate.params(RENDER_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        var ctx = {
+            vms: []
+        };
+        var headers = {
+            headers: {'request-id': req.getId()}
+        };
+
+        mod_vasync.pipeline({
+            arg: ctx,
+            funcs: [
+                function _getVm(_, cb) {
+                    var getParams = { uuid: params.uuid };
+                    if (params.owner_uuid) {
+                        getParams.owner_uuid = params.owner_uuid;
+                    }
+
+                    req._vmapi.getVm(getParams, headers, function (err, vm) {
+                        ctx.vm = vm;
+                        cb(err);
+                    });
+                },
+
+                function _getRules(_, cb) {
+                    mod_persist.vmRules(req._app, req.log, {
+                        owner_uuid: ctx.vm.owner_uuid,
+                        tags: ctx.vm.tags,
+                        vms: [ ctx.vm.uuid ]
+                    }, function (err, rules) {
+                        ctx.rules = rules;
+                        cb(err);
+                    });
+                },
+
+                function _listVms(_, cb) {
+                    if (ctx.rules.length === 0) {
+                        cb();
+                        return;
+                    }
+
+                    req._vmapi.listVms({
+                        query: mod_routing.vmFilter(ctx.vm.owner_uuid,
+                            ctx.rules)
+                    }, headers, function (err, vms) {
+                        ctx.vms = vms;
+                        cb(err);
+                    });
+                }
+            ]
+        }, function (err) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.send(200, {
+                firewall_enabled: !!ctx.vm.firewall_enabled,
+                format: params.format,
+                text: mod_render.render({
+                    format: params.format,
+                    rules: ctx.rules,
+                    vm: ctx.vm,
+                    vms: ctx.vms
+                }),
+                uuid: ctx.vm.uuid
+            });
+            next();
+        });
+    });
+}
+
+
+
 // --- Exports
 
 
@@ -91,6 +204,8 @@ function getVMrules(req, res, next) {
 function register(server, before) {
     server.get({ path: '/firewalls/vms/:uuid', name: 'getVMrules' },
         before, getVMrules);
+    server.get({ path: '/firewalls/vms/:uuid/render', name: 'renderVMrules' },
+        before, renderVMrules);
 }
 
 
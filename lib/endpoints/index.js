@@ -19,14 +19,32 @@
 /*
  * Endpoints are in their own individual files, in a directory structure
  * that roughly matches their routes, eg: /rules -> rules.js
+ *
+ * Routes are matched in the order they're registered, so fixed paths like
+ * /rules/analyze must come before /rules, which registers /rules/:uuid.
  */
 var toRegister = {
     '/firewalls/vms/:uuid': require('./firewalls/vms'),
+    '/ipsets': require('./ipsets'),
+    '/metrics': require('./metrics'),
+    '/owners/:owner_uuid/policy': require('./owners/policy'),
+    '/owners/:owner_uuid/quota': require('./owners/quota'),
+    '/owners/:owner_uuid/usage': require('./owners/usage'),
     '/ping': require('./ping'),
     '/resolve': require('./resolve'),
+    '/rules/analyze': require('./rules/analyze'),
+    '/rules/changes': require('./rules/changes'),
+    '/rules/convert': require('./rules/convert'),
+    '/rules/export': require('./rules/export'),
+    '/rules/import': require('./rules/import'),
     '/rules': require('./rules'),
+    '/rules/batch': require('./rules/batch'),
+    '/rules/:uuid/history': require('./rules/history'),
     '/rules/:uuid/vms': require('./rules/vms'),
-    '/updates': require('./updates')
+    '/services': require('./services'),
+    '/simulate': require('./simulate'),
+    '/updates': require('./updates'),
+    '/webhooks': require('./webhooks')
 };
 
 
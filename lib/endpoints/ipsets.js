@@ -0,0 +1,136 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for ipsets: named lists of IPs and subnets that rules
+ * can refer to
+ */
+
+'use strict';
+
+var common = require('./common');
+var mod_err = require('../errors');
+var mod_ipset = require('../ipset');
+var mod_named = require('./named');
+var net = require('net');
+var validate = require('restify-warden');
+
+
+// --- Globals
+
+var CREATE_SCHEMA = {
+    strict: true,
+    required: {
+        ips: validateAddrs,
+        name: mod_ipset.validateName,
+        owner_uuid: validate.UUID
+    },
+    optional: {
+        description: validate.string,
+        uuid: validate.UUID
+    }
+};
+
+var LIST_SCHEMA = {
+    strict: true,
+    optional: {
+        name: mod_ipset.validateName,
+        owner_uuid: validate.UUID
+    }
+};
+
+var UPDATE_SCHEMA = {
+    strict: true,
+    required: {
+        uuid: validate.UUID
+    },
+    optional: {
+        description: validate.string,
+        ips: validateAddrs,
+        name: mod_ipset.validateName,
+        owner_uuid: validate.UUID
+    }
+};
+
+var DELETE_SCHEMA = {
+    strict: true,
+    required: {
+        uuid: validate.UUID
+    },
+    optional: {
+        owner_uuid: validate.UUID
+    }
+};
+
+
+// --- Internal
+
+function isSubnet(str) {
+    var valid = false;
+
+    validate.subnet(null, 'subnet', str, function (err) {
+        valid = !err;
+    });
+
+    return valid;
+}
+
+
+function validateAddrs(_, name, addrs, callback) {
+    if (!Array.isArray(addrs) || addrs.length === 0) {
+        callback(mod_err.invalidParam(name,
+            'must be a non-empty array of IPs and subnets'));
+        return;
+    }
+
+    var invalid = addrs.filter(function (addr) {
+        return (typeof (addr) !== 'string' ||
+            (net.isIP(addr) === 0 && !isSubnet(addr)));
+    });
+
+    if (invalid.length !== 0) {
+        var err = mod_err.invalidParam(name,
+            'must be a non-empty array of IPs and subnets');
+        err.invalid = invalid;
+        callback(err);
+        return;
+    }
+
+    callback(null, addrs);
+}
+
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    mod_named.register(server, before, {
+        kind: common.REF_KINDS.ipset,
+        schemas: {
+            create: CREATE_SCHEMA,
+            list: LIST_SCHEMA,
+            update: UPDATE_SCHEMA,
+            del: DELETE_SCHEMA
+        },
+        updatable: [ 'description', 'ips' ]
+    });
+}
+
+
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,63 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * FWAPI: /metrics endpoint
+ */
+
+
+'use strict';
+
+
+var mod_metrics = require('../metrics');
+
+
+
+// --- Endpoints
+
+
+
+/**
+ * /metrics: return metrics in the Prometheus text format
+ */
+function getMetrics(req, res, next) {
+    var body = req._app.metrics.render();
+
+    res.writeHead(200, {
+        'content-length': Buffer.byteLength(body),
+        'content-type': mod_metrics.CONTENT_TYPE
+    });
+    res.end(body);
+    next();
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Register all endpoints with the restify server
+ */
+function register(http, before) {
+    // Like ping, metrics should be available even if services are down
+    var filtered = before.filter(function (f) {
+        return (f.name !== 'checkServices');
+    });
+
+    http.get({ path: '/metrics', name: 'getMetrics' }, filtered, getMetrics);
+}
+
+
+
+module.exports = {
+    register: register
+};
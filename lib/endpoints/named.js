@@ -0,0 +1,382 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers shared by the objects that rules can refer to by name
+ * (ipsets and services). Each endpoint module describes its kind of object
+ * with:
+ *
+ * - `kind` {Object}: its entry in common.REF_KINDS
+ * - `schemas` {Object}: restify-warden schemas for the "create", "list",
+ *   "update" and "del" handlers
+ * - `updatable` {Array}: the parameters that can be changed by updates
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var common = require('./common');
+var mod_err = require('../errors');
+var mod_persist = require('../persist');
+var mod_rule = require('../rule');
+var restify = require('restify');
+var util = require('util');
+var validate = require('restify-warden');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+
+// --- Internal
+
+
+
+/**
+ * Finds the rules that refer to an object. Rules stored in UFDS can't refer
+ * to ipsets or services.
+ */
+function dependentRules(req, desc, obj, callback) {
+    var params = {
+        owner_uuid: obj.owner_uuid
+    };
+
+    if (req._app.config.fwrule_version <= 2) {
+        callback(null, []);
+        return;
+    }
+
+    params[desc.kind.name] = obj.name;
+    mod_persist.findAllRules(req._app, req.log, params, callback);
+}
+
+
+/**
+ * Returns updates for the rules that refer to an updated object, expanding
+ * them using its new contents
+ */
+function dependentOps(req, desc, obj, rules, callback) {
+    var refs = {};
+
+    Object.keys(common.REF_KINDS).forEach(function (name) {
+        var kind = common.REF_KINDS[name];
+        var names = {};
+
+        rules.forEach(function (rule) {
+            rule[kind.field].forEach(function (n) {
+                names[n] = true;
+            });
+        });
+
+        refs[kind.field] = Object.keys(names);
+    });
+
+    common.lookupRefs(req._app, req.log, obj.owner_uuid, refs,
+        function (err, found) {
+        var ops;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        found[desc.kind.field][obj.name] = obj;
+
+        try {
+            ops = rules.map(function (rule) {
+                var text = common.expandText(req._app, rule.source_rule,
+                    found);
+
+                return {
+                    operation: 'update',
+                    rule: mod_rule.updated(req._app, rule, { rule: text }),
+                    oldRule: rule
+                };
+            });
+        } catch (e) {
+            callback(common.createParamErr(e));
+            return;
+        }
+
+        callback(null, ops);
+    });
+}
+
+
+/**
+ * Writes an updated object and its dependent rules, along with an update
+ * for each of the rules
+ */
+function writeUpdated(req, res, next, desc, obj, ops) {
+    common.batchUpdates(req, ops, function (uErr, updates) {
+        if (uErr) {
+            next(uErr);
+            return;
+        }
+
+        var opts = common.historyOpts(req);
+        opts.updates = updates;
+
+        mod_persist.updateNamed(req._app, req.log, desc.kind.mod.BUCKET, obj,
+            ops, opts, function (err, updated, rules) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            common.setUpdateID(res,
+                common.batchResults(ops, rules, updates));
+            res.send(200, updated.serialize());
+            next();
+        });
+    });
+}
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * Returns a restify 'before' handler that:
+ * * gets an existing object and stores it in req._named
+ * * makes sure the user is allowed to access it by checking owner_uuid
+ */
+function namedBefore(desc) {
+    return function _namedBefore(req, res, next) {
+        if (!validate.isUUID(req.params.uuid)) {
+            next(new mod_err.InvalidParamsError(mod_err.INVALID_MSG,
+                [ mod_err.invalidParam('uuid', 'Invalid UUID') ]));
+            return;
+        }
+
+        mod_persist.getNamed(req._app, req.log, desc.kind.mod.BUCKET,
+            req.params.uuid, function (err, obj) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            if (hasKey(req.params, 'owner_uuid') &&
+                req.params.owner_uuid !== obj.owner_uuid) {
+                next(new mod_err.PermissionDeniedError(
+                    'owner does not match', [
+                    mod_err.invalidParam('owner_uuid',
+                        'owner_uuid does not match') ]));
+                return;
+            }
+
+            req._named = obj;
+            next();
+        });
+    };
+}
+
+
+/**
+ * GET /<kind>s
+ */
+function listNamed(desc) {
+    return function _listNamed(req, res, next) {
+        validate.params(desc.schemas.list, null, req.params,
+            function (valErr, params) {
+            if (valErr) {
+                next(valErr);
+                return;
+            }
+
+            if (hasKey(params, 'name')) {
+                params.name = [ params.name ];
+            }
+
+            mod_persist.listNamed(req._app, req.log, desc.kind.mod.BUCKET,
+                params, function (err, objs) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                res.send(200, objs.map(function (obj) {
+                    return obj.serialize();
+                }));
+                next();
+            });
+        });
+    };
+}
+
+
+/**
+ * GET /<kind>s/:uuid
+ */
+function getNamed(req, res, next) {
+    res.send(200, req._named.serialize());
+    next();
+}
+
+
+/**
+ * POST /<kind>s
+ */
+function createNamed(desc) {
+    return function _createNamed(req, res, next) {
+        validate.params(desc.schemas.create, null, req.params,
+            function (valErr, params) {
+            if (valErr) {
+                next(valErr);
+                return;
+            }
+
+            mod_persist.createNamed(req._app, req.log, desc.kind.mod.BUCKET,
+                desc.kind.mod.create(params, req._app), function (err, obj) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                res.send(200, obj.serialize());
+                next();
+            });
+        });
+    };
+}
+
+
+/**
+ * PUT /<kind>s/:uuid
+ *
+ * Rules that refer to the object are updated along with it, and an update
+ * for them is queued.
+ */
+function updateNamed(desc) {
+    return function _updateNamed(req, res, next) {
+        validate.params(desc.schemas.update, null, req.params,
+            function (valErr, params) {
+            if (valErr) {
+                next(valErr);
+                return;
+            }
+
+            var old = req._named;
+            if (hasKey(params, 'name') && params.name !== old.name) {
+                next(new mod_err.InvalidParamsError(mod_err.INVALID_MSG, [
+                    mod_err.invalidParam('name', 'cannot be changed') ]));
+                return;
+            }
+
+            var newParams = old.serialize();
+            desc.updatable.forEach(function (p) {
+                if (hasKey(params, p)) {
+                    newParams[p] = params[p];
+                }
+            });
+
+            var obj = desc.kind.mod.create(newParams, req._app);
+            obj.etag = old.etag;
+
+            dependentRules(req, desc, old, function (depErr, rules) {
+                if (depErr) {
+                    next(depErr);
+                    return;
+                }
+
+                dependentOps(req, desc, obj, rules, function (opsErr, ops) {
+                    if (opsErr) {
+                        next(opsErr);
+                        return;
+                    }
+
+                    writeUpdated(req, res, next, desc, obj, ops);
+                });
+            });
+        });
+    };
+}
+
+
+/**
+ * DELETE /<kind>s/:uuid
+ */
+function deleteNamed(desc) {
+    return function _deleteNamed(req, res, next) {
+        validate.params(desc.schemas.del, null, req.params,
+            function (valErr, _validated) {
+            if (valErr) {
+                next(valErr);
+                return;
+            }
+
+            dependentRules(req, desc, req._named, function (depErr, rules) {
+                if (depErr) {
+                    next(depErr);
+                    return;
+                }
+
+                if (rules.length !== 0) {
+                    next(new restify.ConflictError(util.format(
+                        '%s is used by rules: %s', desc.kind.name,
+                        rules.map(function (rule) {
+                            return rule.uuid;
+                        }).join(', '))));
+                    return;
+                }
+
+                mod_persist.deleteNamed(req._app, req.log,
+                    desc.kind.mod.BUCKET, req._named, function (err) {
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+
+                    res.send(204);
+                    next();
+                });
+            });
+        });
+    };
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints for a kind of object with a restify server. Routes
+ * are at /<kind>s, and are named after the kind's model (eg: "listIPSets").
+ */
+function register(server, before, desc) {
+    assert.object(desc.kind, 'desc.kind');
+    assert.object(desc.schemas, 'desc.schemas');
+    assert.arrayOfString(desc.updatable, 'desc.updatable');
+
+    var existing = before.concat(namedBefore(desc));
+    var model = desc.kind.mod.BUCKET.constructor.name;
+    var path = '/' + desc.kind.field;
+
+    server.get({ path: path, name: 'list' + model + 's' }, before,
+            listNamed(desc));
+    server.post({ path: path, name: 'create' + model }, before,
+            createNamed(desc));
+    server.get({ path: path + '/:uuid', name: 'get' + model }, existing,
+            getNamed);
+    server.put({ path: path + '/:uuid', name: 'update' + model }, existing,
+            updateNamed(desc));
+    server.del({ path: path + '/:uuid', name: 'delete' + model }, existing,
+            deleteNamed(desc));
+}
+
+
+
+module.exports = {
+    register: register
+};
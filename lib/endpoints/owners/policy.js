@@ -0,0 +1,312 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for an owner's policy: the full set of rules that the
+ * owner should have. Applying a policy creates, updates and deletes the
+ * owner's rules so that they match it.
+ */
+
+'use strict';
+
+var clone = require('clone');
+var common = require('../common');
+var mod_batch = require('../rules/batch');
+var mod_const = require('../../util/constants');
+var mod_err = require('../../errors');
+var mod_jsprim = require('jsprim');
+var mod_persist = require('../../persist');
+var Rule = require('../../rule').Rule;
+var util = require('util');
+var validate = require('restify-warden');
+
+
+var hasKey = mod_jsprim.hasKey;
+
+
+// --- Globals
+
+var POLICY_SCHEMA = {
+    strict: true,
+    required: {
+        owner_uuid: validate.UUID,
+        rules: validateRules
+    },
+    optional: {
+        dry_run: validate.boolean
+    }
+};
+
+// Rule properties that change with every update, so aren't compared when
+// checking whether a rule in the policy differs from the stored rule
+var VOLATILE_FIELDS = [ 'next_transition', 'version' ];
+
+
+// --- Internal
+
+function validateRules(_, name, arr, callback) {
+    if (!Array.isArray(arr) || !arr.every(function (obj) {
+        return (typeof (obj) === 'object' && obj !== null &&
+            !Array.isArray(obj));
+    })) {
+        callback(mod_err.invalidParam(name, mod_const.msg.ARRAY_OF_OBJ));
+        return;
+    }
+
+    if (arr.length > mod_const.MAX_LIMIT) {
+        callback(mod_err.invalidParam(name, util.format(
+            'must contain at most %d rules', mod_const.MAX_LIMIT)));
+        return;
+    }
+
+    for (var i = 0; i < arr.length; i++) {
+        if (typeof (arr[i].rule) !== 'string') {
+            callback(mod_err.invalidParam(
+                util.format('%s[%d].rule', name, i), 'must be a string'));
+            return;
+        }
+    }
+
+    callback(null, arr);
+}
+
+
+/**
+ * Returns the text used to match a rule in the policy that has no UUID to
+ * one of the owner's rules. Rules that refer to ipsets or services are
+ * matched on the text they were created with (their source_rule), and other
+ * rules on their parsed text, so that differences in case and spacing don't
+ * matter.
+ */
+function matchText(app, owner, text) {
+    var hasRefs = Object.keys(common.REF_KINDS).some(function (name) {
+        return common.REF_KINDS[name].mod.references(text).length !== 0;
+    });
+
+    if (hasRefs) {
+        return text;
+    }
+
+    try {
+        return new Rule({ rule: text, owner_uuid: owner }, app).text();
+    } catch (_parseErr) {
+        // Invalid rules are reported when the batch is checked
+        return text;
+    }
+}
+
+
+/**
+ * Returns the batch (as for POST /rules/batch) that would turn the owner's
+ * current rules into the rules in the policy, and the position in the
+ * policy of each rule in the batch. Rules in the policy are matched to
+ * current rules by UUID, or failing that by their text.
+ */
+function policyBatch(req, params, current, existing) {
+    var batch = {
+        owner_uuid: params.owner_uuid,
+        create: [],
+        update: [],
+        'delete': []
+    };
+    var byText = {};
+    var locations = {
+        create: [],
+        update: []
+    };
+    var matched = {};
+    var unmatched = [];
+
+    function add(op, ruleParams, i) {
+        batch[op].push(ruleParams);
+        locations[op].push(i);
+    }
+
+    params.rules.forEach(function (ruleParams, i) {
+        if (!hasKey(ruleParams, 'uuid')) {
+            unmatched.push(i);
+            return;
+        }
+
+        if (existing[ruleParams.uuid]) {
+            matched[ruleParams.uuid] = true;
+            add('update', ruleParams, i);
+        } else {
+            add('create', ruleParams, i);
+        }
+    });
+
+    current.forEach(function (rule) {
+        if (hasKey(matched, rule.uuid)) {
+            return;
+        }
+
+        var text = rule.source_rule || rule.text();
+        if (!hasKey(byText, text)) {
+            byText[text] = [];
+        }
+
+        byText[text].push(rule);
+    });
+
+    unmatched.forEach(function (i) {
+        var ruleParams = params.rules[i];
+        var text = matchText(req._app, params.owner_uuid, ruleParams.rule);
+
+        if (!hasKey(byText, text) || byText[text].length === 0) {
+            add('create', ruleParams, i);
+            return;
+        }
+
+        var rule = byText[text].shift();
+        var updateParams = clone(ruleParams);
+
+        updateParams.uuid = rule.uuid;
+        matched[rule.uuid] = true;
+        add('update', updateParams, i);
+    });
+
+    current.forEach(function (rule) {
+        if (!hasKey(matched, rule.uuid)) {
+            batch['delete'].push(rule.uuid);
+        }
+    });
+
+    return {
+        batch: batch,
+        locations: locations
+    };
+}
+
+
+/**
+ * Returns true if an update operation leaves its rule as it was
+ */
+function unchanged(op) {
+    var newRule = op.rule.serialize();
+    var oldRule = op.oldRule.serialize();
+
+    VOLATILE_FIELDS.forEach(function (f) {
+        delete newRule[f];
+        delete oldRule[f];
+    });
+
+    return mod_jsprim.deepEqual(newRule, oldRule);
+}
+
+
+// --- Restify handlers
+
+
+
+/**
+ * PUT /owners/:owner_uuid/policy
+ *
+ * Creates, updates and deletes the owner's rules so that they match the
+ * rules in the policy, in batches of at most MAX_BATCH_SIZE rules (see
+ * batch.writeChunks()). Rules that are already as they should be are left
+ * alone, and no updates are sent to firewallers for them. If
+ * dry_run is true, the changes that would be made are returned without
+ * making them.
+ */
+function applyPolicy(req, res, next) {
+    validate.params(POLICY_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        mod_persist.findAllRules(req._app, req.log,
+            { owner_uuid: params.owner_uuid }, function (findErr, current) {
+            if (findErr) {
+                next(findErr);
+                return;
+            }
+
+            var uuids = params.rules.filter(function (ruleParams) {
+                return validate.isUUID(ruleParams.uuid);
+            }).map(function (ruleParams) {
+                return ruleParams.uuid;
+            });
+
+            mod_batch.getExisting(req, uuids, function (getErr, existing) {
+                if (getErr) {
+                    next(getErr);
+                    return;
+                }
+
+                // The owner's rules are needed for the update and delete
+                // operations, even if the policy doesn't have their UUIDs
+                current.forEach(function (rule) {
+                    existing[rule.uuid] = rule;
+                });
+
+                var policy = policyBatch(req, params, current, existing);
+
+                mod_batch.checkBatch(req, policy.batch, existing,
+                    function (checkErr, ops) {
+                    if (checkErr) {
+                        next(mod_batch.relocateErr(checkErr, 'rules',
+                            policy.locations));
+                        return;
+                    }
+
+                    ops = ops.filter(function (op) {
+                        return (op.operation !== 'update' || !unchanged(op));
+                    });
+
+                    if (params.dry_run || ops.length === 0) {
+                        res.send(200, ops.map(function (op) {
+                            return {
+                                operation: op.operation,
+                                uuid: op.rule.uuid,
+                                rule: op.rule.serialize()
+                            };
+                        }));
+                        next();
+                        return;
+                    }
+
+                    mod_batch.writeChunks(req, ops, function (err, results) {
+                        if (err) {
+                            next(err);
+                            return;
+                        }
+
+                        common.setUpdateID(res, results);
+                        res.send(202, results);
+                        next();
+                    });
+                });
+            });
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.put({ path: '/owners/:owner_uuid/policy', name: 'applyPolicy' },
+        before, applyPolicy);
+}
+
+
+
+module.exports = {
+    register: register
+};
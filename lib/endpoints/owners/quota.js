@@ -0,0 +1,117 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Restify handlers for an owner's quota: an override of the default limit
+ * on the number of rules that the owner can have.
+ */
+
+'use strict';
+
+var mod_persist = require('../../persist');
+var mod_quota = require('../../quota');
+var validate = require('restify-warden');
+
+
+// --- Globals
+
+var QUOTA_SCHEMA = {
+    strict: true,
+    required: {
+        owner_uuid: validate.UUID,
+        rules: validate.offset
+    }
+};
+
+var OWNER_SCHEMA = {
+    strict: true,
+    required: {
+        owner_uuid: validate.UUID
+    }
+};
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * PUT /owners/:owner_uuid/quota
+ *
+ * Sets the owner's rule limit, replacing any existing override. Rules that
+ * the owner already has aren't affected if it has more than the new limit.
+ */
+function putQuota(req, res, next) {
+    validate.params(QUOTA_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        mod_persist.putQuota(req._app, req.log,
+            mod_quota.create(params, req._app), function (err, quota) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.send(200, quota.serialize());
+            next();
+        });
+    });
+}
+
+
+/**
+ * DELETE /owners/:owner_uuid/quota
+ *
+ * Removes the owner's override, so that the default limit applies again.
+ */
+function deleteQuota(req, res, next) {
+    validate.params(OWNER_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        mod_persist.deleteQuota(req._app, req.log, params.owner_uuid,
+            function (err) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.send(204);
+            next();
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.put({ path: '/owners/:owner_uuid/quota', name: 'putQuota' },
+        before, putQuota);
+    server.del({ path: '/owners/:owner_uuid/quota', name: 'deleteQuota' },
+        before, deleteQuota);
+}
+
+
+
+module.exports = {
+    OWNER_SCHEMA: OWNER_SCHEMA,
+    register: register
+};
@@ -0,0 +1,69 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Restify handlers for an owner's usage: how many rules the owner has, and
+ * how many it's allowed.
+ */
+
+'use strict';
+
+var mod_persist = require('../../persist');
+var OWNER_SCHEMA = require('./quota').OWNER_SCHEMA;
+var validate = require('restify-warden');
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * GET /owners/:owner_uuid/usage
+ */
+function getUsage(req, res, next) {
+    validate.params(OWNER_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        mod_persist.ruleUsage(req._app, req.log, params.owner_uuid,
+            function (err, usage) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.send(200, {
+                owner_uuid: params.owner_uuid,
+                rules: usage
+            });
+            next();
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.get({ path: '/owners/:owner_uuid/usage', name: 'getUsage' },
+        before, getUsage);
+}
+
+
+
+module.exports = {
+    register: register
+};
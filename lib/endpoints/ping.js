@@ -16,6 +16,203 @@
 'use strict';
 
 
+var mod_update = require('../update');
+var mod_vasync = require('vasync');
+var validate = require('restify-warden');
+
+
+
+// --- Globals
+
+
+
+var INIT = 'initializing';
+var OFF = 'offline';
+var ON = 'online';
+
+// Default time (in ms) to wait for each service to respond in a detailed
+// ping
+var DEFAULT_TIMEOUT = 5000;
+
+var PING_SCHEMA = {
+    optional: {
+        agents: validate.boolean,
+        detailed: validate.boolean
+    }
+};
+
+// Base DN searched to check that UFDS is responding
+var UFDS_CHECK_DN = 'o=smartdc';
+
+
+
+// --- Internal helpers
+
+
+
+/**
+ * Runs a service check, calling callback with its status, its latency (in
+ * ms) and, if it failed, the error message. func is called with a callback
+ * taking an error and (optionally) a result, which is passed to callback.
+ * The check fails if func doesn't call back within timeout ms.
+ */
+function runCheck(timeout, func, callback) {
+    var done = false;
+    var start = Date.now();
+    var timer = null;
+
+    function finish(err, res) {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        clearTimeout(timer);
+
+        var result = {
+            status: err ? OFF : ON,
+            latency: Date.now() - start
+        };
+
+        if (err) {
+            result.error = err.message;
+        }
+
+        callback(result, res);
+    }
+
+    timer = setTimeout(function () {
+        finish(new Error('timed out waiting for a response'));
+    }, timeout);
+
+    try {
+        func(finish);
+    } catch (err) {
+        finish(err);
+    }
+}
+
+
+/**
+ * Reads the oldest update from the updates bucket, calling callback with
+ * the number of updates queued and the oldest update's record (if any)
+ */
+function checkMoray(moray, callback) {
+    var oldest = null;
+    var req = moray.findObjects(mod_update.BUCKET.name, '(_id>=0)', {
+        limit: 1,
+        sort: {
+            attribute: '_id',
+            order: 'ASC'
+        }
+    });
+
+    req.once('error', callback);
+    req.on('record', function (rec) {
+        oldest = rec;
+    });
+    req.on('end', function () {
+        callback(null, {
+            // Moray includes the total number of matching records in each
+            // record returned
+            backlog: oldest === null ? 0 : Number(oldest._count),
+            oldest: oldest
+        });
+    });
+}
+
+
+/**
+ * Checks that Moray, UFDS and VMAPI are responding, adding the results to
+ * stats.checks and the update queue's state to stats.updates
+ */
+function detailedChecks(req, stats, callback) {
+    var checks = {};
+    var timeout = req._app.config.pingTimeout || DEFAULT_TIMEOUT;
+    var lastPoll = req._update ? req._update.lastPoll : null;
+    var updates = {
+        backlog: null,
+        last_poll: lastPoll ? new Date(lastPoll.time).toISOString() : null,
+        oldest_age: null
+    };
+
+    stats.checks = checks;
+    stats.updates = updates;
+
+    mod_vasync.parallel({ funcs: [
+        function _moray(cb) {
+            if (stats.services.moray === INIT) {
+                checks.moray = { status: INIT };
+                cb();
+                return;
+            }
+
+            runCheck(timeout, checkMoray.bind(null, req._moray),
+                function (result, res) {
+                checks.moray = result;
+                if (res) {
+                    updates.backlog = res.backlog;
+                    if (res.oldest !== null) {
+                        updates.oldest_age = Math.max(0,
+                            Date.now() - res.oldest._mtime);
+                    }
+                }
+
+                cb();
+            });
+        },
+
+        function _ufds(cb) {
+            if (stats.services.ufds === INIT) {
+                checks.ufds = { status: INIT };
+                cb();
+                return;
+            }
+
+            runCheck(timeout, function (done) {
+                req._ufds.search(UFDS_CHECK_DN, {
+                    filter: '(objectclass=*)',
+                    scope: 'base'
+                }, function (err) {
+                    done(err);
+                });
+            }, function (result) {
+                checks.ufds = result;
+                cb();
+            });
+        },
+
+        function _vmapi(cb) {
+            if (!req._vmapi) {
+                checks.vmapi = { status: INIT };
+                cb();
+                return;
+            }
+
+            runCheck(timeout, function (done) {
+                req._vmapi.ping(function (err) {
+                    done(err);
+                });
+            }, function (result) {
+                checks.vmapi = result;
+                cb();
+            });
+        }
+    ] }, function () {
+        // A service is only online if it's connected and responded to its
+        // check
+        Object.keys(checks).forEach(function (s) {
+            if (stats.services[s] !== OFF) {
+                stats.services[s] = checks[s].status;
+            }
+        });
+
+        callback();
+    });
+}
+
+
+
 // --- Endpoints
 
 
@@ -24,57 +221,70 @@
  * /ping: return service status
  */
 function ping(req, res, next) {
-    var init = 'initializing';
-    var off = 'offline';
-    var on = 'online';
     var stats = {
         healthy: true,
         services: {
-            fast: off,
-            moray: off,
-            ufds: off
+            fast: OFF,
+            moray: OFF,
+            ufds: OFF
         },
         status: 'OK'
     };
 
     if (req._ufds) {
-        stats.services.ufds = req._ufds.connected ? on : off;
+        stats.services.ufds = req._ufds.connected ? ON : OFF;
     } else {
-        stats.services.ufds = init;
+        stats.services.ufds = INIT;
     }
 
     if (req._update) {
-        stats.services.moray = req._update.morayConnected ? on : off;
+        stats.services.moray = req._update.morayConnected ? ON : OFF;
 
         // Moray is up, but buckets haven't been created
         if (!req._update.initialized) {
-            stats.services.moray = init;
+            stats.services.moray = INIT;
         }
 
         if (req._update.listening) {
-            stats.services.fast = on;
+            stats.services.fast = ON;
         }
 
     } else {
-        stats.services.moray = init;
+        stats.services.moray = INIT;
     }
 
-    for (var s in stats.services) {
-        if (stats.services[s] !== on) {
-            if (stats.status !== off) {
-                stats.status = stats.services[s];
-            }
-            stats.healthy = false;
+    validate.params(PING_SCHEMA, null, req.params, function (err, params) {
+        if (err) {
+            next(err);
+            return;
         }
 
-    }
+        if (params.agents && req._update) {
+            stats.agents = req._update.ping();
+        }
 
-    if (req.params.agents && req._update) {
-        stats.agents = req._update.ping();
-    }
+        function finish() {
+            for (var s in stats.services) {
+                if (stats.services[s] !== ON) {
+                    if (stats.status !== OFF) {
+                        stats.status = stats.services[s];
+                    }
+                    stats.healthy = false;
+                }
 
-    res.send(200, stats);
-    return next();
+            }
+
+            res.send(200, stats);
+            next();
+        }
+
+        if (!params.detailed) {
+            finish();
+            return;
+        }
+
+        detailedChecks(req, stats, finish);
+    });
 }
 
 
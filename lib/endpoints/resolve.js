@@ -15,6 +15,8 @@
 'use strict';
 
 var fw = require('../rule');
+var mod_analyze = require('../analyze');
+var mod_ip = require('../util/ip');
 var mod_persist = require('../persist');
 var mod_err = require('../errors');
 var util = require('util');
@@ -24,6 +26,12 @@ var constants = require('../util/constants');
 var hasKey = require('jsprim').hasKey;
 
 
+// --- Globals
+
+var NOOP_DEFAULT = 'same as default policy';
+var NOOP_PRIORITY = 'does not override any lower priority rules';
+
+
 // --- Internal helpers
 
 function validateTags(_, name, tags, callback) {
@@ -34,6 +42,24 @@ function validateTags(_, name, tags, callback) {
     callback(null, tags);
 }
 
+/**
+ * restify-warden's IParray validator returns the versions of the IPs rather
+ * than the IPs themselves, so only use it for validation
+ */
+function validateIPs(_, name, ips, callback) {
+    validate.IParray(_, name, ips, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var arr = util.isArray(ips) ? ips : ips.split(',');
+        callback(null, arr.map(function (ip) {
+            return ip.replace(/\s+/g, '');
+        }));
+    });
+}
+
 var RESOLVE_SCHEMA = {
     required: {
         owner_uuid: validate.UUID
@@ -42,39 +68,73 @@ var RESOLVE_SCHEMA = {
         tags: validateTags,
         tag: validate.string,
         vms: validate.UUIDarray,
-        ips: validate.IParray,
+        ips: validateIPs,
         allVMs: validate.boolean
     }
 };
 
 /**
- * If a rule matches the default firewall behaviour (allow outbound, block
- * inbound), then there's no need for firewaller to try and fetch the mentioned
- * remote VMs from VMAPI.
+ * If a rule matched on side d matches the default firewall behaviour (allow
+ * outbound, block inbound), then there's no need for firewaller to try and
+ * fetch the mentioned remote VMs from VMAPI. Returns the reason that the
+ * rule is a no-op, or null if it isn't.
+ *
+ * A rule with PRIORITY can override rules with the other action that it's
+ * applied before, so it's only a no-op if none of the other rules matched on
+ * side d could match the same traffic.
+ *
+ * @param rule {Rule}
+ * @param d {String}: the side of the rule that matched ("from" or "to")
+ * @param rules {Array}: all rules that matched
+ * @param sides {Object}: mapping of rule UUIDs to the sides that matched
  */
-function isNoOpRule(rule, d) {
-    var p = rule.priority;
+function noOpReason(rule, d, rules, sides) {
     var a = rule.action;
+    var otherSide = (d === 'from' ? 'to' : 'from');
 
-    if (p > 0) {
-        /*
-         * We don't bother trying to determine whether or not a rule
-         * with PRIORITY is effectively a no-op, since it would require
-         * examining all other applied rules with a lower priority.
-         */
-        return false;
+    if ((d === 'from' && a !== 'allow') || (d === 'to' && a !== 'block')) {
+        return null;
+    }
+
+    if (!(rule.priority > 0)) {
+        return NOOP_DEFAULT;
     }
 
-    return (d === 'from' && a === 'allow') || (d === 'to' && a === 'block');
+    var overrides = rules.some(function (other) {
+        return (other.enabled && other.action !== a &&
+            sides[other.uuid][d] &&
+            mod_analyze.precedes(rule, other) &&
+            mod_analyze.mayOverlap(rule, other, otherSide));
+    });
+
+    return (overrides ? null : NOOP_PRIORITY);
+}
+
+/**
+ * Returns true if any of the IPs or subnets on a side of a rule contain one
+ * of the given IPs
+ */
+function addrMatches(side, ips) {
+    return side.ips.concat(side.subnets).some(function (addr) {
+        return ips.some(function (ip) {
+            return mod_ip.contains(addr, ip);
+        });
+    });
 }
 
 /**
  * For targets specified by params, determine the targets on the other side
- * of the rules
+ * of the rules. Calls callback with the data for the other side, and the
+ * rules that matched the targets.
  */
 function resolveTargets(rules, params, log, callback) {
     var allVMs = false;
+    var matchedRules = [];
+    var sides = {};
+    var skipped = [];
     var sideData = {
+        ips: {},
+        subnets: {},
         tags: {},
         vms: {}
     };
@@ -86,15 +146,21 @@ function resolveTargets(rules, params, log, callback) {
     }
 
     function addOtherSideData(rule, d) {
-        if (isNoOpRule(rule, d)) {
+        var otherSide = (d === 'from' ? 'to' : 'from');
+        var reason = noOpReason(rule, d, matchedRules, sides);
+
+        if (reason !== null) {
             log.debug(
                 'resolveTargets: rule %s: match on side %s, but action is %s',
                 rule.uuid, d, rule.action);
+            skipped.push({
+                rule: rule.uuid,
+                side: otherSide,
+                reason: reason
+            });
             return;
         }
 
-        var otherSide = (d === 'from' ? 'to' : 'from');
-
         if (rule[otherSide].wildcards.indexOf('vmall') !== -1) {
             allVMs = true;
         }
@@ -115,10 +181,17 @@ function resolveTargets(rules, params, log, callback) {
         rule[otherSide].vms.forEach(function (vm) {
             sideData.vms[vm] = 1;
         });
+        rule[otherSide].ips.forEach(function (ip) {
+            sideData.ips[ip] = 1;
+        });
+        rule[otherSide].subnets.forEach(function (subnet) {
+            sideData.subnets[subnet] = 1;
+        });
     }
 
     rules.forEach(function (rule) {
         var matched = false;
+        sides[rule.uuid] = {};
 
         log.debug({ params: params, from: rule.from, to: rule.to },
             'resolveTargets: rule %s: finding side matches', rule.uuid);
@@ -128,7 +201,7 @@ function resolveTargets(rules, params, log, callback) {
                 log.debug('resolveTargets: matched rule=%s, dir=%s, allVMs',
                     rule.uuid, dir);
                 matched = true;
-                addOtherSideData(rule, dir);
+                sides[rule.uuid][dir] = true;
                 return;
             }
 
@@ -145,7 +218,7 @@ function resolveTargets(rules, params, log, callback) {
                         matched = true;
                         log.debug('resolveTargets: matched rule=%s, dir=%s, '
                             + 'tag=%s', rule.uuid, dir, tag);
-                        addOtherSideData(rule, dir);
+                        sides[rule.uuid][dir] = true;
                     }
                 });
             }
@@ -156,18 +229,46 @@ function resolveTargets(rules, params, log, callback) {
                         matched = true;
                         log.debug('resolveTargets: matched rule=%s, dir=%s, '
                             + 'vm=%s', rule.uuid, dir, vm);
-                        addOtherSideData(rule, dir);
+                        sides[rule.uuid][dir] = true;
                         return;
                     }
                 });
             }
-            // XXX: subnet
+
+            if (hasKey(params, 'ips') && addrMatches(rule[dir], params.ips)) {
+                matched = true;
+                log.debug('resolveTargets: matched rule=%s, dir=%s, ips=%j',
+                    rule.uuid, dir, params.ips);
+                sides[rule.uuid][dir] = true;
+            }
         });
 
-        if (!matched) {
-            log.warn('resolveTargets: rule %s: no matching tags or VMs found',
+        if (matched) {
+            matchedRules.push(rule);
+            return;
+        }
+
+        if (hasKey(params, 'ips') &&
+            (rule.from.subnets.length !== 0 || rule.to.subnets.length !== 0)) {
+            // All rules with subnets are fetched when resolving IPs, since
+            // subnets containing an IP can't be searched for
+            log.debug('resolveTargets: rule %s: no subnets containing IPs',
                 rule.uuid);
+            return;
         }
+
+        log.warn('resolveTargets: rule %s: no matching tags or VMs found',
+            rule.uuid);
+        matchedRules.push(rule);
+    });
+
+    // Only check for no-ops once all of the matching rules are known
+    matchedRules.forEach(function (rule) {
+        fw.DIRECTIONS.forEach(function (dir) {
+            if (sides[rule.uuid][dir]) {
+                addOtherSideData(rule, dir);
+            }
+        });
     });
 
     for (var type in sideData) {
@@ -177,11 +278,18 @@ function resolveTargets(rules, params, log, callback) {
     }
 
     sideData.allVMs = allVMs;
+    sideData.skipped_sides = skipped.sort(function (a, b) {
+        if (a.rule !== b.rule) {
+            return (a.rule < b.rule ? -1 : 1);
+        }
+
+        return (a.side < b.side ? -1 : 1);
+    });
     if (hasKey(params, 'owner_uuid')) {
         sideData.owner_uuid = params.owner_uuid;
     }
 
-    return callback(null, sideData);
+    return callback(null, sideData, matchedRules);
 }
 
 
@@ -240,6 +348,9 @@ function tagMatches(key, val, tagsWanted) {
  *   - vms, eg: "vms": [ "<UUID 1>", "<UUID 2>" ]
  *   - allVMs (whether or not one of the rules contains "all vms"),
  *     eg: "allVMs": true
+ * - IPs and subnets on the other side of the rules:
+ *   - ips, eg: "ips": [ "10.1.2.3" ]
+ *   - subnets, eg: "subnets": [ "10.0.0.0/8" ]
  */
 function resolve(req, res, next) {
     // ips, owner_uuid, tags, vms
@@ -258,14 +369,14 @@ function resolve(req, res, next) {
             }
 
             resolveTargets(rules, validated, req.log,
-                function (err2, sideData) {
+                function (err2, sideData, matched) {
                 if (err2) {
                     next(err2);
                     return;
                 }
 
                 var payload = {
-                    rules: rules.map(function (r) {
+                    rules: matched.map(function (r) {
                         return r.serialize();
                     })
                 };
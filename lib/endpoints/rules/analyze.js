@@ -0,0 +1,80 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for analyzing an owner's firewall rules
+ */
+
+'use strict';
+
+var mod_analyze = require('../../analyze');
+var mod_persist = require('../../persist');
+var validate = require('restify-warden');
+
+
+// --- Globals
+
+var ANALYZE_SCHEMA = {
+    strict: true,
+    required: {
+        owner_uuid: validate.UUID
+    }
+};
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * GET /rules/analyze
+ */
+function analyzeRules(req, res, next) {
+    validate.params(ANALYZE_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        mod_persist.findAllRules(req._app, req.log, {
+            owner_uuid: params.owner_uuid
+        }, function (err, rules) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.send(200, mod_analyze.analyzeRules(rules));
+            next();
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.get({ path: '/rules/analyze', name: 'analyzeRules' }, before,
+        analyzeRules);
+}
+
+
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,581 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for changing many firewall rules at once
+ */
+
+'use strict';
+
+var clone = require('clone');
+var common = require('../common');
+var mod_const = require('../../util/constants');
+var mod_err = require('../../errors');
+var mod_persist = require('../../persist');
+var mod_rule = require('../../rule');
+var mod_vasync = require('vasync');
+var Rule = require('../../rule').Rule;
+var util = require('util');
+var validate = require('restify-warden');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+var BATCH_SCHEMA = {
+    strict: true,
+    optional: {
+        create: validateObjArray,
+        'delete': validateUUIDs,
+        owner_uuid: validate.UUID,
+        update: validateObjArray
+    },
+    after: validateBatchSize
+};
+
+// Batch operations, in the order they're performed and returned
+var OPERATIONS = [ 'create', 'update', 'delete' ];
+
+
+// --- Internal
+
+function validateObjArray(_, name, arr, callback) {
+    if (!Array.isArray(arr) || !arr.every(function (obj) {
+        return (typeof (obj) === 'object' && obj !== null &&
+            !Array.isArray(obj));
+    })) {
+        callback(mod_err.invalidParam(name, mod_const.msg.ARRAY_OF_OBJ));
+        return;
+    }
+
+    callback(null, arr);
+}
+
+/*
+ * Unlike validate.UUIDarray, this keeps the UUIDs in the order they were
+ * given, so that results can be returned in the same order.
+ */
+function validateUUIDs(_, name, arr, callback) {
+    if (!Array.isArray(arr) || !arr.every(validate.isUUID)) {
+        callback(mod_err.invalidParam(name, 'must be an array of UUIDs'));
+        return;
+    }
+
+    callback(null, arr);
+}
+
+function validateBatchSize(_, _raw, params, callback) {
+    var size = 0;
+
+    OPERATIONS.forEach(function (op) {
+        if (hasKey(params, op)) {
+            size += params[op].length;
+        }
+    });
+
+    if (size < 1 || size > mod_const.MAX_BATCH_SIZE) {
+        callback(mod_err.invalidParam('parameters',
+            mod_const.msg.BATCH_SIZE));
+        return;
+    }
+
+    callback();
+}
+
+
+/**
+ * Turns an error from creating a Rule object into a list of invalid
+ * parameter errors, with each field prefixed by the rule's location in the
+ * batch (eg: "create[1].rule")
+ */
+function ruleErrors(prefix, err) {
+    var paramErr = common.createParamErr(err);
+
+    if (!hasKey(paramErr, 'body') || !hasKey(paramErr.body, 'errors')) {
+        return [ mod_err.invalidParam(prefix, err.message) ];
+    }
+
+    return paramErr.body.errors.map(function (e) {
+        return mod_err.invalidParam(prefix + '.' + e.field, e.message);
+    });
+}
+
+
+/**
+ * Batch errors refer to rules by their position in the batch (eg:
+ * "create[1].rule"): for callers that build batches out of a list of rules,
+ * change them to refer to the rule's position in that list instead (eg:
+ * "bundle.rules[3].rule", for a prefix of "bundle.rules"). locations maps
+ * each batch operation to the list positions of its rules.
+ */
+function relocateErr(err, prefix, locations) {
+    if (!hasKey(err, 'body') || !Array.isArray(err.body.errors)) {
+        return err;
+    }
+
+    function relocate(str) {
+        return str.replace(/(create|update)\[(\d+)\]/g,
+            function (_, op, idx) {
+            return util.format('%s[%d]', prefix, locations[op][idx]);
+        });
+    }
+
+    err.body.errors.forEach(function (e) {
+        e.field = relocate(e.field);
+        e.message = relocate(e.message);
+    });
+
+    return err;
+}
+
+
+function ownerErr(field) {
+    return mod_err.invalidParam(field, 'owner_uuid does not match');
+}
+
+
+/**
+ * Returns true if the rule isn't allowed to be changed by a request for
+ * the given owner_uuid (as per common.ruleBefore() and
+ * disallowOwnerForGlobal())
+ */
+function ownerMismatch(params, rule) {
+    if (!hasKey(params, 'owner_uuid')) {
+        return false;
+    }
+
+    return (rule.global || rule.owner_uuid !== params.owner_uuid);
+}
+
+
+/**
+ * Gets all of the existing rules with the given UUIDs, storing them in
+ * the returned object (or null, if a rule doesn't exist)
+ */
+function getExisting(req, uuids, callback) {
+    var existing = {};
+
+    mod_vasync.forEachParallel({
+        inputs: uuids,
+        func: function _getRule(uuid, cb) {
+            if (hasKey(existing, uuid)) {
+                cb();
+                return;
+            }
+
+            existing[uuid] = null;
+            mod_persist.getRule(req._app, req.log, uuid, function (err, rule) {
+                if (err) {
+                    cb(err.statusCode === 404 ? null : err);
+                    return;
+                }
+
+                existing[uuid] = rule;
+                cb();
+            });
+        }
+    }, function (err) {
+        callback(err, existing);
+    });
+}
+
+
+/**
+ * Expands the ipset and service references in the rules being created and
+ * updated (see common.expandRefs()), collecting any problems with them into
+ * errors
+ */
+function expandRefs(req, params, existing, errors, callback) {
+    var inputs = [];
+
+    (params.create || []).forEach(function (ruleParams, i) {
+        inputs.push({
+            owner: ruleParams.global ? undefined :
+                (ruleParams.owner_uuid || params.owner_uuid),
+            params: ruleParams,
+            prefix: util.format('create[%d]', i)
+        });
+    });
+
+    (params.update || []).forEach(function (ruleParams, i) {
+        var oldRule = existing[ruleParams.uuid];
+
+        inputs.push({
+            owner: hasKey(ruleParams, 'owner_uuid') ? ruleParams.owner_uuid :
+                (oldRule ? oldRule.owner_uuid : undefined),
+            params: ruleParams,
+            prefix: util.format('update[%d]', i)
+        });
+    });
+
+    mod_vasync.forEachPipeline({
+        inputs: inputs,
+        func: function _expand(input, cb) {
+            common.expandRefs(req._app, req.log, input.owner, input.params,
+                function (err) {
+                if (err && (err.name === 'InvalidParamsError' ||
+                    hasKey(err, 'field'))) {
+                    errors.push.apply(errors, ruleErrors(input.prefix, err));
+                    cb();
+                    return;
+                }
+
+                cb(err);
+            });
+        }
+    }, function (err) {
+        callback(err);
+    });
+}
+
+
+/**
+ * Validates the rules in the batch and turns them into a list of
+ * operations for persist.batchRules(). Any problems are collected into
+ * errors (for invalid parameters) and permErrors (for rules not belonging to
+ * the requested owner), so that they can all be reported at once.
+ */
+function batchOps(req, params, existing, errors, permErrors) {
+    var ops = [];
+    var seen = {};
+
+    function checkDuplicate(field, uuid) {
+        if (hasKey(seen, uuid)) {
+            errors.push(mod_err.duplicateParam(field,
+                util.format('rule also in %s', seen[uuid])));
+            return true;
+        }
+
+        seen[uuid] = field;
+        return false;
+    }
+
+    (params.create || []).forEach(function (ruleParams, i) {
+        var prefix = util.format('create[%d]', i);
+        var createParams = clone(ruleParams);
+
+        // Don't allow through objectclass
+        delete createParams.objectclass;
+
+        if (hasKey(params, 'owner_uuid')) {
+            if (!hasKey(createParams, 'owner_uuid') && !createParams.global) {
+                createParams.owner_uuid = params.owner_uuid;
+            } else if (ownerMismatch(params, createParams)) {
+                permErrors.push(ownerErr(prefix + '.owner_uuid'));
+                return;
+            }
+        }
+
+        if (hasKey(createParams, 'uuid')) {
+            if (checkDuplicate(prefix + '.uuid', createParams.uuid)) {
+                return;
+            }
+
+            if (existing[createParams.uuid]) {
+                errors.push(mod_err.duplicateParam(prefix + '.uuid',
+                    'rule already exists'));
+                return;
+            }
+        }
+
+        try {
+            ops.push({
+                operation: 'create',
+                rule: new Rule(createParams, req._app)
+            });
+        } catch (e) {
+            errors.push.apply(errors, ruleErrors(prefix, e));
+        }
+    });
+
+    (params.update || []).forEach(function (ruleParams, i) {
+        var prefix = util.format('update[%d]', i);
+
+        if (!validate.isUUID(ruleParams.uuid)) {
+            errors.push(mod_err.invalidParam(prefix + '.uuid',
+                mod_const.msg.INVALID_UUID));
+            return;
+        }
+
+        if (checkDuplicate(prefix + '.uuid', ruleParams.uuid)) {
+            return;
+        }
+
+        var oldRule = existing[ruleParams.uuid];
+        if (!oldRule) {
+            errors.push(mod_err.invalidParam(prefix + '.uuid',
+                'rule not found'));
+            return;
+        }
+
+        if (ownerMismatch(params, oldRule) ||
+            (hasKey(ruleParams, 'owner_uuid') &&
+            ownerMismatch(params, ruleParams))) {
+            permErrors.push(ownerErr(prefix + '.owner_uuid'));
+            return;
+        }
+
+        try {
+            ops.push({
+                operation: 'update',
+                rule: mod_rule.updated(req._app, oldRule, ruleParams),
+                oldRule: oldRule
+            });
+        } catch (e) {
+            errors.push.apply(errors, ruleErrors(prefix, e));
+        }
+    });
+
+    (params['delete'] || []).forEach(function (uuid, i) {
+        var prefix = util.format('delete[%d]', i);
+        var rule = existing[uuid];
+
+        if (checkDuplicate(prefix, uuid)) {
+            return;
+        }
+
+        if (!rule) {
+            errors.push(mod_err.invalidParam(prefix, 'rule not found'));
+            return;
+        }
+
+        if (ownerMismatch(params, rule)) {
+            permErrors.push(ownerErr(prefix));
+            return;
+        }
+
+        ops.push({
+            operation: 'delete',
+            rule: rule
+        });
+    });
+
+    return ops;
+}
+
+
+
+/**
+ * Validates a batch of rule changes (as validated by BATCH_SCHEMA), and turns
+ * it into a list of operations for persist.batchRules(). existing has the
+ * rules that the batch refers to, as returned by getExisting().
+ *
+ * @param callback {Function} `function (err, ops)`
+ */
+function checkBatch(req, params, existing, callback) {
+    var errors = [];
+    var permErrors = [];
+
+    expandRefs(req, params, existing, errors, function (expErr) {
+        if (expErr) {
+            callback(expErr);
+            return;
+        }
+
+        // Don't report rules that couldn't be expanded twice
+        if (errors.length !== 0) {
+            callback(new mod_err.InvalidParamsError(mod_err.INVALID_MSG,
+                errors));
+            return;
+        }
+
+        var ops = batchOps(req, params, existing, errors, permErrors);
+
+        if (permErrors.length !== 0) {
+            callback(new mod_err.PermissionDeniedError(
+                'owner does not match', permErrors));
+            return;
+        }
+
+        if (errors.length !== 0) {
+            callback(new mod_err.InvalidParamsError(mod_err.INVALID_MSG,
+                errors));
+            return;
+        }
+
+        callback(null, ops);
+    });
+}
+
+
+/**
+ * Writes rule operations with write (persist.batchRules() or
+ * persist.writeRules()), along with an update for each of the changed
+ * rules, in a single Moray batch
+ */
+function writeOps(req, ops, write, callback) {
+    common.batchUpdates(req, ops, function (uErr, updates) {
+        if (uErr) {
+            callback(uErr);
+            return;
+        }
+
+        var opts = common.historyOpts(req);
+        opts.updates = updates;
+
+        write(req._app, req.log, ops, opts, function (err, rules) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, common.batchResults(ops, rules, updates));
+        });
+    });
+}
+
+
+/**
+ * Writes a batch of rule operations, along with an update for each of the
+ * changed rules, in a single Moray batch
+ *
+ * @param callback {Function} `function (err, results)`, where results has
+ *   one entry for each rule changed (see common.batchResults())
+ */
+function writeBatch(req, ops, callback) {
+    writeOps(req, ops, mod_persist.batchRules, callback);
+}
+
+
+/**
+ * Writes rule operations that may be too many for one batch, in Moray
+ * batches of at most MAX_BATCH_SIZE rules, each written with the updates for
+ * its rules. Quotas are checked for all of the operations before any are
+ * written, so that owners at their quota can replace rules even if the
+ * deletes aren't in the first batch. If a batch fails, the batches before it
+ * stay written, so callers should be able to repeat the changes.
+ *
+ * @param callback {Function} `function (err, results)`, as for writeBatch()
+ */
+function writeChunks(req, ops, callback) {
+    var chunks = [];
+    var results = [];
+
+    for (var i = 0; i < ops.length; i += mod_const.MAX_BATCH_SIZE) {
+        chunks.push(ops.slice(i, i + mod_const.MAX_BATCH_SIZE));
+    }
+
+    mod_persist.checkBatchQuotas(req._app, req.log, ops, function (qErr) {
+        if (qErr) {
+            callback(qErr);
+            return;
+        }
+
+        mod_vasync.forEachPipeline({
+            inputs: chunks,
+            func: function _writeChunk(chunk, cb) {
+                writeOps(req, chunk, mod_persist.writeRules,
+                    function (err, written) {
+                    if (err) {
+                        req.log.error({ err: err, written: results.length,
+                            total: ops.length },
+                            'Error writing batch: earlier batches written');
+                        cb(err);
+                        return;
+                    }
+
+                    results = results.concat(written);
+                    cb();
+                });
+            }
+        }, function (err) {
+            callback(err, results);
+        });
+    });
+}
+
+
+/**
+ * Validates and writes a batch of rule changes (see checkBatch()), and
+ * queues an update for each of the changed rules.
+ *
+ * @param callback {Function} `function (err, results)`, where results has
+ *   one entry for each rule changed (see common.batchResults())
+ */
+function applyBatch(req, params, existing, callback) {
+    checkBatch(req, params, existing, function (err, ops) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        writeBatch(req, ops, callback);
+    });
+}
+
+
+// --- Restify handlers
+
+
+
+/**
+ * POST /rules/batch
+ */
+function batchRules(req, res, next) {
+    validate.params(BATCH_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        var uuids = (params.create || []).concat(params.update || [])
+            .filter(function (ruleParams) {
+                return validate.isUUID(ruleParams.uuid);
+            }).map(function (ruleParams) {
+                return ruleParams.uuid;
+            }).concat(params['delete'] || []);
+
+        getExisting(req, uuids, function (getErr, existing) {
+            if (getErr) {
+                next(getErr);
+                return;
+            }
+
+            applyBatch(req, params, existing, function (err, results) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                common.setUpdateID(res, results);
+                res.send(202, results);
+                next();
+            });
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.post({ path: '/rules/batch', name: 'batchRules' }, before,
+        batchRules);
+}
+
+
+
+module.exports = {
+    checkBatch: checkBatch,
+    getExisting: getExisting,
+    register: register,
+    relocateErr: relocateErr,
+    writeBatch: writeBatch,
+    writeChunks: writeChunks
+};
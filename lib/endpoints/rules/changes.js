@@ -0,0 +1,157 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for the feed of changes to firewall rules. Changes are
+ * read from the rule history, which is written in the same Moray batch as
+ * each change, so every change is in the feed and consumers can resume from
+ * the last change that they saw.
+ */
+
+'use strict';
+
+var mod_const = require('../../util/constants');
+var mod_err = require('../../errors');
+var mod_persist = require('../../persist');
+var util = require('util');
+var validate = require('restify-warden');
+
+
+// --- Globals
+
+// Maximum time (in seconds) that a request can wait for changes
+var MAX_WAIT = 60;
+
+var WAIT_MSG = util.format('must be an integer between 0 and %d', MAX_WAIT);
+
+var CHANGES_SCHEMA = {
+    strict: true,
+    optional: {
+        limit: validate.limit,
+        owner_uuid: validate.UUID,
+        since: validate.offset,
+        wait: validateWait
+    }
+};
+
+
+
+// --- Internal helpers
+
+
+
+/**
+ * Validates the number of seconds to wait for changes
+ */
+function validateWait(arg, name, val, callback) {
+    validate.offset(arg, name, val, function (err, wait) {
+        if (err || wait > MAX_WAIT) {
+            callback(mod_err.invalidParam(name, WAIT_MSG));
+            return;
+        }
+
+        callback(null, wait);
+    });
+}
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * GET /rules/changes
+ *
+ * Returns the changes to rules after the `since` sequence number. If there
+ * are none and `wait` is set, waits up to that many seconds for changes
+ * before returning (a long poll). The response's `seq` is the sequence
+ * number to pass as `since` to get the next changes.
+ */
+function listChanges(req, res, next) {
+    validate.params(CHANGES_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        var closed = false;
+        var deadline = Date.now() + (params.wait || 0) * 1000;
+        var timer = null;
+
+        params.since = params.since || 0;
+        params.limit = params.limit || mod_const.DEFAULT_LIMIT;
+
+        res.once('close', function _onClose() {
+            closed = true;
+            if (timer !== null) {
+                clearTimeout(timer);
+                timer = null;
+                next(false);
+            }
+        });
+
+        function poll() {
+            timer = null;
+
+            mod_persist.ruleChanges(req._app, req.log, params,
+                function (err, entries) {
+                if (closed) {
+                    next(false);
+                    return;
+                }
+
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                var remaining = deadline - Date.now();
+                if (entries.length === 0 && remaining > 0) {
+                    timer = setTimeout(poll,
+                        Math.min(req._app.config.pollInterval, remaining));
+                    return;
+                }
+
+                res.send(200, {
+                    changes: entries.map(function (entry) {
+                        return entry.serialize();
+                    }),
+                    seq: entries.length === 0 ? params.since :
+                        entries[entries.length - 1].seq
+                });
+                next();
+            });
+        }
+
+        poll();
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.get({ path: '/rules/changes', name: 'listChanges' }, before,
+        listChanges);
+}
+
+
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,115 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for converting host firewall configuration into rules
+ */
+
+'use strict';
+
+var mod_convert = require('../../convert');
+var mod_err = require('../../errors');
+var validate = require('restify-warden');
+
+
+// --- Globals
+
+var CONVERT_SCHEMA = {
+    strict: true,
+    required: {
+        format: validateFormat,
+        input: validate.string,
+        owner_uuid: validate.UUID
+    },
+    optional: {
+        vm: validate.UUID
+    }
+};
+
+
+
+// --- Internal helpers
+
+
+
+function validateFormat(_, name, format, callback) {
+    if (mod_convert.FORMATS.indexOf(format) === -1) {
+        callback(mod_err.invalidParam(name,
+            'must be one of: ' + mod_convert.FORMATS.join(', ')));
+        return;
+    }
+
+    callback(null, format);
+}
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * POST /rules/convert
+ *
+ * Converts host firewall configuration into the parameters for creating
+ * rules (see lib/convert.js). Nothing is created: the rules can be reviewed
+ * and then created with POST /rules/batch.
+ */
+function convertRules(req, res, next) {
+    validate.params(CONVERT_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        function send() {
+            res.send(200, mod_convert.convert(req._app, params));
+            next();
+        }
+
+        if (!params.vm) {
+            send();
+            return;
+        }
+
+        // Make sure the VM exists and belongs to the owner
+        req._vmapi.getVm({ uuid: params.vm, owner_uuid: params.owner_uuid }, {
+            headers: {'request-id': req.getId()}
+        }, function (err) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            send();
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.post({ path: '/rules/convert', name: 'convertRules' }, before,
+        convertRules);
+}
+
+
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,108 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for exporting rules as a bundle (see lib/bundle.js)
+ */
+
+'use strict';
+
+var mod_bundle = require('../../bundle');
+var mod_persist = require('../../persist');
+var mod_vasync = require('vasync');
+var validate = require('restify-warden');
+
+
+// --- Globals
+
+var EXPORT_SCHEMA = {
+    strict: true,
+    optional: {
+        global: validate.boolean,
+        owner_uuid: validate.UUID
+    }
+};
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * GET /rules/export
+ *
+ * Exports an owner's rules, global rules (if global is true), or both. With
+ * neither, all rules are exported.
+ */
+function exportRules(req, res, next) {
+    validate.params(EXPORT_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        var queries = [];
+
+        if (params.owner_uuid) {
+            queries.push({ owner_uuid: params.owner_uuid });
+        }
+
+        if (params.global) {
+            queries.push({ global: true });
+        }
+
+        if (queries.length === 0) {
+            queries.push({});
+        }
+
+        mod_vasync.forEachPipeline({
+            inputs: queries,
+            func: function _findRules(query, cb) {
+                mod_persist.findAllRules(req._app, req.log, query, cb);
+            }
+        }, function (err, results) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            var rules = results.successes.reduce(function (acc, found) {
+                return acc.concat(found);
+            }, []).sort(function (a, b) {
+                return a.uuid < b.uuid ? -1 : 1;
+            });
+
+            res.send(200, mod_bundle.create(rules));
+            next();
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.get({ path: '/rules/export', name: 'exportRules' }, before,
+        exportRules);
+}
+
+
+
+module.exports = {
+    register: register
+};
@@ -0,0 +1,315 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for firewall rule history
+ */
+
+'use strict';
+
+var clone = require('clone');
+var common = require('../common');
+var mod_err = require('../../errors');
+var mod_persist = require('../../persist');
+var restify = require('restify');
+var Rule = require('../../rule').Rule;
+var validate = require('restify-warden');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+var HISTORY_SCHEMA = {
+    strict: true,
+    required: {
+        uuid: validate.UUID
+    },
+    optional: {
+        limit: validate.limit,
+        marker: validate.offset,
+        owner_uuid: validate.UUID
+    }
+};
+
+var REVERT_SCHEMA = {
+    strict: true,
+    required: {
+        uuid: validate.UUID,
+        version: validateVersion
+    },
+    optional: {
+        owner_uuid: validate.UUID
+    }
+};
+
+var VERSION_RE = /^\d+\.\d+$/;
+
+
+// --- Internal
+
+function validateVersion(_, name, version, callback) {
+    if (typeof (version) !== 'string' || !VERSION_RE.test(version)) {
+        callback(mod_err.invalidParam(name, 'Invalid rule version'));
+        return;
+    }
+
+    callback(null, version);
+}
+
+
+/**
+ * Returns a Permission Denied error if the owner_uuid in the request params
+ * doesn't match the serialized rule: either because the rule has a
+ * different owner or because it's global.
+ */
+function checkOwner(params, rule) {
+    if (!hasKey(params, 'owner_uuid')) {
+        return null;
+    }
+
+    if (rule.global || rule.owner_uuid !== params.owner_uuid) {
+        return new mod_err.PermissionDeniedError('owner does not match', [
+            mod_err.invalidParam('owner_uuid', 'owner_uuid does not match') ]);
+    }
+
+    return null;
+}
+
+
+/**
+ * For rules that refer to ipsets or services: expands the rule being
+ * reverted to using their current contents, rather than their contents at
+ * the time
+ */
+function expandReverted(req, ruleParams, callback) {
+    if (hasKey(ruleParams, 'source_rule')) {
+        ruleParams.rule = ruleParams.source_rule;
+    }
+
+    common.expandRefs(req._app, req.log, ruleParams.owner_uuid, ruleParams,
+        function (err) {
+        callback(err ? common.createParamErr(err) : null);
+    });
+}
+
+
+/**
+ * Gets the current state of a rule, returning null if it has been deleted
+ */
+function getCurrentRule(req, callback) {
+    mod_persist.getRule(req._app, req.log, req.params.uuid,
+        function (err, rule) {
+        if (err) {
+            if (err.statusCode === 404) {
+                callback(null, null);
+                return;
+            }
+
+            callback(err);
+            return;
+        }
+
+        callback(null, rule);
+    });
+}
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * GET /rules/:uuid/history
+ */
+function getRuleHistory(req, res, next) {
+    validate.params(HISTORY_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        mod_persist.ruleHistory(req._app, req.log, params,
+            function (err, entries) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            // Past the oldest entry is an empty page, rather than a
+            // missing rule
+            if (entries.length === 0 && !hasKey(params, 'marker')) {
+                next(new restify.ResourceNotFoundError('Rule not found'));
+                return;
+            }
+
+            res.send(200, entries.map(function (entry) {
+                return entry.serialize();
+            }));
+            next();
+        });
+    });
+}
+
+
+/**
+ * POST /rules/:uuid/revert
+ */
+function revertRule(req, res, next) {
+    validate.params(REVERT_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        mod_persist.ruleVersion(req._app, req.log, {
+            uuid: params.uuid,
+            version: params.version
+        }, function (histErr, entry) {
+            if (histErr) {
+                next(histErr);
+                return;
+            }
+
+            if (entry === null) {
+                next(new mod_err.InvalidParamsError(mod_err.INVALID_MSG, [
+                    mod_err.invalidParam('version',
+                        'version not found in rule history') ]));
+                return;
+            }
+
+            var ruleParams = clone(entry.data.rule);
+            var ownerErr = checkOwner(params, ruleParams);
+            if (ownerErr) {
+                next(ownerErr);
+                return;
+            }
+
+            expandReverted(req, ruleParams, function (expErr) {
+                if (expErr) {
+                    next(expErr);
+                    return;
+                }
+
+                getCurrentRule(req, function (getErr, current) {
+                    if (getErr) {
+                        next(getErr);
+                        return;
+                    }
+
+                    if (current === null) {
+                        recreateRule(req, res, next, ruleParams);
+                        return;
+                    }
+
+                    ownerErr = checkOwner(params, current.serialize());
+                    if (ownerErr) {
+                        next(ownerErr);
+                        return;
+                    }
+
+                    revertExisting(req, res, next, ruleParams, current);
+                });
+            });
+        });
+    });
+}
+
+
+/**
+ * Reverting a rule that has been deleted: create it again with its old UUID
+ */
+function recreateRule(req, res, next, ruleParams) {
+    delete ruleParams.version;
+
+    mod_persist.createRule(req._app, req.log, ruleParams,
+        common.historyOpts(req), function (err, rule) {
+        if (err) {
+            next(common.createParamErr(err));
+            return;
+        }
+
+        sendRevert(req, res, next, 'fw.add_rule', rule, [ rule ]);
+    });
+}
+
+
+/**
+ * Reverting a rule that still exists: update it with the old rule's contents
+ */
+function revertExisting(req, res, next, ruleParams, current) {
+    var newRule;
+
+    try {
+        newRule = new Rule(ruleParams, req._app);
+    } catch (e) {
+        next(common.createParamErr(e));
+        return;
+    }
+
+    newRule.incrementVersion();
+
+    mod_persist.updateRule(req._app, req.log, newRule, current,
+        common.historyOpts(req), function (err, rule) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        sendRevert(req, res, next, 'fw.update_rule', rule,
+            [ current, rule ]);
+    });
+}
+
+
+/**
+ * Queues an update for the reverted rule, and sends it in the response.
+ * affected is the list of rules used to find the servers to update.
+ */
+function sendRevert(req, res, next, updateName, rule, affected) {
+    common.queueRuleUpdate(req, updateName, rule.serialize(), affected,
+        function (err, update) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.header('x-update-id', update.uuid);
+        common.setEtag(res, rule);
+        res.send(202, rule.serialize());
+        next();
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.get({ path: '/rules/:uuid/history', name: 'getRuleHistory' },
+        before, getRuleHistory);
+    server.post({ path: '/rules/:uuid/revert', name: 'revertRule' },
+        before, revertRule);
+}
+
+
+
+module.exports = {
+    register: register
+};
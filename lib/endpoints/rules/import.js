@@ -0,0 +1,178 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for importing a bundle of rules (see lib/bundle.js)
+ */
+
+'use strict';
+var common = require('../common');
+
+var mod_batch = require('./batch');
+var mod_bundle = require('../../bundle');
+var mod_err = require('../../errors');
+var validate = require('restify-warden');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+var IMPORT_SCHEMA = {
+    strict: true,
+    required: {
+        bundle: mod_bundle.validateBundle
+    },
+    optional: {
+        mode: validateMode,
+        owner_uuid: validate.UUID
+    }
+};
+
+/*
+ * What to do with rules in the bundle that have the same UUID as an
+ * existing rule:
+ * - fail: the import fails (the default)
+ * - overwrite: the existing rule is updated
+ * - skip: the rule in the bundle is left out
+ */
+var MODES = [ 'fail', 'overwrite', 'skip' ];
+
+
+// --- Internal
+
+function validateMode(_, name, mode, callback) {
+    if (MODES.indexOf(mode) === -1) {
+        callback(mod_err.invalidParam(name,
+            'must be one of: ' + MODES.join(', ')));
+        return;
+    }
+
+    callback(null, mode);
+}
+
+
+// --- Restify handlers
+
+
+
+/**
+ * POST /rules/import
+ *
+ * Rules in the bundle are all validated before any are written, so if any
+ * rule can't be imported, none are. They're then created or updated in
+ * batches of at most MAX_BATCH_SIZE rules (see batch.writeChunks()).
+ */
+function importRules(req, res, next) {
+    validate.params(IMPORT_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        var bRules = params.bundle.rules;
+        var mode = params.mode || 'fail';
+        var uuids = bRules.filter(function (bRule) {
+            return validate.isUUID(bRule.uuid);
+        }).map(function (bRule) {
+            return bRule.uuid;
+        });
+
+        mod_batch.getExisting(req, uuids, function (getErr, existing) {
+            if (getErr) {
+                next(getErr);
+                return;
+            }
+
+            var batchParams = {
+                create: [],
+                update: []
+            };
+            var locations = {
+                create: [],
+                update: []
+            };
+            var skipped = [];
+
+            if (hasKey(params, 'owner_uuid')) {
+                batchParams.owner_uuid = params.owner_uuid;
+            }
+
+            bRules.forEach(function (bRule, i) {
+                var op = 'create';
+
+                if (mode !== 'fail' && hasKey(existing, bRule.uuid) &&
+                    existing[bRule.uuid] !== null) {
+                    if (mode === 'skip') {
+                        skipped.push({
+                            operation: 'skip',
+                            uuid: bRule.uuid
+                        });
+                        return;
+                    }
+
+                    op = 'update';
+                }
+
+                batchParams[op].push(mod_bundle.ruleParams(bRule));
+                locations[op].push(i);
+            });
+
+            if (batchParams.create.length === 0 &&
+                batchParams.update.length === 0) {
+                res.send(200, skipped);
+                next();
+                return;
+            }
+
+            mod_batch.checkBatch(req, batchParams, existing,
+                function (err, ops) {
+                if (err) {
+                    next(mod_batch.relocateErr(err, 'bundle.rules',
+                        locations));
+                    return;
+                }
+
+                mod_batch.writeChunks(req, ops, function (wErr, results) {
+                    if (wErr) {
+                        next(wErr);
+                        return;
+                    }
+
+                    common.setUpdateID(res, results);
+                    res.send(202, results.concat(skipped));
+                    next();
+                });
+            });
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.post({ path: '/rules/import', name: 'importRules' }, before,
+        importRules);
+}
+
+
+
+module.exports = {
+    register: register
+};
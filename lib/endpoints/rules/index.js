@@ -16,8 +16,10 @@
 
 var clone = require('clone');
 var common = require('../common');
+var crypto = require('crypto');
 var mod_err = require('../../errors');
 var mod_persist = require('../../persist');
+var mod_rule = require('../../rule');
 var mod_const = require('../../util/constants');
 var restify = require('restify');
 var Rule = require('../../rule').Rule;
@@ -34,18 +36,29 @@ var LIST_SCHEMA = {
     optional: {
         fields: validate.fieldsArray(mod_const.PARSED_FIELDS),
         ip: validate.IParray,
+        limit: validate.limit,
+        marker: validate.UUID,
+        offset: validate.offset,
+        order: validateOrder,
         owner_uuid: validate.UUIDarray,
         protocol: validate.string,
+        sort: validateSort,
         subnet: validate.subnetArray,
         vm: validate.UUIDarray,
         enabled: validate.boolean,
         action: validateAction,
         global: validate.boolean,
+        ipset: validate.stringOrArray,
+        service: validate.stringOrArray,
         tag: validateTag,
         wildcard: validateArrayOfStrings
-    }
+    },
+    after: validateMarkerSort
 };
 
+// ListRules parameters that control paging, rather than filtering
+var PAGE_PARAMS = [ 'limit', 'marker', 'offset', 'order', 'sort' ];
+
 var DELETE_SCHEMA = {
     strict: true,
     required: {
@@ -68,6 +81,38 @@ function validateAction(_, name, act, callback) {
     callback(null, act);
 }
 
+function validateOrder(_, name, order, callback) {
+    if (typeof (order) !== 'string' ||
+        (order.toUpperCase() !== 'ASC' && order.toUpperCase() !== 'DESC')) {
+        callback(mod_err.invalidParam(name, mod_const.msg.ORDER));
+        return;
+    }
+
+    callback(null, order.toUpperCase());
+}
+
+function validateSort(_, name, sort, callback) {
+    if (mod_const.SORT_FIELDS.indexOf(sort) === -1) {
+        callback(mod_err.invalidParam(name, mod_const.msg.SORT));
+        return;
+    }
+
+    callback(null, sort);
+}
+
+/**
+ * Markers are rule UUIDs, so they only make sense when sorting by UUID.
+ */
+function validateMarkerSort(_, _raw, validated, callback) {
+    if (hasKey(validated, 'marker') && hasKey(validated, 'sort') &&
+        validated.sort !== 'uuid') {
+        callback(mod_err.invalidParam('marker', mod_const.msg.MARKER_SORT));
+        return;
+    }
+
+    callback();
+}
+
 function validateArrayOfStrings(_, name, arr, callback) {
     if (typeof (arr) !== 'string') {
         var i;
@@ -97,18 +142,80 @@ function validateTag(_, name, tag, callback) {
 
 
 /**
- * Turns a fwrule error into an InvalidParamsError
+ * Restify 'before' handler: validates the dry_run parameter, and moves it
+ * out of the request parameters into req._dryRun so that it doesn't get
+ * treated as a rule property
  */
-function createParamErr(err) {
-    if (!hasKey(err, 'ase_errors') && !hasKey(err, 'field')) {
-        return err;
+function checkDryRun(req, res, next) {
+    req._dryRun = false;
+    if (!hasKey(req.params, 'dry_run')) {
+        next();
+        return;
+    }
+
+    var dryRun = req.params.dry_run;
+    delete req.params.dry_run;
+
+    validate.boolean(null, 'dry_run', dryRun, function (err, validated) {
+        if (err) {
+            next(new mod_err.InvalidParamsError(mod_err.INVALID_MSG, [ err ]));
+            return;
+        }
+
+        req._dryRun = validated;
+        next();
+    });
+}
+
+
+/**
+ * For dry runs of creates and updates: returns the rule (including its
+ * parsed form) without saving it or sending an update to firewallers.
+ */
+function sendDryRun(res, next, rule) {
+    res.send(200, rule.serialize({ fields: mod_const.PARSED_FIELDS }));
+    next();
+}
+
+
+/**
+ * Restify 'before' handler: if the request has an If-Match header, make sure
+ * that it matches the etag of the rule being modified. Rules stored in UFDS
+ * don't have etags, so the header is ignored for them. Requires
+ * common.ruleBefore() to be run before to populate req._rule.
+ */
+function checkIfMatch(req, res, next) {
+    var ifMatch = req.headers['if-match'];
+    if (!ifMatch || !req._rule.etag) {
+        next();
+        return;
+    }
+
+    var matched = ifMatch.split(/\s*,\s*/).some(function (etag) {
+        etag = etag.replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+        return (etag === '*' || etag === req._rule.etag);
+    });
+
+    if (!matched) {
+        next(mod_err.etagConflictErr('Rule'));
+        return;
     }
 
-    var errs = hasKey(err, 'ase_errors') ? err.ase_errors : [ err ];
-    return new mod_err.InvalidParamsError(mod_err.INVALID_MSG,
-        errs.map(function (e) {
-            return mod_err.invalidParam(e.field, e.message);
-        }));
+    next();
+}
+
+
+/**
+ * Returns an ETag for a list of rules, derived from the Moray etags of each
+ * rule in the list.
+ */
+function listEtag(rules) {
+    var hash = crypto.createHash('md5');
+    rules.forEach(function (rule) {
+        hash.update(rule.uuid + ':' + rule.etag + ';');
+    });
+
+    return '"' + hash.digest('hex') + '"';
 }
 
 
@@ -153,13 +260,28 @@ function listRules(req, res, next) {
         if (validated.fields) {
             serializeOpts = { fields: validated.fields };
         }
-        mod_persist.findRules(req._app, req.log, req.params,
-            function (err, rules) {
+
+        var params = clone(req.params);
+        PAGE_PARAMS.forEach(function (p) {
+            delete params[p];
+            if (hasKey(validated, p)) {
+                params[p] = validated[p];
+            }
+        });
+
+        mod_persist.findRules(req._app, req.log, params,
+            function (err, rules, count) {
             if (err) {
                 next(err);
                 return;
             }
 
+            res.header('x-resource-count', count);
+
+            if (req._app.config.fwrule_version > 2) {
+                res.header('ETag', listEtag(rules));
+            }
+
             res.send(200, rules.map(function (rule) {
                 return rule.serialize(serializeOpts);
             }));
@@ -174,11 +296,34 @@ function listRules(req, res, next) {
  * GET /rules/:uuid
  */
 function getRule(req, res, next) {
+    common.setEtag(res, req._rule);
     res.send(200, req._rule.serialize());
     return next();
 }
 
 
+/**
+ * Restify 'before' handler: expands any ipset and service references in the
+ * rule text (see common.expandRefs()). For updates, the owner is the rule's
+ * new owner, if it's being changed.
+ */
+function expandRefs(req, res, next) {
+    var owner = req.params.owner_uuid;
+    if (req._rule && !hasKey(req.params, 'owner_uuid')) {
+        owner = req._rule.owner_uuid;
+    }
+
+    common.expandRefs(req._app, req.log, owner, req.params, function (err) {
+        if (err) {
+            next(common.createParamErr(err));
+            return;
+        }
+
+        next();
+    });
+}
+
+
 /**
  * POST /rules
  */
@@ -189,20 +334,38 @@ function createRule(req, res, next) {
         return;
     }
 
+    if (req._dryRun) {
+        var newRule;
+
+        // Don't allow through objectclass
+        delete req.params.objectclass;
+
+        try {
+            newRule = new Rule(req.params, req._app);
+        } catch (e) {
+            next(common.createParamErr(e));
+            return;
+        }
+
+        sendDryRun(res, next, newRule);
+        return;
+    }
+
     mod_persist.createRule(req._app, req.log, req.params,
-        function (err, rule) {
+        common.historyOpts(req), function (err, rule) {
         if (err) {
-            next(createParamErr(err));
+            next(common.createParamErr(err));
             return;
         }
 
-        req._update.queue('fw.add_rule', rule.serialize(),
-            function (err2, update) {
+        common.queueRuleUpdate(req, 'fw.add_rule', rule.serialize(),
+            [ rule ], function (err2, update) {
             if (err2) {
                 return next(err2);
             }
 
             res.header('x-update-id', update.uuid);
+            common.setEtag(res, rule);
             res.send(202, rule.serialize());
             return next();
         });
@@ -215,40 +378,34 @@ function createRule(req, res, next) {
  */
 function updateRule(req, res, next) {
     var newRule;
-    var updateParams = clone(req._rule.serialize());
-
-    for (var p in req.params) {
-        updateParams[p] = req.params[p];
-    }
-
-    // Don't allow updating the rule's UUID
-    updateParams.uuid = req._rule.uuid;
-    // Don't allow through objectclass
-    delete updateParams.objectclass;
 
     try {
-        newRule = new Rule(updateParams, req._app);
+        newRule = mod_rule.updated(req._app, req._rule, req.params);
     } catch (e) {
-        next(createParamErr(e));
+        next(common.createParamErr(e));
         return;
     }
 
-    newRule.incrementVersion();
+    if (req._dryRun) {
+        sendDryRun(res, next, newRule);
+        return;
+    }
 
     mod_persist.updateRule(req._app, req.log, newRule, req._rule,
-        function (err, rule) {
+        common.historyOpts(req), function (err, rule) {
         if (err) {
             next(err);
             return;
         }
 
-        req._update.queue('fw.update_rule', rule.serialize(),
-            function (err2, update) {
+        common.queueRuleUpdate(req, 'fw.update_rule', rule.serialize(),
+            [ req._rule, rule ], function (err2, update) {
             if (err2) {
                 return next(err2);
             }
 
             res.header('x-update-id', update.uuid);
+            common.setEtag(res, rule);
             res.send(202, rule.serialize());
             return next();
         });
@@ -267,15 +424,15 @@ function deleteRule(req, res, next) {
             return;
         }
 
-        var uuid = req.params.uuid;
-        mod_persist.deleteRule(req._app, req.log, uuid, function (err) {
+        mod_persist.deleteRule(req._app, req.log, req._rule,
+            common.historyOpts(req), function (err) {
             if (err) {
                 next(err);
                 return;
             }
 
-            req._update.queue('fw.del_rule', req._rule.serialize(),
-
+            common.queueRuleUpdate(req, 'fw.del_rule',
+                req._rule.serialize(), [ req._rule ],
                 function (err2, update) {
 
                 if (err2) {
@@ -305,13 +462,16 @@ function register(server, before) {
     var matchingOwner = before.concat(common.ruleBefore);
 
     server.get({ path: '/rules', name: 'listRules' }, before, listRules);
-    server.post({ path: '/rules', name: 'createRule' }, before, createRule);
+    server.post({ path: '/rules', name: 'createRule' },
+            before.concat(checkDryRun, expandRefs), createRule);
     server.put({ path: '/rules/:uuid', name: 'updateRule' },
-            matchingOwner.concat(disallowOwnerForGlobal), updateRule);
+            matchingOwner.concat(disallowOwnerForGlobal, checkIfMatch,
+            checkDryRun, expandRefs), updateRule);
     server.get({ path: '/rules/:uuid', name: 'getRule' },
             matchingOwner.concat(disallowOwnerForGlobal), getRule);
     server.del({ path: '/rules/:uuid', name: 'deleteRule' },
-            matchingOwner.concat(disallowOwnerForGlobal), deleteRule);
+            matchingOwner.concat(disallowOwnerForGlobal, checkIfMatch),
+            deleteRule);
 }
 
 
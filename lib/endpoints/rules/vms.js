@@ -15,8 +15,8 @@
 'use strict';
 
 var common = require('../common');
+var mod_routing = require('../../routing');
 var restify = require('restify');
-var util = require('util');
 
 
 
@@ -34,37 +34,7 @@ function getRuleVMs(req, res, next) {
         return;
     }
 
-    var filter = [];
-    if (!req._rule.allVMs) {
-        req._rule.vms.forEach(function (vm) {
-            filter.push('(uuid=' + vm + ')');
-        });
-
-        req._rule.tags.forEach(function (t) {
-            if (util.isArray(t)) {
-                filter.push('(tags=*' + t[0] + '=' + t[1] + '*)');
-            } else {
-                filter.push('(tags=*' + t + '=*)');
-            }
-        });
-
-        if (filter.length > 1) {
-            filter = ['(|'].concat(filter).concat(')');
-        }
-    }
-
-    // Always filter by owner_uuid
-    filter.unshift('(&');
-    filter.push('(owner_uuid=' + req.params.owner_uuid + '))');
-    // Don't get data for VMs in a state where they have no IPs: destroyed,
-    // failed, provisioning
-    filter.unshift('(&');
-    filter.push('(!(state=destroyed))');
-    filter.push('(!(state=failed))');
-    filter.push('(!(state=provisioning))');
-    filter.push(')');
-
-    var filterTxt = filter.join('');
+    var filterTxt = mod_routing.vmFilter(req.params.owner_uuid, [ req._rule ]);
     req.log.debug('listing VMs: %s', filterTxt);
 
     req._vmapi.listVms({ query: filterTxt }, {
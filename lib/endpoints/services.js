@@ -0,0 +1,96 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for services: named groups of ports and ICMP types that
+ * rules can refer to
+ */
+
+'use strict';
+
+var common = require('./common');
+var mod_named = require('./named');
+var mod_service = require('../service');
+var validate = require('restify-warden');
+
+
+// --- Globals
+
+var CREATE_SCHEMA = {
+    strict: true,
+    required: {
+        name: mod_service.validateName,
+        owner_uuid: validate.UUID,
+        protocols: mod_service.validateProtocols
+    },
+    optional: {
+        description: validate.string,
+        uuid: validate.UUID
+    }
+};
+
+var LIST_SCHEMA = {
+    strict: true,
+    optional: {
+        name: mod_service.validateName,
+        owner_uuid: validate.UUID
+    }
+};
+
+var UPDATE_SCHEMA = {
+    strict: true,
+    required: {
+        uuid: validate.UUID
+    },
+    optional: {
+        description: validate.string,
+        name: mod_service.validateName,
+        owner_uuid: validate.UUID,
+        protocols: mod_service.validateProtocols
+    }
+};
+
+var DELETE_SCHEMA = {
+    strict: true,
+    required: {
+        uuid: validate.UUID
+    },
+    optional: {
+        owner_uuid: validate.UUID
+    }
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    mod_named.register(server, before, {
+        kind: common.REF_KINDS.service,
+        schemas: {
+            create: CREATE_SCHEMA,
+            list: LIST_SCHEMA,
+            update: UPDATE_SCHEMA,
+            del: DELETE_SCHEMA
+        },
+        updatable: [ 'description', 'protocols' ]
+    });
+}
+
+
+
+module.exports = {
+    register: register
+};
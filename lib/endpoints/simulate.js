@@ -0,0 +1,277 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for simulating traffic against firewall rules
+ */
+
+'use strict';
+
+var mod_err = require('../errors');
+var mod_persist = require('../persist');
+var mod_simulate = require('../simulate');
+var mod_vasync = require('vasync');
+var net = require('net');
+var validate = require('restify-warden');
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+var PROTOCOLS = [ 'ah', 'esp', 'icmp', 'icmp6', 'tcp', 'udp' ];
+
+var SIMULATE_SCHEMA = {
+    strict: true,
+    required: {
+        destination: validate.UUID,
+        protocol: validateProtocol,
+        source: validateSource
+    },
+    optional: {
+        owner_uuid: validate.UUID,
+        port: validatePort,
+        type: validateType
+    },
+    after: validateTarget
+};
+
+
+
+// --- Internal helpers
+
+
+
+function validateSource(_, name, source, callback) {
+    if (validate.isUUID(source) || net.isIP(source) !== 0) {
+        callback(null, source);
+        return;
+    }
+
+    validate.subnet(null, name, source, function (err) {
+        if (err) {
+            callback(mod_err.invalidParam(name,
+                'must be a VM UUID, IP address or subnet'));
+            return;
+        }
+
+        callback(null, source);
+    });
+}
+
+
+function validateProtocol(_, name, protocol, callback) {
+    if (typeof (protocol) !== 'string' ||
+        PROTOCOLS.indexOf(protocol.toLowerCase()) === -1) {
+        callback(mod_err.invalidParam(name,
+            'must be one of: ' + PROTOCOLS.join(', ')));
+        return;
+    }
+
+    callback(null, protocol.toLowerCase());
+}
+
+
+function validatePort(_, name, port, callback) {
+    var num = Number(port);
+
+    if (!/^\d+$/.test(String(port)) || num < 1 || num > 65535) {
+        callback(mod_err.invalidParam(name,
+            'must be an integer between 1 and 65535'));
+        return;
+    }
+
+    callback(null, num);
+}
+
+
+function validateType(_, name, type, callback) {
+    var parts = String(type).split(':');
+
+    if (!/^\d+(:\d+)?$/.test(String(type)) || !parts.every(function (p) {
+        return (Number(p) <= 255);
+    })) {
+        callback(mod_err.invalidParam(name,
+            'must be an ICMP type, with optional code (eg: "8" or "8:0")'));
+        return;
+    }
+
+    callback(null, String(type));
+}
+
+
+/**
+ * Ensures that port is only given for tcp and udp, and type is only given
+ * for icmp and icmp6
+ */
+function validateTarget(_, _raw, params, callback) {
+    var needs = null;
+
+    switch (params.protocol) {
+    case 'tcp':
+    case 'udp':
+        needs = 'port';
+        break;
+    case 'icmp':
+    case 'icmp6':
+        needs = 'type';
+        break;
+    default:
+        break;
+    }
+
+    var errs = [ 'port', 'type' ].filter(function (field) {
+        return (hasKey(params, field) !== (field === needs));
+    }).map(function (field) {
+        return mod_err.invalidParam(field, field === needs ?
+            'required for protocol ' + params.protocol :
+            'not allowed for protocol ' + params.protocol);
+    });
+
+    callback(errs.length === 0 ? null : errs);
+}
+
+
+function getVm(req, params, uuid, callback) {
+    var getParams = { uuid: uuid };
+
+    if (hasKey(params, 'owner_uuid')) {
+        getParams.owner_uuid = params.owner_uuid;
+    }
+
+    req._vmapi.getVm(getParams, {
+        headers: {'request-id': req.getId()}
+    }, callback);
+}
+
+
+/**
+ * Gets the rules that apply to a VM, if it has its firewall enabled
+ */
+function getRules(req, vm, callback) {
+    if (!vm.firewall_enabled) {
+        callback(null, []);
+        return;
+    }
+
+    mod_persist.vmRules(req._app, req.log, {
+        owner_uuid: vm.owner_uuid,
+        tags: vm.tags,
+        vms: [ vm.uuid ]
+    }, callback);
+}
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * POST /simulate
+ */
+function simulateTraffic(req, res, next) {
+    validate.params(SIMULATE_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        var ctx = {};
+
+        mod_vasync.pipeline({
+            arg: ctx,
+            funcs: [
+                function _getDestination(_, cb) {
+                    getVm(req, params, params.destination,
+                        function (err, vm) {
+                        ctx.destination = vm;
+                        cb(err);
+                    });
+                },
+
+                function _getSource(_, cb) {
+                    if (!validate.isUUID(params.source)) {
+                        cb();
+                        return;
+                    }
+
+                    getVm(req, params, params.source, function (err, vm) {
+                        ctx.source = vm;
+                        cb(err);
+                    });
+                },
+
+                function _getInbound(_, cb) {
+                    getRules(req, ctx.destination, function (err, rules) {
+                        ctx.inbound = rules;
+                        cb(err);
+                    });
+                },
+
+                function _getOutbound(_, cb) {
+                    if (!ctx.source) {
+                        cb();
+                        return;
+                    }
+
+                    getRules(req, ctx.source, function (err, rules) {
+                        ctx.outbound = rules;
+                        cb(err);
+                    });
+                }
+            ]
+        }, function (err) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            var result = mod_simulate.simulate({
+                source: ctx.source ? mod_simulate.vmEndpoint(ctx.source) :
+                    mod_simulate.addrEndpoint(params.source),
+                destination: mod_simulate.vmEndpoint(ctx.destination),
+                protocol: params.protocol,
+                port: params.port,
+                type: params.type,
+                inbound: ctx.inbound,
+                outbound: ctx.outbound
+            });
+
+            res.send(200, {
+                verdict: result.verdict,
+                direction: result.direction,
+                rule: result.rule ? result.rule.serialize() : null
+            });
+            next();
+        });
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    server.post({ path: '/simulate', name: 'simulateTraffic' }, before,
+        simulateTraffic);
+}
+
+
+
+module.exports = {
+    register: register
+};
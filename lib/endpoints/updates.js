@@ -78,7 +78,20 @@ function createUpdate(req, res, next) {
             return;
         }
 
-        req._update.queue(req.params.type, req.params, function (err2, res2) {
+        var opts = {};
+
+        /*
+         * A sync is only needed by the server it's for. VM updates are still
+         * sent to all servers, since rules on other servers may refer to the
+         * VM.
+         */
+        if (req._app.config.updateRouting && req.params.type === 'sync' &&
+            req.params.server_uuid) {
+            opts.servers = [ req.params.server_uuid ];
+        }
+
+        req._update.queue(req.params.type, req.params, opts,
+            function (err2, res2) {
             if (err2) {
                 next(err2);
                 return;
@@ -0,0 +1,231 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Restify handlers for webhooks: URLs that are called when rules are
+ * changed
+ */
+
+'use strict';
+
+var mod_err = require('../errors');
+var mod_persist = require('../persist');
+var mod_webhook = require('../webhook');
+var validate = require('restify-warden');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+var CREATE_SCHEMA = {
+    strict: true,
+    required: {
+        url: mod_webhook.validateURL
+    },
+    optional: {
+        description: validate.string,
+        events: mod_webhook.validateEvents,
+        owner_uuid: validate.UUID,
+        secret: validate.string,
+        uuid: validate.UUID
+    }
+};
+
+var LIST_SCHEMA = {
+    strict: true,
+    optional: {
+        owner_uuid: validate.UUID
+    }
+};
+
+var WEBHOOK_SCHEMA = {
+    strict: true,
+    required: {
+        uuid: validate.UUID
+    },
+    optional: {
+        owner_uuid: validate.UUID
+    }
+};
+
+
+
+// --- Restify handlers
+
+
+
+/**
+ * Restify 'before' handler:
+ * * gets an existing webhook and stores it in req._webhook
+ * * makes sure the user is allowed to access it by checking owner_uuid
+ */
+function webhookBefore(req, res, next) {
+    validate.params(WEBHOOK_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        mod_persist.getWebhook(req._app, req.log, params.uuid,
+            function (err, webhook) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            if (hasKey(params, 'owner_uuid') &&
+                params.owner_uuid !== webhook.owner_uuid) {
+                next(new mod_err.PermissionDeniedError(
+                    'owner does not match', [
+                    mod_err.invalidParam('owner_uuid',
+                        'owner_uuid does not match') ]));
+                return;
+            }
+
+            req._webhook = webhook;
+            next();
+        });
+    });
+}
+
+
+/**
+ * GET /webhooks
+ */
+function listWebhooks(req, res, next) {
+    validate.params(LIST_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        mod_persist.listWebhooks(req._app, req.log, params,
+            function (err, webhooks) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.send(200, webhooks.map(function (webhook) {
+                return webhook.serialize();
+            }));
+            next();
+        });
+    });
+}
+
+
+/**
+ * POST /webhooks
+ *
+ * The webhook's secret (generated if not given) is only returned here.
+ */
+function createWebhook(req, res, next) {
+    validate.params(CREATE_SCHEMA, null, req.params,
+        function (valErr, params) {
+        if (valErr) {
+            next(valErr);
+            return;
+        }
+
+        mod_persist.createWebhook(req._app, req.log,
+            mod_webhook.create(params, req._app), function (err, webhook) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.send(200, webhook.serialize({ secret: true }));
+            next();
+        });
+    });
+}
+
+
+/**
+ * GET /webhooks/:uuid
+ */
+function getWebhook(req, res, next) {
+    res.send(200, req._webhook.serialize());
+    next();
+}
+
+
+/**
+ * DELETE /webhooks/:uuid
+ *
+ * Pending deliveries for the webhook are failed when they're next retried.
+ */
+function deleteWebhook(req, res, next) {
+    mod_persist.deleteWebhook(req._app, req.log, req._webhook,
+        function (err) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(204);
+        next();
+    });
+}
+
+
+/**
+ * GET /webhooks/:uuid/deliveries
+ */
+function listDeliveries(req, res, next) {
+    mod_persist.listDeliveries(req._app, req.log, {
+        webhook_uuid: req._webhook.uuid
+    }, function (err, deliveries) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, deliveries.map(function (delivery) {
+            return delivery.serialize();
+        }));
+        next();
+    });
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Registers endpoints with a restify server
+ */
+function register(server, before) {
+    var existing = before.concat(webhookBefore);
+
+    server.get({ path: '/webhooks', name: 'listWebhooks' }, before,
+        listWebhooks);
+    server.post({ path: '/webhooks', name: 'createWebhook' }, before,
+        createWebhook);
+    server.get({ path: '/webhooks/:uuid', name: 'getWebhook' }, existing,
+        getWebhook);
+    server.del({ path: '/webhooks/:uuid', name: 'deleteWebhook' }, existing,
+        deleteWebhook);
+    server.get({ path: '/webhooks/:uuid/deliveries',
+        name: 'listDeliveries' }, existing, listDeliveries);
+}
+
+
+
+module.exports = {
+    register: register
+};
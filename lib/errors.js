@@ -106,6 +106,54 @@ function PermissionDeniedError(message, errors) {
 util.inherits(PermissionDeniedError, restify.RestError);
 
 
+/**
+ * Base class for failed preconditions (eg: a non-matching If-Match header)
+ */
+function PreconditionFailedError(message, errors) {
+    assert.string(message, 'message');
+    assert.arrayOfObject(errors, 'errors');
+
+    restify.RestError.call(this, {
+            restCode: 'PreconditionFailed',
+            statusCode: 412,
+            message: message,
+            body: {
+                code: 'PreconditionFailed',
+                message: message,
+                errors: errors
+            }
+    });
+
+    this.name = 'PreconditionFailedError';
+}
+
+util.inherits(PreconditionFailedError, restify.RestError);
+
+
+/**
+ * Base class for quota exceeded errors
+ */
+function QuotaExceededError(message, errors) {
+    assert.string(message, 'message');
+    assert.arrayOfObject(errors, 'errors');
+
+    restify.RestError.call(this, {
+            restCode: 'QuotaExceeded',
+            statusCode: 403,
+            message: message,
+            body: {
+                code: 'QuotaExceeded',
+                message: message,
+                errors: errors
+            }
+    });
+
+    this.name = 'QuotaExceededError';
+}
+
+util.inherits(QuotaExceededError, restify.RestError);
+
+
 
 // --- Functions for building elements in a response's errors array
 
@@ -178,6 +226,36 @@ function createExistsErr(name, field) {
 }
 
 
+/**
+ * Returns a "precondition failed" error for an out-of-date etag
+ */
+function etagConflictErr(name) {
+    return new PreconditionFailedError(
+        util.format('%s has been modified', name.toLowerCase()),
+        [ {
+            field: 'etag',
+            code: 'EtagConflict',
+            message: 'etag does not match'
+        } ]);
+}
+
+
+/**
+ * Returns a "quota exceeded" error for an owner that would have more than
+ * limit rules
+ */
+function quotaExceededErr(owner, limit) {
+    return new QuotaExceededError(
+        util.format('owner would have more than %d rules', limit),
+        [ {
+            field: 'owner_uuid',
+            code: 'QuotaExceeded',
+            message: util.format('owner %s is limited to %d rules',
+                owner, limit)
+        } ]);
+}
+
+
 /**
  * Returns an "invalid parameter" error
  */
@@ -192,11 +270,15 @@ module.exports = {
     ExistsError: ExistsError,
     createExistsErr: createExistsErr,
     duplicateParam: duplicateParam,
+    etagConflictErr: etagConflictErr,
     INVALID_MSG: INVALID_MSG,
     invalidParam: invalidParam,
     invalidParamErr: invalidParamErr,
     invalidParamSubErr: invalidParamSubErr,
     InvalidParamsError: InvalidParamsError,
     missingParam: missingParam,
-    PermissionDeniedError: PermissionDeniedError
+    PermissionDeniedError: PermissionDeniedError,
+    PreconditionFailedError: PreconditionFailedError,
+    QuotaExceededError: QuotaExceededError,
+    quotaExceededErr: quotaExceededErr
 };
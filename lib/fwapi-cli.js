@@ -21,6 +21,7 @@ var cli = require('./cli');
 var cmdln = require('cmdln');
 var fs = require('fs');
 var FWAPI = require('sdc-clients').FWAPI;
+var mod_bundle = require('./bundle');
 var path = require('path');
 var util = require('util');
 var VMAPI = require('sdc-clients').VMAPI;
@@ -38,6 +39,11 @@ var OPTS = {
         type: 'bool',
         help: 'Ping all connected agents'
     },
+    bundle_format: {
+        names: ['format', 'F'],
+        type: 'string',
+        help: 'Output format: json (default) or yaml'
+    },
     description: {
         names: ['description', 'desc'],
         type: 'string',
@@ -48,6 +54,11 @@ var OPTS = {
         type: 'bool',
         help: 'Enable the rule'
     },
+    format: {
+        names: ['format', 'F'],
+        type: 'string',
+        help: 'Input format: ipf or iptables (iptables-save output)'
+    },
     file: {
         names: ['file', 'f'],
         type: 'string',
@@ -58,10 +69,21 @@ var OPTS = {
         type: 'bool',
         help: 'Global rule'
     },
+    mode: {
+        names: ['mode', 'm'],
+        type: 'string',
+        help: 'What to do with rules that already exist: fail (default), ' +
+            'overwrite or skip'
+    },
     owner_uuid: {
         names: ['owner_uuid', 'O'],
         type: 'string',
         help: 'Owner UUID'
+    },
+    vm: {
+        names: ['vm', 'V'],
+        type: 'string',
+        help: 'UUID of the VM that the input is for (default: all VMs)'
     }
 };
 var VERBOSE = false;
@@ -238,6 +260,150 @@ FwapiCLI.prototype.do_update.options = [
 ];
 
 
+/**
+ * Exports firewall rules as a JSON or YAML bundle
+ */
+FwapiCLI.prototype.do_export = function (subcmd, opts, args, callback) {
+    var format = opts.format || 'json';
+    var query = getKeyValParams(args);
+
+    if (mod_bundle.FORMATS.indexOf(format) === -1) {
+        return callback(new Error('Error: format must be one of: ' +
+            mod_bundle.FORMATS.join(', ')));
+    }
+
+    if (opts.global) {
+        query.global = true;
+    }
+
+    if (opts.owner_uuid) {
+        query.owner_uuid = opts.owner_uuid;
+    }
+
+    return this.fwapi.get({ path: '/rules/export', query: query },
+        function (err, bundle, req, res) {
+        if (err) {
+            return cli.exitWithErr(err, opts);
+        }
+
+        if (VERBOSE) {
+            console.log('Status code: %d', res.statusCode);
+        }
+
+        return process.stdout.write(mod_bundle.stringify(bundle, format));
+    });
+};
+
+FwapiCLI.prototype.do_export.help =
+    'Export rules as a JSON or YAML bundle (an owner\'s rules, global ' +
+    'rules, or all).';
+FwapiCLI.prototype.do_export.options = [
+    OPTS.bundle_format,
+    OPTS.global,
+    OPTS.owner_uuid
+];
+
+
+/**
+ * Imports a bundle of firewall rules (as JSON or YAML), as output by the
+ * export subcommand
+ */
+FwapiCLI.prototype.do_import = function (subcmd, opts, args, callback) {
+    var self = this;
+    var file = opts.file || args[0] || '-';
+
+    if (file === '-') {
+        file = '/dev/stdin';
+    }
+
+    return fs.readFile(file, 'utf8', function (err, input) {
+        var bundle;
+
+        if (err) {
+            return callback(err);
+        }
+
+        try {
+            bundle = mod_bundle.parse(input);
+        } catch (parseErr) {
+            return callback(new Error('Error: invalid bundle: ' +
+                parseErr.message));
+        }
+
+        var payload = {
+            bundle: bundle
+        };
+
+        ['mode', 'owner_uuid'].forEach(function (p) {
+            if (opts[p]) {
+                payload[p] = opts[p];
+            }
+        });
+
+        return self.fwapi.post('/rules/import', payload,
+            standardHandler.bind(null, opts));
+    });
+};
+
+FwapiCLI.prototype.do_import.help =
+    'Import a JSON or YAML bundle of rules from a file (or stdin).';
+FwapiCLI.prototype.do_import.options = [
+    OPTS.file,
+    OPTS.mode,
+    OPTS.owner_uuid
+];
+
+
+/**
+ * Converts host firewall configuration into rules
+ */
+FwapiCLI.prototype.do_convert = function (subcmd, opts, args, callback) {
+    var self = this;
+    var file = opts.file || args[0] || '-';
+
+    if (!opts.format) {
+        return callback(new Error('Error: must supply format!'));
+    }
+
+    if (!opts.owner_uuid) {
+        return callback(new Error('Error: must supply owner UUID!'));
+    }
+
+    if (file === '-') {
+        file = '/dev/stdin';
+    }
+
+    return fs.readFile(file, 'utf8', function (err, input) {
+        if (err) {
+            return callback(err);
+        }
+
+        var payload = {
+            format: opts.format,
+            input: input,
+            owner_uuid: opts.owner_uuid
+        };
+
+        if (opts.vm) {
+            payload.vm = opts.vm;
+        }
+
+        return self.fwapi.post('/rules/convert', payload,
+            standardHandler.bind(null, opts));
+    });
+};
+
+FwapiCLI.prototype.do_convert.help =
+    'Convert iptables-save output or ipf.conf from a file (or stdin) ' +
+    'into rules.';
+FwapiCLI.prototype.do_convert.options = [
+    OPTS.file,
+    OPTS.format,
+    OPTS.owner_uuid,
+    OPTS.vm
+];
+
+
 /**
  * Enables or disables a firewall depending on subcmd
  */
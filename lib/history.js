@@ -0,0 +1,208 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Firewall rule history model: every create, update and delete of a rule
+ * records the state of the rule after the change (or, for deletes, the state
+ * of the rule when it was deleted) in the history bucket.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_uuid = require('uuid');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+
+/*
+ * We assign a version number to objects so that older versions can be found
+ * and upgraded in the future.
+ *
+ * 1 - Initial version.
+ */
+var HISTORY_RAW_VERSION = 1;
+
+var CHANGES = [ 'create', 'update', 'delete' ];
+
+var BUCKET = {
+    desc: 'fwrule history',
+    name: 'fwapi_rule_history',
+    constructor: HistoryEntry,
+    version: HISTORY_RAW_VERSION,
+    schema: {
+        index: {
+            uuid: { type: 'string', unique: true },
+            rule_uuid: { type: 'string' },
+            owner: { type: 'string' },
+            change: { type: 'string' },
+            time: { type: 'number' },
+            version: { type: 'string' },
+            _v: { type: 'number' }
+        }
+    },
+    morayVersion: 1
+};
+
+
+
+// --- HistoryEntry object
+
+
+
+/**
+ * HistoryEntry constructor
+ *
+ * @param record {Object}: the raw record from Moray
+ */
+function HistoryEntry(record, app) {
+    assert.object(record, 'record');
+    assert.uuid(record.key, 'record.key');
+    assert.object(record.value, 'record.value');
+    assert.uuid(record.value.rule_uuid, 'record.value.rule_uuid');
+    assert.ok(CHANGES.indexOf(record.value.change) !== -1,
+        'record.value.change');
+    assert.number(record.value.time, 'record.value.time');
+    assert.string(record.value.version, 'record.value.version');
+    assert.object(record.value.rule, 'record.value.rule');
+    assert.optionalString(record.value.changed_by,
+        'record.value.changed_by');
+    assert.optionalString(record.value.req_id, 'record.value.req_id');
+    assert.optionalNumber(record._id, 'record._id');
+
+    this.uuid = record.key;
+    this.data = record.value;
+    this.etag = record._etag || null;
+    // Moray's _id, which increases with each entry written (and so with
+    // each change to a rule). Entries that haven't been written yet don't
+    // have one.
+    this.seq = record._id || null;
+    this.app = app;
+
+    Object.seal(this);
+}
+
+
+HistoryEntry.prototype.rawMoray = function () {
+    var raw = {
+        uuid: this.uuid,
+        rule_uuid: this.data.rule_uuid,
+        change: this.data.change,
+        time: this.data.time,
+        version: this.data.version,
+        rule: this.data.rule,
+        _v: HISTORY_RAW_VERSION
+    };
+
+    ['changed_by', 'owner', 'req_id'].forEach(function (k) {
+        if (hasKey(this.data, k)) {
+            raw[k] = this.data[k];
+        }
+    }, this);
+
+    return raw;
+};
+
+
+HistoryEntry.prototype.batch = function () {
+    var raw = this.rawMoray();
+    return {
+        bucket: BUCKET.name,
+        key: raw.uuid,
+        operation: 'put',
+        value: raw,
+        options: {
+            etag: this.etag
+        }
+    };
+};
+
+
+/**
+ * Return the serialized (API-facing) representation of this entry
+ */
+HistoryEntry.prototype.serialize = function () {
+    var ser = {
+        uuid: this.uuid,
+        rule_uuid: this.data.rule_uuid,
+        change: this.data.change,
+        time: new Date(this.data.time).toISOString(),
+        version: this.data.version,
+        rule: this.data.rule
+    };
+
+    if (hasKey(this.data, 'changed_by')) {
+        ser.changed_by = this.data.changed_by;
+    }
+
+    if (hasKey(this.data, 'req_id')) {
+        ser.req_id = this.data.req_id;
+    }
+
+    if (this.seq !== null) {
+        ser.seq = this.seq;
+    }
+
+    return ser;
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a new history entry for a change to a rule
+ *
+ * @param rule {Rule}: the rule after the change (or before, for deletes)
+ * @param change {String}: one of 'create', 'update' or 'delete'
+ * @param opts {Object}:
+ * - `changed_by` {String} (optional): who made the change
+ * - `req_id` {String} (optional): ID of the request that made the change
+ */
+function createEntry(rule, change, opts) {
+    var value = {
+        rule_uuid: rule.uuid,
+        change: change,
+        time: Date.now(),
+        version: rule.version,
+        rule: rule.serialize()
+    };
+
+    if (rule.owner_uuid) {
+        value.owner = rule.owner_uuid;
+    }
+
+    if (opts && opts.changed_by) {
+        value.changed_by = opts.changed_by;
+    }
+
+    if (opts && opts.req_id) {
+        value.req_id = opts.req_id;
+    }
+
+    return new HistoryEntry({
+        key: mod_uuid.v4(),
+        value: value
+    }, rule.app);
+}
+
+
+module.exports = {
+    BUCKET: BUCKET,
+    CHANGES: CHANGES,
+    createEntry: createEntry,
+    HistoryEntry: HistoryEntry
+};
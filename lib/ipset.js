@@ -0,0 +1,292 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * IP set model: a named list of IPs and subnets belonging to an owner,
+ * which that owner's rules can refer to by name, eg:
+ *
+ *     FROM ipset "office" TO all vms ALLOW tcp PORT 22
+ *
+ * Rules are stored with their ipset references expanded into the IPs and
+ * subnets in each set, so that firewallers (and finding rules by IP) treat
+ * them like any other rule. The text with the references is kept in the
+ * rule's "source_rule" property, so that the rule can be expanded again when
+ * one of its sets changes.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_err = require('./errors');
+var mod_fwrule = require('fwrule');
+var mod_uuid = require('uuid');
+var net = require('net');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+
+/*
+ * We assign a version number to objects so that older versions can be found
+ * and upgraded in the future.
+ *
+ * 1 - Initial version.
+ */
+var IPSET_RAW_VERSION = 1;
+
+var BUCKET = {
+    desc: 'fwapi ipsets',
+    name: 'fwapi_ipsets',
+    constructor: IPSet,
+    version: IPSET_RAW_VERSION,
+    schema: {
+        index: {
+            uuid: { type: 'string', unique: true },
+            owner: { type: 'string' },
+            name: { type: 'string' },
+            // Names are unique per owner
+            owner_name: { type: 'string', unique: true },
+            _v: { type: 'number' }
+        }
+    },
+    morayVersion: 1
+};
+
+var NAME_RE = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{0,63}$/;
+
+/*
+ * Matches either a quoted string (so that "ipset" inside tag names and
+ * values is left alone), or an ipset reference, with the name either quoted
+ * or bare
+ */
+/* JSSTYLED */
+var REF_RE = /"(?:[^"\\]|\\.)*"|\bipset\s+(?:"([^"]*)"|([^\s()"]+))/gi;
+
+/*
+ * References are replaced with tags with this prefix before parsing, since
+ * the rule grammar has no ipset target
+ */
+var PLACEHOLDER = '__fwapi_ipset:';
+
+
+
+// --- Internal helpers
+
+
+
+/**
+ * Calls fn with the name of each ipset reference in text, returning the
+ * text with each reference replaced by fn's return value
+ */
+function replaceRefs(text, fn) {
+    return text.replace(REF_RE, function (match, quoted, bare) {
+        if (match[0] === '"') {
+            return match;
+        }
+
+        return fn(quoted !== undefined ? quoted : bare);
+    });
+}
+
+
+
+// --- IPSet object
+
+
+
+/**
+ * IPSet constructor
+ *
+ * @param record {Object}: the raw record from Moray
+ */
+function IPSet(record, app) {
+    assert.object(record, 'record');
+    assert.uuid(record.key, 'record.key');
+    assert.object(record.value, 'record.value');
+    assert.uuid(record.value.owner, 'record.value.owner');
+    assert.string(record.value.name, 'record.value.name');
+    assert.arrayOfString(record.value.ips, 'record.value.ips');
+    assert.optionalString(record.value.description,
+        'record.value.description');
+
+    this.uuid = record.key;
+    this.owner_uuid = record.value.owner;
+    this.name = record.value.name;
+    this.ips = record.value.ips;
+    if (hasKey(record.value, 'description')) {
+        this.description = record.value.description;
+    }
+
+    this.etag = record._etag || null;
+    this.app = app;
+}
+
+
+IPSet.prototype.rawMoray = function () {
+    var raw = {
+        uuid: this.uuid,
+        owner: this.owner_uuid,
+        name: this.name,
+        owner_name: this.owner_uuid + '/' + this.name,
+        ips: this.ips,
+        _v: IPSET_RAW_VERSION
+    };
+
+    if (hasKey(this, 'description')) {
+        raw.description = this.description;
+    }
+
+    return raw;
+};
+
+
+IPSet.prototype.batch = function () {
+    var raw = this.rawMoray();
+    return {
+        bucket: BUCKET.name,
+        key: raw.uuid,
+        operation: 'put',
+        value: raw,
+        options: {
+            etag: this.etag
+        }
+    };
+};
+
+
+/**
+ * Return the serialized (API-facing) representation of this ipset
+ */
+IPSet.prototype.serialize = function () {
+    var ser = {
+        uuid: this.uuid,
+        owner_uuid: this.owner_uuid,
+        name: this.name,
+        ips: this.ips
+    };
+
+    if (hasKey(this, 'description')) {
+        ser.description = this.description;
+    }
+
+    return ser;
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a new ipset from validated API parameters
+ */
+function createIPSet(params, app) {
+    var value = {
+        owner: params.owner_uuid,
+        name: params.name,
+        ips: params.ips
+    };
+
+    if (hasKey(params, 'description')) {
+        value.description = params.description;
+    }
+
+    return new IPSet({
+        key: params.uuid || mod_uuid.v4(),
+        value: value
+    }, app);
+}
+
+
+/**
+ * Returns the sorted names of the ipsets referred to in rule text
+ */
+function references(text) {
+    var names = {};
+
+    replaceRefs(text, function (name) {
+        names[name] = true;
+        return '';
+    });
+
+    return Object.keys(names).sort();
+}
+
+
+/**
+ * Returns the rule text with each ipset reference replaced by the IPs and
+ * subnets in that set. sets is an object mapping names to IPSet objects,
+ * and must have all of the sets referred to in the text.
+ *
+ * @param opts {Object}: options for parsing the rule, as for fwrule.parse()
+ * @throws {InvalidParamError} (from fwrule) if the rule can't be parsed
+ */
+function expand(text, sets, opts) {
+    var parsed = mod_fwrule.parse(replaceRefs(text, function (name) {
+        return 'tag "' + PLACEHOLDER + name + '"';
+    }), opts);
+
+    mod_fwrule.DIRECTIONS.forEach(function (dir) {
+        parsed[dir] = parsed[dir].reduce(function (acc, target) {
+            if (target[0] !== 'tag' || typeof (target[1]) !== 'string' ||
+                target[1].indexOf(PLACEHOLDER) !== 0) {
+                acc.push(target);
+                return acc;
+            }
+
+            var name = target[1].substr(PLACEHOLDER.length);
+            assert.object(sets[name], 'sets[' + name + ']');
+            sets[name].ips.forEach(function (addr) {
+                acc.push([ net.isIP(addr) ? 'ip' : 'subnet', addr ]);
+            });
+
+            return acc;
+        }, []);
+    });
+
+    return new mod_fwrule.FwRule({ parsed: parsed }).text();
+}
+
+
+/**
+ * Returns true if name is a valid ipset name
+ */
+function validName(name) {
+    return (typeof (name) === 'string' && NAME_RE.test(name));
+}
+
+
+/**
+ * restify-warden validator for ipset names
+ */
+function validateName(_, name, val, callback) {
+    if (!validName(val)) {
+        callback(mod_err.invalidParam(name, 'must be 1 to 64 letters, ' +
+            'numbers, "_", "-" or ".", starting with a letter or number'));
+        return;
+    }
+
+    callback(null, val);
+}
+
+
+module.exports = {
+    BUCKET: BUCKET,
+    create: createIPSet,
+    expand: expand,
+    IPSet: IPSet,
+    references: references,
+    validateName: validateName,
+    validName: validName
+};
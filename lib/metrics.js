@@ -0,0 +1,293 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Metrics for the /metrics endpoint, in the Prometheus text exposition
+ * format (version 0.0.4). Request counts, latencies and migration progress
+ * are collected as they happen; everything else is read from the app's
+ * clients when the metrics are rendered.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var hasKey = require('jsprim').hasKey;
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+// Upper bounds (in seconds) of the request latency histogram buckets
+var LATENCY_BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5,
+    5, 10 ];
+
+// Route label for requests that didn't match a route
+var NO_ROUTE = 'none';
+
+var CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+
+
+// --- Internal helpers
+
+
+
+function escapeLabel(val) {
+    return String(val).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+
+/**
+ * Returns a sample line, eg: 'name{a="1",b="2"} 3'
+ */
+function sample(name, labels, value) {
+    var keys = Object.keys(labels || {}).sort();
+    var str = name;
+
+    if (keys.length !== 0) {
+        str += '{' + keys.map(function (k) {
+            return util.format('%s="%s"', k, escapeLabel(labels[k]));
+        }).join(',') + '}';
+    }
+
+    return str + ' ' + String(value);
+}
+
+
+/**
+ * Returns the HELP and TYPE lines for a metric, followed by its samples
+ */
+function metric(name, type, help, samples) {
+    return [
+        util.format('# HELP %s %s', name, help),
+        util.format('# TYPE %s %s', name, type)
+    ].concat(samples);
+}
+
+
+/**
+ * Returns a metric with a single unlabeled sample
+ */
+function single(name, type, help, value) {
+    return metric(name, type, help, [ sample(name, null, value) ]);
+}
+
+
+function bool(val) {
+    return val ? 1 : 0;
+}
+
+
+function seconds(ms) {
+    return ms / 1000;
+}
+
+
+
+// --- Metrics object
+
+
+
+/**
+ * Metrics constructor
+ *
+ * @param opts {Object}:
+ * - `app` {FWAPI}: with `moray`, `ufds` and `updater` clients
+ * - `log` {Bunyan logger}
+ */
+function Metrics(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.log, 'opts.log');
+
+    this.app = opts.app;
+    this.log = opts.log.child({ component: 'metrics' });
+
+    // Request counts, keyed by route, method and status code
+    this.requests = {};
+    // Request latency histograms, keyed by route
+    this.latencies = {};
+    // Records migrated, keyed by bucket and source
+    this.migrated = {};
+    // True once buckets have been initialized and rules migrated from UFDS
+    // (by this instance or another)
+    this.migrationComplete = false;
+}
+
+
+/**
+ * Records a completed request: call from the restify server's "after"
+ * event.
+ */
+Metrics.prototype.request = function observeRequest(req, res, route) {
+    var name = route ? route.name : NO_ROUTE;
+    var elapsed = seconds(Date.now() - req.time());
+    var key = [ name, req.method, res.statusCode ].join(' ');
+
+    if (!hasKey(this.requests, key)) {
+        this.requests[key] = {
+            labels: {
+                code: res.statusCode,
+                method: req.method,
+                route: name
+            },
+            value: 0
+        };
+    }
+
+    this.requests[key].value++;
+
+    if (!hasKey(this.latencies, name)) {
+        this.latencies[name] = {
+            buckets: LATENCY_BUCKETS.map(function () { return 0; }),
+            count: 0,
+            sum: 0
+        };
+    }
+
+    var hist = this.latencies[name];
+
+    LATENCY_BUCKETS.forEach(function (le, i) {
+        if (elapsed <= le) {
+            hist.buckets[i]++;
+        }
+    });
+
+    hist.count++;
+    hist.sum += elapsed;
+};
+
+
+/**
+ * Records records migrated into a bucket
+ *
+ * @param bucket {String}: name of the bucket
+ * @param source {String}: "ufds" for rules migrated from UFDS, or
+ *   "upgrade" for records upgraded to a newer version
+ * @param count {Number}
+ */
+Metrics.prototype.migrate = function migrate(bucket, source, count) {
+    var key = bucket + ' ' + source;
+
+    if (!hasKey(this.migrated, key)) {
+        this.migrated[key] = {
+            labels: {
+                bucket: bucket,
+                source: source
+            },
+            value: 0
+        };
+    }
+
+    this.migrated[key].value += count;
+};
+
+
+/**
+ * Returns the metrics in the Prometheus text format
+ */
+Metrics.prototype.render = function render() {
+    var self = this;
+    var app = self.app;
+    var updater = app.updater;
+    var lines;
+    var poll = updater.lastPoll;
+
+    function counters(name, obj) {
+        return Object.keys(obj).sort().map(function (k) {
+            return sample(name, obj[k].labels, obj[k].value);
+        });
+    }
+
+    lines = metric('fwapi_http_requests_total', 'counter',
+        'Requests handled, by route, method and status code',
+        counters('fwapi_http_requests_total', self.requests));
+
+    lines = lines.concat(metric('fwapi_http_request_duration_seconds',
+        'histogram', 'Time taken to handle requests, by route',
+        Object.keys(self.latencies).sort().reduce(function (acc, route) {
+            var name = 'fwapi_http_request_duration_seconds';
+            var hist = self.latencies[route];
+
+            LATENCY_BUCKETS.forEach(function (le, i) {
+                acc.push(sample(name + '_bucket',
+                    { le: String(le), route: route }, hist.buckets[i]));
+            });
+
+            acc.push(sample(name + '_bucket', { le: '+Inf', route: route },
+                hist.count));
+            acc.push(sample(name + '_sum', { route: route }, hist.sum));
+            acc.push(sample(name + '_count', { route: route }, hist.count));
+            return acc;
+        }, [])));
+
+    lines = lines.concat(single('fwapi_moray_connected', 'gauge',
+        'Whether the Moray client is connected',
+        bool(app.moray && updater.morayConnected)));
+
+    lines = lines.concat(single('fwapi_ufds_connected', 'gauge',
+        'Whether the UFDS client is connected',
+        bool(app.ufds && app.ufds.connected)));
+
+    lines = lines.concat(single('fwapi_fast_clients', 'gauge',
+        'Firewallers connected to this instance\'s fast server',
+        updater.initialized ? Object.keys(updater.stream.clients).length : 0));
+
+    // Each poll counts the updates in the bucket, so the last poll gives the
+    // size of the queue
+    if (poll !== null) {
+        lines = lines.concat(single('fwapi_update_queue_depth', 'gauge',
+            'Updates in the fwapi_updates bucket at the last poll',
+            poll.depth));
+
+        lines = lines.concat(single('fwapi_update_poll_duration_seconds',
+            'gauge', 'Time taken by the last successful poll for updates',
+            seconds(poll.duration)));
+
+        lines = lines.concat(single('fwapi_update_last_poll_timestamp_seconds',
+            'gauge', 'Time of the last successful poll for updates',
+            seconds(poll.time)));
+    }
+
+    lines = lines.concat(metric('fwapi_migrated_records_total', 'counter',
+        'Records migrated by this instance, by bucket and source',
+        counters('fwapi_migrated_records_total', self.migrated)));
+
+    lines = lines.concat(single('fwapi_migration_complete', 'gauge',
+        'Whether bucket initialization and migration from UFDS are done',
+        bool(self.migrationComplete)));
+
+    return lines.join('\n') + '\n';
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a new metrics object
+ *
+ * @param opts {Object} : As required by the Metrics constructor
+ */
+function createMetrics(opts) {
+    return new Metrics(opts);
+}
+
+
+module.exports = {
+    CONTENT_TYPE: CONTENT_TYPE,
+    create: createMetrics
+};
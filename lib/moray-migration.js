@@ -95,6 +95,10 @@ function migrateBatch(app, log, marker, callback) {
                 return;
             }
 
+            if (app.metrics) {
+                app.metrics.migrate(fw.BUCKET.name, 'ufds', count);
+            }
+
             log.info(info,
                 'Batch succeeded; migrated %d rules from UFDS.', count);
             migrateBatch(app, log, marker, callback);
@@ -311,6 +311,10 @@ function updateRecords(opts, callback) {
 
             // Migration succeeded - keep going
             processed += batch.length;
+            if (app.metrics) {
+                app.metrics.migrate(bucket.name, 'upgrade', batch.length);
+            }
+
             log.info({
                 bucket: bucket.name,
                 processed: processed,
@@ -459,7 +463,9 @@ function waitForConnect(client, callback) {
  * - `model` {Object} (optional)
  * - `noBucketCache` {Boolean} (optional)
  * - `extra` {Object} (optional) extra params to pass to constructor
- * @param callback {Function} `function (err, netObj)`
+ * @param callback {Function} `function (err, objs, count)`, where count is
+ *   the total number of objects matching the filter, ignoring limit and
+ *   offset
  */
 function listObjs(opts, callback) {
     assertCommonOpts(opts);
@@ -472,6 +478,7 @@ function listObjs(opts, callback) {
     assert.optionalBool(opts.noBucketCache, 'opts.noBucketCache');
     assert.func(callback, 'callback');
 
+    var count = 0;
     var results = [];
     var listOpts = {};
 
@@ -501,6 +508,9 @@ function listObjs(opts, callback) {
 
     req.on('record', function _onListRec(rec) {
         opts.log.trace({ record: rec }, 'record from Moray');
+        if (rec._count !== undefined) {
+            count = Number(rec._count);
+        }
         if (opts.extra) {
             Object.keys(opts.extra).forEach(function (k) {
                 rec.value[k] = opts.extra[k];
@@ -521,11 +531,77 @@ function listObjs(opts, callback) {
             }
         }
 
-        callback(null, results);
+        callback(null, results, count);
     });
 }
 
 
+/**
+ * Lists all objects in moray matching a filter, oldest first, paging through
+ * them MAX_LIMIT at a time
+ *
+ * @param opts {Object}: as for listObjs(), apart from `limit`, `offset` and
+ *   `sort`
+ * @param callback {Function} `function (err, objs)`
+ */
+function listAllObjs(opts, callback) {
+    assertCommonOpts(opts);
+    assert.object(opts.bucket, 'opts.bucket');
+    assert.string(opts.filter, 'opts.filter');
+    assert.optionalFunc(opts.model, 'opts.model');
+    assert.func(callback, 'callback');
+
+    var records = [];
+
+    function getPage(after) {
+        listObjs({
+            app: opts.app,
+            bucket: opts.bucket,
+            extra: opts.extra,
+            filter: util.format('(&%s(_id>=%d))', opts.filter, after + 1),
+            limit: constants.MAX_LIMIT,
+            log: opts.log,
+            moray: opts.moray,
+            noBucketCache: opts.noBucketCache,
+            sort: {
+                attribute: '_id',
+                order: 'ASC'
+            }
+        }, function (err, page) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            records = records.concat(page);
+            if (page.length === constants.MAX_LIMIT) {
+                getPage(page[page.length - 1]._id);
+                return;
+            }
+
+            if (!opts.model) {
+                callback(null, records);
+                return;
+            }
+
+            var objs;
+            try {
+                objs = records.map(function (rec) {
+                    return new opts.model(rec, opts.app);
+                });
+            } catch (e) {
+                callback(e);
+                return;
+            }
+
+            callback(null, objs);
+        });
+    }
+
+    getPage(0);
+}
+
+
 /**
  * Migrates records in the buckets for each of the provided models.
  *
@@ -563,6 +639,7 @@ function initializeBuckets(opts, callback) {
 module.exports = {
     create: createClient,
     initialize: initializeBuckets,
+    listAllObjs: listAllObjs,
     listObjs: listObjs,
     waitForConnect: waitForConnect
 };
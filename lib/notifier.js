@@ -0,0 +1,454 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Notifier for webhooks (see lib/webhook.js): when a rule is changed, a
+ * delivery is stored for each webhook that matches the change, and then
+ * posted to the webhook's URL. Deliveries that fail are retried with
+ * exponential backoff until they succeed or run out of attempts.
+ *
+ * Deliveries are first attempted by the instance that made the change.
+ * Retries (and deliveries left behind by an instance that stopped before
+ * attempting them) are made by the instance holding the "_webhooks" lease
+ * (see lib/cluster.js). Each attempt claims the delivery first, so a
+ * delivery is only attempted by one instance at a time. That instance also
+ * deletes deliveries that are no longer pending once they're older than the
+ * retention time.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var http = require('http');
+var https = require('https');
+var mod_persist = require('./persist');
+var mod_vasync = require('vasync');
+var mod_webhook = require('./webhook');
+var url = require('url');
+
+
+
+// --- Globals
+
+
+
+// Time (in ms) between checks for deliveries to retry
+var DEFAULT_INTERVAL = 10000;
+
+// Time (in ms) to wait before the first retry: this doubles with each
+// attempt, up to MAX_BACKOFF
+var DEFAULT_BACKOFF = 10000;
+var MAX_BACKOFF = 3600000;
+
+var DEFAULT_MAX_ATTEMPTS = 10;
+
+// Time (in ms) to wait for a webhook to respond
+var DEFAULT_TIMEOUT = 10000;
+
+// Maximum number of deliveries to retry in each check
+var RETRY_LIMIT = 100;
+
+// Time (in ms) to keep deliveries that are no longer pending: one week
+var DEFAULT_RETENTION = 604800000;
+
+var WEBHOOKS_LEASE = '_webhooks';
+
+// Errors from claiming a delivery that another instance has claimed
+var SKIP_ERRORS = [ 'PreconditionFailedError' ];
+
+
+
+// --- Internal helpers
+
+
+
+/**
+ * POSTs a body to a URL, calling callback with the response's status code
+ */
+function post(opts, callback) {
+    var done = false;
+    var reqOpts = url.parse(opts.url);
+    var req;
+
+    function finish(err, code) {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        callback(err, code);
+    }
+
+    reqOpts.method = 'POST';
+    reqOpts.headers = opts.headers;
+    req = (reqOpts.protocol === 'https:' ? https : http).request(reqOpts,
+        function (res) {
+        // The response body isn't needed
+        res.resume();
+        finish(null, res.statusCode);
+    });
+
+    req.setTimeout(opts.timeout, function () {
+        req.abort();
+        finish(new Error('timed out waiting for a response'));
+    });
+
+    req.on('error', finish);
+    req.end(opts.body);
+}
+
+
+
+// --- Notifier object
+
+
+
+/**
+ * Notifier constructor
+ *
+ * @param opts {Object}:
+ * - `app` {FWAPI}: with `cluster` and `moray` clients
+ * - `config` {Object}: optionally with `backoff` (time before the first
+ *   retry, in ms), `interval` (time between checks for retries, in ms),
+ *   `maxAttempts`, `retention` (time to keep deliveries that are no longer
+ *   pending, in ms) and `timeout` (time to wait for a response, in ms)
+ * - `log` {Bunyan logger}
+ */
+function Notifier(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.object(opts.config, 'opts.config');
+    assert.optionalNumber(opts.config.backoff, 'opts.config.backoff');
+    assert.optionalNumber(opts.config.interval, 'opts.config.interval');
+    assert.optionalNumber(opts.config.maxAttempts,
+        'opts.config.maxAttempts');
+    assert.optionalNumber(opts.config.retention, 'opts.config.retention');
+    assert.optionalNumber(opts.config.timeout, 'opts.config.timeout');
+    assert.object(opts.log, 'opts.log');
+
+    this.app = opts.app;
+    this.backoff = opts.config.backoff || DEFAULT_BACKOFF;
+    this.interval = opts.config.interval || DEFAULT_INTERVAL;
+    this.log = opts.log.child({ component: 'notifier' });
+    this.maxAttempts = opts.config.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.retention = opts.config.retention || DEFAULT_RETENTION;
+    this.requestTimeout = opts.config.timeout || DEFAULT_TIMEOUT;
+    this.timeout = null;
+}
+
+
+/**
+ * Starts periodically checking for deliveries to retry
+ */
+Notifier.prototype.start = function start() {
+    var self = this;
+
+    function check() {
+        self.retry(function (err, count) {
+            if (err) {
+                self.log.error(err, 'Error retrying webhook deliveries');
+            } else if (count !== 0) {
+                self.log.info('Retried %d webhook deliveries', count);
+            }
+
+            self.timeout = setTimeout(check, self.interval);
+        });
+    }
+
+    self.timeout = setTimeout(check, self.interval);
+};
+
+
+/**
+ * Stops checking for deliveries to retry
+ */
+Notifier.prototype.stop = function stop() {
+    if (this.timeout) {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+};
+
+
+/**
+ * Stores a delivery for each webhook that matches a change to a rule, and
+ * attempts them. Errors are logged rather than returned, since the change
+ * has already been made.
+ *
+ * @param change {String}: one of webhook.EVENTS
+ * @param rule {Rule}: the rule after the change (or before, for deletes)
+ * @param opts {Object}: optionally with `req_id`, the ID of the request
+ *   that made the change
+ * @param callback {Function} (optional) `function ()`, called once every
+ *   delivery has been attempted
+ */
+Notifier.prototype.notify = function notify(change, rule, opts, callback) {
+    var self = this;
+    var app = self.app;
+    var log = self.log;
+
+    callback = callback || function () {};
+
+    mod_persist.listWebhooks(app, log, { rule: rule },
+        function (listErr, webhooks) {
+        if (listErr) {
+            log.error({ err: listErr, uuid: rule.uuid, change: change },
+                'Error finding webhooks for rule change');
+            callback();
+            return;
+        }
+
+        mod_vasync.forEachParallel({
+            inputs: webhooks.filter(function (webhook) {
+                return webhook.matches(change, rule);
+            }),
+            func: function _deliver(webhook, cb) {
+                var delivery = mod_webhook.createDelivery(webhook, {
+                    change: change,
+                    // Claim the delivery until the first attempt is done
+                    next_attempt: Date.now() + self.requestTimeout +
+                        self.interval,
+                    req_id: opts.req_id,
+                    rule: rule
+                });
+
+                mod_persist.putDelivery(app, log, delivery, function (err) {
+                    if (err) {
+                        log.error({ err: err, webhook: webhook.uuid,
+                            uuid: rule.uuid }, 'Error storing delivery');
+                        cb();
+                        return;
+                    }
+
+                    self.attempt(webhook, delivery, function () {
+                        cb();
+                    });
+                });
+            }
+        }, function () {
+            callback();
+        });
+    });
+};
+
+
+/**
+ * Posts a delivery to its webhook, and stores the result: the delivery is
+ * either delivered, scheduled for a retry, or failed if it has run out of
+ * attempts.
+ */
+Notifier.prototype.attempt = function attempt(webhook, delivery, callback) {
+    var self = this;
+    var body = JSON.stringify(delivery.data.payload);
+
+    post({
+        body: body,
+        headers: {
+            'content-length': Buffer.byteLength(body),
+            'content-type': 'application/json',
+            'x-fwapi-delivery': delivery.uuid,
+            'x-fwapi-event': delivery.data.payload.event,
+            'x-fwapi-signature': webhook.sign(body)
+        },
+        timeout: self.requestTimeout,
+        url: webhook.url
+    }, function (err, code) {
+        var data = delivery.data;
+
+        data.attempts++;
+        data.last_attempt = Date.now();
+        delete data.error;
+        delete data.status_code;
+
+        if (code !== undefined) {
+            data.status_code = code;
+        }
+
+        if (!err && code >= 200 && code < 300) {
+            data.status = 'delivered';
+        } else {
+            data.error = err ? err.message : 'webhook returned an error';
+            if (data.attempts >= self.maxAttempts) {
+                data.status = 'failed';
+            } else {
+                data.next_attempt = data.last_attempt + Math.min(MAX_BACKOFF,
+                    self.backoff * Math.pow(2, data.attempts - 1));
+            }
+        }
+
+        self.log.info({ delivery: delivery.uuid, webhook: webhook.uuid,
+            status: data.status, attempts: data.attempts,
+            status_code: data.status_code, error: data.error },
+            'Webhook delivery attempted');
+
+        mod_persist.putDelivery(self.app, self.log, delivery,
+            function (pErr) {
+            if (pErr) {
+                self.log.error({ err: pErr, delivery: delivery.uuid },
+                    'Error storing delivery result');
+            }
+
+            callback(pErr);
+        });
+    });
+};
+
+
+/**
+ * Attempts the pending deliveries that are due, if this instance holds the
+ * webhooks lease. Deliveries for webhooks that have been deleted are failed.
+ * Old deliveries are deleted first (see prune()).
+ *
+ * @param callback {Function} `function (err, count)`, where count is the
+ *   number of deliveries attempted
+ */
+Notifier.prototype.retry = function retry(callback) {
+    var self = this;
+    var app = self.app;
+
+    app.cluster.lease(WEBHOOKS_LEASE, function (lErr, lease) {
+        if (lErr || lease === null) {
+            callback(lErr, 0);
+            return;
+        }
+
+        self.prune(function (prErr) {
+            if (prErr) {
+                self.log.error(prErr, 'Error deleting old webhook deliveries');
+            }
+
+            self.retryDue(callback);
+        });
+    });
+};
+
+
+/**
+ * Deletes the deliveries that are no longer pending and were created more
+ * than the retention time ago. Called by retry() while holding the webhooks
+ * lease.
+ *
+ * @param callback {Function} `function (err, count)`, where count is the
+ *   number of deliveries deleted
+ */
+Notifier.prototype.prune = function prune(callback) {
+    var self = this;
+
+    mod_persist.deleteDeliveries(self.app, self.log, {
+        before: Date.now() - self.retention
+    }, function (err, count) {
+        if (!err && count !== 0) {
+            self.log.info('Deleted %d old webhook deliveries', count);
+        }
+
+        callback(err, count);
+    });
+};
+
+
+/**
+ * Attempts the pending deliveries that are due. Called by retry() while
+ * holding the webhooks lease.
+ */
+Notifier.prototype.retryDue = function retryDue(callback) {
+    var self = this;
+    var app = self.app;
+
+    mod_persist.listDeliveries(app, self.log, {
+        due: Date.now(),
+        limit: RETRY_LIMIT
+    }, function (err, deliveries) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var count = 0;
+
+        mod_vasync.forEachPipeline({
+            inputs: deliveries,
+            func: function _retry(delivery, cb) {
+                self.retryDelivery(delivery, function (rErr, attempted) {
+                    if (rErr && SKIP_ERRORS.indexOf(rErr.name) !== -1) {
+                        cb();
+                        return;
+                    }
+
+                    if (attempted) {
+                        count++;
+                    }
+
+                    cb(rErr);
+                });
+            }
+        }, function (pErr) {
+            callback(pErr, count);
+        });
+    });
+};
+
+
+/**
+ * Claims a pending delivery, and attempts it
+ *
+ * @param callback {Function} `function (err, attempted)`
+ */
+Notifier.prototype.retryDelivery = function retryDelivery(delivery,
+    callback) {
+    var self = this;
+    var app = self.app;
+    var log = self.log;
+
+    mod_persist.getWebhook(app, log, delivery.data.webhook,
+        function (err, webhook) {
+        if (err && err.statusCode === 404) {
+            delivery.data.status = 'failed';
+            delivery.data.error = 'webhook has been deleted';
+            mod_persist.putDelivery(app, log, delivery, function (pErr) {
+                callback(pErr, false);
+            });
+            return;
+        }
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        delivery.data.next_attempt = Date.now() + self.requestTimeout +
+            self.interval;
+        mod_persist.putDelivery(app, log, delivery, function (pErr) {
+            if (pErr) {
+                callback(pErr);
+                return;
+            }
+
+            self.attempt(webhook, delivery, function (aErr) {
+                callback(aErr, true);
+            });
+        });
+    });
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a new notifier object
+ *
+ * @param opts {Object} : As required by the Notifier constructor
+ */
+function createNotifier(opts) {
+    return new Notifier(opts);
+}
+
+
+module.exports = {
+    create: createNotifier
+};
@@ -10,13 +10,19 @@
 
 'use strict';
 
+var constants = require('./util/constants');
 var fw = require('./rule');
 var mod_err = require('./errors');
 var mod_filter = require('./ufds/filter');
+var mod_history = require('./history');
 var mod_jsprim = require('jsprim');
 var mod_moray = require('./moray');
+var mod_quota = require('./quota');
+var mod_vasync = require('vasync');
+var mod_webhook = require('./webhook');
 var restify = require('restify');
 var ufdsmodel = require('./ufds/model');
+var util = require('util');
 var validate = require('restify-warden');
 var VError = require('verror');
 
@@ -24,6 +30,28 @@ var VError = require('verror');
 var hasKey = mod_jsprim.hasKey;
 var Rule = fw.Rule;
 
+// Maximum number of webhook deliveries to delete at once
+var DELETE_LIMIT = 1000;
+
+
+/*
+ * Attributes to sort on for each of the values of constants.SORT_FIELDS.
+ * Moray's _id is assigned when an object is first created, and doesn't
+ * change when it's updated. UFDS has no equivalent, so we fall back to the
+ * rule version (which is a timestamp) there.
+ */
+var MORAY_SORT_ATTRS = {
+    created: '_id',
+    description: 'description',
+    uuid: 'uuid'
+};
+
+var UFDS_SORT_ATTRS = {
+    created: 'version',
+    description: 'description',
+    uuid: 'uuid'
+};
+
 
 /*
  * Returns a nicely formatted error, rather than the generic UFDS or Moray not
@@ -84,31 +112,137 @@ function checkNotFound(app, uuid, callback) {
     }
 }
 
-function createRule(app, log, params, callback) {
-    var raw;
+/*
+ * Returns the etag of the rule (or, if bucket is given, the object in that
+ * bucket) with the given UUID from the results of a Moray batch
+ */
+function batchEtag(meta, uuid, bucket) {
+    var etag;
+    var name = (bucket || fw.BUCKET).name;
+
+    (meta.etags || []).forEach(function (e) {
+        if (e.bucket === name && e.key === uuid) {
+            etag = e.etag;
+        }
+    });
+
+    return etag;
+}
+
+/*
+ * When rules are stored in UFDS, the history entry can't be written in the
+ * same transaction as the rule, so do our best to write it after the rule
+ * has been successfully changed.
+ */
+function putHistoryUFDS(app, log, entry, callback) {
+    var raw = entry.rawMoray();
+
+    app.moray.putObject(mod_history.BUCKET.name, raw.uuid, raw,
+        function (err) {
+        if (err) {
+            log.error({ err: err, entry: raw },
+                'Error writing rule history entry');
+        }
+
+        callback();
+    });
+}
+
+/**
+ * Calls the webhooks for changes to rules that have been stored (see
+ * lib/notifier.js). This doesn't wait for the deliveries: they're retried
+ * if they fail, and errors are logged.
+ *
+ * @param ops {Array}: objects with the `operation` and the `rule` after the
+ *   change (or before, for deletes)
+ * @param opts {Object}: history options, as for history.createEntry()
+ */
+function notifyChanges(app, ops, opts) {
+    ops.forEach(function (op) {
+        app.notifier.notify(op.operation, op.rule, {
+            req_id: opts ? opts.req_id : undefined
+        });
+    });
+}
+
+/**
+ * Creates a rule, and records the creation in the rule history. Returns a
+ * QuotaExceeded error if the rule's owner already has as many rules as it's
+ * allowed.
+ *
+ * @param opts {Object}: history options, as for history.createEntry()
+ */
+function createRule(app, log, params, opts, callback) {
+    var rule;
 
     // Don't allow through objectclass
     delete params.objectclass;
 
-    if (app.config.fwrule_version > 2) {
-        try {
-            raw = (new Rule(params, app)).rawMoray();
-        } catch (e) {
-            callback(e);
+    try {
+        rule = new Rule(params, app);
+    } catch (e) {
+        callback(e);
+        return;
+    }
+
+    checkQuotas(app, log, ownerDeltas([ { operation: 'create', rule: rule } ]),
+        function (qErr) {
+        if (qErr) {
+            callback(qErr);
             return;
         }
 
-        app.moray.putObject(fw.BUCKET.name, raw.uuid, raw, {
-            etag: null
-        }, function (err) {
+        putRule(app, log, rule, opts, callback);
+    });
+}
+
+/**
+ * Stores a new rule for createRule()
+ */
+function putRule(app, log, rule, opts, callback) {
+    var entry, raw;
+
+    if (app.config.fwrule_version > 2) {
+        raw = rule.rawMoray();
+        rule = new Rule({ value: raw }, app);
+        entry = mod_history.createEntry(rule, 'create', opts);
+
+        app.moray.batch([ {
+            bucket: fw.BUCKET.name,
+            key: raw.uuid,
+            operation: 'put',
+            value: raw,
+            options: {
+                // The rule must not exist yet:
+                etag: null
+            }
+        }, entry.batch() ], function (err, meta) {
             if (err && VError.hasCauseWithName(err, 'EtagConflictError')) {
                 callback(mod_err.createExistsErr('Rule', 'uuid'));
+            } else if (err) {
+                callback(err);
             } else {
-                callback(err, new Rule({ value: raw }, app));
+                rule.etag = batchEtag(meta, rule.uuid);
+                notifyChanges(app, [ { operation: 'create', rule: rule } ],
+                    opts);
+                callback(null, rule);
             }
         });
     } else {
-        ufdsmodel.modelPost(app, Rule, params, log, callback);
+        ufdsmodel.modelPost(app, Rule, rule.serialize(), log,
+            function (err, created) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            entry = mod_history.createEntry(created, 'create', opts);
+            putHistoryUFDS(app, log, entry, function () {
+                notifyChanges(app, [ { operation: 'create', rule: created } ],
+                    opts);
+                callback(null, created);
+            });
+        });
     }
 }
 
@@ -149,30 +283,249 @@ function updateRuleUFDS(app, log, newRule, oldRule, callback) {
     ufdsmodel.modify(app, Rule, dn, change, log, callback);
 }
 
-function updateRule(app, log, newRule, oldRule, callback) {
+/*
+ * Wrap a callback with code to check for Moray etag conflicts, and replace
+ * them with a Restify error. name is the name of the type of object that has
+ * been modified (default: "Rule").
+ */
+function checkEtagConflict(callback, name) {
+    return function (err, val) {
+        if (err && VError.hasCauseWithName(err, 'EtagConflictError')) {
+            callback(mod_err.etagConflictErr(name || 'Rule'));
+            return;
+        }
+
+        callback(err, val);
+    };
+}
+
+/**
+ * Updates a rule, and records the update in the rule history. When using
+ * Moray, the update is conditional on the stored rule still having oldRule's
+ * etag, so that concurrent updates to the same rule can't silently overwrite
+ * each other. Returns a QuotaExceeded error if the update moves the rule to
+ * an owner that already has as many rules as it's allowed.
+ *
+ * @param opts {Object}: history options, as for history.createEntry()
+ */
+function updateRule(app, log, newRule, oldRule, opts, callback) {
+    checkQuotas(app, log, ownerDeltas([ {
+        operation: 'update',
+        oldRule: oldRule,
+        rule: newRule
+    } ]), function (qErr) {
+        if (qErr) {
+            callback(qErr);
+            return;
+        }
+
+        putUpdate(app, log, newRule, oldRule, opts, callback);
+    });
+}
+
+/**
+ * Stores an updated rule for updateRule()
+ */
+function putUpdate(app, log, newRule, oldRule, opts, callback) {
+    var entry = mod_history.createEntry(newRule, 'update', opts);
+
     callback = checkNotFound(app, newRule.uuid, callback);
     if (app.config.fwrule_version > 2) {
-        app.moray.putObject(fw.BUCKET.name, newRule.uuid, newRule.rawMoray(),
-            function (err) { callback(err, newRule); });
+        callback = checkEtagConflict(callback);
+        newRule.etag = oldRule.etag;
+
+        app.moray.batch([ newRule.batch(), entry.batch() ],
+            function (err, meta) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            newRule.etag = batchEtag(meta, newRule.uuid);
+            notifyChanges(app, [ { operation: 'update', rule: newRule } ],
+                opts);
+            callback(null, newRule);
+        });
     } else {
-        updateRuleUFDS(app, log, newRule, oldRule, callback);
+        updateRuleUFDS(app, log, newRule, oldRule, function (err, updated) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            entry = mod_history.createEntry(updated, 'update', opts);
+            putHistoryUFDS(app, log, entry, function () {
+                notifyChanges(app, [ { operation: 'update', rule: updated } ],
+                    opts);
+                callback(null, updated);
+            });
+        });
     }
 }
 
-function deleteRule(app, log, uuid, callback) {
-    if (!validate.isUUID(uuid)) {
-        callback(new mod_err.InvalidParamsError(mod_err.INVALID_MSG,
-            [ mod_err.invalidParam('uuid', 'Invalid UUID') ]));
-        return;
-    }
+/**
+ * Deletes a rule, and records the deletion in the rule history. When using
+ * Moray, the delete only succeeds if the stored rule still has the same etag
+ * as the rule passed in.
+ *
+ * @param opts {Object}: history options, as for history.createEntry()
+ */
+function deleteRule(app, log, rule, opts, callback) {
+    var entry = mod_history.createEntry(rule, 'delete', opts);
+    var done = checkNotFound(app, rule.uuid, function (err, val) {
+        if (!err) {
+            notifyChanges(app, [ { operation: 'delete', rule: rule } ], opts);
+        }
 
-    callback = checkNotFound(app, uuid, callback);
+        callback(err, val);
+    });
 
     if (app.config.fwrule_version > 2) {
-        app.moray.delObject(fw.BUCKET.name, uuid, callback);
+        app.moray.batch([ {
+            bucket: fw.BUCKET.name,
+            key: rule.uuid,
+            operation: 'delete',
+            options: {
+                etag: rule.etag
+            }
+        }, entry.batch() ], checkEtagConflict(done));
     } else {
-        ufdsmodel.modelDelete(app, Rule, Rule.dn(uuid), log, callback);
+        ufdsmodel.modelDelete(app, Rule, Rule.dn(rule.uuid), log,
+            function (err) {
+            if (err) {
+                done(err);
+                return;
+            }
+
+            putHistoryUFDS(app, log, entry, done);
+        });
+    }
+}
+
+/**
+ * Creates, updates and deletes rules in a single Moray batch, recording each
+ * change in the rule history. Either all of the changes are made, or none of
+ * them are. Only supported when rules are stored in Moray.
+ *
+ * @param ops {Array}: objects with:
+ * - `operation` {String}: one of 'create', 'update' or 'delete'
+ * - `rule` {Rule}: the rule to create, the updated rule, or the rule to delete
+ * - `oldRule` {Rule}: the rule before the update (for updates only)
+ * @param opts {Object}: history options, as for history.createEntry(), and:
+ * - `updates` {Array} (optional): updates for firewallers (see
+ *   routing.createUpdates()), queued in the same batch as the changes
+ * @param callback {Function} `function (err, rules)`, where rules are the
+ *   stored rules for each of ops
+ */
+function batchRules(app, log, ops, opts, callback) {
+    if (app.config.fwrule_version <= 2) {
+        callback(new restify.NotImplementedError(
+            'batch operations require rules to be stored in Moray'));
+        return;
+    }
+
+    checkQuotas(app, log, ownerDeltas(ops), function (qErr) {
+        if (qErr) {
+            callback(qErr);
+            return;
+        }
+
+        writeRules(app, log, ops, opts, callback);
+    });
+}
+
+/**
+ * Writes rule operations in a single Moray batch as batchRules() does, but
+ * without checking quotas: for changes too large for one batch, whose quotas
+ * are checked all at once with checkBatchQuotas()
+ */
+function writeRules(app, log, ops, opts, callback) {
+    var batch;
+
+    if (app.config.fwrule_version <= 2) {
+        callback(new restify.NotImplementedError(
+            'batch operations require rules to be stored in Moray'));
+        return;
+    }
+
+    batch = ruleBatch(app, ops, opts);
+    log.debug('writeRules: writing %d rules', ops.length);
+
+    app.moray.batch(batch.reqs, checkEtagConflict(function (err, meta) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        setBatchEtags(batch.rules, ops, meta);
+        notifyChanges(app, batchChanges(batch.rules, ops), opts);
+        callback(null, batch.rules);
+    }));
+}
+
+/**
+ * Returns the Moray batch requests for the rule operations (and any updates)
+ * passed to batchRules(), and the rules that will be stored by them
+ */
+function ruleBatch(app, ops, opts) {
+    var reqs = [];
+    var rules = ops.map(function (op) {
+        var rule = op.rule;
+
+        if (op.operation === 'delete') {
+            reqs.push({
+                bucket: fw.BUCKET.name,
+                key: rule.uuid,
+                operation: 'delete',
+                options: {
+                    etag: rule.etag
+                }
+            });
+        } else {
+            rule = new Rule({ value: op.rule.rawMoray() }, app);
+            // Creates must not overwrite an existing rule, and updates must
+            // not overwrite a rule that has changed since it was read:
+            rule.etag = (op.operation === 'create') ? null : op.oldRule.etag;
+            reqs.push(rule.batch());
+        }
+
+        reqs.push(mod_history.createEntry(rule, op.operation, opts).batch());
+        return rule;
+    });
+
+    if (opts && opts.updates) {
+        opts.updates.forEach(function (update) {
+            reqs.push(update.batch());
+        });
     }
+
+    return {
+        reqs: reqs,
+        rules: rules
+    };
+}
+
+/**
+ * Returns the changes made by a batch from ruleBatch(), for notifyChanges()
+ */
+function batchChanges(rules, ops) {
+    return rules.map(function (rule, i) {
+        return {
+            operation: ops[i].operation,
+            rule: rule
+        };
+    });
+}
+
+/**
+ * Sets the etags of the rules written by a batch from ruleBatch()
+ */
+function setBatchEtags(rules, ops, meta) {
+    rules.forEach(function (rule, i) {
+        if (ops[i].operation !== 'delete') {
+            rule.etag = batchEtag(meta, rule.uuid);
+        }
+    });
 }
 
 function getRule(app, log, uuid, callback) {
@@ -207,6 +560,9 @@ function getRule(app, log, uuid, callback) {
  *   These parameters are ORed:
  *     - vms {Array}: VM UUIDs
  *     - tags {Object}: tags
+ *     - ips {Array}: IPs. Since subnets containing the IPs can't be
+ *       searched for, all rules with subnets are also returned, and
+ *       callers need to check them.
  *   and then ANDed with:
  *     - owner_uuid {UUID}
  *   In addition, rules matching the following are found:
@@ -237,6 +593,11 @@ function vmRules(app, log, params, callback) {
         filter.params.tag = params.tags;
     }
 
+    if (hasKey(params, 'ips')) {
+        filter.params.ip = params.ips;
+        filter.subnets = true;
+    }
+
     if (hasKey(params, 'owner_uuid')) {
         filter.params.owner_uuid = params.owner_uuid;
     }
@@ -275,6 +636,55 @@ function vmRules(app, log, params, callback) {
     }
 }
 
+/**
+ * Sorts and pages through a list of rules in memory, for rules that came
+ * from UFDS (which doesn't support sorting or paging).
+ */
+function pageRules(rules, params) {
+    var attr = UFDS_SORT_ATTRS[params.sort || 'uuid'];
+    var desc = (params.order === 'DESC');
+    var start = params.offset || 0;
+
+    rules.sort(function (a, b) {
+        var aVal = a[attr] || '';
+        var bVal = b[attr] || '';
+        if (aVal === bVal) {
+            aVal = a.uuid;
+            bVal = b.uuid;
+        }
+
+        return (aVal < bVal ? -1 : 1) * (desc ? -1 : 1);
+    });
+
+    if (hasKey(params, 'marker')) {
+        rules = rules.filter(function (rule) {
+            return desc ? rule.uuid < params.marker :
+                rule.uuid > params.marker;
+        });
+    }
+
+    return {
+        count: rules.length,
+        rules: rules.slice(start,
+            start + (params.limit || constants.DEFAULT_LIMIT))
+    };
+}
+
+/**
+ * Finds rules matching the filter parameters in params. The following
+ * parameters control the sorting and paging of the results:
+ *
+ * - limit {Number}: maximum number of rules to return
+ * - marker {UUID}: only return rules with UUIDs after this one (only valid
+ *   when sorting by UUID)
+ * - offset {Number}: number of rules to skip
+ * - order {String}: 'ASC' or 'DESC'
+ * - sort {String}: one of constants.SORT_FIELDS (default: 'uuid')
+ *
+ * @param callback {Function}: `function (err, rules, count)`, where count
+ *   is the total number of rules matching the filter (and marker), ignoring
+ *   limit and offset
+ */
 function findRules(app, log, params, callback) {
     var filter = {
         log: log,
@@ -290,15 +700,27 @@ function findRules(app, log, params, callback) {
             return;
         }
 
+        if (hasKey(params, 'marker')) {
+            ruleFilter = util.format('(&%s(uuid%s=%s)(!(uuid=%s)))',
+                ruleFilter, params.order === 'DESC' ? '<' : '>',
+                params.marker, params.marker);
+        }
+
         log.debug('findRules (Moray): filter=%s', ruleFilter);
 
         mod_moray.listObjs({
             app: app,
             bucket: fw.BUCKET,
             filter: ruleFilter,
+            limit: params.limit,
             log: log,
             moray: app.moray,
-            model: Rule
+            model: Rule,
+            offset: params.offset,
+            sort: {
+                attribute: MORAY_SORT_ATTRS[params.sort || 'uuid'],
+                order: params.order || 'ASC'
+            }
         }, callback);
     } else {
         try {
@@ -312,14 +734,753 @@ function findRules(app, log, params, callback) {
         log.debug('findRules (UFDS): parentDn=%s, filter=%s',
             parentDn, ruleFilter);
         ufdsmodel.modelListFiltered(app, Rule, parentDn, ruleFilter,
-            log, callback);
+            log, function (err, rules) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            var page = pageRules(rules, params);
+            callback(null, page.rules, page.count);
+        });
+    }
+}
+
+/**
+ * Finds all rules matching params. Unlike findRules(), which returns at
+ * most one page of rules, this pages through all of the matching rules.
+ *
+ * @param callback {Function} `function (err, rules)`
+ */
+function findAllRules(app, log, params, callback) {
+    var all = [];
+
+    function getPage(marker) {
+        var pageParams = mod_jsprim.mergeObjects(params, {
+            limit: constants.MAX_LIMIT,
+            order: 'ASC',
+            sort: 'uuid'
+        });
+
+        if (marker) {
+            pageParams.marker = marker;
+        }
+
+        findRules(app, log, pageParams, function (err, rules) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            all = all.concat(rules);
+            if (rules.length < constants.MAX_LIMIT) {
+                callback(null, all);
+                return;
+            }
+
+            getPage(rules[rules.length - 1].uuid);
+        });
+    }
+
+    getPage();
+}
+
+/**
+ * Returns a page of the history entries for a rule: the newest entries
+ * (before the marker, if given), oldest first. History is always stored in
+ * Moray, regardless of where rules are stored.
+ *
+ * @param params {Object}:
+ * - `uuid` {UUID}: rule UUID
+ * - `limit` {Number} (optional): maximum number of entries to return
+ * - `marker` {Number} (optional): only return entries with a seq less than
+ *   this
+ * - `owner_uuid` {UUID} (optional): only return entries for this owner
+ * @param callback {Function} `function (err, entries)`
+ */
+function ruleHistory(app, log, params, callback) {
+    var filter = [ '(rule_uuid=' + params.uuid + ')' ];
+
+    if (hasKey(params, 'owner_uuid')) {
+        filter.push('(owner=' + params.owner_uuid + ')');
+    }
+
+    if (hasKey(params, 'marker')) {
+        filter.push(util.format('(_id<=%d)', params.marker - 1));
+    }
+
+    mod_moray.listObjs({
+        app: app,
+        bucket: mod_history.BUCKET,
+        filter: '(&' + filter.join('') + ')',
+        limit: params.limit,
+        log: log,
+        moray: app.moray,
+        model: mod_history.HistoryEntry,
+        sort: {
+            attribute: '_id',
+            order: 'DESC'
+        }
+    }, function (err, entries) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, entries.reverse());
+    });
+}
+
+/**
+ * Returns the newest history entry for a version of a rule, or null if
+ * that version isn't in the rule's history
+ *
+ * @param params {Object}:
+ * - `uuid` {UUID}: rule UUID
+ * - `version` {String}: rule version
+ * @param callback {Function} `function (err, entry)`
+ */
+function ruleVersion(app, log, params, callback) {
+    mod_moray.listObjs({
+        app: app,
+        bucket: mod_history.BUCKET,
+        filter: util.format('(&(rule_uuid=%s)(version=%s))', params.uuid,
+            params.version),
+        limit: 1,
+        log: log,
+        moray: app.moray,
+        model: mod_history.HistoryEntry,
+        sort: {
+            attribute: '_id',
+            order: 'DESC'
+        }
+    }, function (err, entries) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, entries.length === 0 ? null : entries[0]);
+    });
+}
+
+/**
+ * Returns the changes to rules made after a point in the rule history,
+ * oldest first. Each change is a history entry, and its seq (Moray's _id)
+ * is the point to continue from.
+ *
+ * @param params {Object}:
+ * - `since` {Number}: only return changes with a seq greater than this
+ * - `limit` {Number} (optional): maximum number of changes to return
+ * - `owner_uuid` {UUID} (optional): only return changes to this owner's rules
+ * @param callback {Function} `function (err, entries)`
+ */
+function ruleChanges(app, log, params, callback) {
+    var filter = [ util.format('(_id>=%d)', params.since + 1) ];
+
+    if (hasKey(params, 'owner_uuid')) {
+        filter.push('(owner=' + params.owner_uuid + ')');
     }
+
+    mod_moray.listObjs({
+        app: app,
+        bucket: mod_history.BUCKET,
+        filter: '(&' + filter.join('') + ')',
+        limit: params.limit,
+        log: log,
+        moray: app.moray,
+        model: mod_history.HistoryEntry,
+        sort: {
+            attribute: '_id',
+            order: 'ASC'
+        }
+    }, function (err, entries) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, entries);
+    });
+}
+
+/*
+ * Wrap a callback with code to check for lookup and uniqueness errors for
+ * objects that rules can refer to by name (ipsets and services), and replace
+ * them with Restify errors.
+ */
+function checkNamedErr(bucket, uuid, callback) {
+    return function (err, val) {
+        if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+            callback(notFoundErr(bucket.constructor, uuid));
+            return;
+        }
+
+        if (err && VError.hasCauseWithName(err, 'UniqueAttributeError')) {
+            callback(mod_err.createExistsErr(bucket.constructor.name, 'name'));
+            return;
+        }
+
+        callback(err, val);
+    };
+}
+
+/**
+ * Creates an object that rules can refer to by name (an IPSet or Service,
+ * stored in the given bucket). These are always stored in Moray, regardless
+ * of where rules are stored.
+ */
+function createNamed(app, log, bucket, obj, callback) {
+    var raw = obj.rawMoray();
+
+    log.debug({ bucket: bucket.name, obj: raw }, 'Creating %s',
+        bucket.constructor.name);
+
+    app.moray.putObject(bucket.name, raw.uuid, raw, {
+        // The object must not exist yet:
+        etag: null
+    }, function (err, meta) {
+        if (err && VError.hasCauseWithName(err, 'EtagConflictError')) {
+            callback(mod_err.createExistsErr(bucket.constructor.name, 'uuid'));
+            return;
+        }
+
+        if (err) {
+            checkNamedErr(bucket, raw.uuid, callback)(err);
+            return;
+        }
+
+        obj.etag = meta.etag;
+        callback(null, obj);
+    });
+}
+
+function getNamed(app, log, bucket, uuid, callback) {
+    log.debug('Getting %s %s', bucket.constructor.name, uuid);
+
+    app.moray.getObject(bucket.name, uuid,
+        checkNamedErr(bucket, uuid, function (err, obj) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, new bucket.constructor(obj, app));
+    }));
+}
+
+/**
+ * Lists all of the objects in a bucket of objects that rules can refer to by
+ * name, sorted by name.
+ *
+ * @param params {Object}:
+ * - `owner_uuid` {UUID} (optional): only return objects for this owner
+ * - `name` {Array} (optional): only return objects with these names
+ * @param callback {Function} `function (err, objs)`
+ */
+function listNamed(app, log, bucket, params, callback) {
+    var filter = [ '(uuid=*)' ];
+
+    if (hasKey(params, 'name') && params.name.length === 0) {
+        callback(null, []);
+        return;
+    }
+
+    if (hasKey(params, 'owner_uuid')) {
+        filter.push(util.format('(owner=%s)', params.owner_uuid));
+    }
+
+    if (hasKey(params, 'name')) {
+        filter.push('(|' + params.name.map(function (name) {
+            return util.format('(name=%s)', name);
+        }).join('') + ')');
+    }
+
+    mod_moray.listAllObjs({
+        app: app,
+        bucket: bucket,
+        filter: '(&' + filter.join('') + ')',
+        log: log,
+        moray: app.moray,
+        model: bucket.constructor
+    }, function (err, objs) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        // Pages are read in _id order, so sort by name once they're all read
+        callback(null, objs.sort(function (a, b) {
+            if (a.name !== b.name) {
+                return (a.name < b.name) ? -1 : 1;
+            }
+
+            return (a.uuid < b.uuid) ? -1 : 1;
+        }));
+    });
+}
+
+/**
+ * Updates an object that rules can refer to by name, along with the rules
+ * that refer to it, in a single Moray batch. The update is conditional on
+ * the stored object still having the etag of the object passed in.
+ *
+ * @param ops {Array}: updates for the rules that refer to the object, as
+ *   for batchRules()
+ * @param opts {Object}: history options and updates, as for batchRules()
+ * @param callback {Function} `function (err, obj, rules)`
+ */
+function updateNamed(app, log, bucket, obj, ops, opts, callback) {
+    var batch = ruleBatch(app, ops, opts);
+    var name = bucket.constructor.name;
+
+    log.debug({ bucket: bucket.name, obj: obj.rawMoray() },
+        'Updating %s and %d rules', name, ops.length);
+
+    app.moray.batch([ obj.batch() ].concat(batch.reqs),
+        checkEtagConflict(checkNamedErr(bucket, obj.uuid,
+            function (err, meta) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        obj.etag = batchEtag(meta, obj.uuid, bucket);
+        setBatchEtags(batch.rules, ops, meta);
+        notifyChanges(app, batchChanges(batch.rules, ops), opts);
+        callback(null, obj, batch.rules);
+    }), name));
+}
+
+function deleteNamed(app, log, bucket, obj, callback) {
+    var name = bucket.constructor.name;
+
+    log.debug('Deleting %s %s', name, obj.uuid);
+
+    app.moray.delObject(bucket.name, obj.uuid, {
+        etag: obj.etag
+    }, checkEtagConflict(checkNamedErr(bucket, obj.uuid, callback), name));
+}
+
+/**
+ * Returns an owner's quota override, or null if the owner doesn't have one.
+ * Quotas are always stored in Moray, regardless of where rules are stored.
+ */
+function getQuota(app, log, owner, callback) {
+    log.debug('Getting quota for owner %s', owner);
+
+    app.moray.getObject(mod_quota.BUCKET.name, owner, function (err, obj) {
+        if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+            callback(null, null);
+            return;
+        }
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, new mod_quota.Quota(obj, app));
+    });
+}
+
+/**
+ * Creates or replaces an owner's quota override
+ */
+function putQuota(app, log, quota, callback) {
+    var raw = quota.rawMoray();
+
+    log.debug({ quota: raw }, 'Writing quota');
+
+    app.moray.putObject(mod_quota.BUCKET.name, quota.owner_uuid, raw,
+        function (err, meta) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        quota.etag = meta.etag;
+        callback(null, quota);
+    });
+}
+
+/**
+ * Deletes an owner's quota override, so that the default applies again
+ */
+function deleteQuota(app, log, owner, callback) {
+    log.debug('Deleting quota for owner %s', owner);
+
+    app.moray.delObject(mod_quota.BUCKET.name, owner, function (err) {
+        if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+            callback(notFoundErr(mod_quota.Quota, owner));
+            return;
+        }
+
+        callback(err);
+    });
+}
+
+/**
+ * Returns an owner's rule limit: its quota override if it has one, or the
+ * ruleQuota config option otherwise.
+ *
+ * @param callback {Function} `function (err, limit, override)`, where limit
+ *   is null if the owner has no limit, and override is true if the limit is
+ *   from a quota override
+ */
+function ruleLimit(app, log, owner, callback) {
+    getQuota(app, log, owner, function (err, quota) {
+        var limit;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (quota !== null) {
+            callback(null, quota.rules, true);
+            return;
+        }
+
+        limit = app.config.ruleQuota;
+        callback(null, limit === undefined ? null : limit, false);
+    });
+}
+
+/**
+ * Returns the number of rules that an owner has
+ */
+function countRules(app, log, owner, callback) {
+    findRules(app, log, { owner_uuid: owner, limit: 1 },
+        function (err, _, count) {
+        callback(err, count);
+    });
+}
+
+/**
+ * Returns an owner's rule usage.
+ *
+ * @param callback {Function} `function (err, usage)`, where usage has
+ *   `count` (the number of rules the owner has), and `limit` and `override`
+ *   as returned by ruleLimit()
+ */
+function ruleUsage(app, log, owner, callback) {
+    ruleLimit(app, log, owner, function (lErr, limit, override) {
+        if (lErr) {
+            callback(lErr);
+            return;
+        }
+
+        countRules(app, log, owner, function (cErr, count) {
+            if (cErr) {
+                callback(cErr);
+                return;
+            }
+
+            callback(null, {
+                count: count,
+                limit: limit,
+                override: override
+            });
+        });
+    });
+}
+
+/**
+ * Checks that each owner in deltas can have that many more rules without
+ * exceeding its limit, returning a QuotaExceeded error if not.
+ *
+ * This is checked before the rules are written, so concurrent requests can
+ * take an owner slightly over its limit.
+ *
+ * @param deltas {Object}: the change in each owner's number of rules,
+ *   keyed by owner UUID
+ * @param callback {Function} `function (err)`
+ */
+function checkQuotas(app, log, deltas, callback) {
+    var owners = Object.keys(deltas).filter(function (owner) {
+        return deltas[owner] > 0;
+    });
+
+    mod_vasync.forEachPipeline({
+        inputs: owners,
+        func: function _checkQuota(owner, cb) {
+            ruleLimit(app, log, owner, function (lErr, limit) {
+                if (lErr || limit === null) {
+                    cb(lErr);
+                    return;
+                }
+
+                countRules(app, log, owner, function (err, count) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+
+                    if (count + deltas[owner] > limit) {
+                        log.info({ owner: owner, count: count, limit: limit,
+                            adding: deltas[owner] }, 'Rule quota exceeded');
+                        cb(mod_err.quotaExceededErr(owner, limit));
+                        return;
+                    }
+
+                    cb();
+                });
+            });
+        }
+    }, function (err) {
+        callback(err);
+    });
+}
+
+/**
+ * Checks that rule operations (as for batchRules()) wouldn't leave any owner
+ * with more rules than its limit, for changes too large for one batch that
+ * are written with several calls to writeRules()
+ */
+function checkBatchQuotas(app, log, ops, callback) {
+    checkQuotas(app, log, ownerDeltas(ops), callback);
+}
+
+/**
+ * Returns the change in each owner's number of rules made by rule
+ * operations, as for batchRules()
+ */
+function ownerDeltas(ops) {
+    var deltas = {};
+
+    function add(rule, n) {
+        if (!rule.owner_uuid) {
+            return;
+        }
+
+        deltas[rule.owner_uuid] = (deltas[rule.owner_uuid] || 0) + n;
+    }
+
+    ops.forEach(function (op) {
+        if (op.operation === 'create') {
+            add(op.rule, 1);
+        } else if (op.operation === 'delete') {
+            add(op.rule, -1);
+        } else if (op.oldRule.owner_uuid !== op.rule.owner_uuid) {
+            add(op.oldRule, -1);
+            add(op.rule, 1);
+        }
+    });
+
+    return deltas;
+}
+
+/*
+ * Wrap a callback with code to check for webhook lookup errors, and replace
+ * them with a Restify error.
+ */
+function checkWebhookErr(uuid, callback) {
+    return function (err, val) {
+        if (err && VError.hasCauseWithName(err, 'ObjectNotFoundError')) {
+            callback(notFoundErr(mod_webhook.Webhook, uuid));
+            return;
+        }
+
+        callback(err, val);
+    };
+}
+
+function createWebhook(app, log, webhook, callback) {
+    var raw = webhook.rawMoray();
+
+    log.debug({ uuid: raw.uuid, url: raw.url }, 'Creating webhook');
+
+    app.moray.putObject(mod_webhook.BUCKET.name, raw.uuid, raw, {
+        // The webhook must not exist yet:
+        etag: null
+    }, function (err, meta) {
+        if (err && VError.hasCauseWithName(err, 'EtagConflictError')) {
+            callback(mod_err.createExistsErr('Webhook', 'uuid'));
+            return;
+        }
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        webhook.etag = meta.etag;
+        callback(null, webhook);
+    });
+}
+
+function getWebhook(app, log, uuid, callback) {
+    log.debug('Getting webhook %s', uuid);
+
+    app.moray.getObject(mod_webhook.BUCKET.name, uuid,
+        checkWebhookErr(uuid, function (err, obj) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, new mod_webhook.Webhook(obj, app));
+    }));
+}
+
+/**
+ * Lists all webhooks, oldest first.
+ *
+ * @param params {Object}:
+ * - `owner_uuid` {UUID} (optional): only return webhooks for this owner
+ * - `rule` {Rule} (optional): only return webhooks that can be called for
+ *   changes to this rule: those for its owner, and those without an owner
+ * @param callback {Function} `function (err, webhooks)`
+ */
+function listWebhooks(app, log, params, callback) {
+    var filter = '(uuid=*)';
+
+    if (hasKey(params, 'owner_uuid')) {
+        filter = util.format('(owner=%s)', params.owner_uuid);
+    }
+
+    if (hasKey(params, 'rule')) {
+        filter = '(!(owner=*))';
+        if (params.rule.owner_uuid) {
+            filter = util.format('(|%s(owner=%s))', filter,
+                params.rule.owner_uuid);
+        }
+    }
+
+    mod_moray.listAllObjs({
+        app: app,
+        bucket: mod_webhook.BUCKET,
+        filter: filter,
+        log: log,
+        moray: app.moray,
+        model: mod_webhook.Webhook
+    }, callback);
+}
+
+function deleteWebhook(app, log, webhook, callback) {
+    log.debug('Deleting webhook %s', webhook.uuid);
+
+    app.moray.delObject(mod_webhook.BUCKET.name, webhook.uuid, {
+        etag: webhook.etag
+    }, checkEtagConflict(checkWebhookErr(webhook.uuid, callback), 'Webhook'));
+}
+
+/**
+ * Writes a webhook delivery. The write is conditional on the stored
+ * delivery still having the etag of the delivery passed in (or, for new
+ * deliveries, on it not existing yet), so that only one FWAPI instance can
+ * claim a delivery.
+ */
+function putDelivery(app, log, delivery, callback) {
+    var req = delivery.batch();
+
+    log.debug({ delivery: req.value }, 'Writing webhook delivery');
+
+    app.moray.putObject(req.bucket, req.key, req.value, req.options,
+        checkEtagConflict(function (err, meta) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        delivery.etag = meta.etag;
+        callback(null, delivery);
+    }, 'Delivery'));
+}
+
+/**
+ * Lists webhook deliveries, oldest first.
+ *
+ * @param params {Object}:
+ * - `due` {Number} (optional): only return pending deliveries due to be
+ *   attempted at or before this time (in ms)
+ * - `limit` {Number} (optional): maximum number of deliveries to return
+ * - `webhook_uuid` {UUID} (optional): only return deliveries for this
+ *   webhook
+ * @param callback {Function} `function (err, deliveries)`
+ */
+function listDeliveries(app, log, params, callback) {
+    var filter = [ '(uuid=*)' ];
+
+    if (hasKey(params, 'webhook_uuid')) {
+        filter.push(util.format('(webhook=%s)', params.webhook_uuid));
+    }
+
+    if (hasKey(params, 'due')) {
+        filter.push(util.format('(status=pending)(next_attempt<=%d)',
+            params.due));
+    }
+
+    mod_moray.listObjs({
+        app: app,
+        bucket: mod_webhook.DELIVERY_BUCKET,
+        filter: '(&' + filter.join('') + ')',
+        limit: params.limit,
+        log: log,
+        moray: app.moray,
+        model: mod_webhook.Delivery,
+        sort: {
+            attribute: '_id',
+            order: 'ASC'
+        }
+    }, callback);
+}
+
+/**
+ * Deletes webhook deliveries that are no longer pending (delivered or
+ * failed), up to DELETE_LIMIT at a time.
+ *
+ * @param params {Object}:
+ * - `before` {Number}: only delete deliveries created at or before this
+ *   time (in ms)
+ * @param callback {Function} `function (err, count)`
+ */
+function deleteDeliveries(app, log, params, callback) {
+    var filter = util.format(
+        '(&(|(status=delivered)(status=failed))(time<=%d))', params.before);
+
+    log.debug({ filter: filter }, 'Deleting webhook deliveries');
+
+    app.moray.deleteMany(mod_webhook.DELIVERY_BUCKET.name, filter, {
+        limit: DELETE_LIMIT
+    }, function (err, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, res.count);
+    });
 }
 
 module.exports = {
+    batchRules: batchRules,
+    checkBatchQuotas: checkBatchQuotas,
+    createNamed: createNamed,
+    createWebhook: createWebhook,
+    deleteDeliveries: deleteDeliveries,
+    deleteNamed: deleteNamed,
+    deleteQuota: deleteQuota,
+    deleteWebhook: deleteWebhook,
+    getNamed: getNamed,
+    getQuota: getQuota,
+    getWebhook: getWebhook,
+    listDeliveries: listDeliveries,
+    listNamed: listNamed,
+    listWebhooks: listWebhooks,
+    putDelivery: putDelivery,
+    putQuota: putQuota,
+    updateNamed: updateNamed,
     vmRules: vmRules,
+    writeRules: writeRules,
+    findAllRules: findAllRules,
     findRules: findRules,
     getRule: getRule,
+    ruleChanges: ruleChanges,
+    ruleHistory: ruleHistory,
+    ruleVersion: ruleVersion,
+    ruleUsage: ruleUsage,
     deleteRule: deleteRule,
     updateRule: updateRule,
     createRule: createRule
@@ -0,0 +1,123 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Quota model: an owner's override of the default limit on the number of
+ * rules that an owner can have (the ruleQuota config option). Quotas are
+ * keyed by owner UUID.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+
+
+
+// --- Globals
+
+
+/*
+ * We assign a version number to objects so that older versions can be found
+ * and upgraded in the future.
+ *
+ * 1 - Initial version.
+ */
+var RAW_VERSION = 1;
+
+var BUCKET = {
+    desc: 'fwapi owner quotas',
+    name: 'fwapi_quotas',
+    constructor: Quota,
+    version: RAW_VERSION,
+    schema: {
+        index: {
+            owner: { type: 'string', unique: true },
+            _v: { type: 'number' }
+        }
+    },
+    morayVersion: 1
+};
+
+
+
+// --- Quota object
+
+
+
+/**
+ * Quota constructor
+ *
+ * @param record {Object}: the raw record from Moray
+ */
+function Quota(record, app) {
+    assert.object(record, 'record');
+    assert.uuid(record.key, 'record.key');
+    assert.object(record.value, 'record.value');
+    assert.number(record.value.rules, 'record.value.rules');
+
+    this.owner_uuid = record.key;
+    this.rules = record.value.rules;
+    this.etag = record._etag || null;
+    this.app = app;
+}
+
+
+Quota.prototype.rawMoray = function () {
+    return {
+        owner: this.owner_uuid,
+        rules: this.rules,
+        _v: RAW_VERSION
+    };
+};
+
+
+Quota.prototype.batch = function () {
+    return {
+        bucket: BUCKET.name,
+        key: this.owner_uuid,
+        operation: 'put',
+        value: this.rawMoray(),
+        options: {
+            etag: this.etag
+        }
+    };
+};
+
+
+/**
+ * Return the serialized (API-facing) representation of this quota
+ */
+Quota.prototype.serialize = function () {
+    return {
+        owner_uuid: this.owner_uuid,
+        rules: this.rules
+    };
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a new quota from validated API parameters
+ */
+function createQuota(params, app) {
+    return new Quota({
+        key: params.owner_uuid,
+        value: {
+            rules: params.rules
+        }
+    }, app);
+}
+
+
+module.exports = {
+    BUCKET: BUCKET,
+    create: createQuota,
+    Quota: Quota
+};
@@ -0,0 +1,176 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Reaper for expired rules: periodically finds rules whose expires_at has
+ * passed, and disables or deletes them, queuing the same updates for
+ * firewallers as if the change had been made through the API.
+ *
+ * When several FWAPI instances share the same buckets, only the instance
+ * holding the "_reaper" lease (see lib/cluster.js) reaps rules.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_persist = require('./persist');
+var mod_routing = require('./routing');
+var mod_uuid = require('uuid');
+var RuleTask = require('./rule-task').RuleTask;
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var ACTIONS = [ 'delete', 'disable' ];
+var DEFAULT_ACTION = 'disable';
+
+// Time (in ms) between checks for expired rules
+var DEFAULT_INTERVAL = 60000;
+
+// Recorded as the changed_by of history entries for expired rules
+var CHANGED_BY = 'fwapi-reaper';
+
+var REAPER_LEASE = '_reaper';
+
+
+
+// --- Reaper object
+
+
+
+/**
+ * Reaper constructor
+ *
+ * @param opts {Object}:
+ * - `app` {FWAPI}: with `cluster`, `moray`, `updater` and `vmapi` clients
+ * - `config` {Object}: optionally with `action` (what to do with expired
+ *   rules: "disable" or "delete") and `interval` (in ms)
+ * - `log` {Bunyan logger}
+ */
+function Reaper(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.config, 'opts.config');
+    assert.optionalString(opts.config.action, 'opts.config.action');
+    assert.optionalNumber(opts.config.interval, 'opts.config.interval');
+    assert.object(opts.log, 'opts.log');
+
+    this.action = opts.config.action || DEFAULT_ACTION;
+    assert.ok(ACTIONS.indexOf(this.action) !== -1,
+        'opts.config.action must be one of: ' + ACTIONS.join(', '));
+
+    RuleTask.call(this, {
+        app: opts.app,
+        description: 'expired',
+        interval: opts.config.interval || DEFAULT_INTERVAL,
+        lease: REAPER_LEASE,
+        log: opts.log.child({ component: 'reaper' }),
+        sort: 'expires_at'
+    });
+}
+
+util.inherits(Reaper, RuleTask);
+
+
+/**
+ * Returns the filter for rules that have expired (and haven't yet been
+ * disabled, if that's what's done with them)
+ */
+Reaper.prototype.filter = function filter(now) {
+    var expired = util.format('(expires_at<=%d)', now);
+
+    if (this.action === 'disable') {
+        return '(&' + expired + '(enabled=true))';
+    }
+
+    return expired;
+};
+
+
+/**
+ * Disables or deletes the rules that have expired, if this instance holds
+ * the reaper lease.
+ *
+ * @param callback {Function} `function (err, count)`, where count is the
+ *   number of rules reaped
+ */
+Reaper.prototype.reap = function reap(callback) {
+    this.run(callback);
+};
+
+
+/**
+ * Disables or deletes an expired rule, and queues the update for it
+ */
+Reaper.prototype.changeRule = function changeRule(rule, callback) {
+    var app = this.app;
+    var log = this.log;
+    var reqID = mod_uuid.v4();
+    var opts = {
+        changed_by: CHANGED_BY,
+        req_id: reqID
+    };
+
+    log.info({ uuid: rule.uuid, expires_at: rule.expires_at,
+        action: this.action }, 'Rule expired');
+
+    if (this.action === 'delete') {
+        mod_persist.deleteRule(app, log, rule, opts, function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            mod_routing.queueUpdate(app, log, reqID, 'fw.del_rule',
+                rule.serialize(), [ rule ], callback);
+        });
+        return;
+    }
+
+    var newRule = this.updated(rule, { enabled: false }, callback);
+    if (newRule === null) {
+        return;
+    }
+
+    mod_persist.updateRule(app, log, newRule, rule, opts,
+        function (err, updated) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        mod_routing.queueUpdate(app, log, reqID, 'fw.update_rule',
+            updated.serialize(), [ rule, updated ], callback);
+    });
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a new reaper object
+ *
+ * @param opts {Object} : As required by the Reaper constructor
+ */
+function createReaper(opts) {
+    return new Reaper(opts);
+}
+
+
+module.exports = {
+    ACTIONS: ACTIONS,
+    create: createReaper
+};
@@ -0,0 +1,510 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Rendering the rules that apply to a VM as host firewall configuration
+ * (ipf, pf, nftables or iptables), for comparing against what is loaded on
+ * the VM's server.
+ *
+ * Each rule that applies to the VM becomes host rules for each direction
+ * that the VM is on: inbound if it's on the rule's TO side, and outbound if
+ * it's on the FROM side. The VMs and tags on the other side of the rule are
+ * replaced with the IPs of the owner's matching VMs. Host rules are written
+ * in the order that firewallers apply rules (see lib/simulate.js), followed
+ * by the default policy: block inbound traffic and allow outbound traffic.
+ */
+
+'use strict';
+
+var mod_analyze = require('./analyze');
+var mod_simulate = require('./simulate');
+var util = require('util');
+
+
+// --- Globals
+
+
+var DIRECTIONS = [
+    { name: 'in', local: 'to', remote: 'from' },
+    { name: 'out', local: 'from', remote: 'to' }
+];
+
+// Protocols that only apply to one address family
+var PROTOCOL_FAMILIES = {
+    icmp: 'inet',
+    icmp6: 'inet6'
+};
+
+
+
+// --- Internal helpers
+
+
+
+function addrFamily(addr) {
+    return (addr.indexOf(':') === -1) ? 'inet' : 'inet6';
+}
+
+
+/**
+ * Returns the addresses on the remote side of a rule: [ 'any' ], or its IPs
+ * and subnets plus the IPs of the VMs that its VM, tag and "all vms" targets
+ * match
+ */
+function remoteAddrs(side, vms) {
+    var addrs = side.ips.concat(side.subnets);
+    var seen = {};
+
+    if (side.wildcards.indexOf('any') !== -1) {
+        return [ 'any' ];
+    }
+
+    vms.forEach(function (vm) {
+        var endpoint = mod_simulate.vmEndpoint(vm);
+
+        if (mod_simulate.vmMatches(side, endpoint)) {
+            addrs = addrs.concat(endpoint.addrs);
+        }
+    });
+
+    return addrs.filter(function (addr) {
+        if (seen[addr]) {
+            return false;
+        }
+
+        seen[addr] = true;
+        return true;
+    });
+}
+
+
+/**
+ * Returns the protocol targets of a rule: port ranges for tcp and udp, and
+ * objects with a type and optional code for icmp and icmp6. A list with just
+ * null means that the rule matches all of the protocol's traffic.
+ */
+function ruleTargets(rule) {
+    switch (rule.protocol) {
+    case 'tcp':
+    case 'udp':
+        var ranges = mod_analyze.portRanges(rule);
+        if (ranges.length === 1 && ranges[0].start === 1 &&
+            ranges[0].end === 65535) {
+            return [ null ];
+        }
+
+        return ranges;
+
+    case 'icmp':
+    case 'icmp6':
+        if (rule.types.some(function (t) { return String(t) === 'all'; })) {
+            return [ null ];
+        }
+
+        return rule.types.map(function (t) {
+            var split = String(t).split(':');
+            return { type: split[0], code: split[1] };
+        });
+
+    default:
+        return [ null ];
+    }
+}
+
+
+/**
+ * Returns the host rules for a rule, for each address family that it
+ * applies to. Rules matching any address are only split by family if their
+ * protocol has one (family is null otherwise).
+ */
+function familyEntries(rule, direction, addrs) {
+    var families = [ 'inet', 'inet6' ];
+    var protoFamily = PROTOCOL_FAMILIES[rule.protocol];
+    var targets = ruleTargets(rule);
+
+    function entry(family, famAddrs) {
+        return {
+            action: rule.action,
+            addrs: famAddrs,
+            direction: direction,
+            family: family,
+            protocol: rule.protocol,
+            targets: targets
+        };
+    }
+
+    if (addrs.length === 1 && addrs[0] === 'any') {
+        return [ entry(protoFamily || null, addrs) ];
+    }
+
+    if (protoFamily) {
+        families = [ protoFamily ];
+    }
+
+    return families.map(function (family) {
+        return entry(family, addrs.filter(function (addr) {
+            return (addrFamily(addr) === family);
+        }));
+    }).filter(function (e) {
+        return (e.addrs.length !== 0);
+    });
+}
+
+
+/**
+ * Returns the host rules for the VM, grouped by the rule and direction that
+ * they come from
+ */
+function hostRules(vm, rules, vms) {
+    var groups = [];
+    var local = mod_simulate.vmEndpoint(vm);
+
+    mod_simulate.applyOrder(rules).forEach(function (rule) {
+        DIRECTIONS.forEach(function (dir) {
+            if (!mod_simulate.vmMatches(rule[dir.local], local)) {
+                return;
+            }
+
+            groups.push({
+                direction: dir.name,
+                entries: familyEntries(rule, dir.name,
+                    remoteAddrs(rule[dir.remote], vms)),
+                rule: rule
+            });
+        });
+    });
+
+    return groups;
+}
+
+
+/**
+ * Returns the lines for each address and target of a host rule, as
+ * returned by fn
+ */
+function eachLine(entry, fn) {
+    var lines = [];
+
+    entry.addrs.forEach(function (addr) {
+        entry.targets.forEach(function (target) {
+            lines.push(fn(addr, target));
+        });
+    });
+
+    return lines;
+}
+
+
+/**
+ * Returns the comment lines describing the rule that a group of host rules
+ * comes from
+ */
+function ruleComment(group) {
+    var lines = [ util.format('# %s: %s', group.rule.uuid,
+        group.rule.text()) ];
+
+    if (group.entries.length === 0) {
+        lines.push('# (no VMs match the other side of this rule)');
+    }
+
+    return lines;
+}
+
+
+function portRange(range, sep) {
+    return (range.start === range.end) ? String(range.start) :
+        range.start + sep + range.end;
+}
+
+
+
+// --- Renderers
+
+
+
+/**
+ * ipf (illumos IP Filter), as used by SmartOS firewallers
+ */
+function renderIPF(groups) {
+    var lines = [];
+
+    function ipfLine(entry, addr, target) {
+        var words = [ entry.action === 'allow' ? 'pass' : 'block',
+            entry.direction, 'quick' ];
+        var inbound = (entry.direction === 'in');
+
+        if (entry.family === 'inet6') {
+            words.push('family', 'inet6');
+        }
+
+        words.push('proto',
+            entry.protocol === 'icmp6' ? 'ipv6-icmp' : entry.protocol,
+            'from', inbound ? addr : 'any',
+            'to', inbound ? 'any' : addr);
+
+        if (target !== null && target.start !== undefined) {
+            words.push('port', target.start === target.end ?
+                '= ' + target.start : portRange(target, ':'));
+        } else if (target !== null) {
+            words.push('icmp-type', target.type);
+            if (target.code !== undefined) {
+                words.push('code', target.code);
+            }
+        }
+
+        if (entry.action === 'allow') {
+            words.push('keep state');
+        }
+
+        return words.join(' ');
+    }
+
+    groups.forEach(function (group) {
+        lines = lines.concat(ruleComment(group));
+        group.entries.forEach(function (entry) {
+            lines = lines.concat(eachLine(entry, ipfLine.bind(null, entry)));
+        });
+        lines.push('');
+    });
+
+    return lines.concat([
+        '# Default policy',
+        'block in all',
+        'pass out all keep state'
+    ]);
+}
+
+
+/**
+ * pf (OpenBSD Packet Filter)
+ */
+function renderPF(groups) {
+    var lines = [];
+
+    function pfLine(entry, addr, target) {
+        var words = [ entry.action === 'allow' ? 'pass' : 'block',
+            entry.direction, 'quick' ];
+        var inbound = (entry.direction === 'in');
+
+        if (entry.family !== null) {
+            words.push(entry.family);
+        }
+
+        words.push('proto', entry.protocol,
+            'from', inbound ? addr : 'any',
+            'to', inbound ? 'any' : addr);
+
+        if (target !== null && target.start !== undefined) {
+            words.push('port', portRange(target, ':'));
+        } else if (target !== null) {
+            words.push(entry.protocol === 'icmp6' ? 'icmp6-type' : 'icmp-type',
+                target.type);
+            if (target.code !== undefined) {
+                words.push('code', target.code);
+            }
+        }
+
+        return words.join(' ');
+    }
+
+    groups.forEach(function (group) {
+        lines = lines.concat(ruleComment(group));
+        group.entries.forEach(function (entry) {
+            lines = lines.concat(eachLine(entry, pfLine.bind(null, entry)));
+        });
+        lines.push('');
+    });
+
+    return lines.concat([
+        '# Default policy',
+        'block in all',
+        'pass out all'
+    ]);
+}
+
+
+/**
+ * nftables, as a table with an input and an output chain
+ */
+function renderNftables(groups) {
+    var lines = [ 'table inet fwapi {' ];
+
+    function set(items) {
+        return (items.length === 1) ? items[0] :
+            '{ ' + items.join(', ') + ' }';
+    }
+
+    function nftLines(entry) {
+        var addrMatch = '';
+        var matches;
+        var verdict = (entry.action === 'allow') ? 'accept' : 'drop';
+
+        if (entry.addrs[0] !== 'any') {
+            addrMatch = util.format('%s %s %s ',
+                entry.family === 'inet6' ? 'ip6' : 'ip',
+                entry.direction === 'in' ? 'saddr' : 'daddr',
+                set(entry.addrs));
+        }
+
+        if (entry.targets[0] === null) {
+            matches = [ 'meta l4proto ' +
+                (entry.protocol === 'icmp6' ? 'ipv6-icmp' : entry.protocol) ];
+        } else if (entry.protocol === 'tcp' || entry.protocol === 'udp') {
+            matches = [ entry.protocol + ' dport ' +
+                set(entry.targets.map(function (range) {
+                    return portRange(range, '-');
+                })) ];
+        } else {
+            matches = entry.targets.map(function (target) {
+                var kw = (entry.protocol === 'icmp6') ? 'icmpv6' : 'icmp';
+                return kw + ' type ' + target.type +
+                    (target.code !== undefined ?
+                    ' ' + kw + ' code ' + target.code : '');
+            });
+        }
+
+        return matches.map(function (match) {
+            return '        ' + addrMatch + match + ' ' + verdict;
+        });
+    }
+
+    [ [ 'in', 'input', 'drop' ], [ 'out', 'output', 'accept' ] ].forEach(
+        function (chain) {
+        lines.push(
+            '    chain ' + chain[1] + ' {',
+            '        type filter hook ' + chain[1] + ' priority 0; policy ' +
+                chain[2] + ';',
+            '        ct state established,related accept');
+
+        groups.filter(function (group) {
+            return (group.direction === chain[0]);
+        }).forEach(function (group) {
+            lines = lines.concat(ruleComment(group).map(function (l) {
+                return '        ' + l;
+            }));
+            group.entries.forEach(function (entry) {
+                lines = lines.concat(nftLines(entry));
+            });
+        });
+
+        lines.push('    }');
+    });
+
+    lines.push('}');
+    return lines;
+}
+
+
+/**
+ * iptables and ip6tables, in iptables-save format
+ */
+function renderIptables(groups) {
+    var lines = [];
+
+    function iptLine(entry, addr, target) {
+        var words = [ '-A', entry.direction === 'in' ? 'INPUT' : 'OUTPUT' ];
+
+        if (addr !== 'any') {
+            words.push(entry.direction === 'in' ? '-s' : '-d', addr);
+        }
+
+        if (entry.protocol === 'icmp6') {
+            words.push('-p', 'ipv6-icmp');
+        } else {
+            words.push('-p', entry.protocol);
+        }
+
+        if (target !== null && target.start !== undefined) {
+            words.push('-m', entry.protocol, '--dport',
+                portRange(target, ':'));
+        } else if (target !== null) {
+            words.push('-m', entry.protocol === 'icmp6' ? 'icmp6' : 'icmp',
+                entry.protocol === 'icmp6' ? '--icmpv6-type' : '--icmp-type',
+                target.type + (target.code !== undefined ?
+                '/' + target.code : ''));
+        }
+
+        words.push('-j', entry.action === 'allow' ? 'ACCEPT' : 'DROP');
+        return words.join(' ');
+    }
+
+    [ [ 'inet', 'iptables' ], [ 'inet6', 'ip6tables' ] ].forEach(
+        function (table) {
+        lines.push('# ' + table[1],
+            '*filter',
+            ':INPUT DROP [0:0]',
+            ':OUTPUT ACCEPT [0:0]',
+            '-A INPUT -m conntrack --ctstate ESTABLISHED,RELATED -j ACCEPT');
+
+        groups.forEach(function (group) {
+            var entries = group.entries.filter(function (entry) {
+                return (entry.family === null || entry.family === table[0]);
+            });
+
+            if (entries.length === 0 && group.entries.length !== 0) {
+                return;
+            }
+
+            lines = lines.concat(ruleComment(group));
+            entries.forEach(function (entry) {
+                lines = lines.concat(eachLine(entry,
+                    iptLine.bind(null, entry)));
+            });
+        });
+
+        lines.push('COMMIT', '');
+    });
+
+    return lines;
+}
+
+
+var RENDERERS = {
+    ipf: renderIPF,
+    iptables: renderIptables,
+    nftables: renderNftables,
+    pf: renderPF
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Returns the host firewall configuration for a VM as text
+ *
+ * @param opts {Object}:
+ * - `format` {String}: one of FORMATS
+ * - `vm` {Object}: the VM, from VMAPI
+ * - `rules` {Array}: Rule objects that apply to the VM
+ * - `vms` {Array}: the VMs (from VMAPI) that the rules could refer to
+ */
+function render(opts) {
+    var header = [
+        util.format('# Firewall rules for VM %s, as rendered by FWAPI',
+            opts.vm.uuid)
+    ];
+
+    if (!opts.vm.firewall_enabled) {
+        header.push('# The VM\'s firewall is disabled, so these rules are ' +
+            'not loaded');
+    }
+
+    return header.concat('', RENDERERS[opts.format](
+        hostRules(opts.vm, opts.rules, opts.vms))).join('\n') + '\n';
+}
+
+
+module.exports = {
+    FORMATS: Object.keys(RENDERERS).sort(),
+    render: render
+};
@@ -0,0 +1,255 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Routing rule updates to the servers hosting the VMs that the rules apply
+ * to (when the updateRouting config option is set)
+ */
+
+'use strict';
+
+var mod_vasync = require('vasync');
+var util = require('util');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+
+// Number of VMs to request from VMAPI at once
+var VMAPI_PAGE_SIZE = 1000;
+
+
+
+// --- Internal
+
+
+function hasVMs(rule) {
+    return (rule.allVMs || rule.vms.length !== 0 || rule.tags.length !== 0);
+}
+
+
+/**
+ * Calls callback with the UUIDs of the servers hosting the VMs matching
+ * query, paging through them
+ *
+ * @param callback {Function} `function (err, servers)`
+ */
+function vmServers(app, query, reqID, callback) {
+    var servers = [];
+
+    function getPage(offset) {
+        app.vmapi.listVms({
+            limit: VMAPI_PAGE_SIZE,
+            offset: offset,
+            query: query
+        }, {
+            headers: {'request-id': reqID}
+        }, function (err, vms) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            vms.forEach(function (vm) {
+                if (vm.server_uuid) {
+                    servers.push(vm.server_uuid);
+                }
+            });
+
+            if (vms.length < VMAPI_PAGE_SIZE) {
+                callback(null, servers);
+                return;
+            }
+
+            getPage(offset + vms.length);
+        });
+    }
+
+    getPage(0);
+}
+
+
+/**
+ * Calls callback with the UUIDs of the servers hosting VMs that the rules
+ * apply to, or null if the update for them should go to all servers
+ */
+function affectedServers(app, log, reqID, rules, callback) {
+    var byOwner = {};
+    var servers = {};
+
+    if (!app.config.updateRouting) {
+        callback(null);
+        return;
+    }
+
+    // Global rules can apply to VMs belonging to any owner
+    if (rules.some(function (rule) { return !rule.owner_uuid; })) {
+        callback(null);
+        return;
+    }
+
+    rules.filter(hasVMs).forEach(function (rule) {
+        if (!hasKey(byOwner, rule.owner_uuid)) {
+            byOwner[rule.owner_uuid] = [];
+        }
+
+        byOwner[rule.owner_uuid].push(rule);
+    });
+
+    mod_vasync.forEachParallel({
+        inputs: Object.keys(byOwner),
+        func: function _listOwnerVMs(owner, cb) {
+            vmServers(app, vmFilter(owner, byOwner[owner]), reqID,
+                function (err, found) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+
+                found.forEach(function (server) {
+                    servers[server] = true;
+                });
+
+                cb();
+            });
+        }
+    }, function (err) {
+        if (err) {
+            log.warn(err,
+                'Error getting affected servers: sending update to all');
+            callback(null);
+            return;
+        }
+
+        callback(Object.keys(servers).sort());
+    });
+}
+
+
+
+/**
+ * Returns the options for an update sent to servers (null for all servers)
+ */
+function updateOpts(log, name, servers) {
+    var opts = {};
+
+    if (servers !== null) {
+        log.debug({ servers: servers }, 'update %s: servers', name);
+        opts.servers = servers;
+    }
+
+    return opts;
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Queues an update for changes to rules, to be sent to the servers hosting
+ * the VMs that the rules apply to (or to all servers, if update routing is
+ * disabled or the servers can't be determined). rules should include both
+ * the old and new versions of any updated rules. reqID identifies the
+ * change in requests to VMAPI.
+ */
+function queueUpdate(app, log, reqID, name, value, rules, callback) {
+    affectedServers(app, log, reqID, rules, function (servers) {
+        app.updater.queue(name, value, updateOpts(log, name, servers),
+            callback);
+    });
+}
+
+
+/**
+ * Returns the updates for several changes to rules, routed as for
+ * queueUpdate(), without queueing them: the caller writes their batch()
+ * requests to Moray along with the changes. Each change has:
+ * - `name` {String}: the update name
+ * - `value` {Object}: the update data
+ * - `rules` {Array}: the rules changed, as for queueUpdate()
+ *
+ * @param callback {Function} `function (err, updates)`, where updates are
+ *   UpdateMsg objects in the same order as changes
+ */
+function createUpdates(app, log, reqID, changes, callback) {
+    var updates = [];
+
+    mod_vasync.forEachPipeline({
+        inputs: changes,
+        func: function _createUpdate(change, cb) {
+            affectedServers(app, log, reqID, change.rules,
+                function (servers) {
+                updates.push(app.updater.message(change.name, change.value,
+                    updateOpts(log, change.name, servers)));
+                cb();
+            });
+        }
+    }, function (err) {
+        callback(err, updates);
+    });
+}
+
+
+/**
+ * Returns a VMAPI ListVms filter for the VMs belonging to owner_uuid that
+ * the rules apply to, excluding VMs in a state where they have no IPs
+ */
+function vmFilter(owner_uuid, rules) {
+    var filter = [];
+    var allVMs = rules.some(function (rule) {
+        return rule.allVMs;
+    });
+
+    if (!allVMs) {
+        rules.forEach(function (rule) {
+            rule.vms.forEach(function (vm) {
+                filter.push('(uuid=' + vm + ')');
+            });
+
+            rule.tags.forEach(function (t) {
+                if (util.isArray(t)) {
+                    filter.push('(tags=*' + t[0] + '=' + t[1] + '*)');
+                } else {
+                    filter.push('(tags=*' + t + '=*)');
+                }
+            });
+        });
+
+        if (filter.length > 1) {
+            filter = ['(|'].concat(filter).concat(')');
+        }
+    }
+
+    // Always filter by owner_uuid
+    filter.unshift('(&');
+    filter.push('(owner_uuid=' + owner_uuid + '))');
+    // Don't get data for VMs in a state where they have no IPs: destroyed,
+    // failed, provisioning
+    filter.unshift('(&');
+    filter.push('(!(state=destroyed))');
+    filter.push('(!(state=failed))');
+    filter.push('(!(state=provisioning))');
+    filter.push(')');
+
+    return filter.join('');
+}
+
+
+
+module.exports = {
+    createUpdates: createUpdates,
+    queueUpdate: queueUpdate,
+    vmFilter: vmFilter
+};
@@ -0,0 +1,207 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Base object for tasks that periodically find rules in Moray and change
+ * them (see lib/reaper.js and lib/scheduler.js). Each check lists the rules
+ * matching the task's filter and changes them one at a time.
+ *
+ * When several FWAPI instances share the same buckets, only the instance
+ * holding the task's lease (see lib/cluster.js) changes rules.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_moray = require('./moray');
+var mod_rule = require('./rule');
+var mod_vasync = require('vasync');
+var VError = require('verror');
+
+
+
+// --- Globals
+
+
+
+// Errors from changing a rule that was changed or deleted since it was
+// found, or that is no longer valid (see RuleTask.prototype.updated())
+var SKIP_ERRORS = [ 'InvalidRuleError', 'PreconditionFailedError',
+    'ResourceNotFoundError' ];
+
+
+
+// --- RuleTask object
+
+
+
+/**
+ * RuleTask constructor. Objects inheriting from RuleTask implement:
+ * - `filter(now)`, which returns the Moray filter for rules to change
+ * - `changeRule(rule, callback)`, which changes a rule (using updated(), so
+ *   that invalid rules are skipped) and queues the update for it
+ *
+ * @param opts {Object}:
+ * - `app` {FWAPI}: with `cluster`, `moray`, `updater` and `vmapi` clients
+ * - `description` {String}: the kind of rules changed, for log messages
+ * - `interval` {Number}: time between checks (in ms)
+ * - `lease` {String}: name of the lease that must be held to change rules
+ * - `log` {Bunyan logger}
+ * - `sort` {String}: attribute to sort rules by before changing them
+ */
+function RuleTask(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.app, 'opts.app');
+    assert.string(opts.description, 'opts.description');
+    assert.number(opts.interval, 'opts.interval');
+    assert.string(opts.lease, 'opts.lease');
+    assert.object(opts.log, 'opts.log');
+    assert.string(opts.sort, 'opts.sort');
+
+    this.app = opts.app;
+    this.description = opts.description;
+    this.interval = opts.interval;
+    this.lease = opts.lease;
+    this.log = opts.log;
+    this.sort = opts.sort;
+    this.timeout = null;
+}
+
+
+/**
+ * Starts periodically checking for rules to change
+ */
+RuleTask.prototype.start = function start() {
+    var self = this;
+
+    function check() {
+        self.run(function (err, count) {
+            if (err) {
+                self.log.error(err, 'Error changing %s rules',
+                    self.description);
+            } else if (count !== 0) {
+                self.log.info('Changed %d %s rules', count, self.description);
+            }
+
+            self.timeout = setTimeout(check, self.interval);
+        });
+    }
+
+    self.timeout = setTimeout(check, self.interval);
+};
+
+
+/**
+ * Stops checking for rules to change
+ */
+RuleTask.prototype.stop = function stop() {
+    if (this.timeout) {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+};
+
+
+/**
+ * Returns the rule updated with params (see rule.updated()). If the stored
+ * rule is no longer valid (for example, if it was stored by a newer version
+ * of FWAPI), calls callback with an InvalidRuleError, which run() logs and
+ * skips, and returns null.
+ */
+RuleTask.prototype.updated = function updated(rule, params, callback) {
+    try {
+        return mod_rule.updated(this.app, rule, params);
+    } catch (err) {
+        var vErr = new VError(err, 'stored rule %s is invalid', rule.uuid);
+        vErr.name = 'InvalidRuleError';
+        callback(vErr);
+        return null;
+    }
+};
+
+
+/**
+ * Changes the rules matching the task's filter, if this instance holds the
+ * task's lease. Rules that are changed by someone else while they're being
+ * changed here are left until the next check.
+ *
+ * @param callback {Function} `function (err, count)`, where count is the
+ *   number of rules changed
+ */
+RuleTask.prototype.run = function run(callback) {
+    var self = this;
+    var app = self.app;
+
+    if (app.config.fwrule_version <= 2) {
+        // Expiry times and schedules are only stored in Moray
+        callback(null, 0);
+        return;
+    }
+
+    app.cluster.lease(self.lease, function (lErr, lease) {
+        if (lErr || lease === null) {
+            callback(lErr, 0);
+            return;
+        }
+
+        mod_moray.listObjs({
+            app: app,
+            bucket: mod_rule.BUCKET,
+            filter: self.filter(Date.now()),
+            log: self.log,
+            model: mod_rule.Rule,
+            moray: app.moray,
+            sort: {
+                attribute: self.sort,
+                order: 'ASC'
+            }
+        }, function (err, rules) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            var count = 0;
+
+            mod_vasync.forEachPipeline({
+                inputs: rules,
+                func: function _changeRule(rule, cb) {
+                    self.changeRule(rule, function (cErr) {
+                        if (cErr && SKIP_ERRORS.indexOf(cErr.name) !== -1) {
+                            self.log.warn({ err: cErr, uuid: rule.uuid },
+                                'Error changing %s rule; skipping',
+                                self.description);
+                            cb();
+                            return;
+                        }
+
+                        if (!cErr) {
+                            count++;
+                        }
+
+                        cb(cErr);
+                    });
+                }
+            }, function (pErr) {
+                callback(pErr, count);
+            });
+        });
+    });
+};
+
+
+
+// --- Exports
+
+
+
+module.exports = {
+    RuleTask: RuleTask
+};
@@ -15,6 +15,8 @@
 'use strict';
 
 var assert = require('assert-plus');
+var clone = require('clone');
+var mod_cron = require('./util/cron');
 var mod_err = require('./errors');
 var mod_rule = require('fwrule');
 var util = require('util');
@@ -35,8 +37,11 @@ var tagUnescape = require('fwrule/lib/rule').tagUnescape;
  *
  * 1 - Initial version.
  * 2 - Save tag names/values unescaped, and index on "description".
+ * 3 - Add "expires_at".
+ * 4 - Add "schedule", and index on "next_transition".
+ * 5 - Add "source_rule", and index on "ipsets" and "services".
  */
-var MORAY_RAW_VERSION = 2;
+var MORAY_RAW_VERSION = 5;
 
 var BUCKET = {
     desc: 'fwrules',
@@ -56,6 +61,14 @@ var BUCKET = {
             'action': { 'type': 'string' },
             'protocol': { 'type': 'string' },
             'enabled': { 'type': 'boolean' },
+            'expires_at': { 'type': 'number' },
+            'next_transition': { 'type': 'number' },
+            'ipsets': {
+                'type': '[string]'
+            },
+            'services': {
+                'type': '[string]'
+            },
             'fromwildcards': {
                 'type': '[string]'
             },
@@ -305,6 +318,109 @@ function ruleFromUFDS(raw) {
 }
 
 
+/**
+ * Throws if rules aren't stored in Moray, since field is only persisted
+ * there (UFDS has no attribute for it)
+ */
+function requireMoray(app, field) {
+    if (app.config.fwrule_version <= 2) {
+        throw new mod_err.InvalidParamsError(mod_err.INVALID_MSG, [
+            mod_err.invalidParam(field, 'requires rules to be stored in Moray')
+        ]);
+    }
+}
+
+
+/**
+ * Parses the expires_at parameter, which can be an ISO 8601 date or a
+ * timestamp in milliseconds, into a timestamp. Returns null if the
+ * parameter is being cleared.
+ */
+function parseExpiry(val) {
+    var time;
+
+    if (val === null || val === '') {
+        return null;
+    }
+
+    if (typeof (val) === 'number') {
+        time = val;
+    } else if (typeof (val) === 'string') {
+        time = /^\d+$/.test(val) ? Number(val) : Date.parse(val);
+    }
+
+    if (typeof (time) !== 'number' || !isFinite(time) || time < 0) {
+        throw new mod_err.InvalidParamsError(mod_err.INVALID_MSG, [
+            mod_err.invalidParam('expires_at',
+                'must be an ISO 8601 date or a timestamp in milliseconds')
+        ]);
+    }
+
+    return Math.floor(time);
+}
+
+
+/**
+ * Parses the schedule parameter: an object with "start" and "end" cron
+ * expressions for the start and end of the windows when the rule is
+ * enabled. Returns null if the schedule is being cleared.
+ */
+function parseSchedule(val) {
+    var errs = [];
+    var now = Date.now();
+
+    if (val === null || val === '') {
+        return null;
+    }
+
+    if (typeof (val) !== 'object' || Array.isArray(val)) {
+        errs.push('must be an object with "start" and "end" cron expressions');
+    } else {
+        [ 'start', 'end' ].forEach(function (key) {
+            try {
+                if (mod_cron.next(mod_cron.parse(val[key]), now) === null) {
+                    errs.push(key + ': never matches');
+                }
+            } catch (err) {
+                errs.push(key + ': ' + err.message);
+            }
+        });
+    }
+
+    if (errs.length !== 0) {
+        throw new mod_err.InvalidParamsError(mod_err.INVALID_MSG, [
+            mod_err.invalidParam('schedule', errs.join(', '))
+        ]);
+    }
+
+    return {
+        start: val.start.trim(),
+        end: val.end.trim()
+    };
+}
+
+
+/**
+ * Sets whether a scheduled rule is enabled, based on whether it's currently
+ * within one of its windows, and the time that this will next change. Rules
+ * that have expired are always disabled.
+ */
+function applySchedule(rule, now) {
+    if (hasKey(rule, 'expires_at') && rule.expires_at <= now) {
+        rule.enabled = false;
+        delete rule.next_transition;
+        return;
+    }
+
+    var start = mod_cron.next(mod_cron.parse(rule.schedule.start), now);
+    var end = mod_cron.next(mod_cron.parse(rule.schedule.end), now);
+
+    // If the window will end before the next one starts, we're in it
+    rule.enabled = (end < start);
+    rule.next_transition = Math.min(start, end);
+}
+
+
 function tagObj(inputList) {
     var tags = {};
 
@@ -358,6 +474,25 @@ function Rule(data, app) {
         if (data._etag) {
             this.etag = data._etag;
         }
+
+        if (typeof (data.value.expires_at) === 'number') {
+            this.expires_at = data.value.expires_at;
+        }
+
+        if (typeof (data.value.schedule) === 'object' &&
+            data.value.schedule !== null) {
+            this.schedule = data.value.schedule;
+        }
+
+        if (typeof (data.value.next_transition) === 'number') {
+            this.next_transition = data.value.next_transition;
+        }
+
+        if (typeof (data.value.source_rule) === 'string') {
+            this.source_rule = data.value.source_rule;
+            this.ipsets = data.value.ipsets;
+            this.services = data.value.services;
+        }
     } else if (data.objectclass) {
         // Data is from UFDS:
         assert.equal(data.objectclass, Rule.objectclass,
@@ -370,6 +505,32 @@ function Rule(data, app) {
             enforceSubnetMask: true,
             enforceGlobal: true
         });
+
+        if (hasKey(data, 'expires_at')) {
+            var expiry = parseExpiry(data.expires_at);
+            if (expiry !== null) {
+                requireMoray(app, 'expires_at');
+                this.expires_at = expiry;
+            }
+        }
+
+        if (hasKey(data, 'schedule')) {
+            var schedule = parseSchedule(data.schedule);
+            if (schedule !== null) {
+                requireMoray(app, 'schedule');
+                this.schedule = schedule;
+                applySchedule(this, Date.now());
+            }
+        }
+
+        // Set by common.expandRefs() when the rule refers to ipsets or
+        // services
+        if (typeof (data.source_rule) === 'string' &&
+            Array.isArray(data.ipsets) && Array.isArray(data.services)) {
+            this.source_rule = data.source_rule;
+            this.ipsets = data.ipsets;
+            this.services = data.services;
+        }
     }
 
     this.app = app;
@@ -407,6 +568,24 @@ Rule.prototype.rawMoray = function _ruleRawMoray() {
         raw.owner = this.owner_uuid;
     }
 
+    if (hasKey(this, 'expires_at')) {
+        raw.expires_at = this.expires_at;
+    }
+
+    if (hasKey(this, 'schedule')) {
+        raw.schedule = this.schedule;
+    }
+
+    if (hasKey(this, 'next_transition')) {
+        raw.next_transition = this.next_transition;
+    }
+
+    if (hasKey(this, 'source_rule')) {
+        raw.source_rule = this.source_rule;
+        raw.ipsets = this.ipsets;
+        raw.services = this.services;
+    }
+
     /**
      * Port storage in Moray:
      *
@@ -608,6 +787,27 @@ Rule.prototype.serialize = function _ruleSerialize(opts) {
     var self = this;
     var ser = mod_rule.FwRule.prototype.serialize.call(this);
 
+    if (hasKey(this, 'expires_at')) {
+        ser.expires_at = new Date(this.expires_at).toISOString();
+    }
+
+    if (hasKey(this, 'schedule')) {
+        ser.schedule = {
+            start: this.schedule.start,
+            end: this.schedule.end
+        };
+    }
+
+    if (hasKey(this, 'next_transition')) {
+        ser.next_transition = new Date(this.next_transition).toISOString();
+    }
+
+    if (hasKey(this, 'source_rule')) {
+        ser.source_rule = this.source_rule;
+        ser.ipsets = this.ipsets;
+        ser.services = this.services;
+    }
+
     if (!opts || !opts.fields) {
         return ser;
     }
@@ -723,6 +923,30 @@ function createRule(data, opts) {
 }
 
 
+/**
+ * Returns a new Rule with params applied on top of an existing rule, and
+ * with its version incremented. Throws if the resulting rule is invalid.
+ */
+function updatedRule(app, rule, params) {
+    var newRule;
+    var updateParams = clone(rule.serialize());
+
+    for (var p in params) {
+        updateParams[p] = params[p];
+    }
+
+    // Don't allow updating the rule's UUID
+    updateParams.uuid = rule.uuid;
+    // Don't allow through objectclass
+    delete updateParams.objectclass;
+
+    newRule = new Rule(updateParams, app);
+    newRule.incrementVersion();
+
+    return newRule;
+}
+
+
 /**
  * Translates the raw (UFDS) form of an IPv4 subnet to its serializable form
  */
@@ -762,6 +986,7 @@ module.exports = {
     PROTOCOLS: mod_rule.PROTOCOLS,
     Rule: Rule,
     TARGET_TYPES: mod_rule.TARGET_TYPES,
+    updated: updatedRule,
     raw: {
         ip: rawIP,
         subnet: rawSubnet
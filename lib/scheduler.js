@@ -0,0 +1,137 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Scheduler for rules with a schedule: periodically finds scheduled rules
+ * whose next_transition has passed, and enables or disables them as their
+ * windows start and end, queuing an update for firewallers for each change.
+ *
+ * When several FWAPI instances share the same buckets, only the instance
+ * holding the "_scheduler" lease (see lib/cluster.js) changes rules.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_persist = require('./persist');
+var mod_routing = require('./routing');
+var mod_uuid = require('uuid');
+var RuleTask = require('./rule-task').RuleTask;
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+// Time (in ms) between checks for rules to enable or disable
+var DEFAULT_INTERVAL = 60000;
+
+// Recorded as the changed_by of history entries for scheduled changes
+var CHANGED_BY = 'fwapi-scheduler';
+
+var SCHEDULER_LEASE = '_scheduler';
+
+
+
+// --- Scheduler object
+
+
+
+/**
+ * Scheduler constructor
+ *
+ * @param opts {Object}:
+ * - `app` {FWAPI}: with `cluster`, `moray`, `updater` and `vmapi` clients
+ * - `config` {Object}: optionally with `interval` (in ms)
+ * - `log` {Bunyan logger}
+ */
+function Scheduler(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.config, 'opts.config');
+    assert.optionalNumber(opts.config.interval, 'opts.config.interval');
+    assert.object(opts.log, 'opts.log');
+
+    RuleTask.call(this, {
+        app: opts.app,
+        description: 'scheduled',
+        interval: opts.config.interval || DEFAULT_INTERVAL,
+        lease: SCHEDULER_LEASE,
+        log: opts.log.child({ component: 'scheduler' }),
+        sort: 'next_transition'
+    });
+}
+
+util.inherits(Scheduler, RuleTask);
+
+
+/**
+ * Returns the filter for scheduled rules whose next transition has passed.
+ * Expired rules are left for the reaper (see lib/reaper.js).
+ */
+Scheduler.prototype.filter = function filter(now) {
+    return util.format('(&(next_transition<=%d)(!(expires_at<=%d)))',
+        now, now);
+};
+
+
+/**
+ * Updates a scheduled rule's enabled state and next transition time, and
+ * queues the update for it
+ */
+Scheduler.prototype.changeRule = function changeRule(rule, callback) {
+    var app = this.app;
+    var log = this.log;
+    var reqID = mod_uuid.v4();
+
+    // Creating the updated rule recalculates its state from the schedule
+    var newRule = this.updated(rule, {}, callback);
+    if (newRule === null) {
+        return;
+    }
+
+    log.info({ uuid: rule.uuid, enabled: newRule.enabled,
+        next_transition: newRule.next_transition },
+        'Scheduled rule transition');
+
+    mod_persist.updateRule(app, log, newRule, rule, {
+        changed_by: CHANGED_BY,
+        req_id: reqID
+    }, function (err, updated) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        mod_routing.queueUpdate(app, log, reqID, 'fw.update_rule',
+            updated.serialize(), [ rule, updated ], callback);
+    });
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a new scheduler object
+ *
+ * @param opts {Object} : As required by the Scheduler constructor
+ */
+function createScheduler(opts) {
+    return new Scheduler(opts);
+}
+
+
+module.exports = {
+    create: createScheduler
+};
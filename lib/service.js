@@ -0,0 +1,379 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Service model: a named group of protocol targets (ports, or ICMP types)
+ * belonging to an owner, eg: "web" for tcp ports 80 and 443, or "dns" for
+ * udp and tcp port 53. That owner's rules can use a service in place of the
+ * protocol and its targets:
+ *
+ *     FROM any TO all vms ALLOW service "web"
+ *
+ * Since each rule has one protocol, rules using a service that has targets
+ * for more than one protocol give the protocol to use:
+ *
+ *     FROM any TO all vms ALLOW udp service "dns"
+ *
+ * As with ipsets (see lib/ipset.js), rules are stored with their service
+ * references expanded.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var mod_err = require('./errors');
+var mod_fwrule = require('fwrule');
+var mod_ipset = require('./ipset');
+var mod_uuid = require('uuid');
+var util = require('util');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+
+/*
+ * We assign a version number to objects so that older versions can be found
+ * and upgraded in the future.
+ *
+ * 1 - Initial version.
+ */
+var SERVICE_RAW_VERSION = 1;
+
+var BUCKET = {
+    desc: 'fwapi services',
+    name: 'fwapi_services',
+    constructor: Service,
+    version: SERVICE_RAW_VERSION,
+    schema: {
+        index: {
+            uuid: { type: 'string', unique: true },
+            owner: { type: 'string' },
+            name: { type: 'string' },
+            // Names are unique per owner
+            owner_name: { type: 'string', unique: true },
+            _v: { type: 'number' }
+        }
+    },
+    morayVersion: 1
+};
+
+var PROTOCOLS = [ 'ah', 'esp', 'icmp', 'icmp6', 'tcp', 'udp' ];
+
+/*
+ * Matches either a quoted string (so that "service" inside tag names and
+ * values is left alone), or a service reference following the rule's
+ * action, optionally preceded by the protocol to use
+ */
+/* JSSTYLED */
+var REF_RE = new RegExp('"(?:[^"\\\\]|\\\\.)*"|\\b(ALLOW|BLOCK)\\s+' +
+    '(?:(' + PROTOCOLS.join('|') + ')\\s+)?service\\s+' +
+    '(?:"([^"]*)"|([^\\s()"]+))', 'gi');
+
+var PROTOCOLS_MSG = 'must be an object mapping protocols to arrays of ' +
+    'ports or ICMP types';
+
+
+
+// --- Internal helpers
+
+
+
+/**
+ * Calls fn with the name and protocol (or undefined) of each service
+ * reference in text, returning the text with each reference replaced by
+ * fn's return value
+ */
+function replaceRefs(text, fn) {
+    return text.replace(REF_RE,
+        function (match, action, proto, quoted, bare) {
+        if (match[0] === '"') {
+            return match;
+        }
+
+        return action + ' ' + fn(quoted !== undefined ? quoted : bare,
+            proto ? proto.toLowerCase() : undefined);
+    });
+}
+
+
+/**
+ * Returns the rule syntax for a protocol and its targets, eg:
+ * "tcp (PORT 80 AND PORT 443)"
+ */
+function protocolText(proto, targets) {
+    var strs = targets.map(String);
+
+    if (proto === 'ah' || proto === 'esp') {
+        return proto;
+    }
+
+    if (proto === 'icmp' || proto === 'icmp6') {
+        if (strs.indexOf('all') !== -1) {
+            return proto + ' TYPE all';
+        }
+
+        strs = strs.map(function (t) {
+            var split = t.split(':');
+            return 'TYPE ' + split[0] +
+                (split.length > 1 ? ' CODE ' + split[1] : '');
+        });
+    } else {
+        if (strs.indexOf('all') !== -1) {
+            return proto + ' PORT all';
+        }
+
+        // Port ranges need the PORTS syntax, which is newer
+        if (strs.some(function (t) { return t.indexOf('-') !== -1; })) {
+            return proto + ' PORTS ' + strs.map(function (t) {
+                return t.replace('-', ' - ');
+            }).join(', ');
+        }
+
+        strs = strs.map(function (t) {
+            return 'PORT ' + t;
+        });
+    }
+
+    return proto + ' ' + (strs.length === 1 ? strs[0] :
+        '(' + strs.join(' AND ') + ')');
+}
+
+
+
+// --- Service object
+
+
+
+/**
+ * Service constructor
+ *
+ * @param record {Object}: the raw record from Moray
+ */
+function Service(record, app) {
+    assert.object(record, 'record');
+    assert.uuid(record.key, 'record.key');
+    assert.object(record.value, 'record.value');
+    assert.uuid(record.value.owner, 'record.value.owner');
+    assert.string(record.value.name, 'record.value.name');
+    assert.object(record.value.protocols, 'record.value.protocols');
+    assert.optionalString(record.value.description,
+        'record.value.description');
+
+    this.uuid = record.key;
+    this.owner_uuid = record.value.owner;
+    this.name = record.value.name;
+    this.protocols = record.value.protocols;
+    if (hasKey(record.value, 'description')) {
+        this.description = record.value.description;
+    }
+
+    this.etag = record._etag || null;
+    this.app = app;
+}
+
+
+Service.prototype.rawMoray = function () {
+    var raw = {
+        uuid: this.uuid,
+        owner: this.owner_uuid,
+        name: this.name,
+        owner_name: this.owner_uuid + '/' + this.name,
+        protocols: this.protocols,
+        _v: SERVICE_RAW_VERSION
+    };
+
+    if (hasKey(this, 'description')) {
+        raw.description = this.description;
+    }
+
+    return raw;
+};
+
+
+Service.prototype.batch = function () {
+    var raw = this.rawMoray();
+    return {
+        bucket: BUCKET.name,
+        key: raw.uuid,
+        operation: 'put',
+        value: raw,
+        options: {
+            etag: this.etag
+        }
+    };
+};
+
+
+/**
+ * Return the serialized (API-facing) representation of this service
+ */
+Service.prototype.serialize = function () {
+    var ser = {
+        uuid: this.uuid,
+        owner_uuid: this.owner_uuid,
+        name: this.name,
+        protocols: this.protocols
+    };
+
+    if (hasKey(this, 'description')) {
+        ser.description = this.description;
+    }
+
+    return ser;
+};
+
+
+/**
+ * Returns the rule syntax for this service's targets for a protocol (which
+ * can be left out if the service only has one)
+ *
+ * @throws {InvalidParamError} if the service doesn't have a single
+ *   protocol to use
+ */
+Service.prototype.text = function (proto) {
+    var protos = Object.keys(this.protocols);
+
+    if (proto === undefined) {
+        if (protos.length !== 1) {
+            throw new mod_fwrule.validators.InvalidParamError('rule',
+                'service "%s" has more than one protocol: use eg "%s ' +
+                'service %s"', this.name, protos[0], this.name);
+        }
+
+        proto = protos[0];
+    }
+
+    if (!hasKey(this.protocols, proto)) {
+        throw new mod_fwrule.validators.InvalidParamError('rule',
+            'service "%s" has no %s targets', this.name, proto);
+    }
+
+    return protocolText(proto, this.protocols[proto]);
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a new service from validated API parameters
+ */
+function createService(params, app) {
+    var value = {
+        owner: params.owner_uuid,
+        name: params.name,
+        protocols: params.protocols
+    };
+
+    if (hasKey(params, 'description')) {
+        value.description = params.description;
+    }
+
+    return new Service({
+        key: params.uuid || mod_uuid.v4(),
+        value: value
+    }, app);
+}
+
+
+/**
+ * Returns the sorted names of the services referred to in rule text
+ */
+function references(text) {
+    var names = {};
+
+    replaceRefs(text, function (name) {
+        names[name] = true;
+        return '';
+    });
+
+    return Object.keys(names).sort();
+}
+
+
+/**
+ * Returns the rule text with each service reference replaced by the
+ * protocol and targets of that service. services is an object mapping names
+ * to Service objects, and must have all of the services referred to in the
+ * text.
+ *
+ * @throws {InvalidParamError} if a service can't be used as referred to
+ */
+function expand(text, services) {
+    return replaceRefs(text, function (name, proto) {
+        assert.object(services[name], 'services[' + name + ']');
+        return services[name].text(proto);
+    });
+}
+
+
+/**
+ * restify-warden validator for a service's protocols and their targets,
+ * eg: { "tcp": [ 80, 443, "8000-8080" ], "icmp": [ "8:0" ] }
+ */
+function validateProtocols(_, name, val, callback) {
+    var errs = [];
+
+    if (typeof (val) !== 'object' || val === null || Array.isArray(val) ||
+        Object.keys(val).length === 0) {
+        callback(mod_err.invalidParam(name, PROTOCOLS_MSG));
+        return;
+    }
+
+    Object.keys(val).sort().forEach(function (proto) {
+        var targets = val[proto];
+
+        if (PROTOCOLS.indexOf(proto) === -1) {
+            errs.push(util.format('unknown protocol "%s"', proto));
+            return;
+        }
+
+        if (!Array.isArray(targets) || !targets.every(function (t) {
+            return (typeof (t) === 'number' || typeof (t) === 'string');
+        }) || (targets.length === 0 && proto !== 'ah' && proto !== 'esp')) {
+            errs.push(util.format('%s: %s', proto,
+                'must be an array of ports or ICMP types'));
+            return;
+        }
+
+        try {
+            mod_fwrule.parse('FROM any TO all vms ALLOW ' +
+                protocolText(proto, targets));
+        } catch (e) {
+            errs.push(util.format('%s: %s', proto, e.message));
+        }
+    });
+
+    if (errs.length !== 0) {
+        callback(mod_err.invalidParam(name, errs.join(', ')));
+        return;
+    }
+
+    callback(null, val);
+}
+
+
+module.exports = {
+    BUCKET: BUCKET,
+    create: createService,
+    expand: expand,
+    protocolText: protocolText,
+    references: references,
+    Service: Service,
+    // Services follow the same naming rules as ipsets
+    validateName: mod_ipset.validateName,
+    validateProtocols: validateProtocols,
+    validName: mod_ipset.validName
+};
@@ -0,0 +1,263 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Firewall rule simulation: determining whether traffic from a source to a
+ * destination VM would be allowed, and which rule decides this.
+ *
+ * Traffic can pass through two firewalls. If the source is a VM with its
+ * firewall enabled, its outbound rules are checked first. If they allow the
+ * traffic, the destination VM's inbound rules are then checked. For each
+ * firewall, the first matching enabled rule (in the order that firewallers
+ * apply them) decides the verdict, and if no rules match, the default policy
+ * applies: allow outbound traffic and block inbound traffic.
+ */
+
+'use strict';
+
+var mod_analyze = require('./analyze');
+var mod_ip = require('./util/ip');
+var util = require('util');
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+
+var DEFAULT_POLICY = {
+    inbound: 'block',
+    outbound: 'allow'
+};
+
+
+
+// --- Internal helpers
+
+
+
+function hasWildcard(side, wildcard) {
+    return (side.wildcards.indexOf(wildcard) !== -1);
+}
+
+
+/**
+ * Returns true if the tag in a rule ("key" or ["key", "value"]) matches the
+ * given VM tags
+ */
+function tagMatches(tag, tags) {
+    var key = util.isArray(tag) ? tag[0] : tag;
+
+    if (!hasKey(tags, key)) {
+        return false;
+    }
+
+    return (!util.isArray(tag) || String(tags[key]) === String(tag[1]));
+}
+
+
+/**
+ * Returns true if a rule side refers to the endpoint's VM by one of the VM
+ * targets (vm, tag or "all vms"). These are the only targets that cause a
+ * rule to be installed on a VM's firewall.
+ */
+function vmMatches(side, endpoint) {
+    if (!endpoint.vm) {
+        return false;
+    }
+
+    return (hasWildcard(side, 'vmall') ||
+        side.vms.indexOf(endpoint.vm) !== -1 ||
+        side.tags.some(function (tag) {
+            return tagMatches(tag, endpoint.tags);
+        }));
+}
+
+
+/**
+ * Returns true if a rule side matches the endpoint on the remote end of the
+ * traffic. A subnet endpoint only matches if all of its addresses do.
+ */
+function remoteMatches(side, endpoint) {
+    if (hasWildcard(side, 'any') || vmMatches(side, endpoint)) {
+        return true;
+    }
+
+    return side.ips.concat(side.subnets).some(function (addr) {
+        return endpoint.addrs.some(function (endpointAddr) {
+            return mod_ip.contains(addr, endpointAddr);
+        });
+    });
+}
+
+
+function trafficMatches(rule, traffic) {
+    if (rule.protocol !== traffic.protocol) {
+        return false;
+    }
+
+    switch (rule.protocol) {
+    case 'tcp':
+    case 'udp':
+        return mod_analyze.portRanges(rule).some(function (range) {
+            return (range.start <= traffic.port && traffic.port <= range.end);
+        });
+
+    case 'icmp':
+    case 'icmp6':
+        return rule.types.some(function (type) {
+            return mod_analyze.typeCovers(type, traffic.type);
+        });
+
+    default:
+        return true;
+    }
+}
+
+
+/**
+ * Sorts enabled rules into the order that firewallers apply them, breaking
+ * ties by UUID so that results are consistent
+ */
+function applyOrder(rules) {
+    return rules.filter(function (rule) {
+        return rule.enabled;
+    }).sort(function (a, b) {
+        if (mod_analyze.precedes(a, b)) {
+            return -1;
+        }
+
+        if (mod_analyze.precedes(b, a)) {
+            return 1;
+        }
+
+        return (a.uuid < b.uuid ? -1 : 1);
+    });
+}
+
+
+/**
+ * Checks traffic against one VM's firewall: local is the endpoint whose
+ * firewall is being checked, and remote is the other end of the traffic.
+ */
+function checkFirewall(direction, rules, local, remote, traffic) {
+    var localSide = (direction === 'inbound') ? 'to' : 'from';
+    var remoteSide = (direction === 'inbound') ? 'from' : 'to';
+    var matched = null;
+
+    applyOrder(rules).some(function (rule) {
+        if (trafficMatches(rule, traffic) &&
+            vmMatches(rule[localSide], local) &&
+            remoteMatches(rule[remoteSide], remote)) {
+            matched = rule;
+            return true;
+        }
+
+        return false;
+    });
+
+    return {
+        direction: direction,
+        rule: matched,
+        verdict: matched ? matched.action : DEFAULT_POLICY[direction]
+    };
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Returns a simulation endpoint for an IP address or subnet
+ */
+function addrEndpoint(addr) {
+    return {
+        addrs: [ addr ],
+        firewall_enabled: false,
+        tags: {},
+        vm: null
+    };
+}
+
+
+/**
+ * Returns a simulation endpoint for a VM object from VMAPI
+ */
+function vmEndpoint(vm) {
+    return {
+        addrs: (vm.nics || []).map(function (nic) {
+            return nic.ip;
+        }).filter(function (ip) {
+            return !!ip;
+        }),
+        firewall_enabled: !!vm.firewall_enabled,
+        tags: vm.tags || {},
+        vm: vm.uuid
+    };
+}
+
+
+/**
+ * Simulates traffic from a source to a destination VM, and returns an
+ * object with:
+ * - `verdict`: "allow" or "block"
+ * - `direction`: "outbound" if the verdict was decided by the source VM's
+ *   firewall, or "inbound" if by the destination VM's firewall
+ * - `rule`: the Rule object that decided the verdict, or null if it was
+ *   decided by the default policy or the destination VM has its firewall
+ *   disabled
+ *
+ * @param opts {Object}:
+ * - `source` {Object}: endpoint from addrEndpoint() or vmEndpoint()
+ * - `destination` {Object}: endpoint from vmEndpoint()
+ * - `protocol` {String}
+ * - `port` {Number}: for tcp and udp
+ * - `type` {String}: ICMP type, with optional code (eg: "8" or "8:0"),
+ *   for icmp and icmp6
+ * - `inbound` {Array}: Rule objects that apply to the destination VM
+ * - `outbound` {Array}: Rule objects that apply to the source VM
+ */
+function simulate(opts) {
+    var traffic = {
+        port: opts.port,
+        protocol: opts.protocol,
+        type: opts.type
+    };
+
+    if (opts.source.firewall_enabled) {
+        var outbound = checkFirewall('outbound', opts.outbound || [],
+            opts.source, opts.destination, traffic);
+        if (outbound.verdict === 'block') {
+            return outbound;
+        }
+    }
+
+    if (!opts.destination.firewall_enabled) {
+        return {
+            direction: 'inbound',
+            rule: null,
+            verdict: 'allow'
+        };
+    }
+
+    return checkFirewall('inbound', opts.inbound || [], opts.destination,
+        opts.source, traffic);
+}
+
+
+module.exports = {
+    addrEndpoint: addrEndpoint,
+    applyOrder: applyOrder,
+    simulate: simulate,
+    vmEndpoint: vmEndpoint,
+    vmMatches: vmMatches
+};
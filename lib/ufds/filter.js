@@ -30,6 +30,7 @@ var isEmpty = mod_jsprim.isEmpty;
 var AndFilter = mod_filter.AndFilter;
 var EqualityFilter = mod_filter.EqualityFilter;
 var OrFilter = mod_filter.OrFilter;
+var PresenceFilter = mod_filter.PresenceFilter;
 var SubstringFilter = mod_filter.SubstringFilter;
 var OwnerlessFilter = mod_filter.parse('(!(owner=*))');
 
@@ -55,6 +56,11 @@ function or(filters) {
 }
 
 
+function present(attribute) {
+    return new PresenceFilter({ attribute: attribute });
+}
+
+
 function substring(attribute, substrs) {
     return new SubstringFilter({
         attribute: attribute,
@@ -144,6 +150,8 @@ function ruleCommonFilter(opts) {
  * - @param log {Object}: bunyan logger (required)
  * - @param ownerlessRules {Boolean}: if true, include "global" rules that have
  *     no owner_uuid (optional)
+ * - @param subnets {Boolean}: if true, include rules that have subnets on
+ *     either side. Only for the "OR" operation. (optional)
  * - @param params {Object}: filter parameters (required)
  *     Required:
  *     - operation {String} : 'AND' or 'OR' - whether the resulting filter
@@ -157,6 +165,8 @@ function ruleCommonFilter(opts) {
  *     - machine {String or Array}
  *     - subnet {String or Array}
  *     - tag {String or Array}
+ *     - ipset {String or Array}
+ *     - service {String or Array}
  */
 function ruleMorayFilter(opts) {
     var log = opts.log;
@@ -231,6 +241,23 @@ function ruleMorayFilter(opts) {
         }
     });
 
+    if (hasKey(params, 'ipset')) {
+        filter.push(or(arrayify(params.ipset).map(function (name) {
+            return eq('ipsets', name);
+        })));
+    }
+
+    if (hasKey(params, 'service')) {
+        filter.push(or(arrayify(params.service).map(function (name) {
+            return eq('services', name);
+        })));
+    }
+
+    if (opts.subnets) {
+        filter.push(present('fromsubnets'));
+        filter.push(present('tosubnets'));
+    }
+
     /*
      * We have now built up the list of things to filter on.
      * For AND this looks like:
@@ -287,6 +314,8 @@ function ruleMorayFilter(opts) {
  * - @param log {Object}: bunyan logger (required)
  * - @param ownerlessRules {Boolean}: if true, include "global" rules that have
  *     no owner_uuid (optional)
+ * - @param subnets {Boolean}: if true, include rules that have subnets on
+ *     either side. Only for the "OR" operation. (optional)
  * - @param params {Object}: filter parameters (required)
  *     Required:
  *     - operation {String} : 'AND' or 'OR' - whether the resulting filter
@@ -307,6 +336,14 @@ function ruleUFDSFilter(opts) {
 
     var filter = ruleCommonFilter(opts);
 
+    // Rules stored in UFDS can't refer to ipsets or services
+    [ 'ipset', 'service' ].forEach(function (p) {
+        if (hasKey(params, p)) {
+            throw new restify.InvalidArgumentError(
+                '%s requires rules to be stored in Moray', p);
+        }
+    });
+
     // tags are a special case: we can filter on tag key alone, or both
     // key and value
     if (hasKey(params, 'tag')) {
@@ -389,6 +426,11 @@ function ruleUFDSFilter(opts) {
         }
     });
 
+    if (opts.subnets) {
+        filter.push(present('fromsubnet'));
+        filter.push(present('tosubnet'));
+    }
+
     // We have now built up the list of things to filter on.
     // For AND this looks like:
     //     '(|', '(fromvm=X)', '(tovm=X), ')',
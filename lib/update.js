@@ -10,6 +10,28 @@
 
 /*
  * Server for queuing updates and streaming them to clients
+ *
+ * Updates are stored in moray until every subscribed client has acknowledged
+ * them. Each update is identified by its moray _id, which increases with each
+ * update queued, and clients acknowledge updates by calling the "ack" fast
+ * RPC with the _id of the last update that they've applied. Clients that
+ * have never sent an ack are assumed not to support them: they're sent each
+ * update once, and aren't waited for if they disconnect.
+ *
+ * Updates can be limited to the clients on a list of servers. Each client's
+ * server is the server_uuid it gives when acking, or its client ID if that's
+ * a UUID. Clients on unknown servers are sent all updates.
+ *
+ * When several FWAPI instances share the queue, each of them sends every
+ * update to its own clients, and reports how far its clients have got (see
+ * lib/cluster.js). Each report includes the last update acknowledged by each
+ * of the instance's clients, so that an instance that restarts only sends
+ * them the updates they haven't acknowledged. Only the leader removes
+ * updates, once every instance is done with them, or once they're older
+ * than the update timeout.
+ *
+ * Each poll reads the queue from the lowest _id acknowledged by a client,
+ * since every client is done with the updates before that.
  */
 
 'use strict';
@@ -18,6 +40,7 @@ var assert = require('assert-plus');
 var stream = require('fast-messages');
 var util = require('util');
 var uuid = require('uuid');
+var validate = require('restify-warden');
 
 
 var hasKey = require('jsprim').hasKey;
@@ -35,6 +58,32 @@ var hasKey = require('jsprim').hasKey;
  */
 var UPDATE_RAW_VERSION = 1;
 
+/*
+ * Time (in ms) to wait for a client to acknowledge updates before sending
+ * them again
+ */
+var DEFAULT_ACK_TIMEOUT = 30000;
+
+/*
+ * Time (in ms) that a disconnected client stays subscribed for: updates
+ * are kept for it until then, in case it reconnects
+ */
+var DEFAULT_CLIENT_TIMEOUT = 3600000;
+
+/*
+ * Time (in ms) that updates stay in the queue for: updates that haven't been
+ * acknowledged by every subscribed client by then are removed anyway, so
+ * that the queue doesn't grow forever when no client is acknowledging them
+ */
+var DEFAULT_UPDATE_TIMEOUT = 86400000;
+
+/*
+ * Maximum number of updates read from (or removed from) moray at once.
+ * Polls page through the queue, so that updates waiting to be acknowledged
+ * by a client don't stop newer updates from being read.
+ */
+var PAGE_SIZE = 1000;
+
 var BUCKET = {
     name: 'fwapi_updates',
     constructor: UpdateMsg,
@@ -68,20 +117,37 @@ function UpdateServer(opts) {
     assert.number(opts.config.pollInterval, 'opts.config.pollInterval');
     assert.string(opts.config.host, 'opts.config.host');
 
+    assert.optionalNumber(opts.config.ackTimeout, 'opts.config.ackTimeout');
+    assert.optionalNumber(opts.config.clientTimeout,
+        'opts.config.clientTimeout');
+    assert.optionalNumber(opts.config.updateTimeout,
+        'opts.config.updateTimeout');
+
     assert.object(opts.config.fast, 'opts.config.fast');
     assert.number(opts.config.fast.port, 'opts.config.fast.port');
 
+    this.ackTimeout = opts.config.ackTimeout || DEFAULT_ACK_TIMEOUT;
+    this.clientTimeout = opts.config.clientTimeout || DEFAULT_CLIENT_TIMEOUT;
+    this.updateTimeout = opts.config.updateTimeout || DEFAULT_UPDATE_TIMEOUT;
     this.config = opts.config;
     this.log = opts.log.child({ component: 'updater' });
     this.stream = stream.createServer({
         log: this.log,
         server_id: opts.config.host
     });
+    this.cluster = null;
+    this.floor = 0;
+    this.subscribers = {};
     this.timeout = null;
     this.moray = null;
     this.morayConnected = false;
     this.listening = false;
     this.initialized = false;
+    // With `depth` (updates in the queue), `duration` (in ms) and `time`
+    // of the last successful poll
+    this.lastPoll = null;
+
+    this.stream.server.rpc('ack', this.ack.bind(this));
 }
 
 
@@ -106,11 +172,16 @@ UpdateServer.prototype.close = function close() {
 
 
 /**
- * Starts the fast server, initializes the moray updates bucket, and starts
- * polling moray for updates
+ * Starts the fast server, restores the acks recorded by this instance's last
+ * progress report, and starts polling moray for updates
+ *
+ * @param client {Moray Client}
+ * @param cluster {Cluster}: for coordinating with other FWAPI instances
+ * @param callback {Function} `function ()`
  */
-UpdateServer.prototype.init = function init(client, callback) {
+UpdateServer.prototype.init = function init(client, cluster, callback) {
     var self = this;
+    self.cluster = cluster;
     self.moray = client;
     self.morayConnected = true;
 
@@ -118,10 +189,295 @@ UpdateServer.prototype.init = function init(client, callback) {
         self.log.info('fast-stream server listening on port %d',
             self.config.fast.port);
         self.listening = true;
-        self.initialized = true;
-        self.poll();
-        callback();
+
+        cluster.acks(function (err, acks) {
+            if (err) {
+                self.log.error(err,
+                    'Error getting client acks: all updates will be resent');
+            } else {
+                self.restore(acks);
+            }
+
+            self.initialized = true;
+            self.poll();
+            callback();
+        });
+    });
+};
+
+
+/**
+ * Returns the last update acknowledged by each subscribed client that sends
+ * acks, for recording in moray: an object mapping client IDs to objects
+ * with `acked`, `seen` and `server`, as for subscriber()
+ */
+UpdateServer.prototype.acks = function getAcks() {
+    var self = this;
+    var acks = {};
+
+    Object.keys(self.subscribers).forEach(function (id) {
+        var sub = self.subscribers[id];
+        if (!sub.acks) {
+            return;
+        }
+
+        acks[id] = {
+            acked: sub.acked,
+            seen: sub.seen,
+            server: sub.server
+        };
+    });
+
+    return acks;
+};
+
+
+/**
+ * Subscribes the clients in acks (as returned by acks()), so that updates
+ * they've already acknowledged aren't sent to them again
+ */
+UpdateServer.prototype.restore = function restore(acks) {
+    var self = this;
+
+    Object.keys(acks).forEach(function (id) {
+        var sub = self.subscriber(id);
+        var ack = acks[id];
+
+        sub.acks = true;
+        sub.acked = ack.acked;
+        sub.sent = ack.acked;
+        sub.seen = ack.seen;
+        if (ack.server) {
+            sub.server = ack.server;
+        }
+    });
+
+    self.log.info({ clients: Object.keys(acks) }, 'restored %d client acks',
+        Object.keys(acks).length);
+};
+
+
+/**
+ * Returns the delivery state for a client, creating it if necessary:
+ * - `acks` {Boolean}: true if the client has sent an ack
+ * - `acked` {Number}: _id of the last update acknowledged by the client
+ * - `conn` {Object}: the client's fast connection when updates were last
+ *   sent to it
+ * - `sent` {Number}: _id of the last update sent to the client
+ * - `server` {UUID}: the server that the client is on, if known
+ * - `sentAt` {Number}: time that the oldest unacknowledged update was sent
+ * - `seen` {Number}: time that the client was last connected
+ */
+UpdateServer.prototype.subscriber = function subscriber(clientID) {
+    if (!hasKey(this.subscribers, clientID)) {
+        this.subscribers[clientID] = {
+            acks: false,
+            acked: 0,
+            conn: null,
+            sent: 0,
+            sentAt: 0,
+            seen: Date.now(),
+            server: validate.isUUID(clientID) ? clientID : null
+        };
+    }
+
+    return this.subscribers[clientID];
+};
+
+
+/**
+ * Handles the "ack" RPC, which clients use to acknowledge that they have
+ * applied all updates up to and including the one with _id `opts.id`. The
+ * client can also give the UUID of its server in `opts.server_uuid`.
+ */
+UpdateServer.prototype.ack = function ack(opts, res) {
+    if (typeof (opts) !== 'object' || opts === null ||
+        typeof (opts.client_id) !== 'string' ||
+        typeof (opts.id) !== 'number') {
+        this.log.warn({ ack: opts }, 'ignoring invalid ack');
+        res.end(new Error('ack must have client_id and id'));
+        return;
+    }
+
+    var sub = this.subscriber(opts.client_id);
+    var now = Date.now();
+
+    this.log.debug({ client: opts.client_id, id: opts.id }, 'ack received');
+    sub.acks = true;
+    sub.seen = now;
+
+    if (validate.isUUID(opts.server_uuid)) {
+        sub.server = opts.server_uuid;
+    }
+
+    if (opts.id > sub.acked) {
+        sub.acked = opts.id;
+        sub.sent = Math.max(sub.sent, opts.id);
+        sub.sentAt = now;
+    }
+
+    res.end();
+};
+
+
+/**
+ * Sends updates to each connected client that it hasn't been sent yet,
+ * resending unacknowledged updates if the client has reconnected or hasn't
+ * acknowledged them within ackTimeout. Updates are only sent to clients on
+ * the servers they're for. Returns the keys of updates that are no longer
+ * needed by any subscribed client.
+ *
+ * @param records {Array} : moray records from the updates bucket, sorted
+ *     by _id
+ */
+UpdateServer.prototype.deliver = function deliver(records) {
+    var self = this;
+    var connected = self.stream.clients;
+    var now = Date.now();
+
+    Object.keys(self.subscribers).forEach(function (id) {
+        var sub = self.subscribers[id];
+        if (hasKey(connected, id)) {
+            return;
+        }
+
+        if (!sub.acks || now - sub.seen > self.clientTimeout) {
+            self.log.info({ client: id, acked: sub.acked },
+                'client disconnected: unsubscribing');
+            delete self.subscribers[id];
+        }
+    });
+
+    Object.keys(connected).forEach(function (id) {
+        var conn = connected[id];
+        var sub = self.subscriber(id);
+
+        sub.seen = now;
+        if (sub.conn !== conn) {
+            sub.conn = conn;
+            sub.sent = sub.acked;
+        } else if (sub.acks && sub.sent > sub.acked &&
+            now - sub.sentAt > self.ackTimeout) {
+            self.log.warn({ client: id, acked: sub.acked, sent: sub.sent },
+                'updates not acknowledged: resending');
+            sub.sent = sub.acked;
+        }
+
+        records.forEach(function (rec) {
+            if (rec._id <= sub.sent || !isTarget(sub, rec)) {
+                return;
+            }
+
+            if (sub.sent === sub.acked) {
+                sub.sentAt = now;
+            }
+
+            self.log.trace({ id: rec._id, client: id, req_id: rec.key },
+                'sending client message');
+            conn.write(updateMessage(self.stream.id, rec));
+            sub.sent = rec._id;
+        });
+    });
+
+    if (records.length !== 0) {
+        var last = records[records.length - 1];
+        self.stream.state.last_id = last._id;
+        self.stream.state.last_req_id = last.key;
+    }
+
+    var subs = Object.keys(self.subscribers).map(function (id) {
+        return self.subscribers[id];
+    });
+
+    if (subs.length === 0) {
+        return [];
+    }
+
+    return records.filter(function (rec) {
+        return subs.every(function (sub) {
+            return (!isTarget(sub, rec) ||
+                rec._id <= (sub.acks ? sub.acked : sub.sent));
+        });
+    }).map(function (rec) {
+        return rec.key;
+    });
+};
+
+
+/**
+ * Returns the _id of the update that the next poll should read from: the
+ * lowest _id that a subscribed client has acknowledged (or been sent, for
+ * clients that don't send acks), or 0 if a client has connected since the
+ * last poll. Returns null if there are no subscribed or connected clients.
+ */
+UpdateServer.prototype.position = function position() {
+    var self = this;
+    var connected = self.stream.clients;
+    var lowest = null;
+
+    function lower(id) {
+        if (lowest === null || id < lowest) {
+            lowest = id;
+        }
+    }
+
+    Object.keys(self.subscribers).forEach(function (id) {
+        var sub = self.subscribers[id];
+        lower(sub.acks ? sub.acked : sub.sent);
     });
+
+    // Clients that have (re)connected are sent their unacknowledged updates
+    Object.keys(connected).forEach(function (id) {
+        if (!hasKey(self.subscribers, id)) {
+            lower(0);
+        } else if (self.subscribers[id].conn !== connected[id]) {
+            lower(self.subscribers[id].acked);
+        }
+    });
+
+    return lowest;
+};
+
+
+/**
+ * Returns the _id of the last update that all subscribed clients are done
+ * with, or null if there are no subscribers
+ *
+ * @param records {Array} : moray records from the updates bucket, sorted
+ *     by _id
+ * @param done {Array} : keys of the records that all subscribed clients
+ *     are done with, as returned by deliver()
+ * @param after {Number} : (optional) _id that the records were read after,
+ *     as returned by position()
+ */
+UpdateServer.prototype.progress = function progress(records, done, after) {
+    if (Object.keys(this.subscribers).length === 0) {
+        return null;
+    }
+
+    var floor = this.floor;
+
+    // All clients are done with the updates up to the one the records were
+    // read after, and updates before the first record have been removed
+    if (typeof (after) === 'number') {
+        floor = Math.max(floor, after);
+    }
+
+    if (records.length !== 0) {
+        floor = Math.max(floor, records[0]._id - 1);
+    }
+
+    records.every(function (rec) {
+        if (done.indexOf(rec.key) === -1) {
+            return false;
+        }
+
+        floor = rec._id;
+        return true;
+    });
+
+    this.floor = floor;
+    return floor;
 };
 
 
@@ -143,7 +499,10 @@ UpdateServer.prototype.ping = function ping() {
 
 
 /**
- * Polls moray for updates, and sends them to all connected clients
+ * Polls moray for updates after the lowest one acknowledged by a client,
+ * sends them to connected clients, and (if this instance is the leader)
+ * removes updates from moray once all subscribed clients of every instance
+ * have acknowledged them, or once they're older than updateTimeout
  */
 UpdateServer.prototype.poll = function poll() {
     var self = this;
@@ -155,16 +514,10 @@ UpdateServer.prototype.poll = function poll() {
 
     self.log.debug('poll: begin');
 
-    var filter = util.format('(&(host=%s)(|(!(_v=*))(_v=%d)))',
-        self.config.host, UPDATE_RAW_VERSION);
-
-    var keys = [];
-    var listOpts = {
-        sort: {
-            attribute: '_id',
-            order: 'ASC'
-        }
-    };
+    var after = self.position();
+    var depth = 0;
+    var records = [];
+    var start = Date.now();
 
     if (this.timeout) {
         clearTimeout(this.timeout);
@@ -175,60 +528,178 @@ UpdateServer.prototype.poll = function poll() {
             self.config.pollInterval);
     }
 
-    var req = this.moray.findObjects(BUCKET.name, filter, listOpts);
+    /*
+     * Reads up to `limit` updates after the one with _id `from`, calling
+     * onRecord with each of them and then onEnd
+     */
+    function find(from, limit, onRecord, onEnd) {
+        var filter = util.format('(&(_id>=%d)(|(!(_v=*))(_v=%d)))',
+            from + 1, UPDATE_RAW_VERSION);
+        var listOpts = {
+            limit: limit,
+            sort: {
+                attribute: '_id',
+                order: 'ASC'
+            }
+        };
+        var req = self.moray.findObjects(BUCKET.name, filter, listOpts);
 
-    req.on('error', function _onListErr(err) {
-        self.morayConnected = false;
-        req.removeAllListeners('record');
-        req.removeAllListeners('end');
-        self.log.error(err, 'moray error');
-        resetTimer();
-    });
+        req.on('error', function _onListErr(err) {
+            self.morayConnected = false;
+            req.removeAllListeners('record');
+            req.removeAllListeners('end');
+            self.log.error(err, 'moray error');
+            resetTimer();
+        });
+
+        req.on('record', onRecord);
+
+        req.on('end', function _onListEnd() {
+            self.morayConnected = true;
+            req.removeAllListeners('error');
+            onEnd();
+        });
+    }
 
-    req.on('record', function _onListRecord(rec) {
-        self.log.debug(rec, 'moray record');
-        keys.push(rec.key);
-        var toSend = {
-            id: rec._id,
-            name: rec.value.name,
-            value: rec.value.value,
-            req_id: rec.key
+    /*
+     * Moray includes the total number of matching records in each record
+     * returned, so reading the first update gives the queue depth
+     */
+    function getDepth() {
+        find(0, 1, function _onFirst(rec) {
+            depth = Number(rec._count);
+        }, function _onDepth() {
+            if (after === null) {
+                processRecords();
+            } else {
+                getPage(after);
+            }
+        });
+    }
+
+    /*
+     * Reads the page of updates after the one with _id `from`, and the
+     * pages after it
+     */
+    function getPage(from) {
+        var pageSize = 0;
+
+        find(from, PAGE_SIZE, function _onListRecord(rec) {
+            self.log.debug(rec, 'moray record');
+            pageSize++;
+            records.push(rec);
+        }, function _onPage() {
+            if (pageSize === PAGE_SIZE) {
+                getPage(records[records.length - 1]._id);
+                return;
+            }
+
+            processRecords();
+        });
+    }
+
+    function processRecords() {
+        // A client that connected during the poll may need older updates
+        var pos = self.position();
+        if (pos !== null && (after === null || pos < after)) {
+            after = pos;
+            records = [];
+            getPage(after);
+            return;
+        }
+
+        self.lastPoll = {
+            depth: depth,
+            duration: Date.now() - start,
+            time: Date.now()
         };
 
-        // For backwards compat
-        if (hasKey(rec.value, 'payload')) {
-            toSend.value = rec.value.payload;
+        var floor = null;
+        if (after !== null) {
+            floor = self.progress(records, self.deliver(records), after);
         }
 
-        self.stream.send(toSend);
-    });
+        self.cluster.report(floor, self.acks(), function (rErr, prune) {
+            if (rErr) {
+                self.log.error(rErr, 'Error reporting progress to moray');
+                resetTimer();
+                return;
+            }
 
-    req.on('end', function _onListEnd() {
-        self.morayConnected = true;
-        req.removeAllListeners('error');
+            if (!self.cluster.leader) {
+                self.log.debug('%d updates waiting for acknowledgement',
+                    records.length);
+                resetTimer();
+                return;
+            }
 
-        if (keys.length === 0) {
-            self.log.debug('No updates for host %s in moray queue',
-                self.config.host);
-            resetTimer();
-            return;
+            removeUpdates(prune);
+        });
+    }
+
+    /*
+     * Removes updates that every instance is done with (up to the one with
+     * _id `prune`), and updates older than updateTimeout
+     */
+    function removeUpdates(prune) {
+        var filter = util.format('(_mtime<=%d)',
+            Date.now() - self.updateTimeout);
+
+        if (prune !== null) {
+            filter = util.format('(|(_id<=%d)%s)', prune, filter);
         }
 
-        self.moray.batch(keys.map(function (k) {
-            return {
-                bucket: BUCKET.name,
-                key: k,
-                operation: 'delete'
-            };
-        }), function (err) {
+        self.moray.deleteMany(BUCKET.name, filter, {
+            limit: PAGE_SIZE
+        }, function (err, res) {
             if (err) {
-                self.log.error(err, 'Error batch deleting from moray');
+                self.log.error(err, 'Error removing updates from moray');
+            } else if (res.count !== 0) {
+                self.log.info({ floor: prune },
+                    'Removed %d updates', res.count);
             }
 
-            self.log.info({ updateIDs: keys },
-                'Processed %d updates', keys.length);
             resetTimer();
         });
+    }
+
+    getDepth();
+};
+
+
+/**
+ * Returns an update for the moray queue, for writing in a batch with other
+ * changes
+ *
+ * @param name {String} : update name
+ * @param value {Object} : update data
+ * @param opts {Object} : (optional) with:
+ * - `servers` {Array} : UUIDs of the servers to send the update to. If
+ *   not set, the update is sent to all servers.
+ * @returns {UpdateMsg}, whose batch() is the Moray batch request that
+ *   queues it
+ */
+UpdateServer.prototype.message = function createMessage(name, value, opts) {
+    if (opts === undefined) {
+        opts = {};
+    }
+
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfUuid(opts.servers, 'opts.servers');
+
+    var updateValue = {
+        host: this.config.host,
+        name: name,
+        value: value
+    };
+
+    if (opts.servers) {
+        updateValue.servers = opts.servers;
+    }
+
+    return new UpdateMsg({
+        key: uuid.v4(),
+        value: updateValue
     });
 };
 
@@ -238,18 +709,17 @@ UpdateServer.prototype.poll = function poll() {
  *
  * @param name {String} : update name
  * @param value {Object} : update data
+ * @param opts {Object} : (optional) as for message()
  * @param callback {Function} `function (err)`
  */
-UpdateServer.prototype.queue = function queueUpdate(name, value, callback) {
-    var updateUUID = uuid.v4();
-    var update = new UpdateMsg({
-        key: updateUUID,
-        value: {
-            host: this.config.host,
-            name: name,
-            value: value
-        }
-    });
+UpdateServer.prototype.queue = function queueUpdate(name, value, opts,
+    callback) {
+    if (typeof (opts) === 'function') {
+        callback = opts;
+        opts = {};
+    }
+
+    var update = this.message(name, value, opts);
 
     this.moray.batch([ update.batch() ], function (err, res) {
         if (err) {
@@ -257,12 +727,48 @@ UpdateServer.prototype.queue = function queueUpdate(name, value, callback) {
             return;
         }
 
-        callback(null, { uuid: updateUUID });
+        callback(null, { uuid: update.uuid });
     });
 };
 
 
 
+// --- Internal
+
+
+
+/**
+ * Returns true if an update record should be sent to a subscriber
+ */
+function isTarget(sub, rec) {
+    return (!sub.server || !Array.isArray(rec.value.servers) ||
+        rec.value.servers.indexOf(sub.server) !== -1);
+}
+
+
+/**
+ * Returns the message sent to clients for an update record, in the same
+ * format as fast-messages uses
+ */
+function updateMessage(serverID, rec) {
+    var message = {
+        id: rec._id,
+        name: rec.value.name,
+        req_id: rec.key,
+        server_id: serverID,
+        value: rec.value.value
+    };
+
+    // For backwards compat
+    if (hasKey(rec.value, 'payload')) {
+        message.value = rec.value.payload;
+    }
+
+    return message;
+}
+
+
+
 // --- Exports
 
 
@@ -295,13 +801,19 @@ function UpdateMsg(record, app) {
 
 
 UpdateMsg.prototype.rawMoray = function () {
-    return {
+    var raw = {
         uuid: this.uuid,
         host: this.data.host,
         name: this.data.name,
         value: this.data.value,
         _v: UPDATE_RAW_VERSION
     };
+
+    if (this.data.servers) {
+        raw.servers = this.data.servers;
+    }
+
+    return raw;
 };
 
 
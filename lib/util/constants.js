@@ -25,17 +25,33 @@ var PARSED_FIELDS = [
     'parsed.tags'
 ];
 
+// Fields that ListRules results can be sorted by
+var SORT_FIELDS = [
+    'created',
+    'description',
+    'uuid'
+];
+
+// Maximum number of rules that can be changed in one batch
+var MAX_BATCH_SIZE = 100;
+
 var MESSAGES = {
     INVALID_PARAMS: 'Invalid parameters',
     ARRAY_OF_STR: 'must be an array of strings',
     ARRAY_EMPTY: 'must not be an empty array',
+    ARRAY_OF_OBJ: 'must be an array of objects',
+    BATCH_SIZE: 'batch must contain between 1 and ' + MAX_BATCH_SIZE +
+        ' rules',
     STR: 'must be a string',
     OBJ: 'must be an object',
     INVALID_UUID: 'invalid UUID',
     OFFSET: 'invalid value, offset must be an integer greater than or ' +
         'equal to 0',
     LIMIT: 'invalid limit, must be an integer greater than 0 or less than or ' +
-        'equal to 1000'
+        'equal to 1000',
+    MARKER_SORT: 'marker can only be used when sorting by uuid',
+    ORDER: 'order must be "ASC" or "DESC"',
+    SORT: 'sort must be one of: ' + SORT_FIELDS.join(', ')
 };
 
 module.exports = {
@@ -44,8 +60,10 @@ module.exports = {
     RETRY_DELAY: 5000,
     PARSED_FIELDS: PARSED_FIELDS,
     msg: MESSAGES,
+    MAX_BATCH_SIZE: MAX_BATCH_SIZE,
     MAX_LIMIT: 1000,
     MAX_STR_LEN: 64,
     MIN_LIMIT: 1,
-    MIN_OFFSET: 0
+    MIN_OFFSET: 0,
+    SORT_FIELDS: SORT_FIELDS
 };
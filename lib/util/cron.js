@@ -0,0 +1,180 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Cron-style schedule utilities. Expressions have the usual five fields
+ * (minute, hour, day of month, month, day of week), each of which can be
+ * "*", a number, a range ("1-5"), a step ("*\/15" or "0-30/10"), or a
+ * comma-separated list of these. All times are in UTC.
+ */
+
+'use strict';
+
+
+// --- Globals
+
+
+var FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    // Both 0 and 7 are Sunday
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+// Give up looking for the next match after this many days (enough to find
+// the next Feb 29)
+var MAX_DAYS = 366 * 8;
+
+
+
+// --- Internal helpers
+
+
+
+/**
+ * Parses one field of an expression into an array of booleans, indexed by
+ * value, that are true for the values the field matches. Throws if the
+ * field is invalid.
+ */
+function parseField(str, field) {
+    var matches = [];
+
+    str.split(',').forEach(function (part) {
+        /* JSSTYLED */
+        var m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (m === null) {
+            throw new Error('invalid ' + field.name + ': "' + part + '"');
+        }
+
+        var start = field.min;
+        var end = field.max;
+        var step = (m[4] === undefined) ? 1 : Number(m[4]);
+
+        if (m[1] !== '*') {
+            start = Number(m[2]);
+            end = (m[3] === undefined) ?
+                (m[4] === undefined ? start : field.max) : Number(m[3]);
+        }
+
+        if (start < field.min || end > field.max || start > end ||
+            step === 0) {
+            throw new Error('invalid ' + field.name + ': "' + part + '"');
+        }
+
+        for (var i = start; i <= end; i += step) {
+            matches[i] = true;
+        }
+    });
+
+    return matches;
+}
+
+
+/**
+ * Returns the first value at or after from that the field matches, or -1
+ */
+function firstMatch(matches, from, max) {
+    for (var i = from; i <= max; i++) {
+        if (matches[i]) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+
+
+// --- Exports
+
+
+
+/**
+ * Parses a cron expression, throwing an error if it's invalid
+ */
+function parse(expr) {
+    if (typeof (expr) !== 'string') {
+        throw new Error('must be a string');
+    }
+
+    var parts = expr.trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error('must have ' + FIELDS.length + ' fields');
+    }
+
+    var fields = parts.map(function (part, i) {
+        return parseField(part, FIELDS[i]);
+    });
+
+    if (fields[4][7]) {
+        fields[4][0] = true;
+    }
+
+    return {
+        minutes: fields[0],
+        hours: fields[1],
+        days: fields[2],
+        months: fields[3],
+        weekdays: fields[4],
+        // As in cron, if both day fields are restricted, a day matches if
+        // either of them does
+        anyDay: (parts[2] !== '*' && parts[4] !== '*')
+    };
+}
+
+
+/**
+ * Returns the time (in ms) of the first minute after the time after that
+ * matches the parsed expression, or null if there is none
+ */
+function next(parsed, after) {
+    var start = new Date((Math.floor(after / 60000) + 1) * 60000);
+    var day = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(),
+        start.getUTCDate());
+
+    for (var d = 0; d < MAX_DAYS; d++, day += DAY_MS) {
+        var date = new Date(day);
+        var dayMatch = parsed.days[date.getUTCDate()];
+        var weekdayMatch = parsed.weekdays[date.getUTCDay()];
+
+        if (!parsed.months[date.getUTCMonth() + 1] || !(parsed.anyDay ?
+            (dayMatch || weekdayMatch) : (dayMatch && weekdayMatch))) {
+            continue;
+        }
+
+        var today = (d === 0);
+        var hour = firstMatch(parsed.hours,
+            today ? start.getUTCHours() : 0, 23);
+
+        while (hour !== -1) {
+            var minute = firstMatch(parsed.minutes,
+                (today && hour === start.getUTCHours()) ?
+                start.getUTCMinutes() : 0, 59);
+
+            if (minute !== -1) {
+                return day + (hour * 60 + minute) * 60000;
+            }
+
+            hour = firstMatch(parsed.hours, hour + 1, 23);
+        }
+    }
+
+    return null;
+}
+
+
+module.exports = {
+    next: next,
+    parse: parse
+};
@@ -14,6 +14,7 @@
 
 'use strict';
 
+var mod_ip6addr = require('ip6addr');
 var net = require('net');
 
 
@@ -52,7 +53,80 @@ function numberToAddress(num) {
 }
 
 
+/*
+ * Parses an IPv4 or IPv6 address or subnet (eg: 10.0.0.0/8 or fd00::/8)
+ * into an ip6addr CIDR object, treating addresses as single-address
+ * subnets. Returns null if it isn't a valid address or subnet.
+ */
+function toCIDR(addr) {
+    var bits;
+    var ip;
+    var maxBits;
+    var parts = addr.split('/');
+
+    if (parts.length > 2) {
+        return null;
+    }
+
+    try {
+        ip = mod_ip6addr.parse(parts[0]);
+    } catch (_) {
+        return null;
+    }
+
+    maxBits = (ip.kind() === 'ipv4') ? 32 : 128;
+    if (parts.length === 1) {
+        bits = maxBits;
+    } else {
+        bits = Number(parts[1]);
+        if (!/^\d+$/.test(parts[1]) || bits > maxBits) {
+            return null;
+        }
+    }
+
+    return mod_ip6addr.createCIDR(ip, bits);
+}
+
+
+/*
+ * Returns true if the address or subnet inner is contained within the
+ * address or subnet outer. Addresses and subnets that can't be parsed only
+ * match if they're identical.
+ */
+function contains(outer, inner) {
+    var outerCIDR = toCIDR(outer);
+    var innerCIDR = toCIDR(inner);
+
+    if (outerCIDR === null || innerCIDR === null) {
+        return (outer === inner);
+    }
+
+    return (outerCIDR.prefixLength('v6') <= innerCIDR.prefixLength('v6') &&
+        outerCIDR.contains(innerCIDR.address()));
+}
+
+
+/*
+ * Returns true if the two addresses or subnets have any addresses in common.
+ * Since subnets are aligned to their size, this is the case when one of them
+ * contains the other.
+ */
+function overlaps(a, b) {
+    var aCIDR = toCIDR(a);
+    var bCIDR = toCIDR(b);
+
+    if (aCIDR === null || bCIDR === null) {
+        return (a === b);
+    }
+
+    return (aCIDR.contains(bCIDR.address()) ||
+        bCIDR.contains(aCIDR.address()));
+}
+
+
 module.exports = {
     aton: addressToNumber,
-    ntoa: numberToAddress
+    contains: contains,
+    ntoa: numberToAddress,
+    overlaps: overlaps
 };
@@ -0,0 +1,421 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Webhook models: a webhook is a URL that FWAPI posts to when rules are
+ * created, updated or deleted, optionally only for one owner's rules. Each
+ * post is a delivery, which is kept (with its status and attempts) in the
+ * deliveries bucket.
+ *
+ * Deliveries are signed with the webhook's secret: the x-fwapi-signature
+ * header is "sha256=" followed by the hex HMAC-SHA256 of the request body.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var mod_err = require('./errors');
+var mod_history = require('./history');
+var mod_uuid = require('uuid');
+var url = require('url');
+
+
+var hasKey = require('jsprim').hasKey;
+
+
+// --- Globals
+
+
+/*
+ * We assign a version number to objects so that older versions can be found
+ * and upgraded in the future.
+ *
+ * Webhooks:
+ * 1 - Initial version.
+ *
+ * Deliveries:
+ * 1 - Initial version.
+ * 2 - Index on "time".
+ */
+var WEBHOOK_RAW_VERSION = 1;
+var DELIVERY_RAW_VERSION = 2;
+
+// The changes to rules that webhooks can be called for
+var EVENTS = mod_history.CHANGES;
+
+var STATUSES = [ 'pending', 'delivered', 'failed' ];
+
+var BUCKET = {
+    desc: 'fwapi webhooks',
+    name: 'fwapi_webhooks',
+    constructor: Webhook,
+    version: WEBHOOK_RAW_VERSION,
+    schema: {
+        index: {
+            uuid: { type: 'string', unique: true },
+            owner: { type: 'string' },
+            _v: { type: 'number' }
+        }
+    },
+    morayVersion: 1
+};
+
+var DELIVERY_BUCKET = {
+    desc: 'fwapi webhook deliveries',
+    name: 'fwapi_webhook_deliveries',
+    constructor: Delivery,
+    version: DELIVERY_RAW_VERSION,
+    schema: {
+        index: {
+            uuid: { type: 'string', unique: true },
+            webhook: { type: 'string' },
+            status: { type: 'string' },
+            next_attempt: { type: 'number' },
+            time: { type: 'number' },
+            _v: { type: 'number' }
+        }
+    },
+    morayVersion: 1
+};
+
+
+
+// --- Webhook object
+
+
+
+/**
+ * Webhook constructor
+ *
+ * @param record {Object}: the raw record from Moray
+ */
+function Webhook(record, app) {
+    assert.object(record, 'record');
+    assert.uuid(record.key, 'record.key');
+    assert.object(record.value, 'record.value');
+    assert.string(record.value.url, 'record.value.url');
+    assert.arrayOfString(record.value.events, 'record.value.events');
+    assert.string(record.value.secret, 'record.value.secret');
+    assert.optionalUuid(record.value.owner, 'record.value.owner');
+    assert.optionalString(record.value.description,
+        'record.value.description');
+
+    this.uuid = record.key;
+    this.url = record.value.url;
+    this.events = record.value.events;
+    this.secret = record.value.secret;
+    if (hasKey(record.value, 'owner')) {
+        this.owner_uuid = record.value.owner;
+    }
+
+    if (hasKey(record.value, 'description')) {
+        this.description = record.value.description;
+    }
+
+    this.etag = record._etag || null;
+    this.app = app;
+}
+
+
+Webhook.prototype.rawMoray = function () {
+    var raw = {
+        uuid: this.uuid,
+        url: this.url,
+        events: this.events,
+        secret: this.secret,
+        _v: WEBHOOK_RAW_VERSION
+    };
+
+    if (hasKey(this, 'owner_uuid')) {
+        raw.owner = this.owner_uuid;
+    }
+
+    if (hasKey(this, 'description')) {
+        raw.description = this.description;
+    }
+
+    return raw;
+};
+
+
+Webhook.prototype.batch = function () {
+    var raw = this.rawMoray();
+    return {
+        bucket: BUCKET.name,
+        key: raw.uuid,
+        operation: 'put',
+        value: raw,
+        options: {
+            etag: this.etag
+        }
+    };
+};
+
+
+/**
+ * Returns true if the webhook should be called for a change to a rule
+ */
+Webhook.prototype.matches = function (change, rule) {
+    if (this.events.indexOf(change) === -1) {
+        return false;
+    }
+
+    return (!hasKey(this, 'owner_uuid') ||
+        this.owner_uuid === rule.owner_uuid);
+};
+
+
+/**
+ * Returns the signature of a request body, for the x-fwapi-signature header
+ */
+Webhook.prototype.sign = function (body) {
+    return 'sha256=' + crypto.createHmac('sha256', this.secret)
+        .update(body).digest('hex');
+};
+
+
+/**
+ * Return the serialized (API-facing) representation of this webhook. The
+ * secret is only included if opts.secret is true.
+ */
+Webhook.prototype.serialize = function (opts) {
+    var ser = {
+        uuid: this.uuid,
+        url: this.url,
+        events: this.events
+    };
+
+    if (hasKey(this, 'owner_uuid')) {
+        ser.owner_uuid = this.owner_uuid;
+    }
+
+    if (hasKey(this, 'description')) {
+        ser.description = this.description;
+    }
+
+    if (opts && opts.secret) {
+        ser.secret = this.secret;
+    }
+
+    return ser;
+};
+
+
+
+// --- Delivery object
+
+
+
+/**
+ * Delivery constructor
+ *
+ * @param record {Object}: the raw record from Moray
+ */
+function Delivery(record, app) {
+    assert.object(record, 'record');
+    assert.uuid(record.key, 'record.key');
+    assert.object(record.value, 'record.value');
+    assert.uuid(record.value.webhook, 'record.value.webhook');
+    assert.ok(STATUSES.indexOf(record.value.status) !== -1,
+        'record.value.status');
+    assert.object(record.value.payload, 'record.value.payload');
+    assert.number(record.value.attempts, 'record.value.attempts');
+    assert.number(record.value.next_attempt, 'record.value.next_attempt');
+    assert.number(record.value.time, 'record.value.time');
+
+    this.uuid = record.key;
+    this.data = record.value;
+    this.etag = record._etag || null;
+    this.app = app;
+
+    Object.seal(this);
+}
+
+
+Delivery.prototype.rawMoray = function () {
+    var raw = {
+        uuid: this.uuid,
+        webhook: this.data.webhook,
+        status: this.data.status,
+        payload: this.data.payload,
+        attempts: this.data.attempts,
+        next_attempt: this.data.next_attempt,
+        time: this.data.time,
+        _v: DELIVERY_RAW_VERSION
+    };
+
+    [ 'error', 'last_attempt', 'status_code' ].forEach(function (k) {
+        if (hasKey(this.data, k)) {
+            raw[k] = this.data[k];
+        }
+    }, this);
+
+    return raw;
+};
+
+
+Delivery.prototype.batch = function () {
+    var raw = this.rawMoray();
+    return {
+        bucket: DELIVERY_BUCKET.name,
+        key: raw.uuid,
+        operation: 'put',
+        value: raw,
+        options: {
+            etag: this.etag
+        }
+    };
+};
+
+
+/**
+ * Return the serialized (API-facing) representation of this delivery
+ */
+Delivery.prototype.serialize = function () {
+    var ser = {
+        uuid: this.uuid,
+        webhook_uuid: this.data.webhook,
+        event: this.data.payload.event,
+        rule_uuid: this.data.payload.rule.uuid,
+        status: this.data.status,
+        attempts: this.data.attempts,
+        time: new Date(this.data.time).toISOString()
+    };
+
+    if (this.data.status === 'pending') {
+        ser.next_attempt = new Date(this.data.next_attempt).toISOString();
+    }
+
+    if (hasKey(this.data, 'last_attempt')) {
+        ser.last_attempt = new Date(this.data.last_attempt).toISOString();
+    }
+
+    [ 'status_code', 'error' ].forEach(function (k) {
+        if (hasKey(this.data, k)) {
+            ser[k] = this.data[k];
+        }
+    }, this);
+
+    return ser;
+};
+
+
+
+// --- Exports
+
+
+
+/**
+ * Creates a new webhook from validated API parameters, generating a secret
+ * if one isn't given
+ */
+function createWebhook(params, app) {
+    var value = {
+        url: params.url,
+        events: params.events || EVENTS,
+        secret: params.secret || crypto.randomBytes(32).toString('hex')
+    };
+
+    if (hasKey(params, 'owner_uuid')) {
+        value.owner = params.owner_uuid;
+    }
+
+    if (hasKey(params, 'description')) {
+        value.description = params.description;
+    }
+
+    return new Webhook({
+        key: params.uuid || mod_uuid.v4(),
+        value: value
+    }, app);
+}
+
+
+/**
+ * Creates a new pending delivery of a change to a rule to a webhook
+ *
+ * @param opts {Object}:
+ * - `change` {String}: one of EVENTS
+ * - `next_attempt` {Number}: when to first try to deliver it (in ms)
+ * - `req_id` {String} (optional): ID of the request that made the change
+ * - `rule` {Rule}: the rule after the change (or before, for deletes)
+ */
+function createDelivery(webhook, opts) {
+    var key = mod_uuid.v4();
+    var now = Date.now();
+    var payload = {
+        delivery_uuid: key,
+        event: opts.change,
+        rule: opts.rule.serialize(),
+        time: new Date(now).toISOString(),
+        webhook_uuid: webhook.uuid
+    };
+
+    if (opts.req_id) {
+        payload.req_id = opts.req_id;
+    }
+
+    return new Delivery({
+        key: key,
+        value: {
+            webhook: webhook.uuid,
+            status: 'pending',
+            payload: payload,
+            attempts: 0,
+            next_attempt: opts.next_attempt,
+            time: now
+        }
+    }, webhook.app);
+}
+
+
+/**
+ * restify-warden validator for webhook URLs
+ */
+function validateURL(_, name, val, callback) {
+    var parsed = (typeof (val) === 'string') ? url.parse(val) : null;
+
+    if (parsed === null || !parsed.hostname ||
+        (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+        callback(mod_err.invalidParam(name, 'must be an http or https URL'));
+        return;
+    }
+
+    callback(null, val);
+}
+
+
+/**
+ * restify-warden validator for webhook event filters
+ */
+function validateEvents(_, name, val, callback) {
+    if (!Array.isArray(val) || val.length === 0 ||
+        !val.every(function (e) { return EVENTS.indexOf(e) !== -1; })) {
+        callback(mod_err.invalidParam(name,
+            'must be a non-empty array of: ' + EVENTS.join(', ')));
+        return;
+    }
+
+    callback(null, val);
+}
+
+
+module.exports = {
+    BUCKET: BUCKET,
+    create: createWebhook,
+    createDelivery: createDelivery,
+    Delivery: Delivery,
+    DELIVERY_BUCKET: DELIVERY_BUCKET,
+    EVENTS: EVENTS,
+    validateEvents: validateEvents,
+    validateURL: validateURL,
+    Webhook: Webhook
+};
@@ -326,6 +326,135 @@ test('list: request parsed "fields"', function (t) {
     });
 });
 
+test('list: paging with limit and marker', function (t) {
+    var owned = RULES.slice(7, 12).map(function (r) {
+        return r.uuid;
+    }).sort();
+    var seen = [];
+
+    function listPage(marker) {
+        var params = {
+            owner_uuid: OWNERS[2],
+            limit: 2
+        };
+
+        if (marker) {
+            params.marker = marker;
+        }
+
+        mod_rule.list(t, {
+            params: params,
+            expCount: owned.length - seen.length
+        }, function (err, rules) {
+            if (err) {
+                t.end();
+                return;
+            }
+
+            t.ok(rules.length <= 2, 'at most 2 rules returned');
+            rules.forEach(function (r) {
+                seen.push(r.uuid);
+            });
+
+            if (rules.length === 2) {
+                listPage(rules[1].uuid);
+                return;
+            }
+
+            t.deepEqual(seen, owned, 'all rules returned in UUID order');
+            t.end();
+        });
+    }
+
+    listPage();
+});
+
+
+test('list: offset and sort order', function (t) {
+    var owned = RULES.slice(7, 12).map(function (r) {
+        return r.uuid;
+    }).sort().reverse();
+
+    mod_rule.list(t, {
+        params: {
+            owner_uuid: OWNERS[2],
+            offset: 1,
+            limit: 3,
+            sort: 'uuid',
+            order: 'DESC'
+        },
+        expCount: owned.length
+    }, function (err, rules) {
+        if (err) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(rules.map(function (r) {
+            return r.uuid;
+        }), owned.slice(1, 4), 'rules returned in descending UUID order');
+        t.end();
+    });
+});
+
+
+test('list: invalid paging parameters', function (t) {
+    t.plan(3);
+
+    t.test('list: limit too large', function (t2) {
+        mod_rule.list(t2, {
+            params: {
+                limit: constants.MAX_LIMIT + 1
+            },
+            expErr: {
+                code: 'InvalidParameters',
+                message: 'Invalid parameters',
+                errors: [ {
+                    field: 'limit',
+                    code: 'InvalidParameter',
+                    message: constants.msg.LIMIT
+                } ]
+            }
+        });
+    });
+
+    t.test('list: invalid sort', function (t2) {
+        mod_rule.list(t2, {
+            params: {
+                sort: 'rule'
+            },
+            expErr: {
+                code: 'InvalidParameters',
+                message: 'Invalid parameters',
+                errors: [ {
+                    field: 'sort',
+                    code: 'InvalidParameter',
+                    message: constants.msg.SORT
+                } ]
+            }
+        });
+    });
+
+    t.test('list: marker with non-uuid sort', function (t2) {
+        mod_rule.list(t2, {
+            params: {
+                marker: mod_uuid.v4(),
+                sort: 'created'
+            },
+            expErr: {
+                code: 'InvalidParameters',
+                message: 'Invalid parameters',
+                errors: [ {
+                    field: 'marker',
+                    code: 'InvalidParameter',
+                    message: constants.msg.MARKER_SORT
+                } ]
+            }
+        });
+    });
+});
+
+
 // --- Teardown
 
 
@@ -27,6 +27,8 @@ var vasync = require('vasync');
 
 
 
+var NOOP_DEFAULT = 'same as default policy';
+var NOOP_PRIORITY = 'does not override any lower priority rules';
 var NUM_OWNERS = 6;
 var NUM_VMS = 7;
 var OWNERS = [];
@@ -70,6 +72,18 @@ function oRules(ownerNum, names) {
 }
 
 
+/**
+ * Returns the expected skipped side of a no-op rule
+ */
+function skipped(rule, side, reason) {
+    return {
+        rule: rule.uuid,
+        side: side,
+        reason: reason
+    };
+}
+
+
 
 // --- Setup
 
@@ -174,6 +188,12 @@ test('setup', function (t) {
             },
             noopRuleF: {
                 rule: 'FROM tag "f" TO tag "noop?" ALLOW tcp PORT 90'
+            },
+            noopRuleG: {
+                rule: 'FROM tag "g" TO tag "noop?" BLOCK tcp PORT 91 PRIORITY 1'
+            },
+            noopRuleH: {
+                rule: 'FROM tag "noop?" TO tag "h" ALLOW udp PORT 90 PRIORITY 2'
             }
         },
 
@@ -266,6 +286,28 @@ test('setup', function (t) {
                     + '(ip 10.1.2.5 OR vm %s OR vm %s) ALLOW udp PORT 5432',
                     VMS[5], VMS[6], VMS[5], VMS[6]),
                 enabled: true
+            },
+
+            subnetToVm3: {
+                owner_uuid: OWNERS[6],
+                rule: fmt('FROM subnet 10.1.0.0/16 TO '
+                    + '(subnet 10.2.0.0/16 OR vm %s) BLOCK tcp PORT 22',
+                    VMS[3]),
+                enabled: true
+            },
+
+            vm3ToSubnet: {
+                owner_uuid: OWNERS[6],
+                rule: fmt('FROM vm %s TO subnet 10.1.2.0/24 ALLOW tcp PORT 25',
+                    VMS[3]),
+                enabled: true
+            },
+
+            otherSubnetToVm3: {
+                owner_uuid: OWNERS[6],
+                rule: fmt('FROM subnet 192.168.0.0/16 TO vm %s ALLOW '
+                    + 'tcp PORT 22', VMS[3]),
+                enabled: true
             }
         }
     };
@@ -310,9 +352,11 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'otherToRole', 'vm0ToRoleWeb', 'fooToRoleWeb',
                 'vm1ToRoleOther', 'nowThenToRoleOther']),
+            subnets: [ ],
             tags: { other: true, foo: ['bar', 'baz'], now: ['then'] },
             vms: [ VMS[0], VMS[1] ].sort()
         } ],
@@ -328,6 +372,7 @@ test('resolve', function (t) {
         //    regardless of their values)
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [
                 // Type 1 above:
@@ -335,6 +380,7 @@ test('resolve', function (t) {
                 'fooToRoleWeb',
                 // Type 2 above:
                 'otherToRole' ]),
+            subnets: [ ],
             tags: { other: true, foo: ['bar', 'baz'] },
             vms: [ VMS[0] ]
         } ],
@@ -346,9 +392,11 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'otherToRole', 'vm1ToRoleOther',
                 'nowThenToRoleOther' ]),
+            subnets: [ ],
             tags: { other: true, now: ['then'] },
             vms: [ VMS[1] ]
         } ],
@@ -364,8 +412,10 @@ test('resolve', function (t) {
             // However, BLOCK + a match on the TO side is a no-op, so only
             // allVMs is set
             allVMs: true,
+            ips: [ ],
             owner_uuid: OWNERS[1],
             rules: [ RULES.o1.vm2ToAll ],
+            subnets: [ ],
             tags: { },
             vms: [ ]
         } ],
@@ -381,8 +431,10 @@ test('resolve', function (t) {
             // block all inbound), tag one from the other side should not
             // show up here
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[2],
             rules: [ RULES.o2.oneToAll ],
+            subnets: [ ],
             tags: { },
             vms: [ ]
         } ],
@@ -396,8 +448,10 @@ test('resolve', function (t) {
             // This matches both tag one and all vms, but the outgoing allow
             // from tag one is a no-op, so only return tag one
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[3],
             rules: [ RULES.o3.oneToAll ],
+            subnets: [ ],
             tags: { one: true },
             vms: [ ]
         } ],
@@ -409,8 +463,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[4],
             rules: [ RULES.o4.allToOne ],
+            subnets: [ ],
             tags: { one: true },
             vms: [ ]
         } ],
@@ -422,8 +478,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[4],
             rules: [ RULES.o4.allToOne ],
+            subnets: [ ],
             tags: { one: true },
             vms: [ ]
         } ],
@@ -435,8 +493,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[5],
             rules: [ RULES.o5.allToOne ],
+            subnets: [ ],
             tags: { },
             vms: [ ]
         } ],
@@ -448,8 +508,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: true,
+            ips: [ ],
             owner_uuid: OWNERS[5],
             rules: [ RULES.o5.allToOne ],
+            subnets: [ ],
             tags: { },
             vms: [ ]
         } ],
@@ -461,8 +523,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[0],
             rules: [ RULES.o0.numOneToNumTwo ],
+            subnets: [ ],
             tags: { num: ['one'] },
             vms: [ ]
         } ],
@@ -474,10 +538,12 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[0],
             rules: [ RULES.o0.vm0ToRoleWeb ],
             // role=web matches, but it's on the TO side of an ALLOW rule,
             // so it doesn't get included
+            subnets: [ ],
             tags: { },
             vms: [ ]
         } ],
@@ -489,10 +555,12 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[0],
             rules: [ RULES.o0.fooToRoleWeb ],
             // role=web matches, but it's on the TO side of an ALLOW rule,
             // so it doesn't get included
+            subnets: [ ],
             tags: { },
             vms: [ ]
         } ],
@@ -504,10 +572,12 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[0],
             rules: [ RULES.o0.fooToRoleWeb ],
             // role=web matches, but it's on the TO side of an ALLOW rule,
             // so it doesn't get included
+            subnets: [ ],
             tags: { },
             vms: [ ]
         } ],
@@ -519,8 +589,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[0],
             rules: [ ],
+            subnets: [ ],
             tags: { },
             vms: [ ]
         } ],
@@ -532,8 +604,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[6],
             rules: [ RULES.o6.vmToMultiTags ],
+            subnets: [ ],
             tags: { },
             vms: [ VMS[3] ]
         } ],
@@ -545,8 +619,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[6],
             rules: oRules(6, [ 'vmToMultiTags' ]),
+            subnets: [ ],
             tags: { },
             vms: [ VMS[3] ]
         } ],
@@ -558,8 +634,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[6],
             rules: [ RULES.o6.vmToMultiTags ],
+            subnets: [ ],
             tags: { },
             vms: [ VMS[3] ]
         } ],
@@ -571,8 +649,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[6],
             rules: [ RULES.o6.vmToMultiTags ],
+            subnets: [ ],
             tags: { },
             vms: [ VMS[3] ]
         } ],
@@ -584,8 +664,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: [ RULES.o0.escapedTag1 ],
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -597,8 +679,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: [ RULES.o0.escapedTag2 ],
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -610,8 +694,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: [ RULES.o0.escapedTag3 ],
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -623,8 +709,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'escapedTag3', 'escapedTag4' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -637,8 +725,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'escapedTag4' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -650,8 +740,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'escapedTag5' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -663,8 +755,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'escapedTag6' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -676,8 +770,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'escapedTag7' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -689,8 +785,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'commaTag' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -702,8 +800,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'ampersandTag' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -715,8 +815,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'dotTag' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -728,8 +830,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'pipeTag' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -741,8 +845,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'hopTag1' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -754,8 +860,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '8.8.8.8' ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [ 'hopTag2' ]),
+            subnets: [ ],
             tags: { },
             vms: []
         } ],
@@ -767,8 +875,10 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '10.1.2.5' ],
             owner_uuid: OWNERS[6],
             rules: [ RULES.o6.ipToVm5, RULES.o6.vmsOnBothSides ],
+            subnets: [ ],
             tags: { },
             vms: [ VMS[5], VMS[6] ]
         } ],
@@ -780,11 +890,61 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ '10.1.2.5' ],
             owner_uuid: OWNERS[6],
             rules: [ RULES.o6.vm6ToIp, RULES.o6.vmsOnBothSides ],
+            subnets: [ ],
             tags: { },
             vms: [ VMS[5], VMS[6] ]
         } ],
+
+    [   O_STR[6] + 'IP in subnets',
+        {
+            owner_uuid: OWNERS[6],
+            ips: [ '10.1.2.3' ]
+        },
+        {
+            allVMs: false,
+            ips: [ ],
+            owner_uuid: OWNERS[6],
+            rules: [ RULES.o6.subnetToVm3, RULES.o6.vm3ToSubnet ],
+            subnets: [ '10.2.0.0/16' ],
+            tags: { },
+            vms: [ VMS[3] ]
+        } ],
+
+    [   O_STR[6] + 'IP in rules and subnets',
+        {
+            owner_uuid: OWNERS[6],
+            ips: [ '10.1.2.5' ]
+        },
+        {
+            // ipToVm5 and vm6ToIp are no-ops for 10.1.2.5, so only the
+            // other sides of the remaining rules are included
+            allVMs: false,
+            ips: [ '10.1.2.5' ],
+            owner_uuid: OWNERS[6],
+            rules: oRules(6, [ 'ipToVm5', 'vm6ToIp', 'vmsOnBothSides',
+                'subnetToVm3', 'vm3ToSubnet' ]),
+            subnets: [ '10.2.0.0/16' ],
+            tags: { },
+            vms: [ VMS[3], VMS[5], VMS[6] ]
+        } ],
+
+    [   O_STR[6] + 'IP in no-op rule',
+        {
+            owner_uuid: OWNERS[6],
+            ips: [ '192.168.1.1' ]
+        },
+        {
+            allVMs: false,
+            ips: [ ],
+            owner_uuid: OWNERS[6],
+            rules: [ RULES.o6.otherSubnetToVm3 ],
+            subnets: [ ],
+            tags: { },
+            vms: [ ]
+        } ],
     [   fmt('Tags from no-op rules are dropped'),
         {
             owner_uuid: OWNERS[0],
@@ -792,11 +952,22 @@ test('resolve', function (t) {
         },
         {
             allVMs: false,
+            ips: [ ],
             owner_uuid: OWNERS[0],
             rules: oRules(0, [
                 'noopRuleA', 'noopRuleB', 'noopRuleC',
-                'noopRuleD', 'noopRuleE', 'noopRuleF'
+                'noopRuleD', 'noopRuleE', 'noopRuleF',
+                'noopRuleG', 'noopRuleH'
             ]),
+            // noopRuleA and noopRuleD override noopRuleF and noopRuleC,
+            // but noopRuleG and noopRuleH don't override any rules
+            skipped_sides: [
+                skipped(RULES.o0.noopRuleB, 'from', NOOP_DEFAULT),
+                skipped(RULES.o0.noopRuleE, 'to', NOOP_DEFAULT),
+                skipped(RULES.o0.noopRuleG, 'from', NOOP_PRIORITY),
+                skipped(RULES.o0.noopRuleH, 'to', NOOP_PRIORITY)
+            ],
+            subnets: [ ],
             tags: { a: true, c: true, d: true, f: true },
             vms: [ ]
         } ]
@@ -27,6 +27,8 @@ var mod_uuid = require('uuid');
 var mod_log = require('./log');
 var mod_vasync = require('vasync');
 
+var hasKey = require('jsprim').hasKey;
+
 
 
 // --- Globals
@@ -59,6 +61,18 @@ function getGlobalRules(t, client, callback) {
 }
 
 
+/**
+ * Sort skipped sides in /resolve results by rule UUID, then side
+ */
+function sideSort(a, b) {
+    if (a.rule !== b.rule) {
+        return (a.rule > b.rule) ? 1 : -1;
+    }
+
+    return (a.side > b.side) ? 1 : -1;
+}
+
+
 
 // --- Exports
 
@@ -360,6 +374,7 @@ function listRules(t, opts, callback) {
     assert.optionalFunc(callback, 'callback');
 
     assert.optionalObject(opts.exp, 'opts.exp');
+    assert.optionalNumber(opts.expCount, 'opts.expCount');
     assert.optionalObject(opts.expErr, 'opts.expErr');
     assert.optionalObject(opts.params, 'opts.params');
 
@@ -385,6 +400,11 @@ function listRules(t, opts, callback) {
             return done(err, null, t, callback);
         }
 
+        if (opts.hasOwnProperty('expCount')) {
+            t.equal(Number(res.headers['x-resource-count']), opts.expCount,
+                'x-resource-count' + desc);
+        }
+
         if (opts.exp) {
             t.deepEqual(obj.sort(common.uuidSort),
                 clone(opts.exp).sort(common.uuidSort),
@@ -453,6 +473,13 @@ function resolve(t, opts, callback) {
 
                 obj.rules.sort(common.uuidSort);
 
+                // Only check skipped sides for tests that expect them
+                if (hasKey(newExp, 'skipped_sides')) {
+                    newExp.skipped_sides.sort(sideSort);
+                } else {
+                    delete obj.skipped_sides;
+                }
+
                 t.deepEqual(obj, newExp, 'full result' + desc);
             }
 
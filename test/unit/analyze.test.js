@@ -0,0 +1,290 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for rule analysis and the /rules/analyze endpoint
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_analyze = require('../../lib/analyze');
+var mod_rule = require('../../lib/rule');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+/*
+ * Skeleton app object, needed by Rule objects for internal logic
+ */
+var app = {
+    config: {
+        fwrule_version: 4
+    }
+};
+
+var FWAPI;
+var OWNER = h.generateVM().owner_uuid;
+var VM = h.generateVM().uuid;
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Creates a Rule object with a predictable UUID, so that results are
+ * sorted in the same order as the rules
+ */
+function rule(num, text, enabled) {
+    return mod_rule.create({
+        enabled: (enabled !== false),
+        owner_uuid: OWNER,
+        rule: text.replace('%s', VM),
+        uuid: util.format('0000000%d-0000-4000-8000-000000000000', num)
+    }, app);
+}
+
+
+function uuid(num) {
+    return util.format('0000000%d-0000-4000-8000-000000000000', num);
+}
+
+
+
+// --- Tests
+
+
+
+test('duplicates', function (t) {
+    var res = mod_analyze.analyzeRules([
+        rule(0, 'FROM any TO vm %s ALLOW tcp PORT 22'),
+        rule(1, 'FROM any TO vm %s ALLOW tcp PORT 22', false),
+        rule(2, 'FROM any TO vm %s ALLOW tcp PORT 80')
+    ]);
+
+    t.deepEqual(res, {
+        duplicates: [ {
+            rule: util.format('FROM any TO vm %s ALLOW tcp PORT 22', VM),
+            uuids: [ uuid(0), uuid(1) ]
+        } ],
+        shadowed: [],
+        contradictions: []
+    }, 'duplicate found');
+    t.end();
+});
+
+
+test('shadowed rules', function (t) {
+    var res = mod_analyze.analyzeRules([
+        rule(0, 'FROM any TO vm %s ALLOW tcp PORTS 1 - 1024'),
+        rule(1, 'FROM subnet 10.0.0.0/8 TO vm %s ALLOW tcp PORT 22'),
+        rule(2, 'FROM any TO all vms BLOCK tcp PORT 443 PRIORITY 10'),
+        rule(3, 'FROM ip 10.1.2.3 TO vm %s ALLOW tcp PORT 443 PRIORITY 5'),
+        // Disabled rules are ignored:
+        rule(4, 'FROM any TO all vms BLOCK tcp PORT all PRIORITY 99', false)
+    ]);
+
+    t.deepEqual(res.shadowed, [ {
+        uuid: uuid(1),
+        rule: util.format(
+            'FROM subnet 10.0.0.0/8 TO vm %s ALLOW tcp PORT 22', VM),
+        shadowed_by: [ uuid(0) ]
+    }, {
+        uuid: uuid(3),
+        rule: util.format(
+            'FROM ip 10.1.2.3 TO vm %s ALLOW tcp PORT 443 PRIORITY 5', VM),
+        shadowed_by: [ uuid(2) ]
+    } ], 'shadowed rules');
+
+    // Rule 3 is shadowed by rule 2, so isn't also reported as contradicting
+    // it. Rule 0 has a lower priority than rule 3, so doesn't shadow it.
+    t.deepEqual(res.contradictions, [ {
+        allow: uuid(0),
+        block: uuid(2),
+        winner: uuid(2)
+    } ], 'contradictions');
+    t.end();
+});
+
+
+test('contradictions', function (t) {
+    var res = mod_analyze.analyzeRules([
+        rule(0, 'FROM subnet 10.0.0.0/8 TO vm %s ALLOW tcp PORT 8080'),
+        rule(1, 'FROM subnet 10.1.0.0/16 TO vm %s BLOCK tcp PORT 8080'),
+        rule(2, 'FROM any TO vm %s ALLOW udp PORTS 50 - 60 PRIORITY 2'),
+        rule(3, 'FROM any TO vm %s BLOCK udp PORTS 55 - 65 PRIORITY 1'),
+        // Different protocol:
+        rule(4, 'FROM any TO vm %s BLOCK tcp PORTS 50 - 60 PRIORITY 1')
+    ]);
+
+    t.deepEqual(res.contradictions, [ {
+        allow: uuid(0),
+        block: uuid(1),
+        winner: uuid(1)
+    }, {
+        allow: uuid(2),
+        block: uuid(3),
+        winner: uuid(2)
+    } ], 'contradictions');
+    t.deepEqual(res.shadowed, [], 'no shadowed rules');
+    t.end();
+});
+
+
+test('IPv6 subnets', function (t) {
+    var res = mod_analyze.analyzeRules([
+        rule(0, 'FROM subnet fd00::/8 TO vm %s ALLOW tcp PORT 22'),
+        rule(1, 'FROM ip fd00::1 TO vm %s ALLOW tcp PORT 22'),
+        rule(2, 'FROM subnet fd00:1::/32 TO vm %s BLOCK tcp PORT 22'),
+        // IPv4 and IPv6 addresses never overlap:
+        rule(3, 'FROM subnet 10.0.0.0/8 TO vm %s BLOCK tcp PORT 22')
+    ]);
+
+    t.deepEqual(res.shadowed, [ {
+        uuid: uuid(1),
+        rule: util.format('FROM ip fd00::1 TO vm %s ALLOW tcp PORT 22', VM),
+        shadowed_by: [ uuid(0) ]
+    } ], 'shadowed rules');
+    t.deepEqual(res.contradictions, [ {
+        allow: uuid(0),
+        block: uuid(2),
+        winner: uuid(2)
+    } ], 'contradictions');
+    t.end();
+});
+
+
+test('tags and VMs are compared by name only', function (t) {
+    var res = mod_analyze.analyzeRules([
+        rule(0, 'FROM any TO tag "role" ALLOW tcp PORT 22'),
+        rule(1, 'FROM any TO tag "role" = "web" ALLOW tcp PORT 22'),
+        rule(2, 'FROM any TO vm %s BLOCK tcp PORT 22')
+    ]);
+
+    t.deepEqual(res.shadowed.map(function (s) {
+        return [ s.uuid, s.shadowed_by ];
+    }), [ [ uuid(1), [ uuid(0) ] ] ], 'tag value shadowed by tag key');
+    t.deepEqual(res.contradictions, [], 'vm and tag do not overlap');
+    t.end();
+});
+
+
+test('rules that may overlap', function (t) {
+    var block = rule(0, 'FROM tag "a" TO vm %s BLOCK tcp PORT 22 PRIORITY 1');
+
+    t.ok(mod_analyze.mayOverlap(block,
+        rule(1, 'FROM tag "b" TO vm %s ALLOW tcp PORT 22'), 'from'),
+        'VMs may have both tags');
+    t.ok(mod_analyze.mayOverlap(block,
+        rule(2, 'FROM ip 10.1.2.3 TO vm %s ALLOW tcp PORTS 1 - 100'), 'from'),
+        'VMs may have any IP');
+    t.notOk(mod_analyze.mayOverlap(block,
+        rule(3, 'FROM tag "b" TO vm %s ALLOW tcp PORT 80'), 'from'),
+        'different ports');
+    t.notOk(mod_analyze.mayOverlap(block,
+        rule(4, 'FROM tag "b" TO vm %s ALLOW udp PORT 22'), 'from'),
+        'different protocols');
+    t.notOk(mod_analyze.mayOverlap(
+        rule(5, 'FROM ip 10.1.2.3 TO vm %s BLOCK tcp PORT 22 PRIORITY 1'),
+        rule(6, 'FROM subnet 10.2.0.0/16 TO vm %s ALLOW tcp PORT 22'), 'from'),
+        'different addresses');
+    t.end();
+});
+
+
+
+// --- Endpoint tests
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        t.end();
+    });
+});
+
+
+test('GET /rules/analyze', function (t) {
+    var payload = {
+        enabled: true,
+        owner_uuid: OWNER,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT 22', VM)
+    };
+
+    FWAPI.createRule(payload, function (err, rule1) {
+        if (h.ifErr(t, err, 'create rule 1')) {
+            t.end();
+            return;
+        }
+
+        FWAPI.createRule(payload, function (err2, rule2) {
+            if (h.ifErr(t, err2, 'create rule 2')) {
+                t.end();
+                return;
+            }
+
+            FWAPI.get({
+                path: '/rules/analyze',
+                query: { owner_uuid: OWNER }
+            }, function (err3, obj, req, res) {
+                if (h.ifErr(t, err3, 'analyze')) {
+                    t.end();
+                    return;
+                }
+
+                t.equal(res.statusCode, 200, 'status code');
+                t.deepEqual(obj, {
+                    duplicates: [ {
+                        rule: payload.rule,
+                        uuids: [ rule1.uuid, rule2.uuid ].sort()
+                    } ],
+                    shadowed: [],
+                    contradictions: []
+                }, 'analysis');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('GET /rules/analyze: owner_uuid required', function (t) {
+    FWAPI.get('/rules/analyze', function (err) {
+        t.ok(err, 'error');
+        if (err) {
+            t.equal(err.statusCode, 422, 'status code');
+            t.deepEqual(err.body.errors, [ {
+                field: 'owner_uuid',
+                code: 'MissingParameter',
+                message: 'Missing parameter'
+            } ], 'errors');
+        }
+
+        t.end();
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
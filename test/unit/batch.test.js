@@ -0,0 +1,317 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for the /rules/batch endpoint
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_update = require('../../lib/update');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+var MORAY;
+var RULES = [];
+var VMS = [ h.generateVM(), h.generateVM() ];
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res, moray) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        t.ok(moray, 'moray');
+        FWAPI = res;
+        MORAY = moray;
+        t.end();
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Batch create', function (t) {
+    RULES.push({
+        enabled: true,
+        owner_uuid: VMS[0].owner_uuid,
+        rule: util.format('FROM vm %s TO vm %s ALLOW tcp PORT 80',
+            VMS[0].uuid, VMS[1].uuid)
+    });
+    RULES.push({
+        enabled: true,
+        owner_uuid: VMS[0].owner_uuid,
+        rule: util.format('FROM vm %s TO vm %s ALLOW udp PORT 53',
+            VMS[0].uuid, VMS[1].uuid)
+    });
+
+    FWAPI.post('/rules/batch', {
+        create: [
+            { enabled: true, rule: RULES[0].rule },
+            { enabled: true, rule: RULES[1].rule }
+        ],
+        owner_uuid: VMS[0].owner_uuid
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'batch create')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 202, 'status code');
+        t.equal(obj.length, 2, '2 results');
+        t.equal(res.headers['x-update-id'], obj[1].update_uuid,
+            'x-update-id header is the last update');
+
+        obj.forEach(function (result, i) {
+            t.equal(result.operation, 'create', 'operation');
+            t.ok(result.etag, 'etag');
+            t.ok(result.update_uuid, 'update_uuid');
+            RULES[i].uuid = result.uuid;
+            RULES[i].version = result.rule.version;
+            t.deepEqual(result.rule, RULES[i], 'rule ' + i);
+        });
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('fw.add_rule', RULES[0]),
+                h.morayUpdate('fw.add_rule', RULES[1])
+            ], 'one moray update per rule');
+
+            FWAPI.getRule(RULES[1].uuid, function (err3, res2) {
+                if (h.ifErr(t, err3, 'getRule() error')) {
+                    t.end();
+                    return;
+                }
+
+                t.deepEqual(res2, RULES[1], 'getRule');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Batch with invalid rule', function (t) {
+    FWAPI.post('/rules/batch', {
+        create: [ {
+            enabled: true,
+            owner_uuid: VMS[0].owner_uuid,
+            rule: util.format('FROM vm %s TO vm %s ALLOW tcp PORT 443',
+                VMS[0].uuid, VMS[1].uuid)
+        }, {
+            owner_uuid: VMS[0].owner_uuid,
+            rule: 'FROM foo TO bar'
+        } ],
+        'delete': [ RULES[0].uuid ]
+    }, function (err) {
+        t.ok(err, 'batch error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.equal(err.body.code, 'InvalidParameters', 'error code');
+        t.deepEqual(err.body.errors.map(function (e) {
+            return e.field;
+        }), [ 'create[1].rule' ], 'error fields');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [], 'no moray updates');
+
+            FWAPI.getRule(RULES[0].uuid, function (err3, res2) {
+                if (h.ifErr(t, err3, 'getRule() error')) {
+                    t.end();
+                    return;
+                }
+
+                t.deepEqual(res2, RULES[0], 'rule not deleted');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Batch with unknown and duplicate rules', function (t) {
+    var unknown = h.generateVM().uuid;
+
+    FWAPI.post('/rules/batch', {
+        update: [ { uuid: RULES[0].uuid, enabled: false } ],
+        'delete': [ RULES[0].uuid, unknown ]
+    }, function (err) {
+        t.ok(err, 'batch error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body.errors, [ {
+            field: 'delete[0]',
+            code: 'Duplicate',
+            message: 'rule also in update[0].uuid'
+        }, {
+            field: 'delete[1]',
+            code: 'InvalidParameter',
+            message: 'rule not found'
+        } ], 'errors');
+        t.end();
+    });
+});
+
+
+test('Batch with wrong owner', function (t) {
+    FWAPI.post('/rules/batch', {
+        'delete': [ RULES[0].uuid ],
+        owner_uuid: h.generateVM().uuid
+    }, function (err) {
+        t.ok(err, 'batch error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 403, 'status code');
+        t.deepEqual(err.body, {
+            code: 'Forbidden',
+            message: 'owner does not match',
+            errors: [ {
+                field: 'delete[0]',
+                code: 'InvalidParameter',
+                message: 'owner_uuid does not match'
+            } ]
+        }, 'error body');
+        t.end();
+    });
+});
+
+
+test('Batch update and delete', function (t) {
+    FWAPI.post('/rules/batch', {
+        update: [ { uuid: RULES[0].uuid, description: 'batch update' } ],
+        'delete': [ RULES[1].uuid ]
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'batch update')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 202, 'status code');
+        t.equal(obj.length, 2, '2 results');
+
+        t.equal(obj[0].operation, 'update', 'update operation');
+        t.notEqual(obj[0].rule.version, RULES[0].version, 'version updated');
+        RULES[0].description = 'batch update';
+        RULES[0].version = obj[0].rule.version;
+        t.deepEqual(obj[0].rule, RULES[0], 'updated rule');
+
+        t.equal(obj[1].operation, 'delete', 'delete operation');
+        t.deepEqual(obj[1].rule, RULES[1], 'deleted rule');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('fw.update_rule', RULES[0]),
+                h.morayUpdate('fw.del_rule', RULES[1])
+            ], 'one moray update per rule');
+
+            FWAPI.getRule(RULES[1].uuid, function (err3) {
+                t.ok(err3, 'getRule error');
+                if (err3) {
+                    t.equal(err3.statusCode, 404, 'rule deleted');
+                }
+
+                t.end();
+            });
+        });
+    });
+});
+
+
+
+test('Batch: updates written with the rules', function (t) {
+    var batch = MORAY.batch;
+    var written = [];
+
+    // Fail the next batch, as if Moray had rejected it
+    MORAY.batch = function (reqs, callback) {
+        MORAY.batch = batch;
+        written = reqs;
+        callback(new Error('batch failed'));
+    };
+
+    FWAPI.post('/rules/batch', {
+        update: [ { uuid: RULES[0].uuid, description: 'failed update' } ]
+    }, function (err) {
+        t.ok(err, 'batch error');
+        t.deepEqual(written.map(function (req) {
+            return req.bucket;
+        }).filter(function (bucket) {
+            return bucket === mod_update.BUCKET.name;
+        }), [ mod_update.BUCKET.name ], 'update in the same batch');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [], 'no moray updates');
+
+            FWAPI.getRule(RULES[0].uuid, function (err3, rule) {
+                if (h.ifErr(t, err3, 'getRule() error')) {
+                    t.end();
+                    return;
+                }
+
+                t.deepEqual(rule, RULES[0], 'rule unchanged');
+                t.end();
+            });
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
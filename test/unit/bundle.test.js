@@ -0,0 +1,425 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for the /rules/export and /rules/import endpoints
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_bundle = require('../../lib/bundle');
+var mod_uuid = require('uuid');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var BUNDLE;
+var FWAPI;
+var MORAY;
+var RULES = [];
+var VMS = [ h.generateVM(), h.generateVM() ];
+
+// An owner with more rules than fit in one batch
+var BIG_OWNER = mod_uuid.v4();
+var BIG_COUNT = 150;
+var BATCH_SIZE = 100;
+
+
+
+// --- Helpers
+
+
+
+/**
+ * Posts batches of at most BATCH_SIZE of the items for operation (and
+ * owner_uuid BIG_OWNER), one after the other
+ */
+function postBatches(t, operation, items, callback) {
+    if (items.length === 0) {
+        callback();
+        return;
+    }
+
+    var params = { owner_uuid: BIG_OWNER };
+    params[operation] = items.slice(0, BATCH_SIZE);
+
+    FWAPI.post('/rules/batch', params, function (err) {
+        if (h.ifErr(t, err, 'batch ' + operation)) {
+            callback(err);
+            return;
+        }
+
+        postBatches(t, operation, items.slice(BATCH_SIZE), callback);
+    });
+}
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res, moray) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        MORAY = moray;
+        t.end();
+    });
+});
+
+
+test('Create rules', function (t) {
+    FWAPI.post('/rules/batch', {
+        create: [ {
+            description: 'web',
+            enabled: true,
+            rule: util.format('FROM any TO vm %s ALLOW tcp PORT 80',
+                VMS[0].uuid)
+        }, {
+            enabled: false,
+            rule: util.format('FROM vm %s TO vm %s ALLOW udp PORT 53',
+                VMS[0].uuid, VMS[1].uuid)
+        } ],
+        owner_uuid: VMS[0].owner_uuid
+    }, function (err, obj) {
+        if (h.ifErr(t, err, 'batch create')) {
+            t.end();
+            return;
+        }
+
+        RULES = obj.map(function (result) {
+            return result.rule;
+        }).sort(function (a, b) {
+            return a.uuid < b.uuid ? -1 : 1;
+        });
+
+        h.getMorayUpdates(MORAY, function (err2) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.end();
+        });
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Export rules', function (t) {
+    FWAPI.get({
+        path: '/rules/export',
+        query: { owner_uuid: VMS[0].owner_uuid }
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'export')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 200, 'status code');
+        t.deepEqual(obj, {
+            version: 1,
+            rules: RULES.map(function (rule) {
+                var bRule = {
+                    uuid: rule.uuid,
+                    rule: rule.rule,
+                    enabled: rule.enabled,
+                    owner_uuid: rule.owner_uuid
+                };
+
+                if (rule.description) {
+                    bRule.description = rule.description;
+                }
+
+                return bRule;
+            })
+        }, 'bundle');
+        BUNDLE = obj;
+        t.end();
+    });
+});
+
+
+test('Bundle formats', function (t) {
+    var yaml = mod_bundle.stringify(BUNDLE, 'yaml');
+
+    t.equal(yaml.split('\n')[0], 'version: 1', 'YAML bundle');
+    t.deepEqual(mod_bundle.parse(yaml), BUNDLE, 'YAML round trip');
+    t.deepEqual(mod_bundle.parse(mod_bundle.stringify(BUNDLE, 'json')),
+        BUNDLE, 'JSON round trip');
+
+    t.deepEqual(mod_bundle.parse([
+        'version: 1',
+        'rules:',
+        '  - rule: FROM any TO all vms ALLOW tcp PORT 22',
+        '    description: 2019-03-02',
+        '    enabled: true'
+    ].join('\n')), {
+        version: 1,
+        rules: [ {
+            rule: 'FROM any TO all vms ALLOW tcp PORT 22',
+            description: '2019-03-02',
+            enabled: true
+        } ]
+    }, 'dates are not converted');
+
+    t.throws(function () {
+        mod_bundle.parse('version: [');
+    }, 'invalid YAML');
+
+    t.end();
+});
+
+
+test('Import: unsupported version', function (t) {
+    FWAPI.post('/rules/import', {
+        bundle: { version: 2, rules: BUNDLE.rules }
+    }, function (err) {
+        t.ok(err, 'import error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body.errors.map(function (e) {
+            return e.field;
+        }), [ 'bundle.version' ], 'error fields');
+        t.end();
+    });
+});
+
+
+test('Import: existing rules fail by default', function (t) {
+    FWAPI.post('/rules/import', {
+        bundle: BUNDLE
+    }, function (err) {
+        t.ok(err, 'import error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body.errors, [ {
+            field: 'bundle.rules[0].uuid',
+            code: 'Duplicate',
+            message: 'rule already exists'
+        }, {
+            field: 'bundle.rules[1].uuid',
+            code: 'Duplicate',
+            message: 'rule already exists'
+        } ], 'errors');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.deepEqual(updates, [], 'no moray updates');
+            t.end();
+        });
+    });
+});
+
+
+test('Import: skip existing rules', function (t) {
+    FWAPI.post('/rules/import', {
+        bundle: mod_bundle.parse(mod_bundle.stringify(BUNDLE, 'yaml')),
+        mode: 'skip'
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'import')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 200, 'status code');
+        t.deepEqual(obj, RULES.map(function (rule) {
+            return { operation: 'skip', uuid: rule.uuid };
+        }), 'results');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.deepEqual(updates, [], 'no moray updates');
+            t.end();
+        });
+    });
+});
+
+
+test('Import: overwrite existing rules', function (t) {
+    var newRule = {
+        enabled: true,
+        owner_uuid: VMS[1].owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT 443',
+            VMS[1].uuid)
+    };
+    var bundle = {
+        version: 1,
+        rules: [
+            BUNDLE.rules[0],
+            newRule
+        ]
+    };
+
+    bundle.rules[0].description = 'imported';
+
+    FWAPI.post('/rules/import', {
+        bundle: bundle,
+        mode: 'overwrite',
+        owner_uuid: VMS[0].owner_uuid
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'import')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 202, 'status code');
+        t.ok(res.headers['x-update-id'], 'update queued');
+        t.deepEqual(obj.map(function (result) {
+            return result.operation;
+        }), [ 'create', 'update' ], 'operations');
+
+        t.equal(obj[0].rule.rule, newRule.rule, 'created rule');
+        t.equal(obj[1].uuid, RULES[0].uuid, 'updated rule UUID');
+        t.equal(obj[1].rule.description, 'imported', 'updated description');
+        t.notEqual(obj[1].rule.version, RULES[0].version,
+            'version incremented');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('fw.add_rule', obj[0].rule),
+                h.morayUpdate('fw.update_rule', obj[1].rule)
+            ], 'one moray update per rule');
+            t.end();
+        });
+    });
+});
+
+
+test('Import: wrong owner', function (t) {
+    FWAPI.post('/rules/import', {
+        bundle: BUNDLE,
+        mode: 'overwrite',
+        owner_uuid: h.generateVM().uuid
+    }, function (err) {
+        t.ok(err, 'import error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 403, 'status code');
+        t.deepEqual(err.body.errors.map(function (e) {
+            return e.field;
+        }), [ 'bundle.rules[0].owner_uuid', 'bundle.rules[1].owner_uuid' ],
+            'error fields');
+        t.end();
+    });
+});
+
+
+
+test('Export and import more rules than fit in a batch', function (t) {
+    var create = [];
+    var vm = h.generateVM({ owner_uuid: BIG_OWNER });
+
+    for (var i = 0; i < BIG_COUNT; i++) {
+        create.push({
+            enabled: true,
+            rule: util.format('FROM any TO vm %s ALLOW tcp PORT %d',
+                vm.uuid, 1000 + i)
+        });
+    }
+
+    postBatches(t, 'create', create, function (cErr) {
+        if (cErr) {
+            t.end();
+            return;
+        }
+
+        FWAPI.get({
+            path: '/rules/export',
+            query: { owner_uuid: BIG_OWNER }
+        }, function (err, bundle) {
+            if (h.ifErr(t, err, 'export')) {
+                t.end();
+                return;
+            }
+
+            t.equal(bundle.rules.length, BIG_COUNT, 'all rules exported');
+
+            // Delete the rules, so that they can be imported again (as if
+            // into another datacenter)
+            postBatches(t, 'delete', bundle.rules.map(function (bRule) {
+                return bRule.uuid;
+            }), function (dErr) {
+                if (dErr) {
+                    t.end();
+                    return;
+                }
+
+                h.getMorayUpdates(MORAY, function (uErr) {
+                    t.ifError(uErr, 'getMorayUpdates()');
+
+                    FWAPI.post('/rules/import', {
+                        bundle: bundle
+                    }, function (err2, obj, req, res) {
+                        if (h.ifErr(t, err2, 'import')) {
+                            t.end();
+                            return;
+                        }
+
+                        t.equal(res.statusCode, 202, 'status code');
+                        t.deepEqual(obj.map(function (result) {
+                            return result.uuid;
+                        }), bundle.rules.map(function (bRule) {
+                            return bRule.uuid;
+                        }), 'all rules imported');
+                        t.equal(res.headers['x-update-id'],
+                            obj[obj.length - 1].update_uuid,
+                            'x-update-id is the last update');
+
+                        h.getMorayUpdates(MORAY, function (err3, updates) {
+                            if (h.ifErr(t, err3, 'getMorayUpdates()')) {
+                                t.end();
+                                return;
+                            }
+
+                            t.deepEqual(updates, obj.map(function (result) {
+                                return h.morayUpdate('fw.add_rule',
+                                    result.rule);
+                            }), 'one moray update per rule');
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
@@ -0,0 +1,242 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for the /rules/changes endpoint
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_uuid = require('uuid');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+var RULE;
+var SEQ;
+var VMS = [ h.generateVM(), h.generateVM() ];
+var OTHER_VM = h.generateVM({ owner_uuid: mod_uuid.v4() });
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        t.end();
+    });
+});
+
+
+test('Changes: none yet', function (t) {
+    FWAPI.get('/rules/changes', function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'list changes')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 200, 'status code');
+        t.deepEqual(obj, { changes: [], seq: 0 }, 'no changes');
+        t.end();
+    });
+});
+
+
+test('Create, update and delete rules', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        owner_uuid: VMS[0].owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT 22', VMS[0].uuid)
+    }, function (err, rule) {
+        if (h.ifErr(t, err, 'create rule')) {
+            t.end();
+            return;
+        }
+
+        RULE = rule;
+
+        FWAPI.updateRule(rule.uuid, {
+            description: 'ssh'
+        }, function (err2, updated) {
+            if (h.ifErr(t, err2, 'update rule')) {
+                t.end();
+                return;
+            }
+
+            RULE = updated;
+
+            FWAPI.createRule({
+                enabled: true,
+                owner_uuid: OTHER_VM.owner_uuid,
+                rule: util.format('FROM any TO vm %s ALLOW tcp PORT 80',
+                    OTHER_VM.uuid)
+            }, function (err3) {
+                if (h.ifErr(t, err3, 'create other owner\'s rule')) {
+                    t.end();
+                    return;
+                }
+
+                FWAPI.deleteRule(rule.uuid, function (err4) {
+                    t.ifError(err4, 'delete rule');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Changes: all', function (t) {
+    FWAPI.get('/rules/changes', function (err, obj) {
+        if (h.ifErr(t, err, 'list changes')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(obj.changes.map(function (change) {
+            return change.change;
+        }), [ 'create', 'update', 'create', 'delete' ], 'changes in order');
+        t.equal(obj.changes[1].rule.description, 'ssh', 'updated rule');
+        t.equal(obj.changes[3].rule_uuid, RULE.uuid, 'deleted rule UUID');
+
+        t.ok(obj.changes.every(function (change, i) {
+            return (i === 0 || change.seq > obj.changes[i - 1].seq);
+        }), 'sequence numbers increase');
+        t.equal(obj.seq, obj.changes[3].seq, 'seq is that of the last change');
+
+        SEQ = obj.changes[0].seq;
+        t.end();
+    });
+});
+
+
+test('Changes: since, owner_uuid and limit', function (t) {
+    FWAPI.get({
+        path: '/rules/changes',
+        query: {
+            limit: 1,
+            owner_uuid: VMS[0].owner_uuid,
+            since: SEQ
+        }
+    }, function (err, obj) {
+        if (h.ifErr(t, err, 'list changes')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(obj.changes.map(function (change) {
+            return [ change.change, change.rule_uuid ];
+        }), [ [ 'update', RULE.uuid ] ], 'changes');
+
+        FWAPI.get({
+            path: '/rules/changes',
+            query: {
+                owner_uuid: VMS[0].owner_uuid,
+                since: obj.seq
+            }
+        }, function (err2, obj2) {
+            if (h.ifErr(t, err2, 'list changes')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(obj2.changes.map(function (change) {
+                return [ change.change, change.rule_uuid ];
+            }), [ [ 'delete', RULE.uuid ] ],
+                'other owner\'s rule left out');
+            SEQ = obj2.seq;
+            t.end();
+        });
+    });
+});
+
+
+test('Changes: wait for a change', function (t) {
+    var created;
+
+    FWAPI.get({
+        path: '/rules/changes',
+        query: {
+            since: SEQ,
+            wait: 10
+        }
+    }, function (err, obj) {
+        if (h.ifErr(t, err, 'list changes')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(obj.changes.map(function (change) {
+            return [ change.change, change.rule_uuid ];
+        }), [ [ 'create', created.uuid ] ], 'change made while waiting');
+        t.equal(obj.seq, obj.changes[0].seq, 'seq');
+        t.end();
+    });
+
+    setTimeout(function () {
+        FWAPI.createRule({
+            enabled: true,
+            owner_uuid: VMS[1].owner_uuid,
+            rule: util.format('FROM any TO vm %s ALLOW udp PORT 53',
+                VMS[1].uuid)
+        }, function (err, rule) {
+            t.ifError(err, 'create rule');
+            created = rule;
+        });
+    }, 500);
+});
+
+
+test('Changes: invalid parameters', function (t) {
+    FWAPI.get({
+        path: '/rules/changes',
+        query: {
+            since: -1,
+            wait: 600
+        }
+    }, function (err) {
+        t.ok(err, 'list error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body.errors.map(function (e) {
+            return e.field;
+        }).sort(), [ 'since', 'wait' ], 'error fields');
+        t.end();
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
@@ -0,0 +1,195 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for coordination between FWAPI instances
+ */
+
+'use strict';
+
+var h = require('./helpers');
+var mod_cluster = require('../../lib/cluster');
+var mod_log = require('../lib/log');
+var mod_moray = require('../../lib/moray');
+var mod_vasync = require('vasync');
+var test = require('tape');
+
+
+
+// --- Globals
+
+
+
+var INSTANCES = [];
+var MORAY;
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Reports progress for each of the given instances in turn, and checks
+ * which updates the leader would remove
+ */
+function reportAll(t, steps) {
+    mod_vasync.forEachPipeline({
+        func: function _report(step, cb) {
+            INSTANCES[step.inst].report(step.floor, function (err, prune) {
+                t.ifError(err, 'report: instance ' + step.inst);
+                t.equal(prune, step.expected, step.desc);
+                cb();
+            });
+        },
+        inputs: steps
+    }, function () {
+        t.end();
+    });
+}
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    var log = mod_log.selectUnitLogger();
+
+    h.setupMoray(log, function (err, moray) {
+        if (h.ifErr(t, err, 'Moray setup error')) {
+            t.end();
+            return;
+        }
+
+        MORAY = moray;
+        INSTANCES = [ 'fwapi0', 'fwapi1' ].map(function (host) {
+            return mod_cluster.create({
+                config: {
+                    host: host
+                },
+                log: log,
+                moray: moray
+            });
+        });
+
+        mod_moray.initialize({
+            app: {},
+            log: log,
+            moray: moray,
+            buckets: [ mod_cluster.BUCKET ]
+        }, function (iErr) {
+            t.ifError(iErr, 'bucket initialized');
+            t.end();
+        });
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('only one instance runs initialization', function (t) {
+    var runs = [];
+
+    INSTANCES[0].once('v1', function (cb) {
+        runs.push(0);
+        cb();
+    }, function (err) {
+        t.ifError(err, 'instance 0 initialized');
+
+        INSTANCES[1].once('v1', function (cb) {
+            runs.push(1);
+            cb();
+        }, function (err2) {
+            t.ifError(err2, 'instance 1 initialized');
+            t.deepEqual(runs, [ 0 ], 'only run by instance 0');
+            t.end();
+        });
+    });
+});
+
+
+test('leader removes updates all instances are done with', function (t) {
+    reportAll(t, [
+        { inst: 0, floor: 5, expected: 5, desc: 'instance 0 is leader' },
+        { inst: 1, floor: 3, expected: null,
+            desc: 'instance 1 is not leader' },
+        { inst: 0, floor: 7, expected: 3, desc: 'lowest floor used' },
+        { inst: 1, floor: null, expected: null,
+            desc: 'instance 1 has no clients' },
+        { inst: 0, floor: 7, expected: 7,
+            desc: 'instances without clients ignored' }
+    ]);
+});
+
+
+test('leadership taken over when lease expires', function (t) {
+    MORAY.putObject(mod_cluster.BUCKET.name, '_leader', {
+        expires: Date.now() - 1,
+        holder: 'fwapi0'
+    }, function (err) {
+        if (h.ifErr(t, err, 'expire lease')) {
+            t.end();
+            return;
+        }
+
+        reportAll(t, [
+            { inst: 1, floor: 9, expected: 7,
+                desc: 'instance 1 takes over lease' },
+            { inst: 0, floor: 9, expected: null,
+                desc: 'instance 0 no longer leader' },
+            { inst: 1, floor: 9, expected: 9,
+                desc: 'instance 1 renews lease' }
+        ]);
+    });
+});
+
+
+test('client acks recorded with progress', function (t) {
+    var acks = {
+        cn1: { acked: 9, seen: Date.now(), server: null }
+    };
+
+    INSTANCES[0].report(9, acks, function (err) {
+        if (h.ifErr(t, err, 'report')) {
+            t.end();
+            return;
+        }
+
+        INSTANCES[0].acks(function (aErr, got) {
+            t.ifError(aErr, 'acks: instance 0');
+            t.deepEqual(got, acks, 'acks recorded for instance 0');
+
+            INSTANCES[1].acks(function (aErr2, got2) {
+                t.ifError(aErr2, 'acks: instance 1');
+                t.deepEqual(got2, {}, 'no acks recorded for instance 1');
+                t.end();
+            });
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop moray', function (t) {
+    MORAY.close();
+    t.end();
+});
+
+
+test('Stop server', h.stopServer);
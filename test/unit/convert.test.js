@@ -0,0 +1,254 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for converting host firewall configuration into rules
+ */
+
+'use strict';
+
+var mod_convert = require('../../lib/convert');
+var mod_uuid = require('uuid');
+var test = require('tape');
+
+
+
+// --- Globals
+
+
+
+/*
+ * Skeleton app object, needed by Rule objects for internal logic
+ */
+var app = {
+    config: {
+        fwrule_version: 4
+    }
+};
+
+var OWNER = mod_uuid.v4();
+var VM = mod_uuid.v4();
+
+
+
+// --- Helper functions
+
+
+
+function convert(format, lines, vm) {
+    var opts = {
+        format: format,
+        input: lines.join('\n'),
+        owner_uuid: OWNER
+    };
+
+    if (vm) {
+        opts.vm = vm;
+    }
+
+    var result = mod_convert.convert(app, opts);
+
+    return {
+        rules: result.rules.map(function (rule) {
+            return rule.rule;
+        }),
+        unconverted: result.unconverted.map(function (line) {
+            return [ line.line, line.message ];
+        })
+    };
+}
+
+
+
+// --- Tests
+
+
+
+test('iptables', function (t) {
+    t.deepEqual(convert('iptables', [
+        '*filter',
+        ':INPUT DROP [0:0]',
+        ':OUTPUT ACCEPT [0:0]',
+        '-A INPUT -m state --state RELATED,ESTABLISHED -j ACCEPT',
+        '-A INPUT -s 10.0.0.0/8 -p tcp -m tcp --dport 22 -j ACCEPT',
+        '-A INPUT -p tcp -m multiport --dports 80,443,8000:8080 ' +
+            '-m comment --comment "web servers" -j ACCEPT',
+        '-A INPUT -p icmp -m icmp --icmp-type 8/0 -j ACCEPT',
+        '-A OUTPUT -d 8.8.8.8/32 -p udp --dport 53 -j REJECT',
+        'COMMIT'
+    ], VM), {
+        rules: [
+            'FROM subnet 10.0.0.0/8 TO vm ' + VM + ' ALLOW tcp PORT 22',
+            'FROM any TO vm ' + VM + ' ALLOW tcp PORTS 80, 443, 8000 - 8080',
+            'FROM any TO vm ' + VM + ' ALLOW icmp TYPE 8 CODE 0',
+            'FROM vm ' + VM + ' TO ip 8.8.8.8 BLOCK udp PORT 53'
+        ],
+        unconverted: [
+            [ 4, 'not needed: replies to allowed traffic are always allowed' ]
+        ]
+    }, 'rules for VM');
+
+    t.end();
+});
+
+
+test('iptables: unconverted', function (t) {
+    t.deepEqual(convert('iptables', [
+        '*nat',
+        '-A PREROUTING -j DNAT --to-destination 10.0.0.1',
+        'COMMIT',
+        '*filter',
+        ':INPUT ACCEPT [0:0]',
+        '-A INPUT -i eth0 -p tcp --dport 25 -j ACCEPT',
+        '-A INPUT -s 192.168.1.5/32 -j DROP',
+        '-A INPUT -d 10.0.0.5/32 -p tcp --dport 22 -j ACCEPT',
+        '-A INPUT ! -s 10.0.0.0/8 -p tcp --dport 22 -j ACCEPT',
+        '-A INPUT -p tcp --dport 22 -j LOG',
+        '-A INPUT -j DROP',
+        'COMMIT'
+    ]), {
+        rules: [],
+        unconverted: [
+            [ 2, 'only rules in the filter table can be converted' ],
+            [ 5, 'the default policy of blocking inbound traffic and ' +
+                'allowing outbound traffic can\'t be changed' ],
+            [ 6, 'option "-i" can\'t be converted' ],
+            [ 7, 'rules must have a protocol' ],
+            [ 8, 'rules for specific destination addresses can\'t be ' +
+                'converted' ],
+            [ 9, 'negated matches can\'t be converted' ],
+            [ 10, 'target "LOG" can\'t be converted' ],
+            [ 11, 'not needed: this is the default policy' ]
+        ]
+    }, 'unconverted lines');
+
+    t.end();
+});
+
+
+test('ipf', function (t) {
+    t.deepEqual(convert('ipf', [
+        '# Allow ssh',
+        'pass in quick proto tcp from any to any port = 22 keep state',
+        'pass in quick proto tcp/udp from 10.0.0.0/24 to any ' +
+            'port 1000:2000 keep state',
+        'block return-rst in quick proto tcp from any to any port 10 >< 20',
+        'pass out quick proto icmp from any to 10.1.1.1 icmp-type 8 code 0',
+        'block in quick on net0 proto tcp from any to any port = 23',
+        'pass in proto tcp from any port = 80 to any',
+        'pass in proto tcp from any to any port > 1024',
+        'block in all',
+        'pass out quick all keep state',
+        'count in all'
+    ]), {
+        rules: [
+            'FROM any TO all vms ALLOW tcp PORT 22',
+            'FROM subnet 10.0.0.0/24 TO all vms ALLOW tcp PORTS 1000 - 2000',
+            'FROM subnet 10.0.0.0/24 TO all vms ALLOW udp PORTS 1000 - 2000',
+            'FROM any TO all vms BLOCK tcp PORTS 11 - 19',
+            'FROM all vms TO ip 10.1.1.1 ALLOW icmp TYPE 8 CODE 0'
+        ],
+        unconverted: [
+            [ 6, 'rules for specific interfaces can\'t be converted' ],
+            [ 7, 'source ports can\'t be converted' ],
+            [ 8, 'port comparison "> 1024" can\'t be converted' ],
+            [ 9, 'not needed: this is the default policy' ],
+            [ 10, 'not needed: this is the default policy' ],
+            [ 11, 'only pass and block rules can be converted' ]
+        ]
+    }, 'rules for all VMs');
+
+    t.end();
+});
+
+
+test('iptables: rule order', function (t) {
+    t.deepEqual(convert('iptables', [
+        '*filter',
+        '-A INPUT -p tcp --dport 8080 -j ACCEPT',
+        '-A INPUT -p tcp --dport 8080 -j DROP',
+        '-A INPUT -s 10.0.0.0/8 -p tcp --dport 22 -j ACCEPT',
+        '-A INPUT -p tcp --dport 22 -j DROP',
+        '-A INPUT -s 10.1.1.1/32 -p tcp --dport 80 -j DROP',
+        '-A INPUT -p tcp --dport 80 -j ACCEPT',
+        '-A INPUT -d 10.0.0.5/32 -p tcp --dport 443 -j DROP',
+        '-A INPUT -p tcp --dport 443 -j ACCEPT',
+        'COMMIT'
+    ]), {
+        rules: [
+            'FROM any TO all vms ALLOW tcp PORT 8080',
+            'FROM subnet 10.0.0.0/8 TO all vms ALLOW tcp PORT 22 PRIORITY 1',
+            'FROM any TO all vms BLOCK tcp PORT 22',
+            'FROM ip 10.1.1.1 TO all vms BLOCK tcp PORT 80',
+            'FROM any TO all vms ALLOW tcp PORT 80'
+        ],
+        unconverted: [
+            [ 3, 'not needed: line 2 matches all of its traffic first' ],
+            [ 8, 'rules for specific destination addresses can\'t be ' +
+                'converted' ],
+            [ 9, 'depends on line 8, which matches some of its traffic ' +
+                'first but isn\'t converted' ]
+        ]
+    }, 'first matching rule applies');
+
+    t.end();
+});
+
+
+test('ipf: rule order', function (t) {
+    t.deepEqual(convert('ipf', [
+        'pass in proto tcp from any to any port = 80',
+        'block in all'
+    ]), {
+        rules: [],
+        unconverted: [
+            [ 1, 'not needed: line 2 matches all of its traffic first' ],
+            [ 2, 'not needed: this is the default policy' ]
+        ]
+    }, 'last matching rule applies');
+
+    t.deepEqual(convert('ipf', [
+        'block in proto tcp from any to any port = 22',
+        'pass in proto tcp from 10.0.0.0/8 to any port = 22',
+        'block in quick proto tcp from 10.1.1.1 to any port = 22',
+        'pass in quick proto tcp from any to any port = 80',
+        'block in proto tcp from any to any port = 80'
+    ]), {
+        rules: [
+            'FROM any TO all vms BLOCK tcp PORT 22',
+            'FROM subnet 10.0.0.0/8 TO all vms ALLOW tcp PORT 22 PRIORITY 1',
+            'FROM ip 10.1.1.1 TO all vms BLOCK tcp PORT 22 PRIORITY 1',
+            'FROM any TO all vms ALLOW tcp PORT 80'
+        ],
+        unconverted: [
+            [ 5, 'not needed: line 4 matches all of its traffic first' ]
+        ]
+    }, 'quick rules apply first');
+
+    t.end();
+});
+
+
+test('rule parameters', function (t) {
+    var result = mod_convert.convert(app, {
+        format: 'ipf',
+        input: 'pass in quick proto tcp from any to any port = 22',
+        owner_uuid: OWNER
+    });
+
+    t.deepEqual(result.rules, [ {
+        description: 'converted from ipf line 1',
+        enabled: true,
+        owner_uuid: OWNER,
+        rule: 'FROM any TO all vms ALLOW tcp PORT 22'
+    } ], 'parameters for POST /rules/batch');
+
+    t.end();
+});
@@ -0,0 +1,75 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for cron-style schedule utilities
+ */
+
+'use strict';
+
+var test = require('tape');
+var mod_cron = require('../../lib/util/cron');
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Returns the next time after the ISO 8601 date after that matches expr, as
+ * an ISO 8601 date
+ */
+function next(expr, after) {
+    var time = mod_cron.next(mod_cron.parse(expr), Date.parse(after));
+    return (time === null ? null : new Date(time).toISOString());
+}
+
+
+
+// --- Tests
+
+
+
+test('next', function (t) {
+    t.equal(next('0 1 * * *', '2019-03-01T00:30:00Z'),
+        '2019-03-01T01:00:00.000Z', 'later the same day');
+    t.equal(next('0 1 * * *', '2019-03-01T01:00:00Z'),
+        '2019-03-02T01:00:00.000Z', 'strictly after the given time');
+    t.equal(next('*/15 * * * *', '2019-03-01T23:59:00Z'),
+        '2019-03-02T00:00:00.000Z', 'step');
+    t.equal(next('0 4 * * 1-5', '2019-03-01T05:00:00Z'),
+        '2019-03-04T04:00:00.000Z', 'weekdays');
+    t.equal(next('0 0 29 2 *', '2019-03-01T00:00:00Z'),
+        '2020-02-29T00:00:00.000Z', 'leap day');
+    t.equal(next('30 2 1 * 0', '2019-03-01T03:00:00Z'),
+        '2019-03-03T02:30:00.000Z', 'either day field matches');
+    t.equal(next('0 0 31 2 *', '2019-03-01T00:00:00Z'), null,
+        'never matches');
+    t.end();
+});
+
+
+test('invalid expressions', function (t) {
+    [
+        [ '* * *', 'must have 5 fields' ],
+        [ '60 * * * *', 'invalid minute: "60"' ],
+        [ '* 1-2,x * * *', 'invalid hour: "x"' ],
+        [ '* * 5-1 * *', 'invalid day of month: "5-1"' ],
+        [ '* * * */0 *', 'invalid month: "*/0"' ],
+        [ '* * * * 8', 'invalid day of week: "8"' ]
+    ].forEach(function (c) {
+        t.throws(function () {
+            mod_cron.parse(c[0]);
+        }, new RegExp('^Error: ' + c[1].replace('*', '\\*') + '$'), c[0]);
+    });
+
+    t.end();
+});
@@ -0,0 +1,251 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for rule expiry
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_err = require('../../lib/errors');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+var MORAY;
+var PAST = new Date(Date.now() - 60000).toISOString();
+var FUTURE = new Date(Date.now() + 3600000).toISOString();
+var RULES = {};
+var VM = h.generateVM();
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Creates a rule that expires at the given time
+ */
+function createRule(t, name, port, expiresAt) {
+    FWAPI.createRule({
+        enabled: true,
+        expires_at: expiresAt,
+        owner_uuid: VM.owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT %d',
+            VM.uuid, port)
+    }, function (err, rule) {
+        if (h.ifErr(t, err, 'create rule')) {
+            t.end();
+            return;
+        }
+
+        t.equal(rule.expires_at, new Date(expiresAt).toISOString(),
+            'expires_at');
+        RULES[name] = rule;
+
+        h.getMorayUpdates(MORAY, function (err2) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.end();
+        });
+    });
+}
+
+
+/**
+ * Runs the reaper, and checks the number of rules reaped and the updates
+ * queued for them
+ */
+function reapAndCheck(t, expCount, expUpdates) {
+    h.getServer().reaper.reap(function (err, count) {
+        if (h.ifErr(t, err, 'reap')) {
+            t.end();
+            return;
+        }
+
+        t.equal(count, expCount, 'rules reaped');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, expUpdates.map(function (u) {
+                return h.morayUpdate(u[0], u[1]);
+            }), 'moray updates');
+            t.end();
+        });
+    });
+}
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res, moray) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        MORAY = moray;
+        t.end();
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Create rule: invalid expires_at', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        expires_at: 'tomorrow',
+        owner_uuid: VM.owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT 22', VM.uuid)
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body, {
+            code: 'InvalidParameters',
+            message: mod_err.INVALID_MSG,
+            errors: [ mod_err.invalidParam('expires_at',
+                'must be an ISO 8601 date or a timestamp in milliseconds') ]
+        }, 'error body');
+        t.end();
+    });
+});
+
+
+test('Create rule: expired', function (t) {
+    createRule(t, 'expired', 22, PAST);
+});
+
+
+test('Create rule: not expired', function (t) {
+    createRule(t, 'current', 80, FUTURE);
+});
+
+
+test('Expired rules disabled', function (t) {
+    FWAPI.getRule(RULES.expired.uuid, function (err, rule) {
+        if (h.ifErr(t, err, 'get rule')) {
+            t.end();
+            return;
+        }
+
+        t.equal(rule.expires_at, RULES.expired.expires_at,
+            'expires_at from Moray');
+
+        h.getServer().reaper.reap(function (rErr, count) {
+            if (h.ifErr(t, rErr, 'reap')) {
+                t.end();
+                return;
+            }
+
+            t.equal(count, 1, 'one rule reaped');
+
+            FWAPI.getRule(RULES.expired.uuid, function (err2, disabled) {
+                if (h.ifErr(t, err2, 'get rule')) {
+                    t.end();
+                    return;
+                }
+
+                t.equal(disabled.enabled, false, 'rule disabled');
+                t.notEqual(disabled.version, RULES.expired.version,
+                    'version incremented');
+                RULES.expired = disabled;
+
+                h.getMorayUpdates(MORAY, function (err3, updates) {
+                    if (h.ifErr(t, err3, 'getMorayUpdates() error')) {
+                        t.end();
+                        return;
+                    }
+
+                    t.deepEqual(updates, [
+                        h.morayUpdate('fw.update_rule', disabled)
+                    ], 'moray updates');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('Disabled rules not reaped again', function (t) {
+    reapAndCheck(t, 0, []);
+});
+
+
+test('Update rule: clear expires_at', function (t) {
+    FWAPI.updateRule(RULES.current.uuid, { expires_at: null },
+        function (err, rule) {
+        if (h.ifErr(t, err, 'update rule')) {
+            t.end();
+            return;
+        }
+
+        t.notOk(rule.hasOwnProperty('expires_at'), 'expires_at cleared');
+        RULES.current = rule;
+
+        h.getMorayUpdates(MORAY, function (err2) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.end();
+        });
+    });
+});
+
+
+test('Expired rules deleted', function (t) {
+    h.getServer().reaper.action = 'delete';
+    reapAndCheck(t, 1, [ [ 'fw.del_rule', RULES.expired ] ]);
+});
+
+
+test('Deleted rule', function (t) {
+    FWAPI.getRule(RULES.expired.uuid, function (err) {
+        t.ok(err, 'get error');
+        if (err) {
+            t.equal(err.statusCode, 404, 'status code');
+        }
+
+        t.end();
+    });
+});
+
+
+test('Rule without expires_at not reaped', function (t) {
+    reapAndCheck(t, 0, []);
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
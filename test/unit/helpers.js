@@ -124,15 +124,21 @@ function createClientAndServer(opts, callback) {
                 port: 2020
             },
             fwrule_version: opts.fwrule_version || FWRULE_VERSION,
+            pingTimeout: opts.pingTimeout,
             pollInterval: 3000,
             port: 0,
-            ufds: { }
+            ruleQuota: opts.ruleQuota,
+            ufds: { },
+            updateRouting: opts.updateRouting || false,
+            webhookBackoff: opts.webhookBackoff,
+            webhookInterval: opts.webhookInterval,
+            webhookRetention: opts.webhookRetention
         },
         log: log
     });
 
     // XXX: replace with a real mock
-    server.vmapi = {};
+    server.vmapi = opts.vmapi || {};
 
     function startServerWithMoray(err, moray) {
         if (err) {
@@ -185,6 +191,14 @@ function generateVM(override) {
 }
 
 
+/**
+ * Returns the running test FWAPI server's app object
+ */
+function getServer() {
+    return SERVER;
+}
+
+
 /**
  * Gets update records from the fwapi_updates moray bucket (and deletes them
  * after, since we don't care about actually applying them)
@@ -218,13 +232,19 @@ function getMorayUpdates(moray, callback) {
 /**
  * Returns a moray update object
  */
-function morayUpdate(name, val) {
-    return {
+function morayUpdate(name, val, servers) {
+    var update = {
         _v: mod_update.BUCKET.version,
         host: os.hostname(),
         name: name,
         value: val
     };
+
+    if (servers) {
+        update.servers = servers;
+    }
+
+    return update;
 }
 
 
@@ -295,6 +315,7 @@ module.exports = {
     ifErr: mod_common.ifErr,
     generateVM: generateVM,
     getMorayUpdates: getMorayUpdates,
+    getServer: getServer,
     morayUpdate: morayUpdate,
     setupMoray: setupMoray,
     stopPG: stopPG,
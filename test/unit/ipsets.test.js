@@ -0,0 +1,313 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for ipsets
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_err = require('../../lib/errors');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+var IPSET;
+var MORAY;
+var RULE;
+var VM = h.generateVM();
+var RULE_TEXT = util.format(
+    'FROM ipset "office" TO vm %s ALLOW tcp PORT 22', VM.uuid);
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res, moray) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        MORAY = moray;
+        t.end();
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Create ipset: invalid IPs', function (t) {
+    FWAPI.post('/ipsets', {
+        ips: [ '10.0.0.1', '10.0.0.256' ],
+        name: 'office',
+        owner_uuid: VM.owner_uuid
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.equal(err.body.errors[0].field, 'ips', 'error field');
+        t.end();
+    });
+});
+
+
+test('Create ipset', function (t) {
+    FWAPI.post('/ipsets', {
+        ips: [ '10.0.0.1', '10.1.0.0/16' ],
+        name: 'office',
+        owner_uuid: VM.owner_uuid
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'create ipset')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 200, 'status code');
+        t.ok(obj.uuid, 'uuid');
+        t.deepEqual(obj, {
+            uuid: obj.uuid,
+            owner_uuid: VM.owner_uuid,
+            name: 'office',
+            ips: [ '10.0.0.1', '10.1.0.0/16' ]
+        }, 'response');
+        IPSET = obj;
+        t.end();
+    });
+});
+
+
+test('Create ipset: duplicate name', function (t) {
+    FWAPI.post('/ipsets', {
+        ips: [ '10.0.0.2' ],
+        name: 'office',
+        owner_uuid: VM.owner_uuid
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.equal(err.body.code, 'IPSetExistsError', 'error code');
+        t.end();
+    });
+});
+
+
+test('Create rule: unknown ipset', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        owner_uuid: VM.owner_uuid,
+        rule: util.format('FROM ipset home TO vm %s ALLOW tcp PORT 22',
+            VM.uuid)
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body, {
+            code: 'InvalidParameters',
+            message: mod_err.INVALID_MSG,
+            errors: [ mod_err.invalidParam('rule', 'unknown ipset: home') ]
+        }, 'error body');
+        t.end();
+    });
+});
+
+
+test('Create rule referring to ipset', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        owner_uuid: VM.owner_uuid,
+        rule: RULE_TEXT
+    }, function (err, rule) {
+        if (h.ifErr(t, err, 'create rule')) {
+            t.end();
+            return;
+        }
+
+        t.equal(rule.rule, util.format('FROM (ip 10.0.0.1 OR subnet ' +
+            '10.1.0.0/16) TO vm %s ALLOW tcp PORT 22', VM.uuid),
+            'rule expanded');
+        t.equal(rule.source_rule, RULE_TEXT, 'source_rule');
+        t.deepEqual(rule.ipsets, [ 'office' ], 'ipsets');
+        t.deepEqual(rule.services, [], 'services');
+        RULE = rule;
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('fw.add_rule', rule)
+            ], 'moray updates');
+            t.end();
+        });
+    });
+});
+
+
+test('List rules: by ipset', function (t) {
+    FWAPI.listRules({ ipset: 'office' }, function (err, rules) {
+        if (h.ifErr(t, err, 'list rules')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(rules, [ RULE ], 'rules');
+        t.end();
+    });
+});
+
+
+test('Resolve: ipset expanded', function (t) {
+    FWAPI.post('/resolve', {
+        owner_uuid: VM.owner_uuid,
+        vms: [ VM.uuid ]
+    }, function (err, obj) {
+        if (h.ifErr(t, err, 'resolve')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(obj.rules, [ RULE ], 'rules');
+        t.deepEqual(obj.ips, [ '10.0.0.1' ], 'ips');
+        t.deepEqual(obj.subnets, [ '10.1.0.0/16' ], 'subnets');
+        t.end();
+    });
+});
+
+
+test('Update ipset: rules updated', function (t) {
+    FWAPI.put('/ipsets/' + IPSET.uuid, {
+        ips: [ '10.0.0.3' ]
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'update ipset')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(obj.ips, [ '10.0.0.3' ], 'ips updated');
+        t.ok(res.headers['x-update-id'], 'update queued');
+
+        FWAPI.getRule(RULE.uuid, function (err2, rule) {
+            if (h.ifErr(t, err2, 'get rule')) {
+                t.end();
+                return;
+            }
+
+            t.equal(rule.rule, util.format(
+                'FROM ip 10.0.0.3 TO vm %s ALLOW tcp PORT 22', VM.uuid),
+                'rule expanded with new IPs');
+            t.equal(rule.source_rule, RULE_TEXT, 'source_rule unchanged');
+            t.notEqual(rule.version, RULE.version, 'version incremented');
+            RULE = rule;
+
+            h.getMorayUpdates(MORAY, function (err3, updates) {
+                if (h.ifErr(t, err3, 'getMorayUpdates() error')) {
+                    t.end();
+                    return;
+                }
+
+                t.deepEqual(updates, [
+                    h.morayUpdate('fw.update_rule', rule)
+                ], 'moray updates');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Delete ipset: in use', function (t) {
+    FWAPI.del('/ipsets/' + IPSET.uuid, function (err) {
+        t.ok(err, 'delete error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 409, 'status code');
+        t.end();
+    });
+});
+
+
+test('Update rule: no longer refers to ipset', function (t) {
+    FWAPI.updateRule(RULE.uuid, {
+        rule: util.format('FROM ip 10.0.0.3 TO vm %s ALLOW tcp PORT 22',
+            VM.uuid)
+    }, function (err, rule) {
+        if (h.ifErr(t, err, 'update rule')) {
+            t.end();
+            return;
+        }
+
+        t.notOk(rule.hasOwnProperty('source_rule'), 'source_rule cleared');
+        t.notOk(rule.hasOwnProperty('ipsets'), 'ipsets cleared');
+        t.notOk(rule.hasOwnProperty('services'), 'services cleared');
+
+        h.getMorayUpdates(MORAY, function (err2) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.end();
+        });
+    });
+});
+
+
+test('Delete ipset', function (t) {
+    FWAPI.del('/ipsets/' + IPSET.uuid, function (err, _, req, res) {
+        if (h.ifErr(t, err, 'delete ipset')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 204, 'status code');
+
+        FWAPI.get('/ipsets/' + IPSET.uuid, function (err2) {
+            t.ok(err2, 'get error');
+            if (err2) {
+                t.equal(err2.statusCode, 404, 'status code');
+            }
+
+            t.end();
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
@@ -0,0 +1,122 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for the /metrics endpoint
+ */
+
+'use strict';
+
+var h = require('./helpers');
+var http = require('http');
+var test = require('tape');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Gets /metrics, and calls callback with the response and its samples
+ * (keyed by name and labels)
+ */
+function getMetrics(t, callback) {
+    http.get(h.getServer().info().url + '/metrics', function (res) {
+        var body = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) {
+            body += chunk;
+        });
+
+        res.on('end', function () {
+            var samples = {};
+
+            body.split('\n').forEach(function (line) {
+                if (line === '' || line[0] === '#') {
+                    return;
+                }
+
+                var idx = line.lastIndexOf(' ');
+                samples[line.substr(0, idx)] = Number(line.substr(idx + 1));
+            });
+
+            callback(res, samples);
+        });
+    }).on('error', function (err) {
+        t.ifError(err, 'get metrics');
+        t.end();
+    });
+}
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        t.end();
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Metrics', function (t) {
+    FWAPI.get('/rules', function (err) {
+        t.ifError(err, 'list rules');
+
+        getMetrics(t, function (res, samples) {
+            t.equal(res.statusCode, 200, 'status code');
+            t.equal(res.headers['content-type'], 'text/plain; version=0.0.4',
+                'content type');
+
+            t.equal(samples['fwapi_http_requests_total{code="200",' +
+                'method="GET",route="listrules"}'], 1, 'request count');
+            t.equal(samples['fwapi_http_request_duration_seconds_count' +
+                '{route="listrules"}'], 1, 'request latency count');
+            t.equal(samples['fwapi_http_request_duration_seconds_bucket' +
+                '{le="+Inf",route="listrules"}'], 1, 'request latency bucket');
+
+            t.equal(samples.fwapi_moray_connected, 1, 'moray connected');
+            t.equal(samples.fwapi_fast_clients, 0, 'no fast clients');
+            t.equal(samples.fwapi_update_queue_depth, 0, 'update queue empty');
+            t.ok(samples.fwapi_update_poll_duration_seconds >= 0,
+                'poll duration');
+            t.equal(samples.fwapi_migration_complete, 1, 'migration complete');
+            t.end();
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
@@ -125,17 +125,53 @@ FakeUFDSclient.prototype.search = function (dn, opts, callback) {
 
 
 
-function fakeVMAPIclient() {
+/**
+ * Fake VMAPI client, which lists VMs from opts.vms that match the query
+ * filter. Like VMAPI, it returns at most 1000 VMs at once.
+ */
+function FakeVMAPIclient(opts) {
+    this.vms = (opts && opts.vms) || [];
+}
+
 
+/**
+ * Returns the object used to match a VM against a filter. VMAPI stores tags
+ * as a string of "-key=value-" pairs, so that they can be matched with
+ * substring filters.
+ */
+function vmFilterObj(vm) {
+    return {
+        owner_uuid: vm.owner_uuid,
+        state: vm.state || 'running',
+        tags: Object.keys(vm.tags || {}).map(function (key) {
+            return '-' + key + '=' + vm.tags[key] + '-';
+        }).join(''),
+        uuid: vm.uuid
+    };
 }
 
 
+FakeVMAPIclient.prototype.listVms = function (params, _opts, callback) {
+    var filter = mod_filter.parse(params.query);
+    var offset = params.offset || 0;
+
+    callback(null, this.vms.filter(function (vm) {
+        return filter.matches(vmFilterObj(vm));
+    }).slice(offset, offset + (params.limit || 1000)));
+};
+
+
+FakeVMAPIclient.prototype.ping = function (callback) {
+    callback(null);
+};
+
+
 
 module.exports = {
     // -- mocks
 
     'sdc-clients': {
-        VMAPI: fakeVMAPIclient
+        VMAPI: FakeVMAPIclient
     },
 
     ufds: FakeUFDSclient,
@@ -263,6 +263,66 @@ test('updateRecords() success after many EtagConflictErrors', function (t) {
 });
 
 
+test('listAllObjs() pages through all objects', function (t) {
+    t.plan(3);
+
+    t.test('Start Moray server', createClient);
+
+    t.test('List more objects than fit in a page', function (t2) {
+        var bucket = { name: 'fwapi_test_list_all' };
+        var count = constants.MAX_LIMIT + 5;
+        var reqs = [];
+
+        for (var i = 0; i < count; i++) {
+            reqs.push({
+                bucket: bucket.name,
+                key: 'obj' + i,
+                operation: 'put',
+                value: { num: i }
+            });
+        }
+
+        MORAY.createBucket(bucket.name, { index: { num: { type: 'number' } } },
+            function (cErr) {
+            if (h.ifErr(t2, cErr, 'createBucket() error')) {
+                t2.end();
+                return;
+            }
+
+            MORAY.batch(reqs, function (bErr) {
+                if (h.ifErr(t2, bErr, 'batch() error')) {
+                    t2.end();
+                    return;
+                }
+
+                mod_moray.listAllObjs({
+                    app: {},
+                    bucket: bucket,
+                    filter: '(num=*)',
+                    log: LOG,
+                    moray: MORAY
+                }, function (lErr, objs) {
+                    if (h.ifErr(t2, lErr, 'listAllObjs() error')) {
+                        t2.end();
+                        return;
+                    }
+
+                    t2.equal(objs.length, count, 'all objects listed');
+                    t2.deepEqual(objs.map(function (obj) {
+                        return obj.value.num;
+                    }), reqs.map(function (req) {
+                        return req.value.num;
+                    }), 'oldest first');
+                    t2.end();
+                });
+            });
+        });
+    });
+
+    t.test('Close Moray client', closeClient);
+});
+
+
 // --- Teardown
 
 
@@ -0,0 +1,314 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for the /owners/:owner_uuid/policy endpoint
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_uuid = require('uuid');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+var MORAY;
+var POLICY;
+var RULES = [];
+var VMS = [ h.generateVM(), h.generateVM() ];
+var PATH = '/owners/' + VMS[0].owner_uuid + '/policy';
+
+// An owner whose policy changes more rules than fit in one batch
+var BIG_OWNER = mod_uuid.v4();
+var BIG_COUNT = 150;
+var BIG_PATH = '/owners/' + BIG_OWNER + '/policy';
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res, moray) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        MORAY = moray;
+        t.end();
+    });
+});
+
+
+test('Create rules', function (t) {
+    FWAPI.post('/rules/batch', {
+        create: [ {
+            enabled: true,
+            rule: util.format('FROM any TO vm %s ALLOW tcp PORT 22',
+                VMS[0].uuid)
+        }, {
+            enabled: true,
+            rule: util.format('FROM any TO vm %s ALLOW tcp PORT 80',
+                VMS[0].uuid)
+        }, {
+            enabled: true,
+            rule: util.format('FROM any TO vm %s ALLOW tcp PORT 443',
+                VMS[1].uuid)
+        } ],
+        owner_uuid: VMS[0].owner_uuid
+    }, function (err, obj) {
+        if (h.ifErr(t, err, 'batch create')) {
+            t.end();
+            return;
+        }
+
+        RULES = obj.map(function (result) {
+            return result.rule;
+        });
+
+        // Keep the first rule as it is, match the second by its text
+        // (which is in a different case) to change its description, drop
+        // the third, and add a new rule
+        POLICY = [ {
+            uuid: RULES[0].uuid,
+            enabled: true,
+            rule: RULES[0].rule
+        }, {
+            description: 'web',
+            enabled: true,
+            rule: RULES[1].rule.toLowerCase()
+        }, {
+            enabled: true,
+            rule: util.format('FROM any TO vm %s ALLOW udp PORT 53',
+                VMS[1].uuid)
+        } ];
+
+        h.getMorayUpdates(MORAY, function (err2) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.end();
+        });
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Policy: dry run', function (t) {
+    FWAPI.put(PATH, {
+        dry_run: true,
+        rules: POLICY
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'dry run')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 200, 'status code');
+        t.deepEqual(obj.map(function (result) {
+            return result.operation;
+        }), [ 'create', 'update', 'delete' ], 'operations');
+
+        t.equal(obj[0].rule.rule, POLICY[2].rule, 'created rule');
+        t.equal(obj[1].uuid, RULES[1].uuid, 'updated rule UUID');
+        t.equal(obj[1].rule.description, 'web', 'updated description');
+        t.equal(obj[2].uuid, RULES[2].uuid, 'deleted rule UUID');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.deepEqual(updates, [], 'no moray updates');
+            t.end();
+        });
+    });
+});
+
+
+test('Policy: apply', function (t) {
+    FWAPI.put(PATH, {
+        rules: POLICY
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'apply')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 202, 'status code');
+        t.deepEqual(obj.map(function (result) {
+            return [ result.operation, result.uuid ];
+        }), [
+            [ 'create', obj[0].uuid ],
+            [ 'update', RULES[1].uuid ],
+            [ 'delete', RULES[2].uuid ]
+        ], 'results');
+
+        t.ok(obj.every(function (result) {
+            return result.update_uuid;
+        }), 'update UUIDs');
+        t.equal(res.headers['x-update-id'], obj[2].update_uuid,
+            'x-update-id is the last update');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('fw.add_rule', obj[0].rule),
+                h.morayUpdate('fw.update_rule', obj[1].rule),
+                h.morayUpdate('fw.del_rule', obj[2].rule)
+            ], 'one moray update per changed rule');
+            t.end();
+        });
+    });
+});
+
+
+test('Policy: unchanged', function (t) {
+    FWAPI.put(PATH, {
+        rules: POLICY
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'apply')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 200, 'status code');
+        t.deepEqual(obj, [], 'no changes');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.deepEqual(updates, [], 'no moray updates');
+            t.end();
+        });
+    });
+});
+
+
+test('Policy: invalid rule', function (t) {
+    FWAPI.put(PATH, {
+        rules: [ POLICY[0], { rule: 'FROM any TO' } ]
+    }, function (err) {
+        t.ok(err, 'apply error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body.errors.map(function (e) {
+            return e.field;
+        }), [ 'rules[1].rule' ], 'error fields');
+        t.end();
+    });
+});
+
+
+test('Policy: global rule', function (t) {
+    FWAPI.put(PATH, {
+        rules: [ {
+            enabled: true,
+            global: true,
+            rule: 'FROM any TO all vms ALLOW icmp TYPE 8 CODE 0'
+        } ]
+    }, function (err) {
+        t.ok(err, 'apply error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 403, 'status code');
+        t.deepEqual(err.body.errors.map(function (e) {
+            return e.field;
+        }), [ 'rules[0].owner_uuid' ], 'error fields');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.deepEqual(updates, [], 'no moray updates');
+            t.end();
+        });
+    });
+});
+
+
+
+test('Policy: more changes than fit in a batch', function (t) {
+    var policy = [];
+    var vm = h.generateVM({ owner_uuid: BIG_OWNER });
+
+    for (var i = 0; i < BIG_COUNT; i++) {
+        policy.push({
+            enabled: true,
+            rule: util.format('FROM any TO vm %s ALLOW tcp PORT %d',
+                vm.uuid, 1000 + i)
+        });
+    }
+
+    FWAPI.put(BIG_PATH, {
+        rules: policy
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'apply')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 202, 'status code');
+        t.equal(obj.length, BIG_COUNT, 'all rules created');
+        t.ok(obj.every(function (result) {
+            return (result.operation === 'create');
+        }), 'create operations');
+        t.equal(res.headers['x-update-id'], obj[BIG_COUNT - 1].update_uuid,
+            'x-update-id is the last update');
+
+        // An empty policy deletes all of the owner's rules
+        FWAPI.put(BIG_PATH, {
+            rules: []
+        }, function (err2, obj2) {
+            if (h.ifErr(t, err2, 'apply empty policy')) {
+                t.end();
+                return;
+            }
+
+            t.equal(obj2.length, BIG_COUNT, 'all rules deleted');
+            t.ok(obj2.every(function (result) {
+                return (result.operation === 'delete');
+            }), 'delete operations');
+
+            h.getMorayUpdates(MORAY, function (err3, updates) {
+                if (h.ifErr(t, err3, 'getMorayUpdates() error')) {
+                    t.end();
+                    return;
+                }
+
+                t.equal(updates.length, BIG_COUNT * 2,
+                    'one moray update per changed rule');
+                t.end();
+            });
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
@@ -0,0 +1,299 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for per-owner rule quotas
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_uuid = require('uuid');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+var PORT = 1000;
+var RULES = [];
+var VMS = [ h.generateVM() ];
+var OTHER_VM = h.generateVM({ owner_uuid: mod_uuid.v4() });
+
+var OWNER = VMS[0].owner_uuid;
+var USAGE_PATH = '/owners/' + OWNER + '/usage';
+var QUOTA_PATH = '/owners/' + OWNER + '/quota';
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Returns parameters for a new rule for a VM (without owner_uuid, for
+ * batches)
+ */
+function batchParams(vm) {
+    return {
+        enabled: true,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT %d', vm.uuid,
+            PORT++)
+    };
+}
+
+
+function ruleParams(vm) {
+    var params = batchParams(vm);
+    params.owner_uuid = vm.owner_uuid;
+    return params;
+}
+
+
+function checkUsage(t, expected, callback) {
+    FWAPI.get(USAGE_PATH, function (err, obj) {
+        if (h.ifErr(t, err, 'get usage')) {
+            callback();
+            return;
+        }
+
+        t.deepEqual(obj, {
+            owner_uuid: OWNER,
+            rules: expected
+        }, 'usage');
+        callback();
+    });
+}
+
+
+function checkQuotaErr(t, err) {
+    t.ok(err, 'error returned');
+    if (!err) {
+        return;
+    }
+
+    t.equal(err.statusCode, 403, 'status code');
+    t.equal(err.body.code, 'QuotaExceeded', 'error code');
+    t.deepEqual(err.body.errors, [ {
+        field: 'owner_uuid',
+        code: 'QuotaExceeded',
+        message: util.format('owner %s is limited to %d rules', OWNER, 2)
+    } ], 'errors');
+}
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({ ruleQuota: 2 }, function (err, res) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        t.end();
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Usage: no rules', function (t) {
+    checkUsage(t, { count: 0, limit: 2, override: false }, function () {
+        t.end();
+    });
+});
+
+
+test('Create rules up to the default quota', function (t) {
+    FWAPI.createRule(ruleParams(VMS[0]), function (err, rule) {
+        if (h.ifErr(t, err, 'create rule 1')) {
+            t.end();
+            return;
+        }
+
+        RULES.push(rule);
+
+        FWAPI.createRule(ruleParams(VMS[0]), function (err2, rule2) {
+            if (h.ifErr(t, err2, 'create rule 2')) {
+                t.end();
+                return;
+            }
+
+            RULES.push(rule2);
+
+            FWAPI.createRule(ruleParams(VMS[0]), function (err3) {
+                checkQuotaErr(t, err3);
+                checkUsage(t, { count: 2, limit: 2, override: false },
+                    function () {
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('Other owners have their own quota', function (t) {
+    FWAPI.createRule(ruleParams(OTHER_VM), function (err) {
+        t.ifError(err, 'create other owner\'s rule');
+        t.end();
+    });
+});
+
+
+test('Update: quota checked when the owner changes', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        global: true,
+        rule: util.format('FROM any TO all vms ALLOW tcp PORT %d', PORT++)
+    }, function (err, rule) {
+        if (h.ifErr(t, err, 'create global rule')) {
+            t.end();
+            return;
+        }
+
+        FWAPI.updateRule(rule.uuid, {
+            global: false,
+            owner_uuid: OWNER
+        }, function (err2) {
+            checkQuotaErr(t, err2);
+
+            // The other owner has room for the rule
+            FWAPI.updateRule(rule.uuid, {
+                global: false,
+                owner_uuid: OTHER_VM.owner_uuid
+            }, function (err3, updated) {
+                if (h.ifErr(t, err3, 'update rule owner')) {
+                    t.end();
+                    return;
+                }
+
+                t.equal(updated.owner_uuid, OTHER_VM.owner_uuid, 'owner');
+
+                checkUsage(t, { count: 2, limit: 2, override: false },
+                    function () {
+                    FWAPI.deleteRule(rule.uuid, function (err4) {
+                        t.ifError(err4, 'delete rule');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('Batch: quota checked', function (t) {
+    FWAPI.post('/rules/batch', {
+        create: [ batchParams(VMS[0]) ],
+        owner_uuid: OWNER
+    }, function (err) {
+        checkQuotaErr(t, err);
+
+        // Deleting a rule makes room for the new one
+        FWAPI.post('/rules/batch', {
+            create: [ batchParams(VMS[0]) ],
+            'delete': [ RULES[0].uuid ],
+            owner_uuid: OWNER
+        }, function (err2, obj) {
+            if (h.ifErr(t, err2, 'batch create and delete')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(obj.map(function (r) {
+                return r.operation;
+            }), [ 'create', 'delete' ], 'operations');
+
+            checkUsage(t, { count: 2, limit: 2, override: false },
+                function () {
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Override the quota', function (t) {
+    FWAPI.put(QUOTA_PATH, { rules: 3 }, function (err, obj) {
+        if (h.ifErr(t, err, 'put quota')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(obj, { owner_uuid: OWNER, rules: 3 }, 'quota');
+
+        FWAPI.createRule(ruleParams(VMS[0]), function (err2) {
+            t.ifError(err2, 'create rule within the new quota');
+
+            checkUsage(t, { count: 3, limit: 3, override: true },
+                function () {
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Override the quota: invalid parameters', function (t) {
+    FWAPI.put(QUOTA_PATH, { rules: -1 }, function (err) {
+        t.ok(err, 'error returned');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body.errors.map(function (e) {
+            return e.field;
+        }), [ 'rules' ], 'error fields');
+        t.end();
+    });
+});
+
+
+test('Delete the override', function (t) {
+    FWAPI.del(QUOTA_PATH, function (err, _, req, res) {
+        if (h.ifErr(t, err, 'delete quota')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 204, 'status code');
+
+        checkUsage(t, { count: 3, limit: 2, override: false }, function () {
+            FWAPI.del(QUOTA_PATH, function (err2) {
+                t.ok(err2, 'error deleting again');
+                if (err2) {
+                    t.equal(err2.statusCode, 404, 'status code');
+                }
+
+                t.end();
+            });
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
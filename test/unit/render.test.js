@@ -0,0 +1,191 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for rendering rules as host firewall configuration
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_render = require('../../lib/render');
+var mod_rule = require('../../lib/rule');
+
+
+
+// --- Globals
+
+
+
+/*
+ * Skeleton app object, needed by Rule objects for internal logic
+ */
+var app = {
+    config: {
+        fwrule_version: 4
+    }
+};
+
+var VM = h.generateVM({ nics: [ { ip: '10.0.3.1' } ] });
+var DB = h.generateVM({
+    nics: [ { ip: '10.0.3.2' }, { ip: 'fd00::2' } ],
+    tags: { role: 'db' }
+});
+
+
+
+// --- Helper functions
+
+
+
+function rule(text, enabled) {
+    return mod_rule.create({
+        enabled: (enabled !== false),
+        owner_uuid: VM.owner_uuid,
+        rule: text.replace('%s', VM.uuid)
+    }, app);
+}
+
+
+/**
+ * Returns the rendered lines, without comments and blank lines
+ */
+function render(format, rules, vm) {
+    return mod_render.render({
+        format: format,
+        rules: rules,
+        vm: vm || VM,
+        vms: [ VM, DB ]
+    }).split('\n').filter(function (line) {
+        return (line !== '' && !/^\s*#/.test(line));
+    });
+}
+
+
+
+// --- Tests
+
+
+
+test('ipf', function (t) {
+    var rules = [
+        rule('FROM any TO vm %s ALLOW tcp (PORT 22 AND PORT 80) ' +
+            'PRIORITY 2'),
+        rule('FROM tag role = db TO vm %s ALLOW tcp PORTS 6000 - 6010 ' +
+            'PRIORITY 1'),
+        rule('FROM any TO vm %s ALLOW icmp TYPE 8 CODE 0'),
+        rule('FROM vm %s TO ip 10.1.1.1 BLOCK udp PORT 53'),
+        rule('FROM any TO vm %s ALLOW tcp PORT 443', false)
+    ];
+
+    t.deepEqual(render('ipf', rules), [
+        'pass in quick proto tcp from any to any port = 22 keep state',
+        'pass in quick proto tcp from any to any port = 80 keep state',
+        'pass in quick proto tcp from 10.0.3.2 to any port 6000:6010 ' +
+            'keep state',
+        'pass in quick family inet6 proto tcp from fd00::2 to any ' +
+            'port 6000:6010 keep state',
+        'block out quick proto udp from any to 10.1.1.1 port = 53',
+        'pass in quick proto icmp from any to any icmp-type 8 code 0 ' +
+            'keep state',
+        'block in all',
+        'pass out all keep state'
+    ], 'rules in priority order, tags expanded, disabled rules left out');
+
+    t.end();
+});
+
+
+test('nftables', function (t) {
+    var rules = [
+        rule('FROM tag role = db TO vm %s ALLOW tcp (PORT 22 AND PORT 80)'),
+        rule('FROM vm %s TO any BLOCK udp PORT 53')
+    ];
+
+    t.deepEqual(render('nftables', rules), [
+        'table inet fwapi {',
+        '    chain input {',
+        '        type filter hook input priority 0; policy drop;',
+        '        ct state established,related accept',
+        '        ip saddr 10.0.3.2 tcp dport { 22, 80 } accept',
+        '        ip6 saddr fd00::2 tcp dport { 22, 80 } accept',
+        '    }',
+        '    chain output {',
+        '        type filter hook output priority 0; policy accept;',
+        '        ct state established,related accept',
+        '        udp dport 53 drop',
+        '    }',
+        '}'
+    ], 'rules in input and output chains');
+
+    t.end();
+});
+
+
+test('iptables', function (t) {
+    var rules = [
+        rule('FROM tag role = db TO vm %s ALLOW udp PORT 53'),
+        rule('FROM any TO vm %s ALLOW icmp6 TYPE 128 PRIORITY 1')
+    ];
+
+    t.deepEqual(render('iptables', rules), [
+        '*filter',
+        ':INPUT DROP [0:0]',
+        ':OUTPUT ACCEPT [0:0]',
+        '-A INPUT -m conntrack --ctstate ESTABLISHED,RELATED -j ACCEPT',
+        '-A INPUT -s 10.0.3.2 -p udp -m udp --dport 53 -j ACCEPT',
+        'COMMIT',
+        '*filter',
+        ':INPUT DROP [0:0]',
+        ':OUTPUT ACCEPT [0:0]',
+        '-A INPUT -m conntrack --ctstate ESTABLISHED,RELATED -j ACCEPT',
+        '-A INPUT -p ipv6-icmp -m icmp6 --icmpv6-type 128 -j ACCEPT',
+        '-A INPUT -s fd00::2 -p udp -m udp --dport 53 -j ACCEPT',
+        'COMMIT'
+    ], 'IPv4 and IPv6 tables');
+
+    t.end();
+});
+
+
+test('pf', function (t) {
+    t.deepEqual(render('pf', [ rule('FROM all vms TO vm %s ALLOW ah') ]), [
+        'pass in quick inet proto ah from 10.0.3.1 to any',
+        'pass in quick inet proto ah from 10.0.3.2 to any',
+        'pass in quick inet6 proto ah from fd00::2 to any',
+        // The VM is also one of "all vms", so the rule applies outbound
+        'pass out quick inet proto ah from any to 10.0.3.1',
+        'block in all',
+        'pass out all'
+    ], 'all vms expanded');
+
+    t.end();
+});
+
+
+test('comments', function (t) {
+    var tagRule = rule('FROM tag role = web TO vm %s ALLOW tcp PORT 80');
+    var text = mod_render.render({
+        format: 'ipf',
+        rules: [ tagRule ],
+        vm: h.generateVM({ firewall_enabled: false, uuid: VM.uuid }),
+        vms: [ VM, DB ]
+    });
+
+    t.ok(text.indexOf('firewall is disabled') !== -1,
+        'disabled firewall noted');
+    t.ok(text.indexOf('# ' + tagRule.uuid + ': ' + tagRule.text()) !== -1,
+        'rule comment');
+    t.ok(text.indexOf('no VMs match the other side of this rule') !== -1,
+        'unmatched tag noted');
+
+    t.end();
+});
@@ -0,0 +1,237 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for routing rule updates to the servers hosting affected VMs
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mocks = require('./mocks');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+var MORAY;
+var VMAPI;
+var SERVERS = [ h.generateVM().uuid, h.generateVM().uuid,
+    h.generateVM().uuid ].sort();
+var VMS = [
+    h.generateVM({ server_uuid: SERVERS[0], tags: { role: 'web' } }),
+    h.generateVM({ server_uuid: SERVERS[1] }),
+    h.generateVM({ server_uuid: SERVERS[2] })
+];
+var OWNER = VMS[0].owner_uuid;
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Creates a rule, and checks that its update is for the given servers
+ */
+function createAndCheck(t, payload, servers) {
+    FWAPI.createRule(payload, function (err, rule) {
+        if (h.ifErr(t, err, 'create rule')) {
+            t.end();
+            return;
+        }
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('fw.add_rule', rule, servers)
+            ], 'moray update');
+            t.end();
+        });
+    });
+}
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    VMAPI = new mocks['sdc-clients'].VMAPI({ vms: VMS });
+
+    h.createClientAndServer({
+        updateRouting: true,
+        vmapi: VMAPI
+    }, function (err, res, moray) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        MORAY = moray;
+        t.end();
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Rule with tag', function (t) {
+    createAndCheck(t, {
+        enabled: true,
+        owner_uuid: OWNER,
+        rule: 'FROM any TO tag "role" = "web" ALLOW tcp PORT 80'
+    }, [ SERVERS[0] ]);
+});
+
+
+test('Rule with VMs', function (t) {
+    createAndCheck(t, {
+        enabled: true,
+        owner_uuid: OWNER,
+        rule: util.format('FROM vm %s TO vm %s ALLOW tcp PORT 80',
+            VMS[2].uuid, VMS[1].uuid)
+    }, [ SERVERS[1], SERVERS[2] ]);
+});
+
+
+test('Rule with all VMs', function (t) {
+    createAndCheck(t, {
+        enabled: true,
+        owner_uuid: OWNER,
+        rule: 'FROM any TO all vms ALLOW tcp PORT 443'
+    }, SERVERS);
+});
+
+
+test('Rule with all VMs: more VMs than VMAPI returns at once', function (t) {
+    var owner = h.generateVM().uuid;
+    var i;
+
+    for (i = 0; i < 1000; i++) {
+        VMAPI.vms.push(h.generateVM({
+            nics: [],
+            owner_uuid: owner,
+            server_uuid: SERVERS[0]
+        }));
+    }
+
+    // Only found on the second page
+    VMAPI.vms.push(h.generateVM({
+        owner_uuid: owner,
+        server_uuid: SERVERS[1]
+    }));
+
+    createAndCheck(t, {
+        enabled: true,
+        owner_uuid: owner,
+        rule: 'FROM any TO all vms ALLOW tcp PORT 443'
+    }, SERVERS.slice(0, 2));
+});
+
+
+test('Global rule', function (t) {
+    createAndCheck(t, {
+        enabled: true,
+        global: true,
+        rule: 'FROM any TO all vms ALLOW icmp TYPE 8 CODE 0'
+    });
+});
+
+
+test('Update rule: old and new servers', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        owner_uuid: OWNER,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT 22', VMS[0].uuid)
+    }, function (err, rule) {
+        if (h.ifErr(t, err, 'create rule')) {
+            t.end();
+            return;
+        }
+
+        h.getMorayUpdates(MORAY, function (err2) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            FWAPI.updateRule(rule.uuid, {
+                rule: util.format('FROM any TO vm %s ALLOW tcp PORT 22',
+                    VMS[1].uuid)
+            }, function (err3, updated) {
+                if (h.ifErr(t, err3, 'update rule')) {
+                    t.end();
+                    return;
+                }
+
+                h.getMorayUpdates(MORAY, function (err4, updates) {
+                    if (h.ifErr(t, err4, 'getMorayUpdates() error')) {
+                        t.end();
+                        return;
+                    }
+
+                    t.deepEqual(updates, [
+                        h.morayUpdate('fw.update_rule', updated,
+                            [ SERVERS[0], SERVERS[1] ])
+                    ], 'moray update');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('Sync for a server', function (t) {
+    FWAPI.post('/updates', {
+        type: 'sync',
+        server_uuid: SERVERS[2]
+    }, function (err) {
+        if (h.ifErr(t, err, 'post update')) {
+            t.end();
+            return;
+        }
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('sync', {
+                    type: 'sync',
+                    server_uuid: SERVERS[2]
+                }, [ SERVERS[2] ])
+            ], 'moray update');
+            t.end();
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
@@ -0,0 +1,307 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for scheduled rules
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_err = require('../../lib/errors');
+var mod_rule = require('../../lib/rule');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+var MORAY;
+var RULES = {};
+var VM = h.generateVM();
+
+/*
+ * Windows that are open for the whole year, apart from the first minute of
+ * January 1st, and that are only open for that minute
+ */
+var OPEN = { start: '1 0 1 1 *', end: '0 0 1 1 *' };
+var CLOSED = { start: '0 0 1 1 *', end: '1 0 1 1 *' };
+var NEW_YEAR = new Date(Date.UTC(new Date().getUTCFullYear() + 1, 0, 1));
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Creates a rule with a schedule, and checks whether it's enabled
+ */
+function createRule(t, name, schedule, expEnabled, expNext) {
+    FWAPI.createRule({
+        enabled: !expEnabled,
+        owner_uuid: VM.owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT 873', VM.uuid),
+        schedule: schedule
+    }, function (err, rule) {
+        if (h.ifErr(t, err, 'create rule')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(rule.schedule, schedule, 'schedule');
+        t.equal(rule.enabled, expEnabled, 'enabled set by schedule');
+        t.equal(rule.next_transition, expNext.toISOString(),
+            'next_transition');
+        RULES[name] = rule;
+
+        h.getMorayUpdates(MORAY, function (err2) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.end();
+        });
+    });
+}
+
+
+
+/**
+ * Changes a rule's stored Moray object, so that its next transition is due
+ */
+function setDue(name, params, callback) {
+    MORAY.getObject(mod_rule.BUCKET.name, RULES[name].uuid,
+        function (err, obj) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        for (var p in params) {
+            obj.value[p] = params[p];
+        }
+        obj.value.next_transition = Date.now() - 1000;
+
+        MORAY.putObject(mod_rule.BUCKET.name, obj.key, obj.value, callback);
+    });
+}
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res, moray) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        MORAY = moray;
+        t.end();
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Create rule: invalid schedule', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        owner_uuid: VM.owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT 873', VM.uuid),
+        schedule: { start: '0 25 * * *', end: '0 0 31 2 *' }
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body, {
+            code: 'InvalidParameters',
+            message: mod_err.INVALID_MSG,
+            errors: [ mod_err.invalidParam('schedule',
+                'start: invalid hour: "25", end: never matches') ]
+        }, 'error body');
+        t.end();
+    });
+});
+
+
+test('Create rule: in window', function (t) {
+    createRule(t, 'open', OPEN, true, NEW_YEAR);
+});
+
+
+test('Create rule: outside window', function (t) {
+    createRule(t, 'closed', CLOSED, false, NEW_YEAR);
+});
+
+
+test('Get rule: next transition', function (t) {
+    FWAPI.getRule(RULES.open.uuid, function (err, rule) {
+        if (h.ifErr(t, err, 'get rule')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(rule, RULES.open, 'rule from Moray');
+        t.end();
+    });
+});
+
+
+test('No transitions due', function (t) {
+    h.getServer().scheduler.run(function (err, count) {
+        t.ifError(err, 'run');
+        t.equal(count, 0, 'no rules changed');
+        t.end();
+    });
+});
+
+
+test('Rule enabled when window starts', function (t) {
+    // Make it look like the window opened since the last check
+    MORAY.getObject(mod_rule.BUCKET.name, RULES.open.uuid,
+        function (err, obj) {
+        if (h.ifErr(t, err, 'get object')) {
+            t.end();
+            return;
+        }
+
+        obj.value.enabled = false;
+        obj.value.next_transition = Date.now() - 1000;
+
+        MORAY.putObject(mod_rule.BUCKET.name, obj.key, obj.value,
+            function (pErr) {
+            if (h.ifErr(t, pErr, 'put object')) {
+                t.end();
+                return;
+            }
+
+            h.getServer().scheduler.run(function (rErr, count) {
+                if (h.ifErr(t, rErr, 'run')) {
+                    t.end();
+                    return;
+                }
+
+                t.equal(count, 1, 'one rule changed');
+
+                FWAPI.getRule(RULES.open.uuid, function (err2, rule) {
+                    if (h.ifErr(t, err2, 'get rule')) {
+                        t.end();
+                        return;
+                    }
+
+                    t.equal(rule.enabled, true, 'rule enabled');
+                    t.equal(rule.next_transition, NEW_YEAR.toISOString(),
+                        'next_transition');
+
+                    h.getMorayUpdates(MORAY, function (err3, updates) {
+                        if (h.ifErr(t, err3, 'getMorayUpdates() error')) {
+                            t.end();
+                            return;
+                        }
+
+                        t.deepEqual(updates, [
+                            h.morayUpdate('fw.update_rule', rule)
+                        ], 'moray updates');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('Invalid rule skipped', function (t) {
+    // The open rule's stored schedule no longer validates, and both rules
+    // are due: the closed rule should still be changed
+    setDue('open', { schedule: { start: '0 25 * * *', end: OPEN.end } },
+        function (err) {
+        if (h.ifErr(t, err, 'set open rule due')) {
+            t.end();
+            return;
+        }
+
+        setDue('closed', { enabled: true }, function (err2) {
+            if (h.ifErr(t, err2, 'set closed rule due')) {
+                t.end();
+                return;
+            }
+
+            h.getServer().scheduler.run(function (rErr, count) {
+                if (h.ifErr(t, rErr, 'run')) {
+                    t.end();
+                    return;
+                }
+
+                t.equal(count, 1, 'one rule changed');
+
+                FWAPI.getRule(RULES.closed.uuid, function (err3, rule) {
+                    if (h.ifErr(t, err3, 'get rule')) {
+                        t.end();
+                        return;
+                    }
+
+                    t.equal(rule.enabled, false, 'closed rule disabled');
+
+                    h.getMorayUpdates(MORAY, function (err4, updates) {
+                        if (h.ifErr(t, err4, 'getMorayUpdates() error')) {
+                            t.end();
+                            return;
+                        }
+
+                        t.deepEqual(updates, [
+                            h.morayUpdate('fw.update_rule', rule)
+                        ], 'moray updates');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('Update rule: clear schedule', function (t) {
+    FWAPI.updateRule(RULES.closed.uuid, { schedule: null },
+        function (err, rule) {
+        if (h.ifErr(t, err, 'update rule')) {
+            t.end();
+            return;
+        }
+
+        t.notOk(rule.hasOwnProperty('schedule'), 'schedule cleared');
+        t.notOk(rule.hasOwnProperty('next_transition'),
+            'next_transition cleared');
+        t.equal(rule.enabled, false, 'enabled unchanged');
+
+        h.getMorayUpdates(MORAY, function (err2) {
+            t.ifError(err2, 'getMorayUpdates()');
+            t.end();
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
@@ -0,0 +1,336 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for services
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_err = require('../../lib/errors');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+var MORAY;
+var RULES = {};
+var SERVICES = {};
+var VM = h.generateVM();
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Creates a service, and checks the response
+ */
+function createService(t, name, protocols) {
+    FWAPI.post('/services', {
+        name: name,
+        owner_uuid: VM.owner_uuid,
+        protocols: protocols
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'create service')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 200, 'status code');
+        t.ok(obj.uuid, 'uuid');
+        t.deepEqual(obj, {
+            uuid: obj.uuid,
+            owner_uuid: VM.owner_uuid,
+            name: name,
+            protocols: protocols
+        }, 'response');
+        SERVICES[name] = obj;
+        t.end();
+    });
+}
+
+
+/**
+ * Creates a rule referring to a service, and checks that it was expanded
+ */
+function createRule(t, name, text, expText, expServices) {
+    FWAPI.createRule({
+        enabled: true,
+        owner_uuid: VM.owner_uuid,
+        rule: text
+    }, function (err, rule) {
+        if (h.ifErr(t, err, 'create rule')) {
+            t.end();
+            return;
+        }
+
+        t.equal(rule.rule, expText, 'rule expanded');
+        t.equal(rule.source_rule, text, 'source_rule');
+        t.deepEqual(rule.ipsets, [], 'ipsets');
+        t.deepEqual(rule.services, expServices, 'services');
+        RULES[name] = rule;
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('fw.add_rule', rule)
+            ], 'moray updates');
+            t.end();
+        });
+    });
+}
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res, moray) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        MORAY = moray;
+        t.end();
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Create service: invalid protocols', function (t) {
+    FWAPI.post('/services', {
+        name: 'web',
+        owner_uuid: VM.owner_uuid,
+        protocols: { tcp: [ 80, 99999 ], sctp: [ 80 ] }
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body.errors, [
+            mod_err.invalidParam('protocols', 'unknown protocol "sctp", ' +
+                'tcp: Port number "99999" is invalid')
+        ], 'errors');
+        t.end();
+    });
+});
+
+
+test('Create service: web', function (t) {
+    createService(t, 'web', { tcp: [ 80, 443 ] });
+});
+
+
+test('Create service: dns', function (t) {
+    createService(t, 'dns', { tcp: [ 53 ], udp: [ 53 ] });
+});
+
+
+test('Create rule: unknown service', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        owner_uuid: VM.owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW service "mail"', VM.uuid)
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body, {
+            code: 'InvalidParameters',
+            message: mod_err.INVALID_MSG,
+            errors: [ mod_err.invalidParam('rule', 'unknown service: mail') ]
+        }, 'error body');
+        t.end();
+    });
+});
+
+
+test('Create rule: protocol needed', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        owner_uuid: VM.owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW service "dns"', VM.uuid)
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body.errors, [
+            mod_err.invalidParam('rule', 'service "dns" has more than one ' +
+                'protocol: use eg "tcp service dns"')
+        ], 'errors');
+        t.end();
+    });
+});
+
+
+test('Create rule referring to service', function (t) {
+    createRule(t, 'web',
+        util.format('FROM any TO vm %s ALLOW service "web"', VM.uuid),
+        util.format('FROM any TO vm %s ALLOW tcp (PORT 80 AND PORT 443)',
+            VM.uuid),
+        [ 'web' ]);
+});
+
+
+test('Create rule referring to one protocol of a service', function (t) {
+    createRule(t, 'dns',
+        util.format('FROM any TO vm %s ALLOW udp service dns', VM.uuid),
+        util.format('FROM any TO vm %s ALLOW udp PORT 53', VM.uuid),
+        [ 'dns' ]);
+});
+
+
+test('List rules: by service', function (t) {
+    FWAPI.listRules({ service: 'web' }, function (err, rules) {
+        if (h.ifErr(t, err, 'list rules')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(rules, [ RULES.web ], 'rules');
+        t.end();
+    });
+});
+
+
+test('Update service: rules updated', function (t) {
+    FWAPI.put('/services/' + SERVICES.web.uuid, {
+        protocols: { tcp: [ 8080 ] }
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'update service')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(obj.protocols, { tcp: [ 8080 ] }, 'protocols updated');
+        t.ok(res.headers['x-update-id'], 'update queued');
+
+        FWAPI.getRule(RULES.web.uuid, function (err2, rule) {
+            if (h.ifErr(t, err2, 'get rule')) {
+                t.end();
+                return;
+            }
+
+            t.equal(rule.rule, util.format(
+                'FROM any TO vm %s ALLOW tcp PORT 8080', VM.uuid),
+                'rule expanded with new ports');
+            t.equal(rule.source_rule, RULES.web.source_rule,
+                'source_rule unchanged');
+            t.notEqual(rule.version, RULES.web.version, 'version incremented');
+            RULES.web = rule;
+
+            h.getMorayUpdates(MORAY, function (err3, updates) {
+                if (h.ifErr(t, err3, 'getMorayUpdates() error')) {
+                    t.end();
+                    return;
+                }
+
+                t.deepEqual(updates, [
+                    h.morayUpdate('fw.update_rule', rule)
+                ], 'moray updates');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Update service: rules can no longer be expanded', function (t) {
+    FWAPI.put('/services/' + SERVICES.dns.uuid, {
+        protocols: { tcp: [ 53 ] }
+    }, function (err) {
+        t.ok(err, 'update error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body.errors, [
+            mod_err.invalidParam('rule', 'service "dns" has no udp targets')
+        ], 'errors');
+        t.end();
+    });
+});
+
+
+test('Delete service: in use', function (t) {
+    FWAPI.del('/services/' + SERVICES.web.uuid, function (err) {
+        t.ok(err, 'delete error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 409, 'status code');
+        t.end();
+    });
+});
+
+
+test('Delete rule, then service', function (t) {
+    FWAPI.deleteRule(RULES.web.uuid, function (err) {
+        if (h.ifErr(t, err, 'delete rule')) {
+            t.end();
+            return;
+        }
+
+        FWAPI.del('/services/' + SERVICES.web.uuid,
+            function (err2, _, req, res) {
+            if (h.ifErr(t, err2, 'delete service')) {
+                t.end();
+                return;
+            }
+
+            t.equal(res.statusCode, 204, 'status code');
+
+            h.getMorayUpdates(MORAY, function (err3) {
+                t.ifError(err3, 'getMorayUpdates()');
+                t.end();
+            });
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
@@ -0,0 +1,288 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for traffic simulation and the /simulate endpoint
+ */
+
+'use strict';
+
+var test = require('tape');
+var h = require('./helpers');
+var mod_rule = require('../../lib/rule');
+var mod_simulate = require('../../lib/simulate');
+
+
+
+// --- Globals
+
+
+
+/*
+ * Skeleton app object, needed by Rule objects for internal logic
+ */
+var app = {
+    config: {
+        fwrule_version: 4
+    }
+};
+
+var FWAPI;
+var DST = h.generateVM({ nics: [ { ip: '10.0.1.1' } ] });
+var SRC = h.generateVM({
+    nics: [ { ip: '10.0.1.2' } ],
+    tags: { role: 'web' }
+});
+
+
+
+// --- Helper functions
+
+
+
+function rule(text, enabled) {
+    return mod_rule.create({
+        enabled: (enabled !== false),
+        owner_uuid: DST.owner_uuid,
+        rule: text.replace('%d', DST.uuid).replace('%s', SRC.uuid)
+    }, app);
+}
+
+
+function simulate(source, opts) {
+    return mod_simulate.simulate({
+        source: (typeof (source) === 'string') ?
+            mod_simulate.addrEndpoint(source) :
+            mod_simulate.vmEndpoint(source),
+        destination: mod_simulate.vmEndpoint(opts.destination || DST),
+        protocol: opts.protocol || 'tcp',
+        port: opts.port,
+        type: opts.type,
+        inbound: opts.inbound,
+        outbound: opts.outbound
+    });
+}
+
+
+
+// --- Tests
+
+
+
+test('default policy', function (t) {
+    t.deepEqual(simulate('192.168.1.1', { port: 22, inbound: [] }), {
+        direction: 'inbound',
+        rule: null,
+        verdict: 'block'
+    }, 'inbound blocked');
+
+    t.deepEqual(simulate('192.168.1.1', {
+        destination: h.generateVM({ firewall_enabled: false }),
+        port: 22
+    }), {
+        direction: 'inbound',
+        rule: null,
+        verdict: 'allow'
+    }, 'allowed when destination firewall disabled');
+
+    t.end();
+});
+
+
+test('matching rules', function (t) {
+    var allow = rule('FROM any TO vm %d ALLOW tcp PORTS 20 - 22');
+    var disabled = rule('FROM any TO vm %d BLOCK tcp PORT 22 PRIORITY 9',
+        false);
+    var icmp = rule('FROM any TO vm %d ALLOW icmp TYPE 8');
+    var inbound = [ allow, disabled, icmp ];
+
+    var res = simulate('192.168.1.1', { port: 22, inbound: inbound });
+    t.equal(res.verdict, 'allow', 'port 22 allowed');
+    t.equal(res.rule, allow, 'decided by allow rule');
+
+    res = simulate('192.168.1.1', { port: 23, inbound: inbound });
+    t.equal(res.verdict, 'block', 'port 23 blocked');
+    t.equal(res.rule, null, 'decided by default policy');
+
+    res = simulate('192.168.1.1', {
+        protocol: 'icmp',
+        type: '8:0',
+        inbound: inbound
+    });
+    t.equal(res.verdict, 'allow', 'ICMP echo allowed');
+    t.equal(res.rule, icmp, 'decided by icmp rule');
+
+    res = simulate('192.168.1.1', {
+        protocol: 'icmp',
+        type: '0',
+        inbound: inbound
+    });
+    t.equal(res.rule, null, 'other ICMP types use default policy');
+
+    t.end();
+});
+
+
+test('rule precedence', function (t) {
+    var allowSubnet = rule('FROM subnet 10.0.0.0/8 TO vm %d ALLOW tcp PORT 80');
+    var blockIP = rule('FROM ip 10.1.1.1 TO vm %d BLOCK tcp PORT 80');
+    var allowPri = rule(
+        'FROM ip 10.1.1.1 TO vm %d ALLOW tcp PORT 80 PRIORITY 5');
+
+    var res = simulate('10.1.1.1', {
+        port: 80,
+        inbound: [ allowSubnet, blockIP ]
+    });
+    t.equal(res.verdict, 'block', 'block wins at same priority');
+    t.equal(res.rule, blockIP, 'decided by block rule');
+
+    res = simulate('10.1.0.0/16', {
+        port: 80,
+        inbound: [ allowSubnet, blockIP ]
+    });
+    t.equal(res.verdict, 'allow', 'subnet not covered by block rule');
+    t.equal(res.rule, allowSubnet, 'decided by subnet rule');
+
+    res = simulate('10.1.1.1', {
+        port: 80,
+        inbound: [ allowSubnet, blockIP, allowPri ]
+    });
+    t.equal(res.verdict, 'allow', 'higher priority wins');
+    t.equal(res.rule, allowPri, 'decided by priority rule');
+
+    t.end();
+});
+
+
+test('IPv6 sources', function (t) {
+    var allowSubnet = rule('FROM subnet fd00::/8 TO vm %d ALLOW tcp PORT 80');
+
+    var res = simulate('fd00::1', { port: 80, inbound: [ allowSubnet ] });
+    t.equal(res.verdict, 'allow', 'address in subnet allowed');
+    t.equal(res.rule, allowSubnet, 'decided by subnet rule');
+
+    res = simulate('fd00:1::/32', { port: 80, inbound: [ allowSubnet ] });
+    t.equal(res.verdict, 'allow', 'subnet within subnet allowed');
+
+    res = simulate('fe80::1', { port: 80, inbound: [ allowSubnet ] });
+    t.equal(res.verdict, 'block', 'address outside subnet blocked');
+    t.equal(res.rule, null, 'decided by default policy');
+
+    t.end();
+});
+
+
+test('VM sources', function (t) {
+    var allowTag = rule('FROM tag "role" = "web" TO vm %d ALLOW tcp PORT 443');
+    var allowAll = rule('FROM all vms TO vm %d ALLOW tcp PORT 8080');
+    var blockOut = rule('FROM vm %s TO any BLOCK tcp PORT 8080');
+
+    var res = simulate(SRC, { port: 443, inbound: [ allowTag ] });
+    t.equal(res.verdict, 'allow', 'allowed by tag');
+    t.equal(res.rule, allowTag, 'decided by tag rule');
+
+    res = simulate('10.0.1.2', { port: 443, inbound: [ allowTag ] });
+    t.equal(res.verdict, 'block', 'IP source does not match tag');
+
+    res = simulate(SRC, {
+        port: 8080,
+        inbound: [ allowAll ],
+        outbound: [ allowTag, blockOut ]
+    });
+    t.deepEqual(res, {
+        direction: 'outbound',
+        rule: blockOut,
+        verdict: 'block'
+    }, 'blocked by source VM');
+
+    res = simulate(h.generateVM({ firewall_enabled: false }), {
+        port: 8080,
+        inbound: [ allowAll ],
+        outbound: [ blockOut ]
+    });
+    t.deepEqual(res, {
+        direction: 'inbound',
+        rule: allowAll,
+        verdict: 'allow'
+    }, 'allowed by all vms rule');
+
+    t.end();
+});
+
+
+
+// --- Endpoint tests
+
+
+
+test('setup', function (t) {
+    h.createClientAndServer({}, function (err, res) {
+        t.ifError(err, 'server creation');
+        t.ok(res, 'client');
+        FWAPI = res;
+        t.end();
+    });
+});
+
+
+test('POST /simulate: invalid parameters', function (t) {
+    FWAPI.post('/simulate', {
+        destination: DST.uuid,
+        protocol: 'tcp',
+        source: 'foo',
+        type: '8'
+    }, function (err) {
+        t.ok(err, 'error');
+        if (err) {
+            t.equal(err.statusCode, 422, 'status code');
+            t.deepEqual(err.body.errors, [ {
+                field: 'source',
+                code: 'InvalidParameter',
+                message: 'must be a VM UUID, IP address or subnet'
+            } ], 'errors');
+        }
+
+        t.end();
+    });
+});
+
+
+test('POST /simulate: port required for tcp', function (t) {
+    FWAPI.post('/simulate', {
+        destination: DST.uuid,
+        protocol: 'tcp',
+        source: '10.0.0.0/8',
+        type: '8'
+    }, function (err) {
+        t.ok(err, 'error');
+        if (err) {
+            t.equal(err.statusCode, 422, 'status code');
+            t.deepEqual(err.body.errors, [ {
+                field: 'port',
+                code: 'InvalidParameter',
+                message: 'required for protocol tcp'
+            }, {
+                field: 'type',
+                code: 'InvalidParameter',
+                message: 'not allowed for protocol tcp'
+            } ], 'errors');
+        }
+
+        t.end();
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
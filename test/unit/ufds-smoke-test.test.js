@@ -23,6 +23,9 @@
 var test = require('tape');
 var h = require('./helpers');
 var mocks = require('./mocks');
+var mod_err = require('../../lib/errors');
+var mod_update = require('../../lib/update');
+var mod_uuid = require('uuid');
 var util = require('util');
 
 
@@ -32,14 +35,22 @@ var util = require('util');
 var FWAPI;
 var MORAY;
 var RULES = [];
+var VMAPI = new mocks['sdc-clients'].VMAPI();
 var VMS = [ h.generateVM(), h.generateVM() ];
 
+// Time (in ms) to wait for each service to respond in a detailed ping
+var PING_TIMEOUT = 200;
+
 
 // --- Setup
 
 
 test('setup', function (t) {
-    h.createClientAndServer({ fwrule_version: 2 }, function (err, res, moray) {
+    h.createClientAndServer({
+        fwrule_version: 2,
+        pingTimeout: PING_TIMEOUT,
+        vmapi: VMAPI
+    }, function (err, res, moray) {
         t.ifError(err, 'server creation');
         t.ok(res, 'client');
         t.ok(moray, 'moray');
@@ -54,7 +65,7 @@ test('setup', function (t) {
 
 
 test('Ping FWAPI', function (t) {
-    t.plan(3);
+    t.plan(9);
 
     t.test('UFDS online', function (t2) {
         mocks.ufdsConnected = true;
@@ -122,6 +133,171 @@ test('Ping FWAPI', function (t) {
             t2.end();
         });
     });
+
+    t.test('UFDS online (w/ "detailed")', function (t2) {
+        mocks.ufdsConnected = true;
+        FWAPI.ping({ detailed: true }, function (err, stats) {
+            if (h.ifErr(t2, err, 'ping error')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(stats.services, {
+                fast: 'online',
+                moray: 'online',
+                ufds: 'online',
+                vmapi: 'online'
+            }, 'services');
+            t2.ok(stats.healthy, 'healthy');
+
+            [ 'moray', 'ufds', 'vmapi' ].forEach(function (s) {
+                t2.equal(stats.checks[s].status, 'online', s + ' checked');
+                t2.equal(typeof (stats.checks[s].latency), 'number',
+                    s + ' latency');
+            });
+
+            t2.equal(stats.updates.backlog, 0, 'no updates queued');
+            t2.equal(stats.updates.oldest_age, null, 'no oldest update');
+            t2.ok(stats.updates.last_poll, 'last poll time');
+            t2.end();
+        });
+    });
+
+    t.test('UFDS online (w/ "detailed" false)', function (t2) {
+        mocks.ufdsConnected = true;
+        FWAPI.ping({ detailed: false }, function (err, stats) {
+            if (h.ifErr(t2, err, 'ping error')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(stats, {
+                healthy: true,
+                services: {
+                    fast: 'online',
+                    moray: 'online',
+                    ufds: 'online'
+                },
+                status: 'OK'
+            }, 'correct status');
+            t2.end();
+        });
+    });
+
+    t.test('Invalid "detailed"', function (t2) {
+        FWAPI.ping({ detailed: 'sometimes' }, function (err) {
+            t2.ok(err, 'ping error');
+            if (!err) {
+                t2.end();
+                return;
+            }
+
+            t2.equal(err.statusCode, 422, 'status code');
+            t2.deepEqual(err.body, {
+                code: 'InvalidParameters',
+                message: mod_err.INVALID_MSG,
+                errors: [ mod_err.invalidParam('detailed',
+                    'must be a boolean value') ]
+            }, 'error body');
+            t2.end();
+        });
+    });
+
+    t.test('Updates queued (w/ "detailed")', function (t2) {
+        var queued = [
+            h.morayUpdate('fw.del_rule', { uuids: [ mod_uuid.v4() ] }),
+            h.morayUpdate('fw.del_rule', { uuids: [ mod_uuid.v4() ] })
+        ];
+
+        MORAY.batch(queued.map(function (update) {
+            return new mod_update.UpdateMsg({
+                key: mod_uuid.v4(),
+                value: update
+            }).batch();
+        }), function (bErr) {
+            if (h.ifErr(t2, bErr, 'batch error')) {
+                t2.end();
+                return;
+            }
+
+            setTimeout(function () {
+                FWAPI.ping({ detailed: true }, function (err, stats) {
+                    if (h.ifErr(t2, err, 'ping error')) {
+                        t2.end();
+                        return;
+                    }
+
+                    t2.equal(stats.checks.moray.status, 'online',
+                        'moray checked');
+                    t2.equal(stats.updates.backlog, 2, 'updates queued');
+                    t2.ok(stats.updates.oldest_age >= 100,
+                        'oldest update age: ' + stats.updates.oldest_age);
+
+                    h.getMorayUpdates(MORAY, function (err2, updates) {
+                        if (h.ifErr(t2, err2, 'getMorayUpdates() error')) {
+                            t2.end();
+                            return;
+                        }
+
+                        t2.deepEqual(updates, queued, 'moray updates');
+                        t2.end();
+                    });
+                });
+            }, 100);
+        });
+    });
+
+    t.test('VMAPI offline (w/ "detailed")', function (t2) {
+        VMAPI.ping = function (callback) {
+            callback(new Error('connect ECONNREFUSED'));
+        };
+
+        FWAPI.ping({ detailed: true }, function (err, stats) {
+            delete VMAPI.ping;
+            if (h.ifErr(t2, err, 'ping error')) {
+                t2.end();
+                return;
+            }
+
+            t2.deepEqual(stats.services, {
+                fast: 'online',
+                moray: 'online',
+                ufds: 'online',
+                vmapi: 'offline'
+            }, 'services');
+            t2.equal(stats.healthy, false, 'not healthy');
+            t2.equal(stats.status, 'offline', 'status');
+            t2.equal(stats.checks.vmapi.status, 'offline', 'vmapi checked');
+            t2.equal(stats.checks.vmapi.error, 'connect ECONNREFUSED',
+                'vmapi error');
+            t2.end();
+        });
+    });
+
+    t.test('VMAPI not responding (w/ "detailed")', function (t2) {
+        VMAPI.ping = function (callback) {
+            setTimeout(callback, PING_TIMEOUT * 5);
+        };
+
+        FWAPI.ping({ detailed: true }, function (err, stats) {
+            delete VMAPI.ping;
+            if (h.ifErr(t2, err, 'ping error')) {
+                t2.end();
+                return;
+            }
+
+            t2.equal(stats.services.vmapi, 'offline', 'vmapi offline');
+            t2.equal(stats.healthy, false, 'not healthy');
+            t2.equal(stats.checks.vmapi.status, 'offline', 'vmapi checked');
+            t2.equal(stats.checks.vmapi.error,
+                'timed out waiting for a response', 'vmapi error');
+            t2.ok(stats.checks.vmapi.latency >= PING_TIMEOUT,
+                'latency: ' + stats.checks.vmapi.latency);
+            t2.equal(stats.checks.moray.status, 'online', 'moray checked');
+            t2.equal(stats.checks.ufds.status, 'online', 'ufds checked');
+            t2.end();
+        });
+    });
 });
 
 
@@ -217,6 +393,56 @@ test('Add rule 2', function (t) {
 });
 
 
+test('Add rule: expires_at not supported', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        expires_at: new Date(Date.now() + 3600000).toISOString(),
+        owner_uuid: VMS[0].owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT 22', VMS[0].uuid)
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body, {
+            code: 'InvalidParameters',
+            message: mod_err.INVALID_MSG,
+            errors: [ mod_err.invalidParam('expires_at',
+                'requires rules to be stored in Moray') ]
+        }, 'error body');
+        t.end();
+    });
+});
+
+
+test('Add rule: schedule not supported', function (t) {
+    FWAPI.createRule({
+        enabled: true,
+        owner_uuid: VMS[0].owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT 22', VMS[0].uuid),
+        schedule: { start: '0 9 * * 1-5', end: '0 17 * * 1-5' }
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body, {
+            code: 'InvalidParameters',
+            message: mod_err.INVALID_MSG,
+            errors: [ mod_err.invalidParam('schedule',
+                'requires rules to be stored in Moray') ]
+        }, 'error body');
+        t.end();
+    });
+});
+
+
 test('Update rule 1', function (t) {
     var payload = {
         rule: util.format('FROM vm %s TO vm %s ALLOW tcp (PORT 80 AND PORT 81)',
@@ -24,7 +24,10 @@ var util = require('util');
 
 
 
+var ETAG;
 var FWAPI;
+var HISTORY;
+var HISTORY_ALL;
 var MORAY;
 var RULES = [];
 var VMS = [ h.generateVM(), h.generateVM() ];
@@ -52,6 +55,70 @@ test('setup', function (t) {
 
 
 
+test('Create rule: dry run', function (t) {
+    var payload = {
+        dry_run: true,
+        enabled: true,
+        owner_uuid: VMS[0].owner_uuid,
+        rule: util.format('FROM vm %s TO vm %s ALLOW tcp PORT 80',
+            VMS[0].uuid, VMS[1].uuid)
+    };
+
+    FWAPI.createRule(payload, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'rule create')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 200, 'status code');
+        t.ok(!res.headers['x-update-id'], 'no x-update-id header');
+        t.equal(obj.rule, payload.rule, 'rule text');
+        t.deepEqual([ obj.parsed.action, obj.parsed.protocol,
+            obj.parsed.ports ], [ 'allow', 'tcp', [ 80 ] ], 'parsed rule');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [], 'no moray updates');
+
+            FWAPI.getRule(obj.uuid, function (err3) {
+                t.ok(err3, 'getRule error');
+                if (err3) {
+                    t.equal(err3.statusCode, 404, 'rule not created');
+                }
+
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Create rule: dry run with invalid rule', function (t) {
+    FWAPI.createRule({
+        dry_run: 'true',
+        owner_uuid: VMS[0].owner_uuid,
+        rule: 'FROM foo TO bar'
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.equal(err.body.code, 'InvalidParameters', 'error code');
+        t.deepEqual(err.body.errors.map(function (e) {
+            return e.field;
+        }), [ 'rule' ], 'error fields');
+        t.end();
+    });
+});
+
+
 test('Add rule', function (t) {
     RULES.push({
         enabled: true,
@@ -139,6 +206,143 @@ test('Update rule', function (t) {
 });
 
 
+test('Get rule: ETag header', function (t) {
+    FWAPI.getRule(RULES[0].uuid, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'getRule() error')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(obj, RULES[0], 'getRule');
+        t.ok(res.headers.etag, 'ETag header: ' + res.headers.etag);
+        t.ok(/^"[^"]+"$/.test(res.headers.etag), 'ETag quoted');
+        ETAG = res.headers.etag;
+        t.end();
+    });
+});
+
+
+test('Update rule: dry run', function (t) {
+    FWAPI.updateRule(RULES[0].uuid, {
+        dry_run: true,
+        enabled: false
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'rule update')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 200, 'status code');
+        t.equal(obj.enabled, false, 'enabled in response');
+        t.ok(obj.parsed, 'parsed rule in response');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [], 'no moray updates');
+
+            FWAPI.getRule(RULES[0].uuid, function (err3, res2) {
+                if (h.ifErr(t, err3, 'getRule() error')) {
+                    t.end();
+                    return;
+                }
+
+                t.deepEqual(res2, RULES[0], 'rule unchanged');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Update rule: non-matching If-Match', function (t) {
+    FWAPI.put({
+        path: '/rules/' + RULES[0].uuid,
+        headers: { 'if-match': 'BADETAG' }
+    }, { enabled: false }, function (err) {
+        t.ok(err, 'update error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 412, 'status code');
+        t.deepEqual(err.body, {
+            code: 'PreconditionFailed',
+            message: 'rule has been modified',
+            errors: [ {
+                field: 'etag',
+                code: 'EtagConflict',
+                message: 'etag does not match'
+            } ]
+        }, 'error body');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [], 'no moray updates');
+            t.end();
+        });
+    });
+});
+
+
+test('Update rule: matching If-Match', function (t) {
+    FWAPI.put({
+        path: '/rules/' + RULES[0].uuid,
+        headers: { 'if-match': ETAG }
+    }, { description: 'etag test' }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'rule update')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 202, 'status code');
+        t.ok(res.headers.etag, 'ETag header: ' + res.headers.etag);
+        t.notEqual(res.headers.etag, ETAG, 'ETag changed');
+        RULES[0].description = 'etag test';
+        RULES[0].version = obj.version;
+        t.deepEqual(obj, RULES[0], 'response');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('fw.update_rule', RULES[0])
+            ], 'moray updates');
+            t.end();
+        });
+    });
+});
+
+
+test('Delete rule: stale If-Match', function (t) {
+    FWAPI.del({
+        path: '/rules/' + RULES[0].uuid,
+        headers: { 'if-match': ETAG }
+    }, function (err) {
+        t.ok(err, 'delete error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 412, 'status code');
+        t.equal(err.body.code, 'PreconditionFailed', 'error code');
+        t.end();
+    });
+});
+
+
 test('Delete rule', function (t) {
     FWAPI.deleteRule(RULES[0].uuid, function (err, _, req, res) {
         if (h.ifErr(t, err, 'rule delete')) {
@@ -190,6 +394,185 @@ test('Delete rule', function (t) {
 });
 
 
+
+// --- History
+
+
+
+test('Rule history', function (t) {
+    FWAPI.get('/rules/' + RULES[0].uuid + '/history',
+        function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'getRuleHistory() error')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 200, 'status code');
+        t.deepEqual(obj.map(function (entry) {
+            return entry.change;
+        }), [ 'create', 'update', 'update', 'delete' ], 'changes');
+
+        t.equal(obj[0].rule.rule, util.format(
+            'FROM vm %s TO vm %s ALLOW tcp PORT 80',
+            VMS[0].uuid, VMS[1].uuid), 'original rule text');
+        t.equal(obj[2].rule.description, 'etag test',
+            'description after update');
+        t.deepEqual(obj[3].rule, RULES[0], 'rule when deleted');
+        obj.forEach(function (entry) {
+            t.equal(entry.rule_uuid, RULES[0].uuid, 'rule_uuid');
+            t.equal(entry.version, entry.rule.version, 'version');
+            t.ok(entry.time, 'time: ' + entry.time);
+        });
+
+        HISTORY = obj;
+        t.end();
+    });
+});
+
+
+test('Revert rule: unknown version', function (t) {
+    FWAPI.post('/rules/' + RULES[0].uuid + '/revert', {
+        version: '1234.000001'
+    }, function (err) {
+        t.ok(err, 'revert error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body, {
+            code: 'InvalidParameters',
+            message: 'Invalid parameters',
+            errors: [ {
+                field: 'version',
+                code: 'InvalidParameter',
+                message: 'version not found in rule history'
+            } ]
+        }, 'error body');
+        t.end();
+    });
+});
+
+
+test('Revert deleted rule', function (t) {
+    FWAPI.post('/rules/' + RULES[0].uuid + '/revert', {
+        version: HISTORY[0].version
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'revert')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 202, 'status code');
+        t.notEqual(obj.version, HISTORY[0].version, 'new version');
+        RULES[0] = HISTORY[0].rule;
+        RULES[0].version = obj.version;
+        t.deepEqual(obj, RULES[0], 'response');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('fw.add_rule', RULES[0])
+            ], 'moray updates');
+
+            FWAPI.getRule(RULES[0].uuid, function (err3, res2) {
+                if (h.ifErr(t, err3, 'getRule() error')) {
+                    t.end();
+                    return;
+                }
+
+                t.deepEqual(res2, RULES[0], 'getRule');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Revert existing rule', function (t) {
+    FWAPI.post('/rules/' + RULES[0].uuid + '/revert', {
+        version: HISTORY[2].version
+    }, function (err, obj, req, res) {
+        if (h.ifErr(t, err, 'revert')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 202, 'status code');
+        RULES[0] = HISTORY[2].rule;
+        RULES[0].version = obj.version;
+        t.deepEqual(obj, RULES[0], 'response');
+
+        h.getMorayUpdates(MORAY, function (err2, updates) {
+            if (h.ifErr(t, err2, 'getMorayUpdates() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(updates, [
+                h.morayUpdate('fw.update_rule', RULES[0])
+            ], 'moray updates');
+
+            FWAPI.get('/rules/' + RULES[0].uuid + '/history',
+                function (err3, history) {
+                if (h.ifErr(t, err3, 'getRuleHistory() error')) {
+                    t.end();
+                    return;
+                }
+
+                t.deepEqual(history.map(function (entry) {
+                    return entry.change;
+                }), [ 'create', 'update', 'update', 'delete', 'create',
+                    'update' ], 'changes');
+                t.deepEqual(history[5].rule, RULES[0], 'latest rule');
+                HISTORY_ALL = history;
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Rule history: paging', function (t) {
+    var path = '/rules/' + RULES[0].uuid + '/history';
+
+    function getPage(query, expected, callback) {
+        FWAPI.get(path + query, function (err, history) {
+            if (h.ifErr(t, err, 'getRuleHistory() error')) {
+                t.end();
+                return;
+            }
+
+            t.deepEqual(history.map(function (entry) {
+                return entry.change;
+            }), expected, 'changes: ' + query);
+            callback(history);
+        });
+    }
+
+    getPage('?limit=4', [ 'update', 'delete', 'create', 'update' ],
+        function (newest) {
+        getPage('?limit=4&marker=' + newest[0].seq, [ 'create', 'update' ],
+            function (oldest) {
+            t.deepEqual(oldest.concat(newest).map(function (entry) {
+                return entry.uuid;
+            }), HISTORY_ALL.map(function (entry) {
+                return entry.uuid;
+            }), 'pages make up whole history');
+
+            getPage('?marker=' + oldest[0].seq, [], function () {
+                t.end();
+            });
+        });
+    });
+});
+
+
 // --- Teardown
 
 
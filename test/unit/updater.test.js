@@ -0,0 +1,454 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for delivering updates to clients and handling their acks
+ */
+
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var test = require('tape');
+var mod_jsprim = require('jsprim');
+var mod_log = require('../lib/log');
+var mod_update = require('../../lib/update');
+var mod_uuid = require('uuid');
+
+
+
+// --- Globals
+
+
+
+var CONNS = {};
+var RECORDS = [ 1, 2, 3 ].map(function (id) {
+    return {
+        _id: id,
+        key: mod_uuid.v4(),
+        value: {
+            name: 'fw.add_rule',
+            value: { id: id }
+        }
+    };
+});
+var UPDATER;
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Returns a fake fast connection, which records the IDs of the updates
+ * written to it
+ */
+function fakeConn() {
+    return {
+        sent: [],
+        write: function (msg) {
+            this.sent.push(msg.id);
+        }
+    };
+}
+
+
+function ack(t, clientID, id) {
+    UPDATER.ack({ client_id: clientID, id: id }, {
+        end: function (err) {
+            t.ifError(err, 'ack ' + clientID + ': ' + id);
+        }
+    });
+}
+
+
+function connect(clientID) {
+    CONNS[clientID] = fakeConn();
+    UPDATER.stream.clients[clientID] = CONNS[clientID];
+}
+
+
+/**
+ * Disconnects and unsubscribes all clients
+ */
+function disconnectAll() {
+    Object.keys(UPDATER.stream.clients).forEach(function (c) {
+        delete UPDATER.stream.clients[c];
+    });
+    UPDATER.subscribers = {};
+}
+
+
+/**
+ * Returns a fake moray client with records in the updates bucket, which
+ * pages through them the way moray does. The first _id of each read is
+ * recorded in `reads`.
+ */
+function fakeMoray(records) {
+    return {
+        reads: [],
+        findObjects: function (_bucket, filter, opts) {
+            var after = Number(filter.match(/_id>=(\d+)/)[1]);
+            var found = records.filter(function (rec) {
+                return (rec._id >= after);
+            });
+            this.reads.push(after);
+            var res = new EventEmitter();
+
+            setImmediate(function () {
+                found.slice(0, opts.limit).forEach(function (rec) {
+                    res.emit('record', mod_jsprim.mergeObjects(rec,
+                        { _count: found.length }));
+                });
+                res.emit('end');
+            });
+
+            return res;
+        }
+    };
+}
+
+
+/**
+ * Returns updates with _ids 1 to count
+ */
+function makeRecords(count) {
+    var records = [];
+    for (var id = 1; id <= count; id++) {
+        records.push({
+            _id: id,
+            key: mod_uuid.v4(),
+            value: {
+                name: 'fw.add_rule',
+                value: { id: id }
+            }
+        });
+    }
+
+    return records;
+}
+
+
+function keys(records) {
+    return records.map(function (rec) {
+        return rec.key;
+    });
+}
+
+
+function sent(clientID) {
+    var ids = CONNS[clientID].sent;
+    CONNS[clientID].sent = [];
+    return ids;
+}
+
+
+
+// --- Tests
+
+
+
+test('setup', function (t) {
+    UPDATER = mod_update.createServer({
+        config: {
+            fast: {
+                port: 2020
+            },
+            host: 'test',
+            pollInterval: 3000
+        },
+        log: mod_log.selectUnitLogger()
+    });
+
+    t.end();
+});
+
+
+test('updates kept with no clients', function (t) {
+    t.deepEqual(UPDATER.deliver(RECORDS.slice(0, 2)), [],
+        'no updates removed');
+    t.end();
+});
+
+
+test('clients without acks', function (t) {
+    connect('legacy');
+
+    t.deepEqual(UPDATER.deliver(RECORDS.slice(0, 2)),
+        keys(RECORDS.slice(0, 2)), 'updates removed once sent');
+    t.deepEqual(sent('legacy'), [ 1, 2 ], 'updates sent');
+
+    delete UPDATER.stream.clients.legacy;
+    t.deepEqual(UPDATER.deliver(RECORDS.slice(2)), [],
+        'disconnected client unsubscribed');
+    t.notOk(UPDATER.subscribers.legacy, 'no state for disconnected client');
+
+    t.end();
+});
+
+
+test('clients with acks', function (t) {
+    connect('cn1');
+    connect('cn2');
+    ack(t, 'cn1', 0);
+    ack(t, 'cn2', 0);
+
+    t.deepEqual(UPDATER.deliver(RECORDS), [], 'no updates acknowledged');
+    t.deepEqual(sent('cn1'), [ 1, 2, 3 ], 'updates sent to cn1');
+    t.deepEqual(sent('cn2'), [ 1, 2, 3 ], 'updates sent to cn2');
+
+    ack(t, 'cn1', 3);
+    ack(t, 'cn2', 1);
+
+    t.deepEqual(UPDATER.deliver(RECORDS), keys(RECORDS.slice(0, 1)),
+        'updates acknowledged by both clients removed');
+    t.deepEqual(sent('cn1'), [], 'no updates resent to cn1');
+    t.deepEqual(sent('cn2'), [], 'no updates resent to cn2');
+
+    t.end();
+});
+
+
+test('unacknowledged updates resent', function (t) {
+    UPDATER.ackTimeout = -1;
+
+    t.deepEqual(UPDATER.deliver(RECORDS.slice(1)), [],
+        'unacknowledged updates kept');
+    t.deepEqual(sent('cn1'), [], 'no updates resent to cn1');
+    t.deepEqual(sent('cn2'), [ 2, 3 ], 'updates resent to cn2');
+
+    UPDATER.ackTimeout = 30000;
+    t.end();
+});
+
+
+test('updates kept for disconnected clients', function (t) {
+    delete UPDATER.stream.clients.cn2;
+
+    t.deepEqual(UPDATER.deliver(RECORDS.slice(1)), [],
+        'updates kept for cn2');
+
+    connect('cn2');
+    t.deepEqual(UPDATER.deliver(RECORDS.slice(1)), [],
+        'updates kept after reconnect');
+    t.deepEqual(sent('cn2'), [ 2, 3 ], 'updates resent after reconnect');
+
+    delete UPDATER.stream.clients.cn2;
+    UPDATER.clientTimeout = -1;
+
+    t.deepEqual(UPDATER.deliver(RECORDS.slice(1)), keys(RECORDS.slice(1)),
+        'updates removed after client timeout');
+    t.notOk(UPDATER.subscribers.cn2, 'cn2 unsubscribed');
+
+    t.end();
+});
+
+
+test('updates for other servers', function (t) {
+    var server = mod_uuid.v4();
+    var other = mod_uuid.v4();
+    var records = [ 4, 5, 6 ].map(function (id) {
+        return {
+            _id: id,
+            key: mod_uuid.v4(),
+            value: {
+                name: 'fw.add_rule',
+                servers: [ (id === 5) ? server : other ],
+                value: { id: id }
+            }
+        };
+    });
+
+    delete UPDATER.stream.clients.cn1;
+    delete UPDATER.subscribers.cn1;
+    UPDATER.clientTimeout = 3600000;
+
+    connect(server);
+    connect('unknown');
+    ack(t, server, 3);
+    ack(t, 'unknown', 3);
+
+    t.deepEqual(UPDATER.deliver(records), [], 'no updates acknowledged');
+    t.deepEqual(sent(server), [ 5 ], 'only update for server sent');
+    t.deepEqual(sent('unknown'), [ 4, 5, 6 ],
+        'all updates sent to client on unknown server');
+
+    ack(t, 'unknown', 6);
+    t.deepEqual(UPDATER.deliver(records), [ records[0].key, records[2].key ],
+        'updates for other server removed');
+
+    ack(t, server, 5);
+    t.deepEqual(UPDATER.deliver(records), keys(records),
+        'all updates removed');
+
+    t.end();
+});
+
+
+test('invalid ack', function (t) {
+    UPDATER.ack({ client_id: 'cn1' }, {
+        end: function (err) {
+            t.ok(err, 'error returned');
+            t.end();
+        }
+    });
+});
+
+
+test('progress', function (t) {
+    UPDATER.floor = 0;
+
+    t.equal(UPDATER.progress(RECORDS.slice(1), keys(RECORDS.slice(1, 2))),
+        2, 'last update done by all clients');
+    t.equal(UPDATER.progress([], []), 2, 'progress kept with no updates');
+    t.equal(UPDATER.progress(RECORDS.slice(2), []), 2,
+        'progress kept when update not done');
+    t.equal(UPDATER.progress([], [], 3), 3,
+        'all updates read after done');
+
+    UPDATER.subscribers = {};
+    t.equal(UPDATER.progress(RECORDS, keys(RECORDS)), null,
+        'no progress without subscribers');
+
+    t.end();
+});
+
+
+test('acks restored', function (t) {
+    var seen = Date.now() - 1000;
+    var server = mod_uuid.v4();
+    var acks = {
+        cn1: { acked: 3, seen: seen, server: server },
+        cn2: { acked: 2, seen: seen, server: null }
+    };
+
+    disconnectAll();
+    UPDATER.restore(acks);
+
+    t.deepEqual(UPDATER.acks(), acks, 'acks returned');
+    t.equal(UPDATER.position(), 2, 'read from lowest ack');
+
+    connect('cn2');
+    t.deepEqual(UPDATER.deliver(RECORDS), [ RECORDS[0].key, RECORDS[1].key ],
+        'acknowledged updates done');
+    t.deepEqual(sent('cn2'), [ 3 ], 'only unacknowledged update sent');
+
+    connect('legacy');
+    t.equal(UPDATER.position(), 0, 'new client read from start');
+
+    disconnectAll();
+    t.equal(UPDATER.position(), null, 'no position without clients');
+
+    t.end();
+});
+
+
+test('poll: more than a page of updates', function (t) {
+    var records = makeRecords(2500);
+
+    disconnectAll();
+    UPDATER.floor = 0;
+
+    // cn1 only acknowledges the first update, but later updates must still
+    // be read and sent to cn2
+    connect('cn1');
+    connect('cn2');
+    ack(t, 'cn1', 1);
+
+    UPDATER.cluster = {
+        report: function (floor, acks, callback) {
+            UPDATER.initialized = false;
+
+            t.equal(floor, 1, 'progress reported');
+            t.deepEqual(Object.keys(acks), [ 'cn1' ], 'acks reported');
+            t.equal(sent('cn1').length, 2499, 'updates after ack sent to cn1');
+
+            var cn2 = sent('cn2');
+            t.equal(cn2.length, 2500, 'all updates sent to cn2');
+            t.equal(cn2[cn2.length - 1], 2500, 'last update sent to cn2');
+            t.equal(UPDATER.lastPoll.depth, 2500, 'queue depth');
+
+            // Not the leader, so no updates are removed
+            callback(null, null);
+            clearTimeout(UPDATER.timeout);
+            t.end();
+        }
+    };
+    UPDATER.initialized = true;
+    UPDATER.moray = fakeMoray(records);
+    UPDATER.poll();
+});
+
+
+test('poll: from the lowest ack', function (t) {
+    var moray = fakeMoray(makeRecords(2500));
+
+    disconnectAll();
+    UPDATER.floor = 0;
+
+    connect('cn1');
+    connect('cn2');
+    ack(t, 'cn1', 2400);
+    ack(t, 'cn2', 2450);
+
+    moray.deleteMany = function (_bucket, filter, _opts, callback) {
+        UPDATER.initialized = false;
+
+        t.ok(filter.indexOf('(_id<=2400)') !== -1,
+            'updates done by all instances removed');
+        t.ok(filter.indexOf('(_mtime<=') !== -1, 'old updates removed');
+
+        callback(null, { count: 2400 });
+        clearTimeout(UPDATER.timeout);
+        t.end();
+    };
+
+    UPDATER.cluster = {
+        leader: true,
+        report: function (floor, _acks, callback) {
+            t.deepEqual(moray.reads, [ 1, 2401 ],
+                'queue depth, then updates after lowest ack read');
+            t.equal(floor, 2400, 'progress reported');
+            t.equal(sent('cn1').length, 100, 'updates after ack sent to cn1');
+            t.equal(sent('cn2').length, 50, 'updates after ack sent to cn2');
+            t.equal(UPDATER.lastPoll.depth, 2500, 'queue depth');
+
+            callback(null, 2400);
+        }
+    };
+    UPDATER.initialized = true;
+    UPDATER.moray = moray;
+    UPDATER.poll();
+});
+
+
+test('poll: no clients', function (t) {
+    var moray = fakeMoray(makeRecords(5));
+
+    disconnectAll();
+
+    UPDATER.cluster = {
+        report: function (floor, acks, callback) {
+            UPDATER.initialized = false;
+
+            t.deepEqual(moray.reads, [ 1 ], 'only queue depth read');
+            t.equal(floor, null, 'no progress');
+            t.deepEqual(acks, {}, 'no acks');
+            t.equal(UPDATER.lastPoll.depth, 5, 'queue depth');
+
+            callback(null, null);
+            clearTimeout(UPDATER.timeout);
+            t.end();
+        }
+    };
+    UPDATER.initialized = true;
+    UPDATER.moray = moray;
+    UPDATER.poll();
+});
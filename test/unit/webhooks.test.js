@@ -0,0 +1,376 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2019, Joyent, Inc.
+ */
+
+/*
+ * Unit tests for webhooks
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var h = require('./helpers');
+var http = require('http');
+var mod_uuid = require('uuid');
+var test = require('tape');
+var util = require('util');
+
+
+
+// --- Globals
+
+
+
+var FWAPI;
+var LISTENER;
+var RULE;
+var VMS = [ h.generateVM() ];
+var WEBHOOKS = {};
+
+/*
+ * Status codes for the listener to respond with, in order (200 once
+ * they've been used up), and callbacks for the requests it receives
+ */
+var CODES = [];
+var WAITING = [];
+
+
+
+// --- Helper functions
+
+
+
+/**
+ * Calls callback with the next count requests made to the listener
+ */
+function waitForRequests(count, callback) {
+    var reqs = [];
+
+    WAITING.push(function (req) {
+        reqs.push(req);
+        if (reqs.length === count) {
+            callback(reqs);
+            return true;
+        }
+
+        return false;
+    });
+}
+
+
+function listenerURL() {
+    return util.format('http://127.0.0.1:%d/hook',
+        LISTENER.address().port);
+}
+
+
+function signature(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret)
+        .update(body).digest('hex');
+}
+
+
+
+// --- Setup
+
+
+
+test('setup', function (t) {
+    LISTENER = http.createServer(function (req, res) {
+        var body = '';
+
+        req.setEncoding('utf8');
+        req.on('data', function (chunk) {
+            body += chunk;
+        });
+
+        req.on('end', function () {
+            res.writeHead(CODES.length === 0 ? 200 : CODES.shift());
+            res.end();
+
+            if (WAITING.length !== 0 && WAITING[0]({
+                body: body,
+                headers: req.headers
+            })) {
+                WAITING.shift();
+            }
+        });
+    });
+
+    LISTENER.listen(0, '127.0.0.1', function () {
+        h.createClientAndServer({
+            webhookBackoff: 100,
+            webhookInterval: 200
+        }, function (err, res) {
+            t.ifError(err, 'server creation');
+            t.ok(res, 'client');
+            FWAPI = res;
+            t.end();
+        });
+    });
+});
+
+
+
+// --- Tests
+
+
+
+test('Create webhooks', function (t) {
+    FWAPI.post('/webhooks', {
+        events: [ 'create', 'delete' ],
+        owner_uuid: VMS[0].owner_uuid,
+        url: listenerURL()
+    }, function (err, obj) {
+        if (h.ifErr(t, err, 'create webhook')) {
+            t.end();
+            return;
+        }
+
+        t.deepEqual(obj.events, [ 'create', 'delete' ], 'events');
+        t.ok(obj.secret, 'secret generated');
+        WEBHOOKS.owner = obj;
+
+        // This webhook is for another owner, so should never be called
+        FWAPI.post('/webhooks', {
+            owner_uuid: mod_uuid.v4(),
+            secret: 'other',
+            url: listenerURL()
+        }, function (err2, obj2) {
+            if (h.ifErr(t, err2, 'create other owner\'s webhook')) {
+                t.end();
+                return;
+            }
+
+            t.equal(obj2.secret, 'other', 'secret');
+            WEBHOOKS.other = obj2;
+
+            FWAPI.get('/webhooks/' + obj.uuid, function (err3, obj3) {
+                if (h.ifErr(t, err3, 'get webhook')) {
+                    t.end();
+                    return;
+                }
+
+                t.ok(!obj3.secret, 'secret not returned');
+                t.equal(obj3.url, listenerURL(), 'url');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('Create webhook: invalid parameters', function (t) {
+    FWAPI.post('/webhooks', {
+        events: [ 'create', 'explode' ],
+        url: 'ftp://example.com/'
+    }, function (err) {
+        t.ok(err, 'create error');
+        if (!err) {
+            t.end();
+            return;
+        }
+
+        t.equal(err.statusCode, 422, 'status code');
+        t.deepEqual(err.body.errors.map(function (e) {
+            return e.field;
+        }).sort(), [ 'events', 'url' ], 'error fields');
+        t.end();
+    });
+});
+
+
+test('Create rule: webhook called', function (t) {
+    var done = 0;
+    var received;
+
+    // The webhook may be called before or after the create returns
+    function check() {
+        if (++done !== 2) {
+            return;
+        }
+
+        var payload = JSON.parse(received.body);
+
+        t.equal(received.headers['x-fwapi-event'], 'create', 'event header');
+        t.equal(received.headers['x-fwapi-signature'],
+            signature(WEBHOOKS.owner.secret, received.body), 'signature');
+        t.equal(received.headers['x-fwapi-delivery'], payload.delivery_uuid,
+            'delivery header');
+        t.equal(payload.event, 'create', 'event');
+        t.equal(payload.webhook_uuid, WEBHOOKS.owner.uuid, 'webhook UUID');
+        t.deepEqual(payload.rule, RULE, 'rule');
+        t.end();
+    }
+
+    waitForRequests(1, function (reqs) {
+        received = reqs[0];
+        check();
+    });
+
+    FWAPI.createRule({
+        enabled: true,
+        owner_uuid: VMS[0].owner_uuid,
+        rule: util.format('FROM any TO vm %s ALLOW tcp PORT 22', VMS[0].uuid)
+    }, function (err, rule) {
+        t.ifError(err, 'create rule');
+        RULE = rule;
+        check();
+    });
+});
+
+
+test('Delete rule: delivery retried', function (t) {
+    // The webhook isn't called for the update, so the first request is for
+    // the delete: fail it, so that it's retried
+    CODES = [ 500 ];
+    waitForRequests(2, function (reqs) {
+        t.equal(reqs[0].body, reqs[1].body, 'same payload retried');
+        t.equal(JSON.parse(reqs[1].body).event, 'delete', 'event');
+
+        // Give FWAPI time to store the result of the retry
+        setTimeout(function () {
+            FWAPI.get('/webhooks/' + WEBHOOKS.owner.uuid + '/deliveries',
+                function (err, deliveries) {
+                if (h.ifErr(t, err, 'list deliveries')) {
+                    t.end();
+                    return;
+                }
+
+                t.deepEqual(deliveries.map(function (d) {
+                    return [ d.event, d.status, d.attempts, d.status_code ];
+                }), [
+                    [ 'create', 'delivered', 1, 200 ],
+                    [ 'delete', 'delivered', 2, 200 ]
+                ], 'delivery history');
+                t.end();
+            });
+        }, 500);
+    });
+
+    FWAPI.updateRule(RULE.uuid, { description: 'ssh' }, function (err) {
+        t.ifError(err, 'update rule');
+
+        FWAPI.deleteRule(RULE.uuid, function (err2) {
+            t.ifError(err2, 'delete rule');
+        });
+    });
+});
+
+
+test('Other owner\'s webhook not called', function (t) {
+    FWAPI.get('/webhooks/' + WEBHOOKS.other.uuid + '/deliveries',
+        function (err, deliveries) {
+        t.ifError(err, 'list deliveries');
+        t.deepEqual(deliveries, [], 'no deliveries');
+        t.end();
+    });
+});
+
+
+test('Batch: webhook called for each rule', function (t) {
+    var created;
+    var done = 0;
+    var received;
+
+    function check() {
+        if (++done !== 2) {
+            return;
+        }
+
+        t.deepEqual(received.map(function (req) {
+            var payload = JSON.parse(req.body);
+            return [ payload.event, payload.rule.uuid ];
+        }).sort(), created.map(function (result) {
+            return [ 'create', result.uuid ];
+        }).sort(), 'one delivery per rule');
+        t.end();
+    }
+
+    waitForRequests(2, function (reqs) {
+        received = reqs;
+        check();
+    });
+
+    FWAPI.post('/rules/batch', {
+        create: [ {
+            enabled: true,
+            rule: util.format('FROM any TO vm %s ALLOW tcp PORT 80',
+                VMS[0].uuid)
+        }, {
+            enabled: true,
+            rule: util.format('FROM any TO vm %s ALLOW tcp PORT 443',
+                VMS[0].uuid)
+        } ],
+        owner_uuid: VMS[0].owner_uuid
+    }, function (err, results) {
+        t.ifError(err, 'batch create');
+        created = results || [];
+        check();
+    });
+});
+
+
+test('Old deliveries deleted', function (t) {
+    var notifier = h.getServer().notifier;
+    var retention = notifier.retention;
+
+    // Give FWAPI time to store the results of the batch's deliveries
+    setTimeout(function () {
+        notifier.retention = 0;
+        notifier.prune(function (err) {
+            notifier.retention = retention;
+            t.ifError(err, 'prune');
+
+            FWAPI.get('/webhooks/' + WEBHOOKS.owner.uuid + '/deliveries',
+                function (err2, deliveries) {
+                t.ifError(err2, 'list deliveries');
+                t.deepEqual(deliveries, [], 'deliveries deleted');
+                t.end();
+            });
+        });
+    }, 500);
+});
+
+
+test('Delete webhooks', function (t) {
+    FWAPI.del('/webhooks/' + WEBHOOKS.owner.uuid, function (err, _, req, res) {
+        if (h.ifErr(t, err, 'delete webhook')) {
+            t.end();
+            return;
+        }
+
+        t.equal(res.statusCode, 204, 'status code');
+
+        FWAPI.del('/webhooks/' + WEBHOOKS.other.uuid, function (err2) {
+            t.ifError(err2, 'delete other owner\'s webhook');
+
+            FWAPI.get('/webhooks', function (err3, webhooks) {
+                t.ifError(err3, 'list webhooks');
+                t.deepEqual(webhooks, [], 'no webhooks left');
+                t.end();
+            });
+        });
+    });
+});
+
+
+
+// --- Teardown
+
+
+
+test('Stop server', h.stopServer);
+
+
+test('Stop listener', function (t) {
+    LISTENER.close(function () {
+        t.end();
+    });
+});